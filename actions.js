@@ -1,13 +1,25 @@
 /* eslint-disable camelcase */
 import { signOut } from 'next-auth/react';
 import * as types from './types';
+import {
+  createUploadTransport,
+  deleteUpload,
+  inspectAudioBlob,
+  listPendingUploads,
+  recordFailedTry,
+  runResumableUpload,
+  saveUpload,
+} from './lib/chunkedUpload';
+import { PITCH_TRACK_FILENAME } from './lib/pitchTracking';
 
 // https://allover.twodee.org/remote-state/fetching-memories/
 function assertResponse(response) {
   if (response.status >= 200 && response.status < 300) {
     return response;
   }
-  throw new Error(`${response.status}: ${response.statusText}`);
+  const error = new Error(`${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  throw error;
 }
 
 export function gotRoster(enrollments) {
@@ -519,21 +531,191 @@ export function uploadFailed(id) {
   };
 }
 
+export function uploadProgress(id, loaded, total) {
+  return {
+    type: types.Action.UploadProgress,
+    payload: { id, loaded, total },
+  };
+}
+
+const EXTENSIONS = [
+  ['webm', 'webm'],
+  ['ogg', 'ogg'],
+  ['wav', 'wav'],
+  ['flac', 'flac'],
+  ['mp4', 'mp4'],
+  ['mpeg', 'mp3'],
+  ['mp3', 'mp3'],
+];
+
+// Keys of uploads running in this page, so a resume never doubles one up
+const activeUploads = new Set();
+
+// Statuses from a backend that has no uploads API
+const NO_UPLOADS_API = [404, 405, 501];
+
+// Client errors that sending the same request again won't fix (a 401 is
+// kept, since it clears up once the user signs in again)
+function isPermanentFailure(err) {
+  return (
+    err.status >= 400 &&
+    err.status < 500 &&
+    ![401, 408, 429].includes(err.status)
+  );
+}
+
+// Upload the stored recording, then create the submission and attach it.
+// Backends without the uploads API get the file as a multipart attachment.
+function finishUpload(record, statusId) {
+  return async (dispatch, getState) => {
+    const {
+      currentUser: { token },
+    } = getState();
+    if (activeUploads.has(record.key)) return;
+    activeUploads.add(record.key);
+
+    dispatch(beginUpload(statusId));
+    try {
+      const transport = createUploadTransport({
+        token,
+        slug: record.slug,
+        assignmentId: record.assignmentId,
+      });
+      let uploaded = record;
+      let chunked = true;
+      try {
+        uploaded = await runResumableUpload(
+          record,
+          transport,
+          (loaded, total) => dispatch(uploadProgress(statusId, loaded, total)),
+        );
+      } catch (err) {
+        if (!NO_UPLOADS_API.includes(err.status)) throw err;
+        console.warn(
+          '📤 No resumable uploads on this server, sending the file whole',
+        );
+        chunked = false;
+      }
+
+      // Created only once, so a resume after a reload can't submit twice
+      if (!uploaded.submissionId) {
+        const submission = await fetch(
+          `${process.env.NEXT_PUBLIC_BACKEND_HOST}/api/courses/${record.slug}/assignments/${record.assignmentId}/submissions/`,
+          {
+            headers: {
+              Authorization: `Token ${token}`,
+              'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify({
+              content: record.content,
+              index: record.index,
+            }),
+          },
+        )
+          .then(assertResponse)
+          .then((res) => res.json());
+        uploaded = await saveUpload({
+          ...uploaded,
+          submissionId: submission.id,
+        });
+      }
+
+      const attachmentsURL = `${process.env.NEXT_PUBLIC_BACKEND_HOST}/api/courses/${record.slug}/assignments/${record.assignmentId}/submissions/${uploaded.submissionId}/attachments/`;
+      if (!uploaded.audioAttached) {
+        console.log('📊 Attaching uploaded audio:', {
+          filename: uploaded.filename,
+          type: uploaded.contentType,
+          size: uploaded.size,
+          sha256: uploaded.sha256,
+        });
+        let attachment;
+        if (chunked) {
+          attachment = {
+            headers: {
+              Authorization: `Token ${token}`,
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ upload_id: uploaded.uploadId }),
+          };
+        } else {
+          // Django/DRF expects the file in the 'file' field
+          const formData = new FormData();
+          formData.append('file', uploaded.blob, uploaded.filename);
+          attachment = {
+            // Don't set Content-Type - let browser set it with multipart boundary
+            headers: { Authorization: `Token ${token}` },
+            body: formData,
+          };
+        }
+        await fetch(attachmentsURL, { method: 'POST', ...attachment }).then(
+          assertResponse,
+        );
+        uploaded = await saveUpload({ ...uploaded, audioAttached: true });
+      }
+
+      // The take's intonation, kept with the submission for teachers. The
+      // recording is already submitted, so failing here only costs the curve.
+      if (uploaded.pitchTrack && !uploaded.pitchTrackAttached) {
+        try {
+          const formData = new FormData();
+          formData.append(
+            'file',
+            new Blob([JSON.stringify(uploaded.pitchTrack)], {
+              type: 'application/json',
+            }),
+            PITCH_TRACK_FILENAME,
+          );
+          await fetch(attachmentsURL, {
+            headers: { Authorization: `Token ${token}` },
+            method: 'POST',
+            body: formData,
+          }).then(assertResponse);
+          uploaded = await saveUpload({
+            ...uploaded,
+            pitchTrackAttached: true,
+          });
+        } catch (err) {
+          console.error('Could not attach the pitch track:', err);
+        }
+      }
+
+      await deleteUpload(record.key);
+      dispatch(uploadSucceeded(statusId));
+      await new Promise((resolve) => {
+        setTimeout(resolve, 1000);
+      });
+      dispatch(uploadDone(statusId));
+    } catch (err) {
+      console.error('Upload failed:', err);
+      if (isPermanentFailure(err)) {
+        // Rejected (bad request, integrity mismatch, attachment refused)
+        await deleteUpload(record.key);
+      } else {
+        // The record stays stored, so a later page load tries again
+        await recordFailedTry(record.key);
+      }
+      dispatch(uploadFailed(statusId));
+    } finally {
+      activeUploads.delete(record.key);
+    }
+  };
+}
+
 export function postRecording({
   slug,
   assignmentId,
   audio,
   composition,
   submissionId,
+  pitchTrack,
   index = 0,
 }) {
-  return (dispatch, getState) => {
+  return async (dispatch, getState) => {
     const {
-      currentUser: { token },
+      currentUser: { username },
     } = getState();
 
-    dispatch(beginUpload(submissionId));
-
     // Try to get activity log from window global if composition not provided
     let activityLogContent = composition;
     if (!activityLogContent && typeof window !== 'undefined' && window.__PENDING_ACTIVITY_LOG__) {
@@ -541,90 +723,86 @@ export function postRecording({
       console.log('📊 Using activity log from window global for submission content');
     }
 
-    let bodyObj = { content: 'N/A for Perform submissions' };
+    let content = 'N/A for Perform submissions';
     if (activityLogContent) {
-      bodyObj = { content: activityLogContent };
+      content = activityLogContent;
       console.log('📊 Setting submission content with activity log');
     }
 
-    bodyObj.index = index;
-    const body = JSON.stringify(bodyObj);
-    return fetch(
-      `${process.env.NEXT_PUBLIC_BACKEND_HOST}/api/courses/${slug}/assignments/${assignmentId}/submissions/`,
-      {
-        headers: {
-          Authorization: `Token ${token}`,
-          'Content-Type': 'application/json',
-        },
-        method: 'POST',
-        body,
-      },
-    )
-      .then(assertResponse)
-      .then((res) => res.json())
-      .then((submission) => {
-        // Create FormData for the file upload
-        // Django/DRF typically expects 'file' as the field name
-        const formData = new FormData();
-
-        // Determine filename extension from MIME type
-        let extension = 'webm';
-        if (audio.type) {
-          if (audio.type.includes('webm')) extension = 'webm';
-          else if (audio.type.includes('ogg')) extension = 'ogg';
-          else if (audio.type.includes('wav')) extension = 'wav';
-          else if (audio.type.includes('mp4')) extension = 'mp4';
-          else if (audio.type.includes('mpeg') || audio.type.includes('mp3')) extension = 'mp3';
-        }
-
-        // Append the audio file with 'file' as the field name (standard Django field name)
-        formData.append('file', audio, `recording.${extension}`);
-
-        console.log('📊 Uploading audio:', {
-          fieldName: 'file',
-          filename: `recording.${extension}`,
-          type: audio.type,
-          size: audio.size
-        });
-
-        // Note: Activity log is now sent in the submission content field above,
-        // not as a separate attachment field. Clear the window global.
-        if (typeof window !== 'undefined' && window.__PENDING_ACTIVITY_LOG__) {
-          console.log('📊 Activity log was already included in submission content');
-          window.__PENDING_ACTIVITY_LOG__ = null;
-          window.__PENDING_ACTIVITY_LOG_TIMESTAMP__ = null;
-        }
+    // Note: Activity log is now sent in the submission content field above,
+    // not as a separate attachment field. Clear the window global.
+    if (typeof window !== 'undefined' && window.__PENDING_ACTIVITY_LOG__) {
+      console.log('📊 Activity log was already included in submission content');
+      window.__PENDING_ACTIVITY_LOG__ = null;
+      window.__PENDING_ACTIVITY_LOG_TIMESTAMP__ = null;
+    }
 
-        return fetch(
-          `${process.env.NEXT_PUBLIC_BACKEND_HOST}/api/courses/${slug}/assignments/${assignmentId}/submissions/${submission.id}/attachments/`,
-          {
-            headers: {
-              Authorization: `Token ${token}`,
-              // Don't set Content-Type - let browser set it with multipart boundary
-            },
-            method: 'POST',
-            body: formData,
-          },
-        )
-          .then(assertResponse)
-          .then((response) => response.json())
-          .then((res) => {});
-      })
-      .then(() => {
-        // success case
-        dispatch(uploadSucceeded(submissionId));
-        const p = new Promise((resolve) => {
-          setTimeout(() => resolve, 1000);
-        });
-        return p;
-      })
-      .then(() => {
-        dispatch(uploadDone(submissionId));
-      })
-      .catch((err) => {
-        console.error('Upload failed:', err);
-        dispatch(uploadFailed(submissionId));
-      });
+    // Determine filename extension from MIME type
+    const extension =
+      EXTENSIONS.find(([mime]) => audio.type?.includes(mime))?.[1] ?? 'webm';
+
+    let inspected;
+    try {
+      inspected = await inspectAudioBlob(audio);
+    } catch (err) {
+      console.error('Upload failed:', err);
+      dispatch(uploadFailed(submissionId));
+      return;
+    }
+    console.log('📊 Uploading audio:', {
+      filename: `recording.${extension}`,
+      type: audio.type,
+      ...inspected,
+    });
+
+    const record = await saveUpload({
+      key: `${assignmentId}-${submissionId ?? 'recording'}-${Date.now()}`,
+      owner: username,
+      statusId: submissionId ?? null,
+      slug,
+      assignmentId,
+      index,
+      content,
+      blob: audio,
+      filename: `recording.${extension}`,
+      contentType: audio.type || 'application/octet-stream',
+      size: inspected.size,
+      sha256: inspected.sha256,
+      uploadId: null,
+      offset: 0,
+      submissionId: null,
+      audioAttached: false,
+      pitchTrack: pitchTrack ?? null,
+      pitchTrackAttached: false,
+      createdAt: Date.now(),
+    });
+
+    await dispatch(finishUpload(record, submissionId));
+  };
+}
+
+// User whose stored uploads this page has resumed; the layout asks on
+// every page it mounts, but a failed upload is only retried on the next load
+let resumedUploadsFor = null;
+
+// Pick up uploads an earlier page left unfinished (closed tab, lost network)
+export function resumePendingUploads() {
+  return async (dispatch, getState) => {
+    const {
+      currentUser: { username, token },
+    } = getState();
+    if (!token || resumedUploadsFor === username) return;
+    resumedUploadsFor = username;
+    const pending = await listPendingUploads(username);
+    for (const record of pending) {
+      console.log(
+        '📤 Resuming upload:',
+        record.filename,
+        `${record.offset}/${record.size} bytes`,
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await dispatch(finishUpload(record, record.statusId));
+    }
   };
 }
 
@@ -100,7 +100,14 @@ export function getRecentSubmissions({ slug, piece, partType }) {
 }
 
 export function mutateGradeSubmission(slug) {
-  return async ({ studentSubmission, rhythm, tone, expression, grader }) => {
+  return async ({
+    studentSubmission,
+    rhythm,
+    tone,
+    expression,
+    grader,
+    comments,
+  }) => {
     const endpoint = `courses/${slug}/grades/`;
     const body = {
       student_submission: [studentSubmission],
@@ -109,6 +116,8 @@ export function mutateGradeSubmission(slug) {
       tone,
       expression,
       grader,
+      // [{ id, text, time, measure }] from the perform grading view
+      ...(comments && { comments }),
     };
 
     const json = await makeRequest(endpoint, 'POST', body);
@@ -240,6 +249,60 @@ export function mutateSaveAudioState({ slug, assignmentId }) {
   };
 }
 
+// ========== Activity Definitions API ==========
+
+// Lesson the student's assignment should follow; null means the built-in activities
+export async function getActivityDefinition({ slug, assignmentId }) {
+  const endpoint = `courses/${slug}/assignments/${assignmentId}/activity-definition/`;
+  try {
+    const json = await makeRequest(endpoint);
+    return json?.definition ?? null;
+  } catch (error) {
+    if (error.message.includes('404')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export function getPartActivityDefinition({ slug, piece, partType }) {
+  return async () => {
+    const endpoint = `courses/${slug}/activity-definitions/?piece_slug=${piece}&activity_name=${partType}`;
+    try {
+      const json = await makeRequest(endpoint);
+      return json?.definition ?? null;
+    } catch (error) {
+      if (error.message.includes('404')) {
+        return null;
+      }
+      throw error;
+    }
+  };
+}
+
+export function mutatePartActivityDefinition({ slug, piece, partType }) {
+  return async (definition) => {
+    const endpoint = `courses/${slug}/activity-definitions/`;
+    const body = {
+      piece_slug: piece,
+      activity_name: partType,
+      definition,
+    };
+    const json = await makeRequest(endpoint, 'PUT', body);
+    return json;
+  };
+}
+
+// Every student's activity progress in a course, for the analytics dashboard:
+// [{ id, enrollment, assignment, piece_slug, current_step, step_completions, activity_logs }]
+export function getCourseActivityProgress(slug) {
+  return async () => {
+    const endpoint = `courses/${slug}/activity-progress/`;
+    const json = await makeRequest(endpoint);
+    return json;
+  };
+}
+
 export async function getInstrumentConfigurations() {
   const endpoint = "configs/";
   const json = await makeRequest(endpoint);
@@ -0,0 +1,732 @@
+/**
+ * ActivityDefinitionEditor
+ *
+ * Teacher-facing editor for data-driven DAW lessons, with a live preview of
+ * the selected step in ActivityLayout. Operations can be simulated in the
+ * preview to check when questions unlock and submission opens.
+ */
+
+import { useMemo, useState } from 'react';
+import {
+  Alert,
+  Button,
+  ButtonGroup,
+  Card,
+  Col,
+  Form,
+  InputGroup,
+  Nav,
+  Row,
+} from 'react-bootstrap';
+import { FaPlus, FaTrash, FaUndo } from 'react-icons/fa';
+import ActivityLayout from './ActivityLayout';
+import {
+  DEFAULT_ACTIVITY_DEFINITION,
+  EDITOR_TYPES,
+  INSTRUCTION_TYPES,
+  OPERATION_OPTIONS,
+  QUESTION_TYPES,
+  createEmptyStep,
+  evaluateStep,
+  validateActivityDefinition,
+} from '../../lib/activity/activityDefinition';
+
+const ALERT_VARIANTS = ['info', 'warning', 'success', 'danger'];
+
+// Operations named anywhere in a condition
+function conditionOperations(condition) {
+  if (!condition) return [];
+  const list = condition.any || condition.all;
+  if (list) return list.flatMap(conditionOperations);
+  return condition.operation ? [condition.operation] : [];
+}
+
+// List items are edited one per line; drop the blank lines before saving
+function withoutBlankItems(definition) {
+  return {
+    ...definition,
+    steps: definition.steps.map((step) => ({
+      ...step,
+      instructions: step.instructions.map((block) =>
+        block.type === 'list'
+          ? { ...block, items: block.items.filter((item) => item.trim()) }
+          : block,
+      ),
+    })),
+  };
+}
+
+function OperationSelect({ value, onChange, allowNone = false }) {
+  return (
+    <Form.Select
+      size="sm"
+      value={value || ''}
+      onChange={(ev) => onChange(ev.target.value || null)}
+    >
+      <option value="">{allowNone ? 'Always unlocked' : 'Choose…'}</option>
+      {OPERATION_OPTIONS.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label} ({option.value})
+        </option>
+      ))}
+    </Form.Select>
+  );
+}
+
+// A single operation with a count, or "any of" several operations
+function ConditionEditor({ condition, onChange }) {
+  if (condition.any) {
+    return (
+      <div className="border rounded p-2">
+        <div className="small text-muted mb-1">Any of:</div>
+        {condition.any.map((alternative, idx) => (
+          <InputGroup size="sm" className="mb-1" key={idx}>
+            <OperationSelect
+              value={alternative.operation}
+              onChange={(operation) =>
+                onChange({
+                  any: condition.any.map((a, i) =>
+                    i === idx ? { operation } : a,
+                  ),
+                })
+              }
+            />
+            <Button
+              variant="outline-danger"
+              aria-label="Remove alternative"
+              onClick={() => {
+                const any = condition.any.filter((_, i) => i !== idx);
+                onChange(any.length === 1 ? any[0] : { any });
+              }}
+            >
+              <FaTrash />
+            </Button>
+          </InputGroup>
+        ))}
+        <Button
+          size="sm"
+          variant="link"
+          onClick={() =>
+            onChange({ any: [...condition.any, { operation: null }] })
+          }
+        >
+          <FaPlus /> Alternative
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <InputGroup size="sm">
+      <OperationSelect
+        value={condition.operation}
+        onChange={(operation) => onChange({ ...condition, operation })}
+      />
+      <InputGroup.Text>×</InputGroup.Text>
+      <Form.Control
+        type="number"
+        min={1}
+        aria-label="Times"
+        value={condition.count || 1}
+        onChange={(ev) =>
+          onChange({
+            ...condition,
+            count: Math.max(1, parseInt(ev.target.value, 10) || 1),
+          })
+        }
+        style={{ maxWidth: '4.5rem' }}
+      />
+      <Button
+        variant="outline-secondary"
+        title="Accept any of several operations"
+        onClick={() =>
+          onChange({
+            any: [{ operation: condition.operation }, { operation: null }],
+          })
+        }
+      >
+        or…
+      </Button>
+    </InputGroup>
+  );
+}
+
+function InstructionEditor({ block, onChange, onRemove }) {
+  return (
+    <div className="border rounded p-2 mb-2">
+      <div className="d-flex gap-2 mb-2">
+        <Form.Select
+          size="sm"
+          value={block.type}
+          onChange={(ev) => {
+            const type = ev.target.value;
+            onChange(
+              type === 'list'
+                ? {
+                    type,
+                    title: '',
+                    items: block.content ? [block.content] : [],
+                  }
+                : {
+                    type,
+                    content: block.items?.join('\n') ?? block.content ?? '',
+                  },
+            );
+          }}
+          style={{ maxWidth: '8rem' }}
+        >
+          {INSTRUCTION_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </Form.Select>
+        {block.type === 'alert' && (
+          <Form.Select
+            size="sm"
+            value={block.variant || 'info'}
+            onChange={(ev) => onChange({ ...block, variant: ev.target.value })}
+            style={{ maxWidth: '8rem' }}
+          >
+            {ALERT_VARIANTS.map((variant) => (
+              <option key={variant} value={variant}>
+                {variant}
+              </option>
+            ))}
+          </Form.Select>
+        )}
+        {block.type === 'list' && (
+          <Form.Control
+            size="sm"
+            placeholder="Title (optional)"
+            value={block.title || ''}
+            onChange={(ev) => onChange({ ...block, title: ev.target.value })}
+          />
+        )}
+        <Button
+          size="sm"
+          variant="outline-danger"
+          className="ms-auto"
+          aria-label="Remove instruction"
+          onClick={onRemove}
+        >
+          <FaTrash />
+        </Button>
+      </div>
+      {block.type === 'list' ? (
+        <Form.Control
+          as="textarea"
+          rows={4}
+          placeholder="One item per line"
+          value={(block.items || []).join('\n')}
+          onChange={(ev) =>
+            onChange({ ...block, items: ev.target.value.split('\n') })
+          }
+        />
+      ) : (
+        <Form.Control
+          as="textarea"
+          rows={2}
+          value={block.content || ''}
+          onChange={(ev) => onChange({ ...block, content: ev.target.value })}
+        />
+      )}
+    </div>
+  );
+}
+
+function QuestionEditor({ question, onChange, onRemove }) {
+  return (
+    <div className="border rounded p-2 mb-2">
+      <div className="d-flex gap-2 mb-2">
+        <Form.Control
+          size="sm"
+          placeholder="id (stored with responses)"
+          value={question.id || ''}
+          onChange={(ev) => onChange({ ...question, id: ev.target.value })}
+        />
+        <Form.Select
+          size="sm"
+          value={question.type || 'textarea'}
+          onChange={(ev) => onChange({ ...question, type: ev.target.value })}
+          style={{ maxWidth: '8rem' }}
+        >
+          {QUESTION_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </Form.Select>
+        <Button
+          size="sm"
+          variant="outline-danger"
+          aria-label="Remove question"
+          onClick={onRemove}
+        >
+          <FaTrash />
+        </Button>
+      </div>
+      <Form.Control
+        as="textarea"
+        rows={2}
+        className="mb-2"
+        placeholder="Question"
+        value={question.question || ''}
+        onChange={(ev) => onChange({ ...question, question: ev.target.value })}
+      />
+      <Form.Label className="small mb-1">Unlocks after</Form.Label>
+      {question.unlock ? (
+        <div className="d-flex gap-2 align-items-start mb-2">
+          <div className="flex-grow-1">
+            <ConditionEditor
+              condition={question.unlock}
+              onChange={(unlock) => onChange({ ...question, unlock })}
+            />
+          </div>
+          <Button
+            size="sm"
+            variant="outline-secondary"
+            onClick={() => onChange({ ...question, unlock: null })}
+          >
+            Always unlocked
+          </Button>
+        </div>
+      ) : (
+        <div className="mb-2">
+          <OperationSelect
+            allowNone
+            value={null}
+            onChange={(operation) =>
+              onChange({
+                ...question,
+                unlock: operation ? { operation } : null,
+              })
+            }
+          />
+        </div>
+      )}
+      {question.unlock && (
+        <Form.Control
+          size="sm"
+          placeholder="Hint shown while locked, e.g. “creating your first selection”"
+          value={question.unlockHint || ''}
+          onChange={(ev) =>
+            onChange({ ...question, unlockHint: ev.target.value })
+          }
+        />
+      )}
+    </div>
+  );
+}
+
+// Lets the teacher pretend operations happened to watch the preview react
+function OperationSimulator({ operations, counts, onChange }) {
+  if (operations.length === 0) {
+    return (
+      <p className="small text-muted mb-0">
+        This step has no unlock or completion conditions.
+      </p>
+    );
+  }
+  return (
+    <div className="d-flex flex-wrap gap-2">
+      {operations.map((operation) => (
+        <InputGroup size="sm" key={operation} style={{ width: 'auto' }}>
+          <InputGroup.Text>
+            {OPERATION_OPTIONS.find((o) => o.value === operation)?.label ??
+              operation}
+          </InputGroup.Text>
+          <Form.Control
+            type="number"
+            min={0}
+            aria-label={`Times ${operation} was logged`}
+            value={counts[operation] || 0}
+            onChange={(ev) =>
+              onChange({
+                ...counts,
+                [operation]: Math.max(0, parseInt(ev.target.value, 10) || 0),
+              })
+            }
+            style={{ width: '4rem' }}
+          />
+        </InputGroup>
+      ))}
+    </div>
+  );
+}
+
+export default function ActivityDefinitionEditor({
+  initialDefinition,
+  onSave,
+  isSaving = false,
+}) {
+  const [definition, setDefinition] = useState(
+    initialDefinition ?? DEFAULT_ACTIVITY_DEFINITION,
+  );
+  const [stepIdx, setStepIdx] = useState(0);
+  const [simulated, setSimulated] = useState({});
+
+  const errors = useMemo(
+    () => validateActivityDefinition(definition),
+    [definition],
+  );
+  const step = definition.steps[stepIdx];
+
+  const updateSteps = (steps) => setDefinition({ ...definition, steps });
+  const updateStep = (patch) =>
+    updateSteps(
+      definition.steps.map((s, idx) =>
+        idx === stepIdx ? { ...s, ...patch } : s,
+      ),
+    );
+  const updateItem = (key, itemIdx, value) =>
+    updateStep({
+      [key]: step[key].map((item, idx) => (idx === itemIdx ? value : item)),
+    });
+  const removeItem = (key, itemIdx) =>
+    updateStep({ [key]: step[key].filter((_, idx) => idx !== itemIdx) });
+  const updateCompletion = (patch) =>
+    updateStep({ completion: { ...step.completion, ...patch } });
+
+  const selectStep = (idx) => {
+    setStepIdx(idx);
+    setSimulated({});
+  };
+
+  // Preview context built from the simulated operation counts
+  const simulatedContext = useMemo(
+    () => ({
+      completed: Object.keys(simulated).filter((op) => simulated[op] > 0),
+      logs: Object.entries(simulated).flatMap(([operation, count]) =>
+        Array.from({ length: count }, () => ({ operation, data: {} })),
+      ),
+    }),
+    [simulated],
+  );
+  const preview = step ? evaluateStep(step, simulatedContext) : null;
+  const stepOperations = step
+    ? [
+        ...new Set(
+          [
+            ...step.questions.map((q) => q.unlock),
+            ...step.completion.conditions,
+          ].flatMap(conditionOperations),
+        ),
+      ]
+    : [];
+
+  return (
+    <Row>
+      <Col lg={5}>
+        <Form.Group className="mb-3" controlId="lessonName">
+          <Form.Label>Lesson name</Form.Label>
+          <Form.Control
+            value={definition.name || ''}
+            onChange={(ev) =>
+              setDefinition({ ...definition, name: ev.target.value })
+            }
+          />
+        </Form.Group>
+
+        <Nav variant="pills" className="mb-3 flex-wrap">
+          {definition.steps.map((s, idx) => (
+            <Nav.Item key={idx}>
+              <Nav.Link
+                active={idx === stepIdx}
+                onClick={() => selectStep(idx)}
+              >
+                {idx + 1}. {s.name}
+              </Nav.Link>
+            </Nav.Item>
+          ))}
+          <Nav.Item>
+            <Nav.Link
+              onClick={() => {
+                updateSteps([
+                  ...definition.steps,
+                  createEmptyStep(definition.steps.length + 1),
+                ]);
+                selectStep(definition.steps.length);
+              }}
+            >
+              <FaPlus /> Step
+            </Nav.Link>
+          </Nav.Item>
+        </Nav>
+
+        {step && (
+          <>
+            <Card className="mb-3">
+              <Card.Header className="d-flex align-items-center">
+                <span className="me-auto">Step {stepIdx + 1}</span>
+                <Button
+                  size="sm"
+                  variant="outline-danger"
+                  disabled={definition.steps.length === 1}
+                  onClick={() => {
+                    updateSteps(
+                      definition.steps.filter((_, idx) => idx !== stepIdx),
+                    );
+                    selectStep(Math.max(0, stepIdx - 1));
+                  }}
+                >
+                  <FaTrash /> Remove step
+                </Button>
+              </Card.Header>
+              <Card.Body>
+                <Form.Group className="mb-2" controlId="stepName">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    value={step.name}
+                    onChange={(ev) => updateStep({ name: ev.target.value })}
+                  />
+                </Form.Group>
+                <Form.Group className="mb-2" controlId="stepEditor">
+                  <Form.Label>Editor</Form.Label>
+                  <Form.Select
+                    value={step.editor}
+                    onChange={(ev) => updateStep({ editor: ev.target.value })}
+                  >
+                    <option value={EDITOR_TYPES.RECORDER}>
+                      Recorder with single-track editor
+                    </option>
+                    <option value={EDITOR_TYPES.MULTITRACK}>
+                      Multitrack DAW
+                    </option>
+                  </Form.Select>
+                </Form.Group>
+                <Form.Check
+                  id="stepShowPart"
+                  label="Show the student's part and sample recording"
+                  checked={!!step.showPart}
+                  onChange={(ev) => updateStep({ showPart: ev.target.checked })}
+                />
+                <Form.Check
+                  id="stepBassline"
+                  label="Offer the piece's bassline under “Import from takes”"
+                  checked={!!step.bassline}
+                  disabled={step.editor !== EDITOR_TYPES.MULTITRACK}
+                  onChange={(ev) => updateStep({ bassline: ev.target.checked })}
+                />
+              </Card.Body>
+            </Card>
+
+            <Card className="mb-3">
+              <Card.Header>Instructions</Card.Header>
+              <Card.Body>
+                {step.instructions.map((block, idx) => (
+                  <InstructionEditor
+                    key={idx}
+                    block={block}
+                    onChange={(next) => updateItem('instructions', idx, next)}
+                    onRemove={() => removeItem('instructions', idx)}
+                  />
+                ))}
+                <ButtonGroup size="sm">
+                  {INSTRUCTION_TYPES.map((type) => (
+                    <Button
+                      key={type}
+                      variant="outline-primary"
+                      onClick={() =>
+                        updateStep({
+                          instructions: [
+                            ...step.instructions,
+                            type === 'list'
+                              ? { type, title: '', items: [] }
+                              : { type, content: '' },
+                          ],
+                        })
+                      }
+                    >
+                      <FaPlus /> {type}
+                    </Button>
+                  ))}
+                </ButtonGroup>
+              </Card.Body>
+            </Card>
+
+            <Card className="mb-3">
+              <Card.Header>Reflection questions</Card.Header>
+              <Card.Body>
+                {step.questions.map((question, idx) => (
+                  <QuestionEditor
+                    key={idx}
+                    question={question}
+                    onChange={(next) => updateItem('questions', idx, next)}
+                    onRemove={() => removeItem('questions', idx)}
+                  />
+                ))}
+                <Button
+                  size="sm"
+                  variant="outline-primary"
+                  onClick={() =>
+                    updateStep({
+                      questions: [
+                        ...step.questions,
+                        {
+                          id: `step${stepIdx + 1}_q${step.questions.length + 1}`,
+                          question: '',
+                          type: 'textarea',
+                          unlock: null,
+                        },
+                      ],
+                    })
+                  }
+                >
+                  <FaPlus /> Question
+                </Button>
+              </Card.Body>
+            </Card>
+
+            <Card className="mb-3">
+              <Card.Header>Required operations</Card.Header>
+              <Card.Body>
+                {step.completion.conditions.map((condition, idx) => (
+                  <div
+                    className="d-flex gap-2 align-items-start mb-2"
+                    key={idx}
+                  >
+                    <div className="flex-grow-1">
+                      <ConditionEditor
+                        condition={condition}
+                        onChange={(next) =>
+                          updateCompletion({
+                            conditions: step.completion.conditions.map(
+                              (c, i) => (i === idx ? next : c),
+                            ),
+                          })
+                        }
+                      />
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline-danger"
+                      aria-label="Remove requirement"
+                      onClick={() => {
+                        const conditions = step.completion.conditions.filter(
+                          (_, i) => i !== idx,
+                        );
+                        updateCompletion({
+                          conditions,
+                          minRequired: Math.min(
+                            step.completion.minRequired,
+                            conditions.length,
+                          ),
+                        });
+                      }}
+                    >
+                      <FaTrash />
+                    </Button>
+                  </div>
+                ))}
+                <div className="d-flex align-items-center gap-2">
+                  <Button
+                    size="sm"
+                    variant="outline-primary"
+                    onClick={() =>
+                      updateCompletion({
+                        conditions: [
+                          ...step.completion.conditions,
+                          { operation: null },
+                        ],
+                        minRequired: step.completion.minRequired + 1,
+                      })
+                    }
+                  >
+                    <FaPlus /> Requirement
+                  </Button>
+                  <InputGroup size="sm" style={{ width: 'auto' }}>
+                    <InputGroup.Text>Students must complete</InputGroup.Text>
+                    <Form.Control
+                      type="number"
+                      min={0}
+                      max={step.completion.conditions.length}
+                      aria-label="Required count"
+                      value={step.completion.minRequired}
+                      onChange={(ev) =>
+                        updateCompletion({
+                          minRequired: parseInt(ev.target.value, 10) || 0,
+                        })
+                      }
+                      style={{ width: '4rem' }}
+                    />
+                    <InputGroup.Text>
+                      of {step.completion.conditions.length}
+                    </InputGroup.Text>
+                  </InputGroup>
+                </div>
+              </Card.Body>
+            </Card>
+          </>
+        )}
+
+        {errors.length > 0 && (
+          <Alert variant="warning">
+            <ul className="mb-0">
+              {errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          </Alert>
+        )}
+        <div className="d-flex gap-2 mb-4">
+          <Button
+            variant="primary"
+            disabled={errors.length > 0 || isSaving}
+            onClick={() => onSave?.(withoutBlankItems(definition))}
+          >
+            {isSaving ? 'Saving…' : 'Save lesson'}
+          </Button>
+          <Button
+            variant="outline-secondary"
+            onClick={() => {
+              setDefinition(DEFAULT_ACTIVITY_DEFINITION);
+              selectStep(0);
+            }}
+          >
+            <FaUndo /> Start from the built-in activities
+          </Button>
+        </div>
+      </Col>
+
+      <Col lg={7}>
+        <h5>Preview</h5>
+        <Card className="mb-3">
+          <Card.Body>
+            <Card.Subtitle className="mb-2 text-muted">
+              Simulate logged operations
+            </Card.Subtitle>
+            <OperationSimulator
+              operations={stepOperations}
+              counts={simulated}
+              onChange={setSimulated}
+            />
+          </Card.Body>
+        </Card>
+        {step && (
+          <div className="border rounded">
+            <ActivityLayout
+              key={stepIdx}
+              step={stepIdx + 1}
+              instructions={step.instructions}
+              questions={step.questions}
+              questionResponses={{}}
+              completedOperations={simulatedContext.completed}
+              activityLogs={simulatedContext.logs}
+              canSubmit={preview.canSubmit}
+              progress={preview.progress}
+              isSubmitting={false}
+            >
+              <div className="border rounded bg-light text-muted text-center py-5">
+                {step.editor === EDITOR_TYPES.MULTITRACK
+                  ? 'Multitrack DAW'
+                  : 'Recorder with single-track editor'}
+                {step.showPart && ' · student part and sample above'}
+              </div>
+            </ActivityLayout>
+          </div>
+        )}
+      </Col>
+    </Row>
+  );
+}
@@ -7,6 +7,7 @@
 import { Card, Form, Alert } from 'react-bootstrap';
 import { FaCheckCircle, FaLock } from 'react-icons/fa';
 import { useState, useRef, useCallback } from 'react';
+import { isConditionMet } from '../../lib/activity/activityDefinition';
 
 export default function ActivityInstructions({
   step,
@@ -14,6 +15,7 @@ export default function ActivityInstructions({
   questions = [],
   questionResponses = {},
   completedOperations = [],
+  activityLogs = [],
   onResponseChange,
 }) {
   const [localResponses, setLocalResponses] = useState(questionResponses);
@@ -35,6 +37,12 @@ export default function ActivityInstructions({
   }, [onResponseChange]);
 
   const isQuestionUnlocked = (question) => {
+    if (question.unlock) {
+      return isConditionMet(question.unlock, {
+        completed: completedOperations,
+        logs: activityLogs,
+      });
+    }
     if (!question.requiredOperation) return true;
     return completedOperations.includes(question.requiredOperation);
   };
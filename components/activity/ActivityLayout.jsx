@@ -14,9 +14,11 @@ export default function ActivityLayout({
   questions,
   questionResponses,
   completedOperations,
+  activityLogs,
   canSubmit,
   progress,
   isSubmitting,
+  syncStatus,
   onResponseChange,
   onSubmit,
   children,
@@ -32,6 +34,7 @@ export default function ActivityLayout({
             questions={questions}
             questionResponses={questionResponses}
             completedOperations={completedOperations}
+            activityLogs={activityLogs}
             onResponseChange={onResponseChange}
           />
         </Col>
@@ -51,6 +54,7 @@ export default function ActivityLayout({
             canSubmit={canSubmit}
             progress={progress}
             isSubmitting={isSubmitting}
+            syncStatus={syncStatus}
             onClick={onSubmit}
           />
         </Col>
@@ -1,16 +1,60 @@
 /**
  * ActivitySubmitButton
  *
- * Submit button that shows locked/unlocked state based on activity completion
+ * Submit button that shows locked/unlocked state based on activity completion,
+ * and whether the student's progress has reached the server
  */
 
 import { Button } from 'react-bootstrap';
-import { FaLock, FaUnlock, FaSpinner } from 'react-icons/fa';
+import { FaLock, FaUnlock, FaSpinner, FaCheckCircle, FaExclamationTriangle, FaWifi } from 'react-icons/fa';
+import { SYNC_STATES } from '../../lib/activity/activityOutbox';
+
+const changes = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+function SyncIndicator({ status }) {
+  const { state, pending, error } = status;
+
+  if (state === SYNC_STATES.SYNCED) {
+    return (
+      <div className="text-muted small d-flex align-items-center gap-1">
+        <FaCheckCircle className="text-success" /> All progress saved
+      </div>
+    );
+  }
+  if (state === SYNC_STATES.SYNCING) {
+    return (
+      <div className="text-muted small d-flex align-items-center gap-1">
+        <FaSpinner /> Saving {changes(pending)}...
+      </div>
+    );
+  }
+  if (state === SYNC_STATES.OFFLINE) {
+    return (
+      <div className="text-warning small d-flex align-items-center gap-1">
+        <FaWifi /> Offline — {changes(pending)} will sync when you reconnect
+      </div>
+    );
+  }
+  if (state === SYNC_STATES.RETRYING) {
+    return (
+      <div className="text-warning small d-flex align-items-center gap-1" title={error || undefined}>
+        <FaExclamationTriangle /> Couldn't save {changes(pending)} yet, retrying automatically
+      </div>
+    );
+  }
+  return (
+    <div className="text-danger small d-flex align-items-center gap-1" title={error || undefined}>
+      <FaExclamationTriangle /> The server didn't accept a change
+      {pending > 0 ? ` · ${changes(pending)} still to sync` : ''}
+    </div>
+  );
+}
 
 export default function ActivitySubmitButton({
   canSubmit,
   progress,
   isSubmitting,
+  syncStatus = null,
   onClick,
   children = "Submit and Continue"
 }) {
@@ -60,6 +104,8 @@ export default function ActivitySubmitButton({
           ✓ All required operations completed!
         </div>
       )}
+
+      {syncStatus && <SyncIndicator status={syncStatus} />}
     </div>
   );
 }
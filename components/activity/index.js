@@ -7,3 +7,4 @@ export { default as ActivityInstructions } from './ActivityInstructions';
 export { default as ActivitySubmitButton } from './ActivitySubmitButton';
 export { default as ActivitySubmitModal } from './ActivitySubmitModal';
 export { default as ConsentReminderModal } from './ConsentReminderModal';
+export { default as ActivityDefinitionEditor } from './ActivityDefinitionEditor';
@@ -1,7 +1,7 @@
 'use client';
 
-import React, { useCallback, useState, useEffect } from 'react';
-import { Button, ButtonGroup, Dropdown, Form } from 'react-bootstrap';
+import React, { useCallback, useState, useEffect, useRef } from 'react';
+import { Button, ButtonGroup, Dropdown, Form, Overlay, Popover } from 'react-bootstrap';
 import {
   FaRegCirclePlay,
   FaRegCirclePause,
@@ -10,13 +10,16 @@ import {
 } from 'react-icons/fa6';
 import {
   BsSkipBackwardCircle,
+  BsSoundwave,
   BsSpeedometer2,
   BsZoomIn,
   BsZoomOut
 } from 'react-icons/bs';
 import { TbZoomReset } from 'react-icons/tb';
+import { MdGraphicEq } from 'react-icons/md';
 import { useWaveform } from '../../../../contexts/WaveformContext';
 import { useAudio } from '../../../../contexts/AudioContext';
+import SpectrumAnalyzer from '../SpectrumAnalyzer';
 
 export default function CustomTransport() {
   const {
@@ -32,11 +35,26 @@ export default function CustomTransport() {
     setPlaybackSpeed,
     zoomIn,
     zoomOut,
-    resetZoom
+    resetZoom,
+    displayMode,
+    setDisplayMode,
+    audioEngine
   } = useWaveform();
 
   // Undo/redo now handled in CustomTimeline
 
+  // Live spectrum of what's playing
+  const [analyser, setAnalyser] = useState(null);
+  const spectrumButtonRef = useRef(null);
+
+  const toggleAnalyser = useCallback(() => {
+    setAnalyser((current) => (current ? null : audioEngine?.getAnalyser() || null));
+  }, [audioEngine]);
+
+  const toggleDisplayMode = useCallback(() => {
+    setDisplayMode(displayMode === 'spectrogram' ? 'waveform' : 'spectrogram');
+  }, [displayMode, setDisplayMode]);
+
   const icoSize = "1.25rem"; // Match original icon size
 
   // Format time display
@@ -202,6 +220,34 @@ export default function CustomTransport() {
         >
           <BsZoomIn fontSize={icoSize} />
         </Button>
+
+        {/* Divider between zoom and spectrum views */}
+        <div className="vr" style={{ height: '20px', margin: '0 4px' }} />
+
+        <Button
+          onClick={toggleDisplayMode}
+          className="prog-button"
+          active={displayMode === 'spectrogram'}
+          title={displayMode === 'spectrogram' ? 'Show Waveform' : 'Show Spectrogram'}
+        >
+          <BsSoundwave fontSize={icoSize} />
+        </Button>
+        <Button
+          ref={spectrumButtonRef}
+          onClick={toggleAnalyser}
+          className="prog-button"
+          active={!!analyser}
+          title="Spectrum Analyzer"
+        >
+          <MdGraphicEq fontSize={icoSize} />
+        </Button>
+        <Overlay target={spectrumButtonRef.current} show={!!analyser} placement="top">
+          <Popover id="editor-spectrum-analyzer" style={{ maxWidth: 'none' }}>
+            <Popover.Body className="p-1">
+              <SpectrumAnalyzer analyser={analyser} width={320} height={120} />
+            </Popover.Body>
+          </Popover>
+        </Overlay>
       </div>
     </div>
   );
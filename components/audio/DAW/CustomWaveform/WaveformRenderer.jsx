@@ -3,6 +3,7 @@
 import React, { useRef, useEffect, useCallback, useState } from 'react';
 import { useWaveform } from '../../../../contexts/WaveformContext';
 import { CanvasRenderer } from '../../../../lib/rendering/CanvasRenderer';
+import { drawSpectrogram } from '../../../../lib/spectrum';
 
 export default function WaveformRenderer({ height = 180 }) {
   const canvasRef = useRef(null);
@@ -11,6 +12,7 @@ export default function WaveformRenderer({ height = 180 }) {
   const animationFrameRef = useRef(null);
 
   const {
+    audioBuffer,
     peaks,
     duration,
     currentTime,
@@ -18,6 +20,7 @@ export default function WaveformRenderer({ height = 180 }) {
     zoomLevel,
     scrollPosition,
     setScrollPosition,
+    displayMode,
     regions,
     activeRegion,
     isDraggingRegion,
@@ -86,8 +89,23 @@ export default function WaveformRenderer({ height = 180 }) {
     const startTime = scrollPosition;
     const endTime = Math.min(duration, scrollPosition + visibleDuration);
 
-    // Draw waveform with zoom
-    if (peaks && peaks.merged) {
+    // Draw spectrogram with zoom
+    if (displayMode === 'spectrogram' && audioBuffer) {
+      const pixelsPerSecond = Math.max(width, duration * zoomLevel) / duration;
+      // Computed a screen-width page at a time so scrolling reuses the cached pages
+      const pageDuration = width / pixelsPerSecond;
+      const firstPage = Math.floor(startTime / pageDuration);
+      for (let page = firstPage; page * pageDuration < endTime; page++) {
+        const pageStart = page * pageDuration;
+        drawSpectrogram(
+          renderer.ctx,
+          audioBuffer,
+          { x: (pageStart - scrollPosition) * pixelsPerSecond, y: 0, w: width, h: height },
+          { startTime: pageStart, endTime: pageStart + pageDuration }
+        );
+      }
+    } else if (peaks && peaks.merged) {
+      // Draw waveform with zoom
       // The waveform width should be at least the canvas width, or larger when zoomed
       const waveformWidth = Math.max(width, duration * zoomLevel);
       const offsetX = -scrollPosition * zoomLevel;
@@ -137,7 +155,7 @@ export default function WaveformRenderer({ height = 180 }) {
       const cursorX = (currentTime - scrollPosition) * zoomLevel;
       renderer.drawCursor(cursorX);
     }
-  }, [peaks, duration, currentTime, zoomLevel, scrollPosition, regions, isDragging, dragStart, dragEnd, height]);
+  }, [audioBuffer, peaks, duration, currentTime, zoomLevel, scrollPosition, displayMode, regions, isDragging, dragStart, dragEnd, height]);
 
   // Render on state changes
   useEffect(() => {
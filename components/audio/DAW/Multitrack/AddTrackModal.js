@@ -1,19 +1,28 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import { Modal, Button, ListGroup, Badge } from 'react-bootstrap';
-import { FaMicrophone, FaFileAudio, FaMusic } from 'react-icons/fa';
+import {
+  FaMicrophone,
+  FaFileAudio,
+  FaMusic,
+  FaKeyboard,
+} from 'react-icons/fa';
 import { useRecording } from '../../../../contexts/DAWProvider';
 import { useMultitrack } from '../../../../contexts/DAWProvider';
 import { formatTime } from '../../../../lib/dawUtils';
+import { MIDI_FILE_EXTENSIONS } from '../../../../lib/midiFileImport';
+import { useMIDIFileImport } from './hooks/useMIDIFileImport';
 
 /**
- * Modal for importing existing takes as tracks
+ * Modal for importing existing takes or MIDI files as tracks
  */
 export default function AddTrackModal({ show, onHide }) {
   const { blobInfo } = useRecording();
   const { tracks, addTrack, setTrackAudio, updateTrack } = useMultitrack();
   const [selectedTake, setSelectedTake] = useState(null);
+  const midiInputRef = useRef(null);
+  const { importMIDIFile, isImporting } = useMIDIFileImport();
 
   // Import a take as a track
   const handleImportTake = async (take) => {
@@ -30,10 +39,20 @@ export default function AddTrackModal({ show, onHide }) {
     onHide();
   };
 
+  // Import a Standard MIDI File as one MIDI track per part
+  const handleMIDIFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const imported = await importMIDIFile(file);
+    if (imported) onHide();
+  };
+
   return (
     <Modal show={show} onHide={onHide} size="lg">
       <Modal.Header closeButton>
-        <Modal.Title>Import Take</Modal.Title>
+        <Modal.Title>Import Take or MIDI File</Modal.Title>
       </Modal.Header>
 
       <Modal.Body>
@@ -87,6 +106,27 @@ export default function AddTrackModal({ show, onHide }) {
           </>
         )}
       </Modal.Body>
+
+      <Modal.Footer className="justify-content-between">
+        <small className="text-muted">
+          MIDI files (format 0 or 1) become one MIDI track per part.
+        </small>
+        <Button
+          variant="outline-primary"
+          onClick={() => midiInputRef.current?.click()}
+          disabled={isImporting}
+        >
+          <FaKeyboard className="me-2" />
+          {isImporting ? 'Importing...' : 'Import MIDI File'}
+        </Button>
+        <input
+          ref={midiInputRef}
+          type="file"
+          accept={MIDI_FILE_EXTENSIONS.join(',')}
+          onChange={handleMIDIFileSelect}
+          style={{ display: 'none' }}
+        />
+      </Modal.Footer>
     </Modal>
   );
 }
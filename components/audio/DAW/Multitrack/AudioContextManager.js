@@ -11,6 +11,7 @@ class AudioContextManager {
     this.initialized = false;
     this.startTime = 0;
     this.globalTimelineStartTime = null; // Audio context time when global timeline started
+    this.masterBus = null;
   }
 
   /**
@@ -200,11 +201,23 @@ class AudioContextManager {
   }
 
   /**
-   * Get the destination (speakers)
+   * Get the master bus: a gain node in front of the speakers that all
+   * track output passes through, so it can be metered in one place
    */
-  getDestination() {
+  getMasterBus() {
     const context = this.getContext();
-    return context.destination;
+    if (!this.masterBus || this.masterBus.context !== context) {
+      this.masterBus = context.createGain();
+      this.masterBus.connect(context.destination);
+    }
+    return this.masterBus;
+  }
+
+  /**
+   * Get the destination for track output (the master bus)
+   */
+  getDestination() {
+    return this.getMasterBus();
   }
 
   /**
@@ -237,6 +250,7 @@ class AudioContextManager {
     if (this.audioContext && this.audioContext.state !== 'closed') {
       this.audioContext.close();
       this.audioContext = null;
+      this.masterBus = null;
       this.initialized = false;
       this.globalTimelineStartTime = null;
     }
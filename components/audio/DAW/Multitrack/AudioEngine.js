@@ -58,8 +58,16 @@ export function getPeaks(audioBuffer, samplesPerPixel = 256) {
  * A tiny transport with a single timebase using AudioContext for timing.
  * - onTick(currentTimeSec) is called ~60fps when playing.
  * - Uses AudioContext.currentTime for sample-accurate synchronization with audio
+ * - getLoopRegion() returns { start, end } while looping is on; playback that
+ *   started before the loop end jumps back to its start, and
+ *   onLoop(positionSec) is called after each jump.
  */
-export function createTransport({ onTick, getProjectDurationSec }) {
+export function createTransport({
+  onTick,
+  onLoop,
+  getProjectDurationSec,
+  getLoopRegion,
+}) {
   const audioContext = getAudioContext();
 
   const state = {
@@ -74,6 +82,23 @@ export function createTransport({ onTick, getProjectDurationSec }) {
     const dur = getProjectDurationSec?.() ?? 0;
     const elapsed = audioContext.currentTime - state.contextStartTime;
     const t = state.startAtSec + elapsed;
+
+    const loop = getLoopRegion?.();
+    if (
+      loop &&
+      loop.end > loop.start &&
+      state.startAtSec < loop.end &&
+      t >= loop.end
+    ) {
+      const overshoot = (t - loop.end) % (loop.end - loop.start);
+      state.startAtSec = loop.start + overshoot;
+      state.contextStartTime = audioContext.currentTime;
+      onTick?.(state.startAtSec);
+      onLoop?.(state.startAtSec);
+      state.rafId = requestAnimationFrame(tick);
+      return;
+    }
+
     const clamped = dur > 0 ? Math.min(t, dur) : t;
     onTick?.(clamped);
 
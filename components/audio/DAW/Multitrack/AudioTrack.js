@@ -2,25 +2,32 @@
 'use client';
 
 import { useState, useRef, useEffect, memo } from 'react';
-import { Button, Form, ButtonGroup, ProgressBar } from 'react-bootstrap';
+import { Button, Form, ButtonGroup, ProgressBar, Overlay, Popover } from 'react-bootstrap';
 import {
   FaCircle,
   FaStop,
   FaFileImport,
   FaTrash,
   FaVolumeUp,
+  FaChartLine,
 } from 'react-icons/fa';
-import { MdPanTool } from 'react-icons/md';
+import { MdPanTool, MdGraphicEq, MdLayers } from 'react-icons/md';
+import { BsSoundwave } from 'react-icons/bs';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
 import RecordingManager from './recording/RecordingManager';
 import LiveWaveformVisualizer from './recording/LiveWaveformVisualizer';
 import TrackClipCanvas from '../../../../contexts/TrackClipCanvas';
 import ClipPlayer from './ClipPlayer';
 import audioContextManager from './AudioContextManager';
+import mixerRouter from './MixerRouter';
+import TrackRoutingMenu from './TrackRoutingMenu';
+import SpectrumAnalyzer from '../SpectrumAnalyzer';
 import { decodeAudioFromURL } from './AudioEngine';
+import { addTake, createTake } from './comping';
 import waveformCache from './WaveformCache';
 import { getAudioProcessor } from './AudioProcessor';
 import { getDAWActivityLogger } from '../../../../lib/activity/DAWActivityLogger';
+import { isMIDIFile } from '../../../../lib/midiFileImport';
 
 function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
   const {
@@ -36,6 +43,8 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
     getTransportTime,
     startRecordingTimer,
     stopRecordingTimer,
+    recordAutomation,
+    recordWithTransport,
   } = useMultitrack();
 
   // State for media stream and UI
@@ -43,6 +52,7 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
   const [isCountingIn, setIsCountingIn] = useState(false);
   const [countdownValue, setCountdownValue] = useState(0);
   const [controlTab, setControlTab] = useState('vol'); // 'vol' | 'pan'
+  const [analyser, setAnalyser] = useState(null); // live spectrum, when shown
 
   // Advanced import state
   const [isLoading, setIsLoading] = useState(false);
@@ -53,6 +63,7 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
 
   // Refs
   const fileInputRef = useRef(null);
+  const spectrumButtonRef = useRef(null);
   const clipPlayerRef = useRef(null);
 
   // Use track.isRecording as single source of truth
@@ -67,6 +78,10 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
       try {
         const audioContext = audioContextManager.getContext();
         clipPlayerRef.current = new ClipPlayer(audioContext);
+        mixerRouter.registerSource(track.id, {
+          preFader: clipPlayerRef.current.preFaderNode,
+          postFader: clipPlayerRef.current.outputNode,
+        });
         console.log('AudioTrack: ClipPlayer initialized');
       } catch (error) {
         console.error('AudioTrack: Error initializing ClipPlayer:', error);
@@ -74,6 +89,7 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
     }
 
     return () => {
+      mixerRouter.unregisterSource(track.id);
       if (clipPlayerRef.current) {
         clipPlayerRef.current.dispose();
         clipPlayerRef.current = null;
@@ -81,6 +97,12 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
     };
   }, []);
 
+  // Release the spectrum analyser when hidden or unmounted
+  useEffect(() => {
+    if (!analyser) return undefined;
+    return () => mixerRouter.releaseAnalyser(track.id);
+  }, [analyser, track.id]);
+
   // Update clips and params on player
   useEffect(() => {
     if (!clipPlayerRef.current || !track.clips) return;
@@ -98,6 +120,17 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
     })();
   }, [track.clips, track.volume, track.pan, track.muted]);
 
+  // Keep the effect chain and automation curves in sync with the player
+  useEffect(() => {
+    if (!clipPlayerRef.current) return;
+    clipPlayerRef.current.setEffects(track.effects);
+  }, [track.effects]);
+
+  useEffect(() => {
+    if (!clipPlayerRef.current) return;
+    clipPlayerRef.current.setAutomation(track.automation);
+  }, [track.automation]);
+
   // Handle global play/stop
   useEffect(() => {
     if (!clipPlayerRef.current) return;
@@ -181,11 +214,12 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
       }
     };
 
-    const handleRecordingStart = ({ trackId, type }) => {
+    const handleRecordingStart = ({ trackId, type, synced }) => {
       if (trackId === track.id && type === 'audio') {
         console.log(`🎤 AudioTrack: Recording started for track ${track.id}`);
-        // Start the recording timer to advance playhead
-        startRecordingTimer();
+        // Start the recording timer to advance playhead (loop and punch
+        // recordings run with the transport, which moves it already)
+        if (!synced) startRecordingTimer();
 
         // Update track state
         updateTrack(track.id, {
@@ -225,28 +259,28 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
           startPosition: data.startPosition
         });
 
-        // Add the recorded clip to the track
+        // Keep the recording as a take; the newest take plays over its range
         if (data.audioURL && data.duration > 0) {
-          const newClip = {
-            id: `clip-${track.id}-${Date.now()}`,
-            start: data.startPosition || 0,
-            duration: data.duration,
-            color: track.color || '#ff6b6b',
-            src: data.audioURL,
-            offset: 0,
-            name: `Recording ${new Date().toLocaleTimeString()}`
-          };
-
-          console.log(`🎤 AudioTrack: Creating clip`, {
-            clipStart: newClip.start,
-            clipDuration: newClip.duration,
-            clipEnd: newClip.start + newClip.duration,
-            existingClips: track.clips?.length || 0
-          });
-
-          updateTrack(track.id, {
-            audioURL: data.audioURL,
-            clips: [...(track.clips || []), newClip]
+          updateTrack(track.id, (t) => {
+            const take = createTake({
+              src: data.audioURL,
+              start: data.startPosition || 0,
+              duration: data.duration,
+              name: `Take ${(t.takes?.length || 0) + 1} (${new Date().toLocaleTimeString()})`,
+              color: t.color || '#ff6b6b'
+            });
+
+            console.log(`🎤 AudioTrack: Adding take`, {
+              takeStart: take.start,
+              takeDuration: take.duration,
+              takeEnd: take.start + take.duration,
+              existingTakes: t.takes?.length || 0
+            });
+
+            return {
+              audioURL: data.audioURL,
+              ...addTake(t, take)
+            };
           });
 
           // Log recording completion
@@ -303,6 +337,9 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
       // Stop recording or cancel countdown
       RecordingManager.stopRecording(track.id);
     } else if (mediaStream) {
+      // With a loop or punch range set, record against the transport
+      if (await recordWithTransport(track.id, 'audio', { mediaStream })) return;
+
       // Get current position from transport
       const startPosition = getTransportTime ? getTransportTime() : 0;
 
@@ -456,9 +493,12 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
   };
 
   const handleDrop = async (e) => {
+    setIsDragOver(false);
+    // MIDI files bubble up to the editor, which imports them as MIDI tracks
+    if (isMIDIFile(e.dataTransfer?.files?.[0])) return;
+
     e.preventDefault();
     e.stopPropagation();
-    setIsDragOver(false);
 
     const files = e.dataTransfer?.files;
     if (files && files.length > 0) {
@@ -616,8 +656,45 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
             >
               <FaFileImport />
             </Button>
+
+            {/* Spectrum views */}
+            <Button
+              ref={spectrumButtonRef}
+              size="sm"
+              variant={analyser ? 'info' : 'outline-secondary'}
+              onClick={(e) => {
+                e.stopPropagation();
+                setAnalyser(analyser ? null : mixerRouter.getAnalyser(track.id));
+              }}
+              title={analyser ? 'Hide Spectrum Analyzer' : 'Show Spectrum Analyzer'}
+              style={{ flex: 1 }}
+            >
+              <MdGraphicEq />
+            </Button>
+            <Button
+              size="sm"
+              variant={track.displayMode === 'spectrogram' ? 'info' : 'outline-secondary'}
+              onClick={(e) => {
+                e.stopPropagation();
+                updateTrack(track.id, {
+                  displayMode: track.displayMode === 'spectrogram' ? 'waveform' : 'spectrogram',
+                });
+              }}
+              title={track.displayMode === 'spectrogram' ? 'Show Waveform' : 'Show Spectrogram'}
+              style={{ flex: 1 }}
+            >
+              <BsSoundwave />
+            </Button>
           </div>
 
+          <Overlay target={spectrumButtonRef.current} show={!!analyser} placement="right">
+            <Popover id={`spectrum-${track.id}`} style={{ maxWidth: 'none' }}>
+              <Popover.Body className="p-1">
+                <SpectrumAnalyzer analyser={analyser} color={track.color || '#7bafd4'} />
+              </Popover.Body>
+            </Popover>
+          </Overlay>
+
           <input
             ref={fileInputRef}
             type="file"
@@ -675,6 +752,7 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
                   onChange={(e) => {
                     const newVolume = parseFloat(e.target.value);
                     updateTrack(track.id, { volume: newVolume });
+                    recordAutomation(track.id, 'volume', newVolume);
                     // Log volume change
                     try {
                       const activityLogger = getDAWActivityLogger();
@@ -703,6 +781,7 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
                   onChange={(e) => {
                     const newPan = parseFloat(e.target.value);
                     updateTrack(track.id, { pan: newPan });
+                    recordAutomation(track.id, 'pan', newPan);
                     // Log pan change
                     try {
                       const activityLogger = getDAWActivityLogger();
@@ -781,6 +860,36 @@ function AudioTrack({ track, index, zoomLevel = 100, logOperation = null }) {
             >
               M
             </Button>
+            <Button
+              variant={track.showAutomation ? 'info' : 'outline-secondary'}
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                updateTrack(track.id, { showAutomation: !track.showAutomation });
+              }}
+              title={track.showAutomation ? 'Hide Automation' : 'Show Automation'}
+              style={{ flex: 1 }}
+            >
+              <FaChartLine />
+            </Button>
+            <Button
+              variant={track.showTakes ? 'info' : 'outline-secondary'}
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                updateTrack(track.id, { showTakes: !track.showTakes });
+              }}
+              disabled={!track.takes?.length}
+              title={
+                track.takes?.length
+                  ? `${track.showTakes ? 'Hide' : 'Show'} Takes (${track.takes.length})`
+                  : 'Takes appear here after recording'
+              }
+              style={{ flex: 1 }}
+            >
+              <MdLayers />
+            </Button>
+            <TrackRoutingMenu trackId={track.id} />
             <Button
               variant="outline-danger"
               size="sm"
@@ -854,6 +963,11 @@ export default memo(AudioTrack, (prevProps, nextProps) => {
     prevProps.track.clips === nextProps.track.clips &&
     prevProps.track.audioURL === nextProps.track.audioURL &&
     prevProps.track.isRecording === nextProps.track.isRecording &&
+    prevProps.track.automation === nextProps.track.automation &&
+    prevProps.track.showAutomation === nextProps.track.showAutomation &&
+    prevProps.track.displayMode === nextProps.track.displayMode &&
+    prevProps.track.takes === nextProps.track.takes &&
+    prevProps.track.showTakes === nextProps.track.showTakes &&
     prevProps.index === nextProps.index &&
     prevProps.zoomLevel === nextProps.zoomLevel;
 
@@ -868,6 +982,10 @@ export default memo(AudioTrack, (prevProps, nextProps) => {
         clips: prevProps.track.clips !== nextProps.track.clips,
         audioURL: prevProps.track.audioURL !== nextProps.track.audioURL,
         isRecording: prevProps.track.isRecording !== nextProps.track.isRecording,
+        automation: prevProps.track.automation !== nextProps.track.automation,
+        displayMode: prevProps.track.displayMode !== nextProps.track.displayMode,
+        takes: prevProps.track.takes !== nextProps.track.takes,
+        showTakes: prevProps.track.showTakes !== nextProps.track.showTakes,
         index: prevProps.index !== nextProps.index,
         zoomLevel: prevProps.zoomLevel !== nextProps.zoomLevel,
       }
@@ -0,0 +1,289 @@
+// components/audio/DAW/Multitrack/AutomationLane.js
+'use client';
+
+import { useState, useRef, memo } from 'react';
+import { Button, ButtonGroup, Form } from 'react-bootstrap';
+import { FaTrash } from 'react-icons/fa';
+import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  AUTOMATION_PARAMS,
+  AUTOMATION_MODES,
+  getAutomationParam,
+  getAutomationTargets,
+  getAutomationLane,
+  normalizeAutomationValue,
+  denormalizeAutomationValue,
+  insertAutomationPoint,
+} from '../../../../lib/automation';
+
+export const AUTOMATION_LANE_HEIGHT = 80;
+
+const PIXELS_PER_SECOND_AT_100_ZOOM = 100;
+const POINT_RADIUS = 5;
+const PAD_Y = 8;
+
+const MODE_LABELS = { off: 'Off', read: 'Read', write: 'Write' };
+
+/**
+ * Breakpoint editor for one track's automation lane.
+ * Click empty space to add a point, drag points to move them,
+ * double-click a point to delete it. The lane can follow the track's
+ * volume or pan or a parameter of one of its effects.
+ */
+function AutomationLane({ track, zoomLevel = 100 }) {
+  const { setAutomationLane, updateTrack, snapTimeToGrid } = useMultitrack();
+
+  const targets = getAutomationTargets(track);
+  // Fall back to volume once the lane's effect is removed from the chain
+  const target =
+    targets.find((t) => t.id === track.automationParam) || targets[0];
+  const paramId = target.id;
+  const param = getAutomationParam(paramId);
+  const lane = getAutomationLane(track, paramId);
+  // Only track faders are recorded; effect lanes are drawn
+  const modes = AUTOMATION_PARAMS[paramId]
+    ? AUTOMATION_MODES
+    : AUTOMATION_MODES.filter((mode) => mode !== 'write');
+
+  // Points being dragged are kept locally and committed on release
+  const [dragPoints, setDragPoints] = useState(null);
+  const dragRef = useRef(null);
+  const svgRef = useRef(null);
+
+  const points = dragPoints || lane.points;
+  const pixelsPerSecond = PIXELS_PER_SECOND_AT_100_ZOOM * (zoomLevel / 100);
+  const innerHeight = AUTOMATION_LANE_HEIGHT - PAD_Y * 2;
+
+  const toX = (time) => time * pixelsPerSecond;
+  const toY = (value) =>
+    PAD_Y + (1 - normalizeAutomationValue(paramId, value)) * innerHeight;
+
+  const fromPointer = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const time = snapTimeToGrid(
+      Math.max(0, (e.clientX - rect.left) / pixelsPerSecond),
+    );
+    const normalized = 1 - (e.clientY - rect.top - PAD_Y) / innerHeight;
+    return { time, value: denormalizeAutomationValue(paramId, normalized) };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    const hitIndex = Number(e.target.dataset?.pointIndex);
+
+    let startPoints = lane.points;
+    let dragged;
+    if (Number.isInteger(hitIndex)) {
+      dragged = lane.points[hitIndex];
+    } else {
+      dragged = fromPointer(e);
+      startPoints = insertAutomationPoint(lane.points, dragged);
+    }
+
+    dragRef.current = {
+      others: startPoints.filter((p) => p !== dragged),
+      moved: !Number.isInteger(hitIndex),
+    };
+    svgRef.current.setPointerCapture(e.pointerId);
+    setDragPoints(startPoints);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    dragRef.current.moved = true;
+    setDragPoints(
+      insertAutomationPoint(dragRef.current.others, fromPointer(e)),
+    );
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragRef.current) return;
+    svgRef.current.releasePointerCapture?.(e.pointerId);
+    if (dragRef.current.moved && dragPoints) {
+      setAutomationLane(track.id, paramId, { points: dragPoints });
+    }
+    dragRef.current = null;
+    setDragPoints(null);
+  };
+
+  const handleDoubleClick = (e) => {
+    const hitIndex = Number(e.target.dataset?.pointIndex);
+    if (!Number.isInteger(hitIndex)) return;
+    e.stopPropagation();
+    setAutomationLane(track.id, paramId, {
+      points: lane.points.filter((_, i) => i !== hitIndex),
+    });
+  };
+
+  // Curve path: flat before the first point and after the last one
+  let path = null;
+  if (points.length > 0) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    path = [
+      `M 0 ${toY(first.value)}`,
+      ...points.map((p) => `L ${toX(p.time)} ${toY(p.value)}`),
+      `L ${toX(last.time) + 100000} ${toY(last.value)}`,
+    ].join(' ');
+  }
+
+  // Without points the parameter stays at the fader / effect setting
+  const staticValue = target.value;
+
+  const isActive = lane.mode === 'read' && lane.points.length > 0;
+  const curveColor =
+    lane.mode === 'write' ? '#ff6b6b' : isActive ? '#ffd166' : '#777';
+
+  return (
+    <div
+      className="automation-lane"
+      style={{
+        display: 'flex',
+        height: `${AUTOMATION_LANE_HEIGHT}px`,
+        borderBottom: '1px solid #3a3a3a',
+      }}
+    >
+      {/* Sidebar spacer - matches track sidebar */}
+      <div
+        style={{
+          width: '80px',
+          flexShrink: 0,
+          backgroundColor: '#1e1e1e',
+          borderRight: '1px solid #3a3a3a',
+          position: 'sticky',
+          left: 0,
+          zIndex: 10,
+        }}
+      />
+
+      {/* Lane controls */}
+      <div
+        style={{
+          width: '230px',
+          flexShrink: 0,
+          padding: '4px 10px',
+          backgroundColor: '#1b1b1b',
+          borderRight: '1px solid #444',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '4px',
+          position: 'sticky',
+          left: '80px',
+          zIndex: 9,
+        }}
+      >
+        <div style={{ display: 'flex', gap: 4 }}>
+          <Form.Select
+            size="sm"
+            value={paramId}
+            onChange={(e) =>
+              updateTrack(track.id, { automationParam: e.target.value })
+            }
+            style={{ flex: 1, fontSize: '0.75rem' }}
+          >
+            {targets.map(({ id, label }) => (
+              <option key={id} value={id}>
+                {label}
+                {track.automation?.[id]?.points?.length ? ' •' : ''}
+              </option>
+            ))}
+          </Form.Select>
+          <Button
+            size="sm"
+            variant="outline-danger"
+            disabled={lane.points.length === 0}
+            onClick={() => setAutomationLane(track.id, paramId, { points: [] })}
+            title="Clear lane"
+          >
+            <FaTrash />
+          </Button>
+        </div>
+        <ButtonGroup size="sm">
+          {modes.map((mode) => (
+            <Button
+              key={mode}
+              variant={
+                lane.mode === mode
+                  ? mode === 'write'
+                    ? 'danger'
+                    : 'primary'
+                  : 'outline-secondary'
+              }
+              onClick={() => setAutomationLane(track.id, paramId, { mode })}
+              style={{ fontSize: '0.7rem' }}
+              title={
+                mode === 'write'
+                  ? 'Record fader moves during playback'
+                  : mode === 'read'
+                    ? 'Follow this curve during playback and mixdown'
+                    : 'Ignore this curve'
+              }
+            >
+              {MODE_LABELS[mode]}
+            </Button>
+          ))}
+        </ButtonGroup>
+      </div>
+
+      {/* Curve editor */}
+      <div
+        style={{ flex: 1, position: 'relative', backgroundColor: '#262626' }}
+      >
+        <svg
+          ref={svgRef}
+          width="100%"
+          height={AUTOMATION_LANE_HEIGHT}
+          style={{ display: 'block', cursor: 'crosshair' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onDoubleClick={handleDoubleClick}
+        >
+          {path ? (
+            <path d={path} fill="none" stroke={curveColor} strokeWidth={2} />
+          ) : (
+            <line
+              x1={0}
+              x2="100%"
+              y1={toY(staticValue)}
+              y2={toY(staticValue)}
+              stroke="#555"
+              strokeDasharray="4 4"
+            />
+          )}
+          {points.map((p, i) => (
+            <circle
+              key={`${p.time}-${i}`}
+              data-point-index={i}
+              cx={toX(p.time)}
+              cy={toY(p.value)}
+              r={POINT_RADIUS}
+              fill={curveColor}
+              stroke="#1e1e1e"
+              style={{ cursor: 'grab' }}
+            >
+              <title>
+                {`${p.time.toFixed(2)}s · ${param.format(p.value)}`}
+              </title>
+            </circle>
+          ))}
+        </svg>
+        <span
+          style={{
+            position: 'absolute',
+            top: 2,
+            left: 6,
+            fontSize: '10px',
+            color: '#888',
+            pointerEvents: 'none',
+          }}
+        >
+          {target.label}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default memo(AutomationLane);
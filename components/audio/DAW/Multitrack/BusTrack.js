@@ -0,0 +1,306 @@
+// components/audio/DAW/Multitrack/BusTrack.js
+'use client';
+
+import { memo } from 'react';
+import { Button, Badge } from 'react-bootstrap';
+import { FaVolumeUp, FaTrash, FaPlus, FaMagic } from 'react-icons/fa';
+import { MdPanTool } from 'react-icons/md';
+import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import TrackRoutingMenu from './TrackRoutingMenu';
+import { resolveOutputTarget } from '../../../../lib/mixRouting';
+import { isLiveEffect } from '../../../../lib/effects/liveEffectChain';
+
+const TYPE_LABELS = { bus: 'Aux Bus', group: 'Group' };
+
+/**
+ * Mixer row for an aux bus or group track. Buses have no clips; the
+ * content area lists the tracks feeding them and their effect chain.
+ */
+function BusTrack({ track, index }) {
+  const {
+    tracks,
+    updateTrack,
+    removeTrack,
+    setSelectedTrackId,
+    selectedTrackId,
+    setEffectTargetTrackId,
+    setShowEffectSelectionModal,
+  } = useMultitrack();
+
+  const isSelected = selectedTrackId === track.id;
+  const effects = track.effects || [];
+  const skipped = effects.filter(
+    (fx) => fx.enabled !== false && !isLiveEffect(fx.type),
+  );
+
+  // Tracks routed into this strip, by output (groups) or by send (buses)
+  const feeders = tracks.filter((t) =>
+    track.type === 'group'
+      ? resolveOutputTarget(t, tracks) === track.id
+      : (t.sends || []).some(
+          (s) => s.busId === track.id && Number(s.level) > 0,
+        ),
+  );
+
+  const handleRemove = () => {
+    if (
+      window.confirm(`Remove this ${TYPE_LABELS[track.type].toLowerCase()}?`)
+    ) {
+      removeTrack(track.id);
+    }
+  };
+
+  const handleAddEffect = (e) => {
+    e.stopPropagation();
+    setEffectTargetTrackId(track.id);
+    setShowEffectSelectionModal(true);
+  };
+
+  const updateEffect = (effectId, updates) => {
+    updateTrack(track.id, {
+      effects: effects.map((fx) =>
+        fx.id === effectId ? { ...fx, ...updates } : fx,
+      ),
+    });
+  };
+
+  const removeEffect = (effectId) => {
+    updateTrack(track.id, {
+      effects: effects.filter((fx) => fx.id !== effectId),
+    });
+  };
+
+  return (
+    <div
+      className="track-container bus-track"
+      style={{ display: 'flex', height: '200px', minHeight: '200px' }}
+    >
+      {/* Sidebar spacer - matches timeline sidebar */}
+      <div
+        className="track-sidebar"
+        style={{
+          width: '80px',
+          backgroundColor: '#1e1e1e',
+          borderRight: '1px solid #3a3a3a',
+          flexShrink: 0,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          position: 'sticky',
+          left: 0,
+          zIndex: 10,
+        }}
+      >
+        <span style={{ color: '#666', fontSize: '14px', fontWeight: 'bold' }}>
+          {index + 1}
+        </span>
+      </div>
+
+      <div
+        className={`track bus-track ${isSelected ? 'track-selected' : ''}`}
+        onClick={() => setSelectedTrackId(track.id)}
+        style={{ display: 'flex', flex: 1, height: '200px' }}
+      >
+        {/* Track Controls */}
+        <div
+          className="track-controls"
+          style={{
+            width: '230px',
+            flexShrink: 0,
+            padding: '6px 10px',
+            borderRight: '1px solid #444',
+            backgroundColor: '#2a2633',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            position: 'sticky',
+            left: '80px',
+            zIndex: 9,
+            height: '200px',
+            overflow: 'hidden',
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <Badge bg={track.type === 'group' ? 'info' : 'secondary'}>
+              {TYPE_LABELS[track.type]}
+            </Badge>
+            <input
+              type="text"
+              value={track.name}
+              onChange={(e) => updateTrack(track.id, { name: e.target.value })}
+              onClick={(e) => e.stopPropagation()}
+              className="track-name-input"
+              style={{ flex: 1, minWidth: 0 }}
+            />
+          </div>
+
+          <div
+            className="track-control-row"
+            style={{ display: 'flex', alignItems: 'center', gap: 8 }}
+          >
+            <FaVolumeUp size={12} className="control-icon" />
+            <input
+              type="range"
+              className="track-volume-slider"
+              min="0"
+              max="1"
+              step="0.01"
+              value={track.volume ?? 1}
+              onChange={(e) =>
+                updateTrack(track.id, { volume: parseFloat(e.target.value) })
+              }
+              onClick={(e) => e.stopPropagation()}
+              disabled={track.muted}
+              style={{ flex: 1 }}
+            />
+          </div>
+
+          <div
+            className="track-control-row"
+            style={{ display: 'flex', alignItems: 'center', gap: 8 }}
+          >
+            <MdPanTool size={12} className="control-icon" />
+            <input
+              type="range"
+              className="track-pan-slider"
+              min="-1"
+              max="1"
+              step="0.01"
+              value={track.pan || 0}
+              onChange={(e) =>
+                updateTrack(track.id, { pan: parseFloat(e.target.value) })
+              }
+              onClick={(e) => e.stopPropagation()}
+              disabled={track.muted}
+              style={{ flex: 1 }}
+            />
+          </div>
+
+          <div style={{ display: 'flex', gap: 4, marginTop: 'auto' }}>
+            <Button
+              variant={track.muted ? 'danger' : 'outline-secondary'}
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                updateTrack(track.id, { muted: !track.muted });
+              }}
+              title={track.muted ? 'Unmute' : 'Mute'}
+              style={{ flex: 1 }}
+            >
+              M
+            </Button>
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={handleAddEffect}
+              title="Add Effect"
+              style={{ flex: 1 }}
+            >
+              <FaMagic />
+            </Button>
+            <TrackRoutingMenu trackId={track.id} />
+            <Button
+              variant="outline-danger"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleRemove();
+              }}
+              title={`Delete ${TYPE_LABELS[track.type]}`}
+              style={{ flex: 1 }}
+            >
+              <FaTrash />
+            </Button>
+          </div>
+        </div>
+
+        {/* Routing and effects summary */}
+        <div
+          className="track-content"
+          style={{
+            flex: 1,
+            height: '200px',
+            padding: '8px 12px',
+            backgroundColor: '#1f1c24',
+            color: '#bbb',
+            fontSize: '0.8rem',
+            overflow: 'hidden',
+          }}
+        >
+          <div style={{ marginBottom: 6 }}>
+            <strong>
+              {track.type === 'group' ? 'Grouped:' : 'Sends from:'}
+            </strong>{' '}
+            {feeders.length > 0 ? (
+              feeders.map((t) => (
+                <Badge key={t.id} bg="dark" className="me-1">
+                  {t.name}
+                </Badge>
+              ))
+            ) : (
+              <span style={{ color: '#777' }}>
+                {track.type === 'group'
+                  ? 'Route a track output here from its routing menu'
+                  : 'Raise a send level on a track to feed this bus'}
+              </span>
+            )}
+          </div>
+
+          <div>
+            <strong>Effects:</strong>{' '}
+            {effects.length === 0 && (
+              <span style={{ color: '#777' }}>None</span>
+            )}
+            {effects.map((fx) => (
+              <Badge
+                key={fx.id}
+                bg={fx.enabled === false ? 'secondary' : 'primary'}
+                className="me-1"
+                style={{ cursor: 'pointer' }}
+                title={
+                  fx.enabled === false
+                    ? 'Disabled - click to enable'
+                    : 'Click to disable'
+                }
+                onClick={(e) => {
+                  e.stopPropagation();
+                  updateEffect(fx.id, { enabled: fx.enabled === false });
+                }}
+              >
+                {fx.type}{' '}
+                <span
+                  role="button"
+                  aria-label={`Remove ${fx.type}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    removeEffect(fx.id);
+                  }}
+                >
+                  ×
+                </span>
+              </Badge>
+            ))}
+            <Button
+              variant="link"
+              size="sm"
+              onClick={handleAddEffect}
+              style={{ padding: 0, fontSize: '0.8rem' }}
+            >
+              <FaPlus /> Add
+            </Button>
+          </div>
+
+          {skipped.length > 0 && (
+            <div style={{ marginTop: 6, fontSize: '0.7rem', color: '#888' }}>
+              {skipped.map((fx) => fx.type).join(', ')} can&apos;t run on a{' '}
+              {track.type === 'group' ? 'group' : 'bus'}; playback and the
+              mixdown both skip {skipped.length === 1 ? 'it' : 'them'}.
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(BusTrack);
@@ -1,8 +1,15 @@
 'use client';
 
 import { decodeAudioFromURL } from './AudioEngine';
+import { scheduleClipFades } from './clipOperations';
 import { debugLog, debugWarn, debugError } from '../../../../lib/debug';
 import { getAudioResourceManager, revokeAudioBlob } from '../../../../lib/audioUtils';
+import {
+  getActiveAutomation,
+  applyTrackAutomation,
+  resetTrackAutomation,
+} from '../../../../lib/automation';
+import { createLiveEffectChain } from '../../../../lib/effects/liveEffectChain';
 
 // Module-level log helpers to avoid creating new functions on each call
 const log = (msg, data) => debugLog('ClipPlayer', msg, data);
@@ -21,11 +28,27 @@ const error = (msg, data) => debugError('ClipPlayer', msg, data);
  * Timing Sync:
  * - Version tracking ensures timing updates propagate to playing sources
  * - Automatic reschedule when clip timing changes during playback
+ *
+ * Routing:
+ * - outputNode is the track output and preFaderNode the pre-fader send tap;
+ *   MixerRouter rewires them for groups and sends
+ *
+ * Effects:
+ * - Clips feed the track's effect chain after their gain and pan, the same
+ *   place the mixdown puts it (buffer-only effects are mixdown-only)
+ *
+ * Fades:
+ * - Clips with fadeIn/fadeOut play through a per-source gain envelope
+ *   (comp crossfades between takes use these)
+ *
+ * Automation:
+ * - Volume/pan and effect parameter curves in read mode are scheduled on
+ *   play and rescheduled when the curves or the effect chain change
  */
 export default class ClipPlayer {
   constructor(audioContext) {
     this.audioContext = audioContext;
-    this.clips = new Map(); // clipId -> { buffer, source, gainNode, panNode, startTime, offset, duration, blobUrl, version }
+    this.clips = new Map(); // clipId -> { buffer, source, fadeNode, gainNode, panNode, startTime, offset, duration, fadeIn, fadeOut, takeId, version }
     this.isPlaying = false;
     this.playbackStartTime = 0; // When playback started (context time)
     this.playbackStartOffset = 0; // Where in the timeline we started (seconds)
@@ -33,6 +56,22 @@ export default class ClipPlayer {
     this.instanceId = `ClipPlayer_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
     this.disposed = false; // Prevent operations after dispose
 
+    // Static fader values and active automation curves
+    this.volume = 1;
+    this.pan = 0;
+    this.activeAutomation = {};
+
+    // Track output: clips -> effect chain -> output -> destination
+    this.effectsInput = audioContext.createGain();
+    this.outputNode = audioContext.createGain();
+    this.outputNode.connect(audioContext.destination);
+    this.effects = null;
+    this.effectsKey = null;
+    this.setEffects([]);
+
+    // Pre-fader tap for sends (clips feed it alongside their gain node)
+    this.preFaderNode = audioContext.createGain();
+
     // Register with resource manager for coordinated cleanup
     const manager = getAudioResourceManager();
     this.unregisterCleanup = manager.registerCleanupCallback(() => this.dispose());
@@ -70,6 +109,7 @@ export default class ClipPlayer {
       const oldStartTime = existing.startTime;
       const oldOffset = existing.offset;
       const oldDuration = existing.duration;
+      const oldFades = `${existing.fadeIn}:${existing.fadeOut}`;
 
       log(`🔊 ClipPlayer: Updating existing clip`, {
         clipId: clip.id,
@@ -78,15 +118,19 @@ export default class ClipPlayer {
         newClipDuration: clip.duration
       });
 
-      // Update volume and pan
+      // Update volume and pan (unless an automation curve is driving them)
       // Catch blocks intentionally empty: AudioNode may be in invalid state during
       // disposal or context state changes - safe to ignore as clip will be recreated
-      try {
-        existing.gainNode.gain.value = volume;
-      } catch { /* AudioNode may be disconnected or context closed */ }
-      try {
-        existing.panNode.pan.value = pan;
-      } catch { /* AudioNode may be disconnected or context closed */ }
+      if (!(this.isPlaying && this.activeAutomation.volume)) {
+        try {
+          existing.gainNode.gain.value = volume;
+        } catch { /* AudioNode may be disconnected or context closed */ }
+      }
+      if (!(this.isPlaying && this.activeAutomation.pan)) {
+        try {
+          existing.panNode.pan.value = pan;
+        } catch { /* AudioNode may be disconnected or context closed */ }
+      }
       // IMPORTANT: also update timing so canvas edits take effect
       existing.startTime = Math.max(0, Number(clip.start) || 0);
       existing.offset = Math.max(0, Number(clip.offset) || 0);
@@ -99,12 +143,16 @@ export default class ClipPlayer {
       } else {
         existing.duration = Math.max(0, Number(nextDur) || 0);
       }
+      existing.fadeIn = clip.fadeIn || 0;
+      existing.fadeOut = clip.fadeOut || 0;
+      existing.takeId = clip.takeId || null;
 
       // Check if timing actually changed
       const timingChanged =
         oldStartTime !== existing.startTime ||
         oldOffset !== existing.offset ||
-        oldDuration !== existing.duration;
+        oldDuration !== existing.duration ||
+        oldFades !== `${existing.fadeIn}:${existing.fadeOut}`;
 
       // If playing and timing changed, reschedule this clip
       if (timingChanged && this.isPlaying && existing.source) {
@@ -148,9 +196,9 @@ export default class ClipPlayer {
       const panNode = this.audioContext.createStereoPanner();
       panNode.pan.value = pan;
 
-      // Connect nodes: source -> gain -> pan -> destination
+      // Connect nodes: source -> gain -> pan -> track effects -> destination
       gainNode.connect(panNode);
-      panNode.connect(this.audioContext.destination);
+      panNode.connect(this.effectsInput);
 
       const clipData = {
         id: clip.id,
@@ -162,6 +210,9 @@ export default class ClipPlayer {
         startTime: clip.start || 0,
         offset: clip.offset || 0,
         duration: clip.duration || audioBuffer.duration,
+        fadeIn: clip.fadeIn || 0,
+        fadeOut: clip.fadeOut || 0,
+        takeId: clip.takeId || null, // Comp clips share their take's audio
         version: 1, // Track clip version for timing sync
       };
 
@@ -175,6 +226,11 @@ export default class ClipPlayer {
       });
 
       this.clips.set(clip.id, clipData);
+
+      // Clips loaded mid-playback pick up the running curves
+      if (this.isPlaying) {
+        this.applyAutomation(this.getCurrentTime());
+      }
       return clipData;
     } catch (error) {
       error(`Failed to prepare clip ${clip.id}:`, error);
@@ -189,6 +245,9 @@ export default class ClipPlayer {
    * @param {number} pan - Track pan
    */
   async updateClips(clips, volume = 1, pan = 0) {
+    this.volume = volume;
+    this.pan = pan;
+
     clips = Array.isArray(clips)
       ? clips.map((c) => ({
           id: c.id,
@@ -196,6 +255,9 @@ export default class ClipPlayer {
           start: Math.max(0, Number(c.start) || 0),
           offset: Math.max(0, Number(c.offset) || 0),
           duration: Math.max(0, Number(c.duration) || 0),
+          fadeIn: Math.max(0, Number(c.fadeIn) || 0),
+          fadeOut: Math.max(0, Number(c.fadeOut) || 0),
+          takeId: c.takeId || null,
         }))
       : [];
 
@@ -232,6 +294,80 @@ export default class ClipPlayer {
     for (const [clipId, clipData] of this.clips.entries()) {
       this.scheduleClip(clipData, startTime);
     }
+
+    this.applyAutomation(startTime);
+  }
+
+  /**
+   * Set the track's automation lanes
+   * @param {Object} automation - track.automation
+   */
+  setAutomation(automation) {
+    this.activeAutomation = getActiveAutomation(automation);
+
+    if (this.isPlaying) {
+      this.applyAutomation(this.getCurrentTime());
+    } else {
+      this.releaseAutomation();
+    }
+  }
+
+  /**
+   * Rebuild the track's effect chain when it changes
+   * @param {Array} effects - track.effects
+   */
+  setEffects(effects) {
+    if (this.disposed) return;
+    const enabled = (effects || []).filter((e) => e.enabled !== false);
+    const key = JSON.stringify(enabled);
+    if (key === this.effectsKey) return;
+
+    this.effectsInput.disconnect();
+    this.effects?.dispose();
+    this.effects = createLiveEffectChain(this.audioContext, enabled);
+    this.effectsInput.connect(this.effects.input);
+    this.effects.output.connect(this.outputNode);
+    this.effectsKey = key;
+
+    // New chain, new AudioParams: put its curves back on
+    if (this.isPlaying) {
+      this.applyAutomation(this.getCurrentTime());
+    }
+  }
+
+  /**
+   * AudioParams that automation lanes drive, grouped by parameter
+   */
+  getAutomationParams() {
+    const clips = Array.from(this.clips.values());
+    return {
+      ...this.effects.params,
+      volume: clips.map((c) => c.gainNode.gain),
+      pan: clips.map((c) => c.panNode.pan),
+    };
+  }
+
+  /**
+   * Schedule active curves from a timeline position
+   * @param {number} timelinePosition - Position in seconds
+   */
+  applyAutomation(timelinePosition) {
+    this.releaseAutomation();
+    applyTrackAutomation(this.getAutomationParams(), this.activeAutomation, {
+      contextTime: this.audioContext.currentTime,
+      timelinePosition,
+    });
+  }
+
+  /**
+   * Return all automated params to their static values
+   */
+  releaseAutomation() {
+    resetTrackAutomation(this.getAutomationParams(), {
+      ...this.effects.values,
+      volume: this.volume,
+      pan: this.pan,
+    });
   }
 
   /**
@@ -264,7 +400,18 @@ export default class ClipPlayer {
     // Create a new buffer source
     const source = this.audioContext.createBufferSource();
     source.buffer = buffer;
-    source.connect(gainNode);
+
+    // Faded clips go through their own envelope before the shared gain
+    let fadeNode = null;
+    if (clipData.fadeIn > 0 || clipData.fadeOut > 0) {
+      fadeNode = this.audioContext.createGain();
+      fadeNode.connect(gainNode);
+      fadeNode.connect(this.preFaderNode);
+      source.connect(fadeNode);
+    } else {
+      source.connect(gainNode);
+      source.connect(this.preFaderNode);
+    }
 
     // Calculate timing
     const now = this.audioContext.currentTime;
@@ -303,8 +450,12 @@ export default class ClipPlayer {
 
     if (sourceDuration > 1e-4) {
       try {
+        if (fadeNode) {
+          scheduleClipFades(fadeNode.gain, clipData, when, sourceOffset - offset);
+        }
         source.start(when, sourceOffset, sourceDuration);
         clipData.source = source;
+        clipData.fadeNode = fadeNode;
 
         log('🔊 ClipPlayer: Started source', {
           clipId: clipData.id,
@@ -337,6 +488,10 @@ export default class ClipPlayer {
         if (clipData.source === source) {
           clipData.source = null;
         }
+        if (fadeNode) {
+          fadeNode.disconnect();
+          if (clipData.fadeNode === fadeNode) clipData.fadeNode = null;
+        }
       };
     }
   }
@@ -346,6 +501,7 @@ export default class ClipPlayer {
    */
   stop() {
     this.isPlaying = false;
+    this.releaseAutomation();
 
     for (const [clipId, clipData] of this.clips.entries()) {
       if (clipData.source) {
@@ -358,6 +514,10 @@ export default class ClipPlayer {
         }
         clipData.source = null;
       }
+      if (clipData.fadeNode) {
+        clipData.fadeNode.disconnect();
+        clipData.fadeNode = null;
+      }
     }
   }
 
@@ -398,6 +558,8 @@ export default class ClipPlayer {
    * @param {number} volume - Volume (0-1)
    */
   setVolume(volume) {
+    this.volume = volume;
+    if (this.isPlaying && this.activeAutomation.volume) return;
     for (const [clipId, clipData] of this.clips.entries()) {
       clipData.gainNode.gain.value = volume;
     }
@@ -408,6 +570,8 @@ export default class ClipPlayer {
    * @param {number} pan - Pan (-1 to 1)
    */
   setPan(pan) {
+    this.pan = pan;
+    if (this.isPlaying && this.activeAutomation.pan) return;
     for (const [clipId, clipData] of this.clips.entries()) {
       clipData.panNode.pan.value = pan;
     }
@@ -442,8 +606,9 @@ export default class ClipPlayer {
       clipData.panNode.disconnect();
     } catch { /* Node may already be disconnected */ }
 
-    // Revoke blob URL if this clip was using one
-    if (clipData.src && clipData.src.startsWith('blob:')) {
+    // Revoke blob URL if this clip was using one (take audio belongs to the
+    // track's take lanes and outlives the comp clips cut from it)
+    if (clipData.src && clipData.src.startsWith('blob:') && !clipData.takeId) {
       revokeAudioBlob(clipData.src);
       this.trackedBlobUrls.delete(clipData.src);
     }
@@ -512,6 +677,12 @@ export default class ClipPlayer {
 
     // Step 4: Clear all clips
     this.clips.clear();
+    try {
+      this.effectsInput.disconnect();
+      this.effects?.dispose();
+      this.outputNode.disconnect();
+      this.preFaderNode.disconnect();
+    } catch { /* Node cleanup during dispose */ }
 
     // Step 5: Revoke blob URLs after all audio operations are done
     // Use setTimeout to ensure audio nodes have fully released
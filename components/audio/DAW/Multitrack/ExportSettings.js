@@ -0,0 +1,140 @@
+'use client';
+
+import { Col, Form, Row } from 'react-bootstrap';
+import {
+  EXPORT_FORMATS,
+  resolveExportOptions,
+} from '../../../../lib/audioExport';
+import { LOUDNESS_TARGETS } from '../../../../lib/loudness';
+
+// The title tag comes from the export's name
+const TAG_FIELDS = [
+  ['student', 'Student'],
+  ['piece', 'Piece'],
+  ['course', 'Course'],
+];
+
+/**
+ * Format, quality, loudness and tag choices for an export. Controlled:
+ * `value` is an options object for lib/audioExport's exportAudio().
+ */
+export default function ExportSettings({ value, onChange, disabled = false }) {
+  const spec = EXPORT_FORMATS[value.format];
+  const update = (patch) =>
+    onChange(resolveExportOptions({ ...value, ...patch }));
+
+  return (
+    <>
+      <Row className="g-2 mb-3">
+        <Col sm={6}>
+          <Form.Label>Format</Form.Label>
+          <Form.Select
+            value={value.format}
+            onChange={(e) => update({ format: e.target.value })}
+            disabled={disabled}
+          >
+            {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>
+                {format.label}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col sm={6}>
+          <Form.Label>Sample rate</Form.Label>
+          <Form.Select
+            value={value.sampleRate}
+            onChange={(e) => update({ sampleRate: Number(e.target.value) })}
+            disabled={disabled || spec.sampleRates.length < 2}
+          >
+            {spec.sampleRates.map((rate) => (
+              <option key={rate} value={rate}>
+                {(rate / 1000).toFixed(1)} kHz
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        {spec.bitrates && (
+          <Col sm={6}>
+            <Form.Label>Bitrate</Form.Label>
+            <Form.Select
+              value={value.bitrate}
+              onChange={(e) => update({ bitrate: Number(e.target.value) })}
+              disabled={disabled}
+            >
+              {spec.bitrates.map((bitrate) => (
+                <option key={bitrate} value={bitrate}>
+                  {bitrate} kbps
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+        )}
+        {spec.bitDepths && (
+          <Col sm={6}>
+            <Form.Label>Bit depth</Form.Label>
+            <Form.Select
+              value={value.bitDepth}
+              onChange={(e) => update({ bitDepth: Number(e.target.value) })}
+              disabled={disabled}
+            >
+              {spec.bitDepths.map((depth) => (
+                <option key={depth} value={depth}>
+                  {depth === 32 ? '32-bit float' : `${depth}-bit`}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+        )}
+      </Row>
+
+      <Form.Group className="mb-3">
+        <Form.Check
+          type="switch"
+          id="export-normalize"
+          label="Normalize loudness"
+          checked={value.normalize}
+          onChange={(e) => update({ normalize: e.target.checked })}
+          disabled={disabled}
+        />
+        {value.normalize && (
+          <Form.Select
+            size="sm"
+            className="mt-1"
+            value={value.targetLufs}
+            onChange={(e) => update({ targetLufs: Number(e.target.value) })}
+            disabled={disabled}
+          >
+            {LOUDNESS_TARGETS.map((target) => (
+              <option key={target.value} value={target.value}>
+                {target.label}
+              </option>
+            ))}
+          </Form.Select>
+        )}
+        <Form.Text muted>
+          Peaks are kept below -1 dBTP, so very dynamic mixes may end up
+          slightly under the target.
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Label>Tags</Form.Label>
+      <Row className="g-2 mb-3">
+        {TAG_FIELDS.map(([key, label]) => (
+          <Col sm={4} key={key}>
+            <Form.Control
+              size="sm"
+              placeholder={label}
+              aria-label={label}
+              value={value.tags[key]}
+              onChange={(e) =>
+                update({ tags: { ...value.tags, [key]: e.target.value } })
+              }
+              disabled={disabled}
+            />
+          </Col>
+        ))}
+      </Row>
+    </>
+  );
+}
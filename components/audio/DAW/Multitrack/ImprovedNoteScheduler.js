@@ -4,6 +4,7 @@
 import audioContextManager from './AudioContextManager';
 import { beatsToSeconds, secondsToBeats, beatToAudioTime, validateMidiNotes } from '../../../../lib/midiTimeUtils';
 import { debugLog, debugWarn } from '../../../../lib/debug';
+import { beatToSeconds, secondsToBeat, tempoAtBeat } from '../../../../lib/tempoMap';
 
 /**
  * Performance presets for different system capabilities
@@ -54,6 +55,9 @@ export default class ImprovedNoteScheduler {
   constructor(instrument, options = {}) {
     this.instrument = instrument;
     this.tempo = options.tempo || 120;
+    // Project tempo map; when set it replaces the constant tempo for
+    // beat <-> second conversions
+    this.tempoMap = options.tempoMap || null;
 
     // Timing configuration with validation
     this.lookaheadTime = this._validateLookahead(options.lookaheadTime, 0.2);
@@ -269,6 +273,26 @@ export default class ImprovedNoteScheduler {
     this.tempo = tempo;
   }
 
+  /**
+   * Follow a project tempo map (see lib/tempoMap.js)
+   * @param {Object|null} tempoMap - null falls back to the constant tempo
+   */
+  setTempoMap(tempoMap) {
+    this.tempoMap = tempoMap || null;
+  }
+
+  _beatsToSeconds(beats) {
+    return this.tempoMap
+      ? beatToSeconds(this.tempoMap, beats)
+      : beatsToSeconds(beats, this.tempo);
+  }
+
+  _secondsToBeats(seconds) {
+    return this.tempoMap
+      ? secondsToBeat(this.tempoMap, seconds)
+      : secondsToBeats(seconds, this.tempo);
+  }
+
   // Start playback
   // startBeat: the current beat position in the timeline (absolute, not relative)
   start(startBeat = 0) {
@@ -279,7 +303,7 @@ export default class ImprovedNoteScheduler {
 
     // Calculate when beat 0 occurred in audio context time
     // If we're at beat X now, beat 0 was X beats ago
-    const secondsElapsed = beatsToSeconds(startBeat, this.tempo);
+    const secondsElapsed = this._beatsToSeconds(startBeat);
     this.startTime = this.audioContext.currentTime - secondsElapsed;
 
     // Start the scheduler
@@ -351,7 +375,7 @@ export default class ImprovedNoteScheduler {
     // Calculate elapsed time using audio context
     const elapsed = this.audioContext.currentTime - this.startTime;
     // Convert elapsed seconds to beats
-    return secondsToBeats(elapsed, this.tempo);
+    return this._secondsToBeats(elapsed);
   }
 
   // Schedule notes that fall within the lookahead window
@@ -362,7 +386,7 @@ export default class ImprovedNoteScheduler {
     this.performanceStats.schedulingCalls++;
 
     const currentBeat = this.getCurrentBeat();
-    const currentSeconds = beatsToSeconds(currentBeat, this.tempo);
+    const currentSeconds = this._beatsToSeconds(currentBeat);
     const scheduleEndSeconds = currentSeconds + this.lookaheadTime;
     const audioContextNow = this.audioContext.currentTime;
 
@@ -476,7 +500,9 @@ export default class ImprovedNoteScheduler {
     return {
       isPlaying: this.isPlaying,
       currentBeat: this.getCurrentBeat(),
-      tempo: this.tempo,
+      tempo: this.tempoMap
+        ? tempoAtBeat(this.tempoMap, this.getCurrentBeat())
+        : this.tempo,
       scheduledNotes: this.scheduledNotes.size,
     };
   }
@@ -0,0 +1,78 @@
+// components/audio/DAW/Multitrack/LoudnessReport.js
+'use client';
+
+import { Alert, Table } from 'react-bootstrap';
+import { describeLoudness } from '../../../../lib/loudness';
+
+const formatDb = (value) => (Number.isFinite(value) ? value.toFixed(1) : '–∞');
+
+/**
+ * Loudness of a finished mixdown: the mix as rendered, the exported file
+ * after any normalization gain, and what the numbers mean for the student
+ * @param {Object} props
+ * @param {Object} props.loudness - analyzeLoudness() of the rendered mix
+ * @param {number} props.gainDb - Normalization gain applied on export
+ * @param {boolean} props.normalized
+ * @param {number} props.targetLufs
+ */
+export default function LoudnessReport({
+  loudness,
+  gainDb = 0,
+  normalized = false,
+  targetLufs = -14,
+}) {
+  if (!loudness) {
+    return <Alert variant="success">Mixdown complete.</Alert>;
+  }
+
+  const rows = [
+    ['Integrated loudness', loudness.integrated, 'LUFS', true],
+    ['Short-term maximum', loudness.shortTermMax, 'LUFS', true],
+    ['Momentary maximum', loudness.momentaryMax, 'LUFS', true],
+    ['True peak', loudness.truePeakDb, 'dBTP', true],
+    ['Loudness range', loudness.lra, 'LU', false],
+  ];
+
+  return (
+    <>
+      <Table size="sm" className="mb-3">
+        <thead>
+          <tr>
+            <th />
+            <th className="text-end">Mix</th>
+            {normalized && <th className="text-end">Exported</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, value, unit, scalesWithGain]) => (
+            <tr key={label}>
+              <td>{label}</td>
+              <td className="text-end">
+                {formatDb(value)} {unit}
+              </td>
+              {normalized && (
+                <td className="text-end">
+                  {formatDb(scalesWithGain ? value + gainDb : value)} {unit}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      {normalized && (
+        <p className="small text-muted">
+          Normalization to {targetLufs} LUFS changed the level by{' '}
+          {gainDb > 0 ? '+' : ''}
+          {gainDb.toFixed(1)} dB.
+        </p>
+      )}
+
+      {describeLoudness(loudness, targetLufs).map(({ level, message }) => (
+        <Alert key={message} variant={level} className="py-2 mb-2">
+          {message}
+        </Alert>
+      ))}
+    </>
+  );
+}
@@ -2,7 +2,7 @@
 'use client';
 
 import { useState, useRef, useEffect, memo } from 'react';
-import { Button, Form, Dropdown } from 'react-bootstrap';
+import { Button, Form, Dropdown, Overlay, Popover } from 'react-bootstrap';
 import {
   FaKeyboard,
   FaTrash,
@@ -11,9 +11,10 @@ import {
   FaPiano,
   FaEdit,
   FaCircle,
-  FaStop
+  FaStop,
+  FaChartLine
 } from 'react-icons/fa';
-import { MdPanTool, MdPiano } from 'react-icons/md';
+import { MdPanTool, MdPiano, MdGraphicEq, MdLayers } from 'react-icons/md';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
 import MIDIRecordingTrack from './recording/MIDIRecordingTrack';
 import LiveMIDIVisualizer from './recording/LiveMIDIVisualizer';
@@ -21,7 +22,11 @@ import RecordingManager from './recording/RecordingManager';
 import MIDIInputManager from './MIDIInputManager';
 import PianoRollEditor from './PianoRollEditor';
 import InstrumentSelector from './InstrumentSelector';
-import { exportToMIDIFile } from '../../../../lib/midiFileExport';
+import TrackRoutingMenu from './TrackRoutingMenu';
+import SpectrumAnalyzer from '../SpectrumAnalyzer';
+import mixerRouter from './MixerRouter';
+import { exportArrangementToMIDIFile } from '../../../../lib/midiFileExport';
+import { addMidiTake, applyMidiTake, createMidiTake } from './comping';
 import { useMIDITrackAudio } from './hooks/useMidiTrackAudio';
 
 // Get singleton MIDI manager
@@ -42,6 +47,9 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
     currentTime,
     registerTrackInstrument,
     duration,
+    recordAutomation,
+    tempoMap,
+    recordWithTransport,
   } = useMultitrack();
 
   const canvasRef = useRef(null);
@@ -52,13 +60,28 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
   const [showPianoRoll, setShowPianoRoll] = useState(false);
   const [controlTab, setControlTab] = useState('vol');
   const [selectedMidiDevice, setSelectedMidiDevice] = useState(null);
+  const [analyser, setAnalyser] = useState(null); // live spectrum, when shown
+  const spectrumButtonRef = useRef(null);
+
+  // Release the spectrum analyser when hidden or unmounted
+  useEffect(() => {
+    if (!analyser) return undefined;
+    return () => mixerRouter.releaseAnalyser(track.id);
+  }, [analyser, track.id]);
 
   // Use MIDI audio hook for playback
   const {
     instrumentRef,
     playNote,
     stopNote,
-  } = useMIDITrackAudio(track, isPlaying, currentTime, registerTrackInstrument, soloTrackId);
+  } = useMIDITrackAudio(
+    track,
+    isPlaying,
+    currentTime,
+    registerTrackInstrument,
+    soloTrackId,
+    tempoMap,
+  );
 
   const instrument = instrumentRef?.current;
   const instrumentLoading = !instrument;
@@ -107,7 +130,21 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
     };
 
     const handleRecordingComplete = (data) => {
-      if (data.trackId === track.id) {
+      if (data.trackId === track.id && data.range) {
+        // A loop/punch pass: keep it as a take and play it over its range
+        console.log(`🎹 MIDITrack: Pass ${data.pass} recorded, adding take`);
+        updateTrack(track.id, (t) =>
+          addMidiTake(
+            t,
+            createMidiTake({
+              notes: data.notes || [],
+              start: data.range.start,
+              end: data.range.end,
+              name: `Take ${(t.midiTakes?.length || 0) + 1} (${new Date().toLocaleTimeString()})`
+            })
+          )
+        );
+      } else if (data.trackId === track.id) {
         console.log(`🎹 MIDITrack: Recording complete, adding notes`);
 
         // Add recorded notes to track
@@ -233,6 +270,10 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
       // Get tempo from track
       const tempo = track.midiData?.tempo || 120;
 
+      // With a loop or punch range set, record against the transport
+      const options = { midiInput: selectedMidiDevice, tempo };
+      if (await recordWithTransport(track.id, 'midi', options)) return;
+
       // Start recording
       await RecordingManager.startRecording(track.id, 'midi', {
         midiInput: selectedMidiDevice,
@@ -248,13 +289,11 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
       return;
     }
 
-    const midiData = {
-      notes: track.midiData.notes,
-      tempo: track.midiData.tempo || 120,
-      name: track.name
-    };
-
-    exportToMIDIFile(midiData, `${track.name}.mid`);
+    exportArrangementToMIDIFile(
+      [track],
+      { name: track.name, tempoMap },
+      `${track.name}.mid`
+    );
   };
 
   const handleRemove = () => {
@@ -417,17 +456,54 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
         </Button>
 
         {/* Editor Buttons */}
-        <Button
-          size="sm"
-          variant={showPianoRoll ? 'success' : 'outline-success'}
-          onClick={(e) => {
-            e.stopPropagation();
-            setShowPianoRoll(!showPianoRoll);
-          }}
-          style={{ width: '100%', fontSize: '0.75rem' }}
-        >
-          <FaEdit /> Piano Roll
-        </Button>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <Button
+            size="sm"
+            variant={showPianoRoll ? 'success' : 'outline-success'}
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowPianoRoll(!showPianoRoll);
+            }}
+            style={{ flex: 1, fontSize: '0.75rem' }}
+          >
+            <FaEdit /> Piano Roll
+          </Button>
+          {track.midiTakes?.length > 0 && (
+            <Dropdown onClick={(e) => e.stopPropagation()}>
+              <Dropdown.Toggle
+                size="sm"
+                variant="outline-secondary"
+                title="Recorded takes"
+                style={{ fontSize: '0.75rem' }}
+              >
+                <MdLayers /> {track.midiTakes.length}
+              </Dropdown.Toggle>
+              <Dropdown.Menu variant="dark">
+                {track.midiTakes.map((take, i) => (
+                  <Dropdown.Item
+                    key={take.id}
+                    active={take.id === track.midiTakeId}
+                    onClick={() =>
+                      updateTrack(track.id, (t) => applyMidiTake(t, take))
+                    }
+                    style={{ fontSize: '0.75rem' }}
+                  >
+                    {i + 1}. {take.name} ({take.notes.length} notes)
+                  </Dropdown.Item>
+                ))}
+                <Dropdown.Divider />
+                <Dropdown.Item
+                  onClick={() =>
+                    updateTrack(track.id, { midiTakes: [], midiTakeId: null })
+                  }
+                  style={{ fontSize: '0.75rem' }}
+                >
+                  Keep current notes, clear takes
+                </Dropdown.Item>
+              </Dropdown.Menu>
+            </Dropdown>
+          )}
+        </div>
 
         {/* Volume/Pan Controls */}
         <div>
@@ -448,8 +524,29 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
             >
               <MdPanTool />
             </Button>
+            <Button
+              ref={spectrumButtonRef}
+              size="sm"
+              variant={analyser ? 'info' : 'outline-secondary'}
+              onClick={(e) => {
+                e.stopPropagation();
+                setAnalyser(analyser ? null : mixerRouter.getAnalyser(track.id));
+              }}
+              title={analyser ? 'Hide Spectrum Analyzer' : 'Show Spectrum Analyzer'}
+              style={{ flex: 1, fontSize: '0.75rem' }}
+            >
+              <MdGraphicEq />
+            </Button>
           </div>
 
+          <Overlay target={spectrumButtonRef.current} show={!!analyser} placement="right">
+            <Popover id={`spectrum-${track.id}`} style={{ maxWidth: 'none' }}>
+              <Popover.Body className="p-1">
+                <SpectrumAnalyzer analyser={analyser} color={track.color || '#7bafd4'} />
+              </Popover.Body>
+            </Popover>
+          </Overlay>
+
           {controlTab === 'vol' ? (
             <div
               className="track-control-row"
@@ -463,11 +560,11 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
                 max="1"
                 step="0.01"
                 value={track.volume || 1}
-                onChange={(e) =>
-                  updateTrack(track.id, {
-                    volume: parseFloat(e.target.value),
-                  })
-                }
+                onChange={(e) => {
+                  const newVolume = parseFloat(e.target.value);
+                  updateTrack(track.id, { volume: newVolume });
+                  recordAutomation(track.id, 'volume', newVolume);
+                }}
                 onClick={(e) => e.stopPropagation()}
                 disabled={track.muted}
                 style={{ flex: 1 }}
@@ -492,9 +589,11 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
                 max="1"
                 step="0.01"
                 value={track.pan || 0}
-                onChange={(e) =>
-                  updateTrack(track.id, { pan: parseFloat(e.target.value) })
-                }
+                onChange={(e) => {
+                  const newPan = parseFloat(e.target.value);
+                  updateTrack(track.id, { pan: newPan });
+                  recordAutomation(track.id, 'pan', newPan);
+                }}
                 onClick={(e) => e.stopPropagation()}
                 disabled={track.muted}
                 style={{ flex: 1 }}
@@ -576,6 +675,19 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
           >
             M
           </Button>
+          <Button
+            variant={track.showAutomation ? 'info' : 'outline-secondary'}
+            size="sm"
+            onClick={(e) => {
+              e.stopPropagation();
+              updateTrack(track.id, { showAutomation: !track.showAutomation });
+            }}
+            title={track.showAutomation ? 'Hide Automation' : 'Show Automation'}
+            style={{ flex: 1, fontSize: '0.75rem' }}
+          >
+            <FaChartLine />
+          </Button>
+          <TrackRoutingMenu trackId={track.id} />
           <Button
             variant="outline-info"
             size="sm"
@@ -647,6 +759,7 @@ function MIDITrack({ track, index, zoomLevel = 100 }) {
           onHide={() => setShowPianoRoll(false)}
           track={track}
           updateTrack={updateTrack}
+          tempoMap={tempoMap}
         />
       )}
 
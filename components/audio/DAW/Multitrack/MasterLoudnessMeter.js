@@ -0,0 +1,168 @@
+// components/audio/DAW/Multitrack/MasterLoudnessMeter.js
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { Button, OverlayTrigger, Popover } from 'react-bootstrap';
+import { FaUndo } from 'react-icons/fa';
+import audioContextManager from './AudioContextManager';
+import { describeLoudness } from '../../../../lib/loudness';
+import {
+  LoudnessMeter,
+  isLoudnessMeterSupported,
+} from '../../../../lib/loudnessMeter';
+
+const METER_FLOOR_LUFS = -60;
+// Integrated loudness needs a few seconds before feedback means anything
+const MIN_FEEDBACK_SEC = 5;
+
+const formatLufs = (value) =>
+  Number.isFinite(value) ? value.toFixed(1) : '–∞';
+
+const meterColor = (value, target) => {
+  if (value > target + 3) return '#dc3545';
+  if (value > target - 3) return '#ffc107';
+  return '#28a745';
+};
+
+/**
+ * Live ITU-R BS.1770 loudness of the master bus. Measures while the
+ * transport plays; pausing keeps the integrated values so students can
+ * read them, and the reset button starts a new measurement.
+ */
+export default function MasterLoudnessMeter({ isPlaying, targetLufs = -14 }) {
+  const meterRef = useRef(null);
+  const [reading, setReading] = useState(null);
+
+  useEffect(() => {
+    if (!isLoudnessMeterSupported()) return undefined;
+    const meter = new LoudnessMeter();
+    meterRef.current = meter;
+    const unsubscribe = meter.subscribe(setReading);
+    meter
+      .attach(
+        audioContextManager.getContext(),
+        audioContextManager.getMasterBus(),
+      )
+      .then(() => setReading(meter.getReading()))
+      .catch((error) =>
+        console.warn('⚠️ Loudness meter unavailable:', error.message),
+      );
+    return () => {
+      unsubscribe();
+      meter.detach();
+      meterRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    meterRef.current?.setActive(isPlaying);
+  }, [isPlaying]);
+
+  if (!reading) return null;
+
+  const { momentary, shortTerm, integrated, lra, truePeakDb, duration } =
+    reading;
+  const toPercent = (value) =>
+    Number.isFinite(value)
+      ? Math.max(0, Math.min(100, (1 - value / METER_FLOOR_LUFS) * 100))
+      : 0;
+  const clipping = truePeakDb > -1;
+
+  const details = (
+    <Popover id="master-loudness-details">
+      <Popover.Header as="h3">Master loudness</Popover.Header>
+      <Popover.Body>
+        <table className="table table-sm mb-2">
+          <tbody>
+            <tr>
+              <td>Momentary (400 ms)</td>
+              <td className="text-end">{formatLufs(momentary)} LUFS</td>
+            </tr>
+            <tr>
+              <td>Short-term (3 s)</td>
+              <td className="text-end">{formatLufs(shortTerm)} LUFS</td>
+            </tr>
+            <tr>
+              <td>Integrated</td>
+              <td className="text-end">{formatLufs(integrated)} LUFS</td>
+            </tr>
+            <tr>
+              <td>Loudness range</td>
+              <td className="text-end">{lra.toFixed(1)} LU</td>
+            </tr>
+            <tr className={clipping ? 'text-danger' : ''}>
+              <td>True peak</td>
+              <td className="text-end">{formatLufs(truePeakDb)} dBTP</td>
+            </tr>
+          </tbody>
+        </table>
+        {duration >= MIN_FEEDBACK_SEC ? (
+          describeLoudness(reading, targetLufs).map(({ level, message }) => (
+            <div key={message} className={`small text-${level} mb-1`}>
+              {message}
+            </div>
+          ))
+        ) : (
+          <div className="small text-muted">
+            Play at least {MIN_FEEDBACK_SEC} seconds for feedback on the mix.
+          </div>
+        )}
+      </Popover.Body>
+    </Popover>
+  );
+
+  return (
+    <div className="master-loudness-meter d-flex align-items-center gap-2">
+      <OverlayTrigger trigger="click" placement="bottom" overlay={details}>
+        <div
+          role="button"
+          title="Master loudness — click for details"
+          style={{ width: '120px', cursor: 'pointer' }}
+        >
+          <div
+            style={{
+              position: 'relative',
+              height: '6px',
+              background: '#333',
+              borderRadius: '3px',
+              overflow: 'hidden',
+            }}
+          >
+            <div
+              style={{
+                width: `${toPercent(momentary)}%`,
+                height: '100%',
+                background: meterColor(momentary, targetLufs),
+                transition: 'width 0.1s linear',
+              }}
+            />
+            <div
+              style={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: `${toPercent(targetLufs)}%`,
+                width: '2px',
+                background: '#fff',
+              }}
+            />
+          </div>
+          <small className="time-display d-flex justify-content-between">
+            <span>I {formatLufs(integrated)}</span>
+            <span className={clipping ? 'text-danger' : ''}>
+              TP {formatLufs(truePeakDb)}
+            </span>
+          </small>
+        </div>
+      </OverlayTrigger>
+      <Button
+        size="sm"
+        variant="outline-secondary"
+        onClick={() => meterRef.current?.reset()}
+        title="Reset loudness measurement"
+      >
+        <FaUndo />
+      </Button>
+    </div>
+  );
+}
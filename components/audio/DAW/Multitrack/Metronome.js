@@ -5,20 +5,37 @@ import { useEffect, useRef, useState } from 'react';
 import { Button, Form } from 'react-bootstrap';
 import { BsRecordCircle } from 'react-icons/bs';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  MIN_BPM,
+  MAX_BPM,
+  beatToSeconds,
+  secondsToBeat,
+  getGridBeats,
+  setTempoPoint,
+} from '../../../../lib/tempoMap';
 
-export default function Metronome({ tempo = 120 }) {
+const LOOKAHEAD_SEC = 0.1;
+// Re-sync with the transport when it jumps further than this (seeks)
+const RESYNC_THRESHOLD_SEC = 0.25;
+
+export default function Metronome() {
   const [isEnabled, setIsEnabled] = useState(false);
-  const [currentTempo, setCurrentTempo] = useState(tempo);
   const audioContextRef = useRef(null);
-  const nextNoteTimeRef = useRef(0);
-  const currentBeatRef = useRef(0);
+  const nextClickRef = useRef(null); // { beat, isBar }
+  const anchorRef = useRef({ contextTime: 0, timelineTime: 0 });
   const timerIDRef = useRef(null);
-  
-  const { isPlaying, currentTime } = useMultitrack();
+
+  const { isPlaying, currentTime, tempoMap, setTempoMap } = useMultitrack();
+  const currentTimeRef = useRef(currentTime);
+  currentTimeRef.current = currentTime;
+
+  const openingTempo = tempoMap.tempos[0].bpm;
 
   // Initialize audio context
   useEffect(() => {
-    audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    audioContextRef.current = new (
+      window.AudioContext || window.webkitAudioContext
+    )();
     return () => {
       if (audioContextRef.current) {
         audioContextRef.current.close();
@@ -26,77 +43,100 @@ export default function Metronome({ tempo = 120 }) {
     };
   }, []);
 
-  // Create click sound
-  const playClick = (isAccent = false) => {
-    if (!audioContextRef.current || !isEnabled) return;
-    
+  // Create click sound at an audio context time
+  const playClick = (when, isAccent = false) => {
     const ctx = audioContextRef.current;
+    if (!ctx) return;
+
     const osc = ctx.createOscillator();
     const gain = ctx.createGain();
-    
+
     osc.connect(gain);
     gain.connect(ctx.destination);
-    
+
     // Different pitch for accent
     osc.frequency.value = isAccent ? 1000 : 800;
-    
+
     // Short envelope
-    gain.gain.setValueAtTime(0, ctx.currentTime);
-    gain.gain.linearRampToValueAtTime(0.1, ctx.currentTime + 0.001);
-    gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.02);
-    
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + 0.03);
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(0.1, when + 0.001);
+    gain.gain.exponentialRampToValueAtTime(0.01, when + 0.02);
+
+    osc.start(when);
+    osc.stop(when + 0.03);
   };
 
-  // Scheduling function
+  // First click (meter beat) at or after a beat position
+  const findClick = (fromBeat, inclusive) =>
+    getGridBeats(tempoMap, fromBeat, fromBeat + 8, 'beat').find((g) =>
+      inclusive ? g.beat >= fromBeat - 1e-6 : g.beat > fromBeat + 1e-6,
+    ) || null;
+
+  // Line the click grid up with the transport's current position
+  const resync = () => {
+    const ctx = audioContextRef.current;
+    const timelineTime = currentTimeRef.current || 0;
+    anchorRef.current = { contextTime: ctx.currentTime, timelineTime };
+    nextClickRef.current = findClick(
+      secondsToBeat(tempoMap, timelineTime),
+      true,
+    );
+  };
+
+  // Scheduling function - clicks follow the tempo map, accents on bar lines
   const scheduler = () => {
-    if (!audioContextRef.current || !isEnabled || !isPlaying) return;
-    
     const ctx = audioContextRef.current;
-    const secondsPerBeat = 60.0 / currentTempo;
-    
-    // Schedule notes while we're less than 0.1 seconds ahead
-    while (nextNoteTimeRef.current < ctx.currentTime + 0.1) {
-      const isAccent = currentBeatRef.current % 4 === 0;
-      
-      // Schedule the click
-      setTimeout(() => {
-        playClick(isAccent);
-      }, (nextNoteTimeRef.current - ctx.currentTime) * 1000);
-      
-      // Advance to next beat
-      nextNoteTimeRef.current += secondsPerBeat;
-      currentBeatRef.current++;
+    if (!ctx) return;
+
+    const { contextTime, timelineTime } = anchorRef.current;
+    const expected = timelineTime + (ctx.currentTime - contextTime);
+    if (
+      Math.abs(expected - (currentTimeRef.current || 0)) > RESYNC_THRESHOLD_SEC
+    ) {
+      resync();
+    }
+
+    while (nextClickRef.current) {
+      const { beat, isBar } = nextClickRef.current;
+      const when =
+        anchorRef.current.contextTime +
+        (beatToSeconds(tempoMap, beat) - anchorRef.current.timelineTime);
+      if (when >= ctx.currentTime + LOOKAHEAD_SEC) break;
+
+      if (when >= ctx.currentTime) {
+        playClick(when, isBar);
+      }
+      nextClickRef.current = findClick(beat, false);
     }
   };
 
   // Start/stop metronome based on playback state
   useEffect(() => {
-    if (isPlaying && isEnabled) {
-      // Reset timing
-      if (audioContextRef.current) {
-        nextNoteTimeRef.current = audioContextRef.current.currentTime;
-        currentBeatRef.current = Math.floor(currentTime * currentTempo / 60);
-      }
-      
-      // Start scheduler
+    if (isPlaying && isEnabled && audioContextRef.current) {
+      audioContextRef.current.resume?.();
+      resync();
       scheduler();
       timerIDRef.current = setInterval(scheduler, 25); // Check every 25ms
-    } else {
-      // Stop scheduler
-      if (timerIDRef.current) {
-        clearInterval(timerIDRef.current);
-        timerIDRef.current = null;
-      }
     }
-    
+
     return () => {
       if (timerIDRef.current) {
         clearInterval(timerIDRef.current);
+        timerIDRef.current = null;
       }
     };
-  }, [isPlaying, isEnabled, currentTempo, currentTime]);
+  }, [isPlaying, isEnabled, tempoMap]);
+
+  const handleTempoChange = (e) => {
+    const bpm = parseInt(e.target.value, 10);
+    if (!Number.isFinite(bpm)) return;
+    setTempoMap((map) =>
+      setTempoPoint(map, {
+        ...map.tempos[0],
+        bpm: Math.max(MIN_BPM, Math.min(MAX_BPM, bpm)),
+      }),
+    );
+  };
 
   return (
     <div className="metronome-container d-flex align-items-center gap-2">
@@ -108,18 +148,21 @@ export default function Metronome({ tempo = 120 }) {
       >
         <BsRecordCircle /> Click
       </Button>
-      
+
       <Form.Control
+        key={openingTempo}
         type="number"
-        min="40"
-        max="300"
-        value={currentTempo}
-        onChange={(e) => setCurrentTempo(parseInt(e.target.value) || 120)}
+        min={MIN_BPM}
+        max={MAX_BPM}
+        defaultValue={Math.round(openingTempo)}
+        onBlur={handleTempoChange}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
         style={{ width: '70px' }}
         size="sm"
+        title="Opening tempo (use the tempo map for changes)"
       />
-      
+
       <span className="text-muted small">BPM</span>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,275 @@
+// components/audio/DAW/Multitrack/MixerRouter.js
+'use client';
+
+import audioContextManager from './AudioContextManager';
+import {
+  isMixBusTrack,
+  resolveOutputTarget,
+  getActiveSends,
+} from '../../../../lib/mixRouting';
+import { createLiveEffectChain } from '../../../../lib/effects/liveEffectChain';
+
+/**
+ * Singleton MixerRouter - live signal flow for buses, groups and sends
+ *
+ * Every bus/group track gets a strip: input -> effects -> fader -> panner
+ * -> output target. Audio and MIDI tracks register their pre-fader tap and post-fader
+ * output; the router connects the output to the master or a group input and
+ * feeds sends into bus inputs. Connections are changed selectively so
+ * fader moves never tear down the graph.
+ *
+ * A strip's effects are built live (see lib/effects/liveEffectChain) and
+ * rebuilt only when the chain itself changes. The mixdown renders the same
+ * graphs offline.
+ */
+class MixerRouter {
+  constructor() {
+    this.tracksById = new Map();
+    this.strips = new Map(); // trackId -> { input, effects, effectsKey, fader, panner, output }
+    this.sources = new Map(); // trackId -> { preFader, postFader, output, sends: Map(busId -> { gain, tap }) }
+    this.analysers = new Map(); // trackId (null = master) -> AnalyserNode
+  }
+
+  getStrip(trackId) {
+    let strip = this.strips.get(trackId);
+    if (!strip) {
+      const input = audioContextManager.createGain();
+      const fader = audioContextManager.createGain();
+      const panner = audioContextManager.createStereoPanner();
+      input.connect(fader);
+      fader.connect(panner);
+      strip = {
+        input,
+        effects: null,
+        effectsKey: '[]',
+        fader,
+        panner,
+        output: null,
+      };
+      this.strips.set(trackId, strip);
+    }
+    return strip;
+  }
+
+  /**
+   * Input node for a routing target (null = master)
+   */
+  getTargetInput(targetId) {
+    return targetId != null
+      ? this.getStrip(targetId).input
+      : audioContextManager.getDestination();
+  }
+
+  /**
+   * Apply the current track list: create/update/remove strips and re-route
+   * registered sources
+   * @param {Array} tracks
+   */
+  update(tracks) {
+    this.tracksById = new Map((tracks || []).map((t) => [t.id, t]));
+    const busTracks = (tracks || []).filter(isMixBusTrack);
+
+    busTracks.forEach((track) => {
+      const strip = this.getStrip(track.id);
+      strip.fader.gain.value = track.muted ? 0 : (track.volume ?? 1);
+      strip.panner.pan.value = track.pan || 0;
+      this.updateEffects(track.id, track.effects);
+      this.connectOutput(
+        strip,
+        strip.panner,
+        resolveOutputTarget(track, this.tracksById),
+      );
+      this.connectAnalyser(track.id);
+    });
+
+    this.sources.forEach((_, trackId) => this.routeSource(trackId));
+
+    // Remove strips whose track is gone (sources were re-routed above)
+    const busIds = new Set(busTracks.map((t) => t.id));
+    Array.from(this.strips.keys()).forEach((trackId) => {
+      if (!busIds.has(trackId)) this.removeStrip(trackId);
+    });
+  }
+
+  /**
+   * Put the strip's effect chain between its input and fader
+   * @param {*} trackId
+   * @param {Array} effects - The bus/group track's effects
+   */
+  updateEffects(trackId, effects) {
+    const strip = this.getStrip(trackId);
+    const enabled = (effects || []).filter((e) => e.enabled !== false);
+    const key = JSON.stringify(enabled);
+    if (key === strip.effectsKey) return;
+
+    strip.input.disconnect();
+    strip.effects?.dispose();
+    strip.effects = null;
+    if (enabled.length > 0) {
+      strip.effects = createLiveEffectChain(
+        audioContextManager.getContext(),
+        enabled,
+      );
+      strip.input.connect(strip.effects.input);
+      strip.effects.output.connect(strip.fader);
+    } else {
+      strip.input.connect(strip.fader);
+    }
+    strip.effectsKey = key;
+  }
+
+  connectOutput(entry, node, targetId) {
+    const target = this.getTargetInput(targetId);
+    if (entry.output === target) return;
+    try {
+      if (entry.output) {
+        node.disconnect(entry.output);
+      } else {
+        node.disconnect();
+      }
+    } catch {
+      /* Not connected yet */
+    }
+    node.connect(target);
+    entry.output = target;
+  }
+
+  /**
+   * Register an audio/MIDI track's taps
+   * @param {*} trackId
+   * @param {Object} nodes
+   * @param {AudioNode} nodes.preFader - Signal before volume/pan
+   * @param {AudioNode} nodes.postFader - Track output (currently wired to the master)
+   */
+  registerSource(trackId, { preFader, postFader }) {
+    this.unregisterSource(trackId);
+    this.sources.set(trackId, {
+      preFader,
+      postFader,
+      output: null,
+      sends: new Map(),
+    });
+    this.routeSource(trackId);
+  }
+
+  unregisterSource(trackId) {
+    const entry = this.sources.get(trackId);
+    if (!entry) return;
+    entry.sends.forEach((send) => this.disconnectSend(send));
+    this.sources.delete(trackId);
+  }
+
+  routeSource(trackId) {
+    const entry = this.sources.get(trackId);
+    const track = this.tracksById.get(trackId);
+    if (!entry || !track) return;
+
+    this.connectOutput(
+      entry,
+      entry.postFader,
+      resolveOutputTarget(track, this.tracksById),
+    );
+    this.connectAnalyser(trackId);
+
+    const activeSends = getActiveSends(track, this.tracksById);
+    const wanted = new Map(activeSends.map((s) => [s.busId, s]));
+
+    // Drop sends that were removed or switched pre/post
+    entry.sends.forEach((send, busId) => {
+      const next = wanted.get(busId);
+      const tap = next?.preFader ? entry.preFader : entry.postFader;
+      if (!next || send.tap !== tap) {
+        this.disconnectSend(send);
+        entry.sends.delete(busId);
+      }
+    });
+
+    wanted.forEach((send, busId) => {
+      let node = entry.sends.get(busId);
+      if (!node) {
+        const gain = audioContextManager.createGain();
+        const tap = send.preFader ? entry.preFader : entry.postFader;
+        tap.connect(gain);
+        gain.connect(this.getStrip(busId).input);
+        node = { gain, tap };
+        entry.sends.set(busId, node);
+      }
+      node.gain.gain.value = Math.max(0, Math.min(1, Number(send.level)));
+    });
+  }
+
+  disconnectSend({ gain, tap }) {
+    try {
+      tap.disconnect(gain);
+    } catch {
+      /* Tap may already be disconnected */
+    }
+    try {
+      gain.disconnect();
+    } catch {
+      /* Node may already be disconnected */
+    }
+  }
+
+  /**
+   * Analyser on a track's output (null = master) for spectrum displays.
+   * It stays connected through re-routing until released.
+   * @returns {AnalyserNode}
+   */
+  getAnalyser(trackId = null) {
+    const context = audioContextManager.getContext();
+    let analyser = this.analysers.get(trackId);
+    if (!analyser || analyser.context !== context) {
+      analyser = context.createAnalyser();
+      analyser.fftSize = 4096;
+      analyser.smoothingTimeConstant = 0.8;
+      this.analysers.set(trackId, analyser);
+    }
+    this.connectAnalyser(trackId);
+    return analyser;
+  }
+
+  // Output node an analyser listens to
+  analyserSource(trackId) {
+    if (trackId == null) return audioContextManager.getMasterBus();
+    return (
+      this.sources.get(trackId)?.postFader ?? this.strips.get(trackId)?.panner
+    );
+  }
+
+  connectAnalyser(trackId) {
+    const analyser = this.analysers.get(trackId);
+    if (!analyser) return;
+    // Connecting again is a no-op, so this is safe after every re-route
+    this.analyserSource(trackId)?.connect(analyser);
+  }
+
+  releaseAnalyser(trackId = null) {
+    const analyser = this.analysers.get(trackId);
+    if (!analyser) return;
+    try {
+      this.analyserSource(trackId)?.disconnect(analyser);
+    } catch {
+      /* Source already gone */
+    }
+    this.analysers.delete(trackId);
+  }
+
+  removeStrip(trackId) {
+    const strip = this.strips.get(trackId);
+    if (!strip) return;
+    strip.effects?.dispose();
+    [strip.input, strip.fader, strip.panner].forEach((node) => {
+      try {
+        node.disconnect();
+      } catch {
+        /* Node cleanup */
+      }
+    });
+    this.strips.delete(trackId);
+  }
+}
+
+// Export singleton instance
+const mixerRouter = new MixerRouter();
+export default mixerRouter;
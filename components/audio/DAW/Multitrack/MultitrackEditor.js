@@ -1,7 +1,7 @@
 // components/audio/DAW/Multitrack/MultitrackEditor.js
 'use client';
 
-import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Fragment, useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
   Button,
   Container,
@@ -26,6 +26,8 @@ import {
   FaMousePointer,
   FaHandPaper,
   FaMagnet,
+  FaShareSquare,
+  FaLayerGroup,
 } from 'react-icons/fa';
 import { RiScissors2Fill } from 'react-icons/ri';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
@@ -33,6 +35,9 @@ import { Dropdown } from 'react-bootstrap';
 import { getDAWActivityLogger } from '../../../../lib/activity/DAWActivityLogger';
 import AudioTrack from './AudioTrack';
 import MIDITrack from './MIDITrack';
+import BusTrack from './BusTrack';
+import AutomationLane, { AUTOMATION_LANE_HEIGHT } from './AutomationLane';
+import TakeLanes, { takeLanesHeight } from './TakeLanes';
 import MultitrackTransport from './MultitrackTransport';
 import ClipEffectsRack from './ClipEffectsRack';
 import MultitrackTimeline from './MultitrackTimeline';
@@ -43,6 +48,9 @@ import MIDIDeviceSelector from './MIDIDeviceSelector';
 import PianoKeyboard from './PianoKeyboard';
 import clipClipboard from './ClipClipboard';
 import SelectionOverlay from './SelectionOverlay';
+import ProjectMenu from './ProjectMenu';
+import EffectSelectionModal from './EffectSelectionModal';
+import EffectParametersModal from './EffectParametersModal';
 import {
   splitClipsAtTime,
   rippleDelete,
@@ -50,6 +58,10 @@ import {
   duplicateClips,
   quantizeClips,
 } from './clipOperations';
+import { isMixBusTrack } from '../../../../lib/mixRouting';
+import { GRID_DIVISIONS } from '../../../../lib/tempoMap';
+import { isMIDIFile, MIDI_FILE_EXTENSIONS } from '../../../../lib/midiFileImport';
+import { useMIDIFileImport } from './hooks/useMIDIFileImport';
 
 // Create singleton MIDI manager
 const midiInputManager = new MIDIInputManager();
@@ -84,6 +96,9 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
     setSnapEnabled,
     gridSizeSec,
     setGridSizeSec,
+    gridDivision,
+    setGridDivision,
+    snapTimeToGrid,
     // removed old track-based effects modal state
     isAnyTrackRecording,
     scrollResetCallbackRef,
@@ -92,6 +107,8 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
   const [showClipEffectsModal, setShowClipEffectsModal] = useState(false);
   const [zoomLevel, setZoomLevel] = useState(100);
   const [showTakesModal, setShowTakesModal] = useState(false);
+  const midiFileInputRef = useRef(null);
+  const { importMIDIFile } = useMIDIFileImport({ logOperation });
   // Use propTakes directly instead of state since it's managed by RecordingContext
   const availableTakes = propTakes;
   
@@ -466,11 +483,11 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
       selectedClipId
         ? selectedTrack.clips.filter((c) => c.id === selectedClipId)
         : selectedTrack.clips,
-      gridSizeSec,
+      snapTimeToGrid,
     );
 
     updateTrack(selectedTrack.id, { clips: quantized });
-  }, [selectedTrack, selectedClipId, snapEnabled, gridSizeSec, updateTrack]);
+  }, [selectedTrack, selectedClipId, snapEnabled, snapTimeToGrid, updateTrack]);
 
   // Keyboard shortcuts
   useEffect(() => {
@@ -612,6 +629,41 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
     }
   };
 
+  const handleAddMixBus = (type) => {
+    const count = tracks.filter((t) => t.type === type).length + 1;
+    addTrack({
+      type,
+      name: type === 'group' ? `Group ${count}` : `Bus ${count}`,
+      color: type === 'group' ? '#5bc0de' : '#9b7bd4',
+      effects: [],
+    });
+
+    // Log for study protocol (Activity 3)
+    if (logOperation) {
+      logOperation('track_added', { trackType: type });
+    }
+  };
+
+  const handleMIDIFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) importMIDIFile(file);
+  };
+
+  // Standard MIDI Files dropped anywhere on the tracks become MIDI tracks
+  const handleTracksDragOver = (e) => {
+    if (e.dataTransfer?.types?.includes('Files')) {
+      e.preventDefault();
+    }
+  };
+
+  const handleTracksDrop = (e) => {
+    const file = e.dataTransfer?.files?.[0];
+    if (!file) return;
+    // Keep the browser from opening files dropped outside a track
+    e.preventDefault();
+    if (isMIDIFile(file)) importMIDIFile(file);
+  };
 
   const handleImportTake = (take) => {
     addTrack({
@@ -872,16 +924,31 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
               <select
                 className="form-select form-select-sm"
                 style={{ width: '100px' }}
-                value={gridSizeSec}
-                onChange={(e) => setGridSizeSec(parseFloat(e.target.value))}
+                value={
+                  gridDivision === 'seconds'
+                    ? `sec:${gridSizeSec}`
+                    : gridDivision
+                }
+                onChange={(e) => {
+                  const { value } = e.target;
+                  if (value.startsWith('sec:')) {
+                    setGridDivision('seconds');
+                    setGridSizeSec(parseFloat(value.slice(4)));
+                  } else {
+                    setGridDivision(value);
+                  }
+                }}
                 disabled={!snapEnabled}
+                title="Grid (bars and beats follow the tempo map)"
               >
-                <option value="0.01">1/100</option>
-                <option value="0.0625">1/16</option>
-                <option value="0.125">1/8</option>
-                <option value="0.25">1/4</option>
-                <option value="0.5">1/2</option>
-                <option value="1">1 bar</option>
+                {GRID_DIVISIONS.map((division) => (
+                  <option key={division.value} value={division.value}>
+                    {division.label}
+                  </option>
+                ))}
+                <option value="sec:1">1 sec</option>
+                <option value="sec:0.1">0.1 sec</option>
+                <option value="sec:0.01">0.01 sec</option>
               </select>
               <Button
                 variant="outline-secondary"
@@ -916,12 +983,28 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
                   <Dropdown.Item onClick={handleAddMIDITrack}>
                     <FaKeyboard /> MIDI Track
                   </Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleAddMixBus('bus')}>
+                    <FaShareSquare /> Aux Bus
+                  </Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleAddMixBus('group')}>
+                    <FaLayerGroup /> Group Track
+                  </Dropdown.Item>
                   <Dropdown.Divider />
                   <Dropdown.Item onClick={() => setShowTakesModal(true)}>
                     <FaDatabase /> Import from Takes
                   </Dropdown.Item>
+                  <Dropdown.Item onClick={() => midiFileInputRef.current?.click()}>
+                    <FaFileImport /> Import MIDI File
+                  </Dropdown.Item>
                 </Dropdown.Menu>
               </Dropdown>
+              <input
+                ref={midiFileInputRef}
+                type="file"
+                accept={MIDI_FILE_EXTENSIONS.join(',')}
+                onChange={handleMIDIFileSelect}
+                style={{ display: 'none' }}
+              />
 
               <Button
                 variant="secondary"
@@ -944,6 +1027,8 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
                 Effects
               </Button>
 
+              <ProjectMenu logOperation={logOperation} />
+
               <MultitrackMixdown tracks={tracks} logOperation={logOperation} />
             </div>
           </div>
@@ -1039,6 +1124,8 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
               height: '100%',
             }}
             className={`tracks-container ${showPiano ? 'piano-visible' : ''}`}
+            onDragOver={handleTracksDragOver}
+            onDrop={handleTracksDrop}
           >
             <div
               id="multitrack-tracks-inner"
@@ -1091,30 +1178,38 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
                 };
               })()}
             >
-              {tracks.map((track, index) => {
-                if (track.type === 'midi') {
-                  return (
+              {tracks.map((track, index) => (
+                <Fragment key={track.id}>
+                  {isMixBusTrack(track) ? (
+                    <BusTrack track={track} index={index} />
+                  ) : track.type === 'midi' ? (
                     <MIDITrack
-                      key={track.id}
                       track={track}
                       index={index}
                       zoomLevel={zoomLevel}
                     />
-                  );
-                } else {
-                  // Use enhanced AudioTrack component for both 'audio' and 'recording' types
-                  // This provides backward compatibility while consolidating functionality
-                  return (
+                  ) : (
+                    // Use enhanced AudioTrack component for both 'audio' and 'recording' types
+                    // This provides backward compatibility while consolidating functionality
                     <AudioTrack
-                      key={track.id}
                       track={track}
                       index={index}
                       zoomLevel={zoomLevel}
                       logOperation={logOperation}
                     />
-                  );
-                }
-              })}
+                  )}
+                  {takeLanesHeight(track) > 0 && (
+                    <TakeLanes
+                      track={track}
+                      zoomLevel={zoomLevel}
+                      logOperation={logOperation}
+                    />
+                  )}
+                  {track.showAutomation && (
+                    <AutomationLane track={track} zoomLevel={zoomLevel} />
+                  )}
+                </Fragment>
+              ))}
 
               {/* Global playhead that spans all tracks */}
               {tracks.length > 0 && (
@@ -1127,8 +1222,10 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
                     width: '2px',
                     height: `${tracks.reduce((totalHeight, track) => {
                       // Calculate height based on track type
-                      // Both audio and MIDI tracks are 200px tall for consistency
-                      return totalHeight + 200;
+                      // Both audio and MIDI tracks are 200px tall for consistency,
+                      // plus take and automation lanes when they are open
+                      return totalHeight + 200 + takeLanesHeight(track) +
+                        (track.showAutomation ? AUTOMATION_LANE_HEIGHT : 0);
                     }, 0)}px`,
                     backgroundColor: '#ff3030',
                     boxShadow: '0 0 3px rgba(255, 48, 48, 0.8)',
@@ -1215,6 +1312,10 @@ export default function MultitrackEditor({ availableTakes: propTakes = [], logOp
         logOperation={logOperation}
       />
 
+      {/* Track/bus effect chain modals */}
+      <EffectSelectionModal />
+      <EffectParametersModal />
+
       {/* Clip Effects Modal */}
       <ClipEffectsRack
         show={showClipEffectsModal}
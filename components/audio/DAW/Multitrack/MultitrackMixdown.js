@@ -3,15 +3,40 @@
 import { useState, useCallback, useMemo } from 'react';
 import { Button, Modal, Form, ProgressBar, Alert } from 'react-bootstrap';
 import { FaMixcloud } from 'react-icons/fa';
+import { useRouter } from 'next/router';
+import { useSelector } from 'react-redux';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import { useFFmpeg } from '../../../../contexts/FFmpegContext';
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  EXPORT_FORMATS,
+  channelsOf,
+  exportAudio,
+} from '../../../../lib/audioExport';
+import { analyzeLoudness } from '../../../../lib/loudness';
+import ExportSettings from './ExportSettings';
+import LoudnessReport from './LoudnessReport';
 import { decodeAudioFromURL } from './AudioEngine';
+import { scheduleClipFades } from './clipOperations';
 import { createInstrument } from './Instruments/WebAudioInstruments';
 import VoiceManager from '../../../../lib/VoiceManager';
 import midiRenderCache from '../../../../lib/MIDIRenderCache';
 import EnhancedSynth from '../../../../lib/EnhancedSynth';
 import { processEffectsChain } from '../../../../lib/effects/UnifiedEffectsProcessor';
+import {
+  isLiveEffect,
+  createLiveEffectChain,
+} from '../../../../lib/effects/liveEffectChain';
 import { debugLog, debugWarn, debugError } from '../../../../lib/debug';
 import { getPPQ, getTrackTempo, DEFAULT_PPQ, DEFAULT_TEMPO } from '../../../../lib/midiTimeUtils';
+import { beatToSeconds, secondsToBeat } from '../../../../lib/tempoMap';
+import { getActiveAutomation, applyTrackAutomation } from '../../../../lib/automation';
+import {
+  isMixBusTrack,
+  resolveOutputTarget,
+  getActiveSends,
+  orderStripsUpstreamFirst,
+} from '../../../../lib/mixRouting';
 
 /**
  * OfflineAudioContext Manager
@@ -416,7 +441,10 @@ function getTrackMidiBaseOffsetSec(track, secPerBeat, options = {}) {
 // NOTE: getPPQ is now imported from midiTimeUtils.js for consistency
 // It provides the same functionality with documented precedence
 
-function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
+function collectTrackMidiNotes(
+  track,
+  tempo = { bpm: 120, stepsPerBeat: 4, tempoMap: null },
+) {
   const out = [];
 
   // Tempo & conversion helpers
@@ -426,24 +454,34 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
     120;
   const secPerBeat = 60 / bpm;
   const stepsPerBeat = Number(tempo?.stepsPerBeat) || 4; // for step sequencers
+  const tempoMap = tempo?.tempoMap || null;
 
   const ppq = getPPQ(track);
-  const secPerTick = secPerBeat / ppq;
+
+  // Beat positions follow the project tempo map when there is one
+  const beatToSec = (beats) =>
+    tempoMap ? beatToSeconds(tempoMap, beats) : beats * secPerBeat;
+  // Seconds spanned by `beats` starting at a timeline position
+  const beatSpanSec = (beats, fromSec = 0) =>
+    tempoMap
+      ? beatToSeconds(tempoMap, secondsToBeat(tempoMap, fromSec) + beats) -
+        fromSec
+      : beats * secPerBeat;
 
   const baseOffsetSec = getTrackMidiBaseOffsetSec(track, secPerBeat);
 
   const timeFromNote = (n) => {
-    // Check if we have startTime
+    // Editor notes (piano roll, recording, MIDI import) are in timeline seconds
     if (Number.isFinite(n.startTime)) {
-      return Math.max(0, n.startTime * secPerBeat);
+      return Math.max(0, n.startTime);
     }
 
-    // Then check other beat-based fields
+    // Then check beat-based fields
     const tb = toNumber(n.timeBeats ?? n.startBeat ?? n.beat, NaN);
-    if (Number.isFinite(tb)) return Math.max(0, tb * secPerBeat);
+    if (Number.isFinite(tb)) return Math.max(0, beatToSec(tb));
 
     const tk = toNumber(n.ticks ?? n.tick ?? n.startTick, NaN);
-    if (Number.isFinite(tk)) return Math.max(0, tk * secPerTick);
+    if (Number.isFinite(tk)) return Math.max(0, beatToSec(tk / ppq));
 
     // Only use these fields if they're actually in seconds
     const ts = toNumber(
@@ -466,16 +504,13 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
   };
 
   const durationFromNote = (n, timeHint = 0) => {
-    // Check if we have duration
+    // Check if we have duration (seconds, like startTime)
     if (Number.isFinite(n.duration)) {
-      return Math.max(0, n.duration * secPerBeat);
+      return Math.max(0, n.duration);
     }
 
-    // Then check other beat-based fields
-    const baseBeat = toNumber(
-      n.timeBeats ?? n.startBeat ?? n.beat ?? n.startTime,
-      NaN,
-    );
+    // Then check beat-based fields
+    const baseBeat = toNumber(n.timeBeats ?? n.startBeat ?? n.beat, NaN);
     const db = toNumber(
       n.durationBeats ??
         n.lenBeats ??
@@ -487,7 +522,7 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
           : NaN),
       NaN,
     );
-    if (Number.isFinite(db)) return Math.max(0, db * secPerBeat);
+    if (Number.isFinite(db)) return Math.max(0, beatSpanSec(db, timeHint));
 
     const dtk = toNumber(
       n.durationTicks ??
@@ -500,7 +535,8 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
           : NaN),
       NaN,
     );
-    if (Number.isFinite(dtk)) return Math.max(0, dtk * secPerTick);
+    if (Number.isFinite(dtk))
+      return Math.max(0, beatSpanSec(dtk / ppq, timeHint));
 
     // Only use these if they're actually duration in seconds
     const ds = toNumber(n.len ?? n.length ?? n.durationSec, NaN);
@@ -508,16 +544,13 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
 
     const endB = toNumber(n.endBeats ?? n.endBeat, NaN);
     if (Number.isFinite(endB) && Number.isFinite(baseBeat)) {
-      return Math.max(0, (endB - baseBeat) * secPerBeat);
+      return Math.max(0, beatToSec(endB) - beatToSec(baseBeat));
     }
 
     const endTk = toNumber(n.endTick ?? n.endTicks, NaN);
-    const startTk = toNumber(
-      n.startTick ?? n.tick ?? n.ticks ?? n.startTime,
-      NaN,
-    );
+    const startTk = toNumber(n.startTick ?? n.tick ?? n.ticks, NaN);
     if (Number.isFinite(endTk) && Number.isFinite(startTk)) {
-      return Math.max(0, (endTk - startTk) * secPerTick);
+      return Math.max(0, beatToSec(endTk / ppq) - beatToSec(startTk / ppq));
     }
 
     // Fallback for end time in seconds
@@ -611,12 +644,13 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
     clipArrays.forEach((clip) => {
       const clipOffsetSec =
         Math.max(0, toNumber(clip?.start ?? clip?.startSec, 0)) +
-        (Number.isFinite(
-          toNumber(clip?.startBeat ?? clip?.timeBeats ?? clip?.beat, NaN),
-        )
-          ? toNumber(clip?.startBeat ?? clip?.timeBeats ?? clip?.beat)
-          : 0) *
-          secPerBeat;
+        beatToSec(
+          Number.isFinite(
+            toNumber(clip?.startBeat ?? clip?.timeBeats ?? clip?.beat, NaN),
+          )
+            ? toNumber(clip?.startBeat ?? clip?.timeBeats ?? clip?.beat)
+            : 0,
+        );
 
       (clip?.notes || []).forEach((n) => pushNote(n, clipOffsetSec));
 
@@ -660,11 +694,11 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
         let t;
         const tb = toNumber(e.timeBeats ?? e.startBeat ?? e.beat, NaN);
         if (Number.isFinite(tb)) {
-          t = tb * secPerBeat;
+          t = beatToSec(tb);
         } else {
           const tk = toNumber(e.ticks ?? e.tick ?? e.startTick, NaN);
           if (Number.isFinite(tk)) {
-            t = tk * secPerTick;
+            t = beatToSec(tk / ppq);
           } else {
             const ts = toNumber(
               e.time ??
@@ -716,7 +750,10 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
                       : e.gateBeats != null
                         ? e.gateBeats
                         : null;
-              d = db != null ? toNumber(db, 0) * secPerBeat : t - a.time;
+              d =
+                db != null
+                  ? beatSpanSec(toNumber(db, 0), a.time - baseOffsetSec)
+                  : t - a.time;
             }
             if (!Number.isFinite(d)) {
               const dtk = toNumber(
@@ -731,7 +768,8 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
                     : NaN),
                 NaN,
               );
-              if (Number.isFinite(dtk)) d = dtk * secPerTick;
+              if (Number.isFinite(dtk))
+                d = beatSpanSec(dtk / ppq, a.time - baseOffsetSec);
             }
             const dur = Math.max(0, d);
             if (dur > 0)
@@ -770,7 +808,7 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
         ? seq
         : [];
     if (steps && steps.length) {
-      const secPerStep = secPerBeat / stepsPerBeat;
+      const stepToSec = (step) => beatToSec(step / stepsPerBeat);
 
       steps.forEach((row) => {
         const cells = Array.isArray(row?.cells)
@@ -807,12 +845,14 @@ function collectTrackMidiNotes(track, tempo = { bpm: 120, stepsPerBeat: 4 }) {
             else if (baseFreq) freq = baseFreq;
           }
           if (!freq) return;
-          const t =
-            toNumber(cell?.i ?? cell?.index ?? i, 0) * secPerStep +
-            baseOffsetSec;
+          const step = toNumber(cell?.i ?? cell?.index ?? i, 0);
+          const t = stepToSec(step) + baseOffsetSec;
           const dur = Math.max(
             0,
-            toNumber(cell?.duration ?? cell?.lenSec, lenSteps * secPerStep),
+            toNumber(
+              cell?.duration ?? cell?.lenSec,
+              stepToSec(step + lenSteps) - stepToSec(step),
+            ),
           );
           if (dur > 0)
             out.push({ time: t, duration: dur, velocity: vel, freq });
@@ -1070,8 +1110,9 @@ function createHeadroomManager(audioContext, trackCount, midiTrackCount) {
 
 /**
  * Analyze mix quality and provide feedback
+ * @param {Object} loudness - analyzeLoudness() of the rendered mix
  */
-function analyzeMixQuality(tracks, duration, adaptiveGain, targetHeadroom, panAdjustments) {
+function analyzeMixQuality(tracks, duration, adaptiveGain, targetHeadroom, panAdjustments, loudness) {
   const analysis = {
     trackCount: tracks.length,
     midiTracks: tracks.filter(t => t.type === 'midi').length,
@@ -1081,7 +1122,8 @@ function analyzeMixQuality(tracks, duration, adaptiveGain, targetHeadroom, panAd
     targetHeadroom: targetHeadroom,
     quality: 'good',
     recommendations: [],
-    panningChanges: 0
+    panningChanges: 0,
+    loudness: loudness
   };
   
   // Count panning changes made
@@ -1131,11 +1173,15 @@ function analyzeMixQuality(tracks, duration, adaptiveGain, targetHeadroom, panAd
     analysis.recommendations.push('• Short-form content optimized for immediate impact');
   }
   
-  // Headroom feedback
-  if (targetHeadroom < -5) {
-    analysis.recommendations.push('• Conservative headroom preserved for mastering flexibility');
-  } else if (targetHeadroom > -2) {
-    analysis.recommendations.push('• Tight headroom for maximum loudness - check for distortion');
+  // Headroom feedback from the measured true peak
+  const { truePeakDb } = loudness;
+  if (truePeakDb > 0) {
+    analysis.quality = 'clipping';
+    analysis.recommendations.push(`• Peaks reach +${truePeakDb.toFixed(1)} dBTP - the mix clips, lower the loudest tracks`);
+  } else if (truePeakDb > -1) {
+    analysis.recommendations.push(`• Only ${(-truePeakDb).toFixed(1)} dB of headroom - lossy export may clip`);
+  } else if (truePeakDb < -12) {
+    analysis.recommendations.push(`• ${(-truePeakDb).toFixed(1)} dB of unused headroom - the mix is quiet, raise levels or normalize on export`);
   }
   
   return analysis;
@@ -1240,7 +1286,12 @@ function mapInstrumentToSynthPreset(instrumentType, instrumentPreset) {
 /**
  * Automatically render a MIDI track to audio buffer for mixdown
  */
-async function renderMIDITrackToAudio(track, sampleRate = 44100, bpm = 120) {
+async function renderMIDITrackToAudio(
+  track,
+  sampleRate = 44100,
+  bpm = 120,
+  tempoMap = null,
+) {
   // Check cache first
   const cachedBuffer = midiRenderCache.getCached(track);
   if (cachedBuffer) {
@@ -1248,7 +1299,7 @@ async function renderMIDITrackToAudio(track, sampleRate = 44100, bpm = 120) {
     return cachedBuffer;
   }
 
-  const midiNotes = collectTrackMidiNotes(track, { bpm });
+  const midiNotes = collectTrackMidiNotes(track, { bpm, tempoMap });
   if (midiNotes.length === 0) return null;
 
   console.log(`🎵 MIXDOWN START: ${track.name}`, {
@@ -1494,6 +1545,24 @@ async function processTrackEffects(buffer, track, audioContext) {
   }
 }
 
+/**
+ * Node a clip's source should connect to: the destination itself, or a gain
+ * envelope in front of it when the clip fades in or out (comp crossfades)
+ * @param {BaseAudioContext} ctx
+ * @param {Object} clip
+ * @param {number} start - Context time the clip starts at
+ * @param {number} duration - Playable clip length in seconds
+ * @param {AudioNode} destination
+ * @returns {AudioNode}
+ */
+function withClipFades(ctx, clip, start, duration, destination) {
+  if (!(clip?.fadeIn > 0 || clip?.fadeOut > 0)) return destination;
+  const fade = ctx.createGain();
+  scheduleClipFades(fade.gain, { ...clip, duration }, start);
+  fade.connect(destination);
+  return fade;
+}
+
 /**
  * Pre-render a track's audio clips to a single buffer for effects processing
  * @param {Object} track - Track with clips
@@ -1533,7 +1602,7 @@ async function prerenderTrackClipsToBuffer(track, bufferMap, duration, sampleRat
 
     const src = offline.createBufferSource();
     src.buffer = buf;
-    src.connect(masterGain);
+    src.connect(withClipFades(offline, c, start, clipDur, masterGain));
 
     try {
       src.start(start, offset, clipDur);
@@ -1561,12 +1630,15 @@ async function prerenderTrackClipsToBuffer(track, bufferMap, duration, sampleRat
 
 /**
  * Mixdown engine — clip & MIDI aware, independent of WaveSurfer
+ * Audio/MIDI tracks are routed through bus/group tracks (`mixBuses`) the
+ * same way MixerRouter routes them live.
  */
 async function mixdownClipsAndMidi(
   tracks,
   sampleRateHint = 44100,
   onProgress = () => {},
   bpm = 120,
+  { mixBuses = [], tempoMap = null, onAnalysis = null } = {},
 ) {
   console.log('🚨🚨🚨 MIXDOWN FUNCTION CALLED! 🚨🚨🚨', {
     trackCount: tracks?.length,
@@ -1583,7 +1655,7 @@ async function mixdownClipsAndMidi(
   const soloIds = new Set(tracks.filter((t) => t.soloed).map((t) => t.id));
   const included = tracks.filter((t) => {
     const hasAudio = Array.isArray(t.clips) && t.clips.length > 0;
-    const hasMidi = collectTrackMidiNotes(t, { bpm }).length > 0;
+    const hasMidi = collectTrackMidiNotes(t, { bpm, tempoMap }).length > 0;
     if (!hasAudio && !hasMidi) return false;
     if (soloIds.size > 0) return soloIds.has(t.id) && !t.muted;
     return !t.muted;
@@ -1630,16 +1702,16 @@ async function mixdownClipsAndMidi(
     name: t.name,
     type: t.type,
     notesInTrack: t.midiData?.notes?.length || 0,
-    notesCollected: t.type === 'midi' ? collectTrackMidiNotes(t, { bpm }).length : 'N/A'
+    notesCollected: t.type === 'midi' ? collectTrackMidiNotes(t, { bpm, tempoMap }).length : 'N/A'
   })));
   
-  const midiTracks = included.filter(t => t.type === 'midi' && collectTrackMidiNotes(t, { bpm }).length > 0);
+  const midiTracks = included.filter(t => t.type === 'midi' && collectTrackMidiNotes(t, { bpm, tempoMap }).length > 0);
   
   console.log(`Auto-rendering ${midiTracks.length} MIDI tracks for mixdown...`);
   
   // Debug: Log each track's MIDI data
   midiTracks.forEach((track, index) => {
-    const notes = collectTrackMidiNotes(track, { bpm });
+    const notes = collectTrackMidiNotes(track, { bpm, tempoMap });
     console.log(`MIDI Track ${index + 1}: "${track.name}"`, {
       trackId: track.id,
       notesInTrack: track.midiData?.notes?.length || 0,
@@ -1654,7 +1726,12 @@ async function mixdownClipsAndMidi(
     midiTracks.map(async (track) => {
       try {
         console.log(`Starting render for track: ${track.name}`);
-        const buffer = await renderMIDITrackToAudio(track, highestRate, bpm);
+        const buffer = await renderMIDITrackToAudio(
+          track,
+          highestRate,
+          bpm,
+          tempoMap,
+        );
         if (buffer) {
           console.log(`Successfully rendered MIDI track: ${track.name} (${buffer.length} samples)`);
           midiBufferMap.set(track.id, buffer);
@@ -1693,7 +1770,7 @@ async function mixdownClipsAndMidi(
       endMidi = midiBuffer.duration;
     } else {
       // Fallback to calculated duration
-      collectTrackMidiNotes(track, { bpm }).forEach((n) => {
+      collectTrackMidiNotes(track, { bpm, tempoMap }).forEach((n) => {
         endMidi = Math.max(endMidi, n.time + n.duration);
       });
     }
@@ -1768,14 +1845,19 @@ async function mixdownClipsAndMidi(
   
   debugLog('MultitrackMixdown', '🎛️ Professional Master Bus: Clean signal chain with minimal processing');
 
-  // Pre-process tracks with effects (needs to happen before main render loop)
-  // This creates processed buffers for tracks that have effects
+  // Pre-process tracks with buffer-only effects (needs to happen before main render loop)
+  // This creates processed buffers for tracks that have them. Node-graph effects
+  // are built into the track chain instead (see buildTrackChain), the same
+  // place live playback runs them, so their automation lanes apply.
   const processedTrackBuffers = new Map();
 
   // Check which tracks need effects processing
-  const tracksWithEffects = included.filter(
-    (t) => t.effects && t.effects.length > 0 && t.effects.some((e) => e.enabled !== false)
-  );
+  const tracksWithEffects = included
+    .map((t) => ({
+      ...t,
+      effects: (t.effects || []).filter((e) => e.enabled !== false && !isLiveEffect(e.type)),
+    }))
+    .filter((t) => t.effects.length > 0);
 
   if (tracksWithEffects.length > 0) {
     debugLog('MultitrackMixdown', `Processing effects for ${tracksWithEffects.length} tracks...`);
@@ -1817,9 +1899,19 @@ async function mixdownClipsAndMidi(
 
   onProgress(72);
 
-  // Process each track
-  included.forEach((track) => {
-    const trackGain = offline.createGain();
+  // Resolve bus/group routing against everything in the mix
+  const routingTracks = new Map(
+    [...included, ...mixBuses].map((t) => [t.id, t])
+  );
+
+  /**
+   * Build one audio/MIDI track's chain in a render context
+   * @returns {{ preFader: AudioNode, output: AudioNode }}
+   */
+  const buildTrackChain = (ctx, track) => {
+    const trackInput = ctx.createGain(); // pre-fader point for sends
+    const trackGain = ctx.createGain();
+    trackInput.connect(trackGain);
     trackGain.gain.value = track.muted
       ? 0
       : typeof track.volume === 'number'
@@ -1830,10 +1922,10 @@ async function mixdownClipsAndMidi(
     let offlineInstrument = null;
     try {
       const instrumentSpec = track.midiData?.instrument || {};
-      offlineInstrument = createInstrument(offline, instrumentSpec);
+      offlineInstrument = createInstrument(ctx, instrumentSpec);
       const instrumentOut = offlineInstrument?.output || offlineInstrument;
       if (instrumentOut && typeof instrumentOut.connect === 'function') {
-        instrumentOut.connect(trackGain);
+        instrumentOut.connect(trackInput);
       } else {
         offlineInstrument = null; // fall back if no connectable output
       }
@@ -1850,8 +1942,8 @@ async function mixdownClipsAndMidi(
     const isMidiTrack = track.type === 'midi' && midiBuffer && !hasProcessedEffects;
 
     // Set up intelligent panning
-    const panner = offline.createStereoPanner
-      ? offline.createStereoPanner()
+    const panner = ctx.createStereoPanner
+      ? ctx.createStereoPanner()
       : null;
     if (panner) {
       const intelligentPan = intelligentPanning.get(track.id) || 0;
@@ -1863,33 +1955,55 @@ async function mixdownClipsAndMidi(
       }
     }
 
+    // Track effects after the fader and pan, as in live playback
+    const liveEffects = (track.effects || []).filter(
+      (e) => e.enabled !== false && isLiveEffect(e.type)
+    );
+    const effects = liveEffects.length > 0 ? createLiveEffectChain(ctx, liveEffects) : null;
+
+    // Automation curves (same ramps live playback schedules)
+    applyTrackAutomation(
+      {
+        ...effects?.params,
+        volume: track.muted ? [] : [trackGain.gain],
+        pan: panner ? [panner.pan] : [],
+      },
+      getActiveAutomation(track.automation),
+      { contextTime: 0, timelinePosition: 0 }
+    );
+
     // Connect audio chain (simplified - no special MIDI processing needed)
+    // The caller routes the output to the master, a group or sends
+    let trackOut = trackGain;
     if (panner) {
-      trackGain.connect(panner);
-      panner.connect(masterGain);
-    } else {
-      trackGain.connect(masterGain);
+      trackOut.connect(panner);
+      trackOut = panner;
     }
+    if (effects) {
+      trackOut.connect(effects.input);
+      trackOut = effects.output;
+    }
+    const chain = { preFader: trackInput, output: trackOut };
 
     // If track has processed effects, use the pre-processed buffer
     if (hasProcessedEffects) {
-      const src = offline.createBufferSource();
+      const src = ctx.createBufferSource();
       src.buffer = processedBuffer;
-      src.connect(trackGain);
+      src.connect(trackInput);
       try {
         src.start(0);
         debugLog('MultitrackMixdown', `Playing effects-processed buffer for: ${track.name}`);
       } catch (e) {
         debugWarn('MultitrackMixdown', `Failed to start processed buffer for ${track.name}:`, e);
       }
-      return; // Skip normal clip processing for this track
+      return chain; // Skip normal clip processing for this track
     }
 
     // Process pre-rendered MIDI audio buffer (no effects)
     if (isMidiTrack) {
-      const src = offline.createBufferSource();
+      const src = ctx.createBufferSource();
       src.buffer = midiBuffer;
-      src.connect(trackGain);
+      src.connect(trackInput);
       try {
         src.start(0); // Start at beginning of mixdown timeline
       } catch (e) {
@@ -1907,9 +2021,9 @@ async function mixdownClipsAndMidi(
       const clipDur = Math.max(0, Math.min(toNumber(c?.duration, 0), maxDur));
       if (!(clipDur > 0)) return;
 
-      const src = offline.createBufferSource();
+      const src = ctx.createBufferSource();
       src.buffer = buf;
-      src.connect(trackGain);
+      src.connect(withClipFades(ctx, c, start, clipDur, trackInput));
       try {
         src.start(start, offset, clipDur);
       } catch (e) {
@@ -1921,12 +2035,102 @@ async function mixdownClipsAndMidi(
 
     // MIDI tracks are now handled as pre-rendered audio buffers above
     // No complex synthesis needed during mixdown!
-  });
+
+    return chain;
+  };
+
+  /**
+   * Wire every track, bus and group into a render context
+   * @param {BaseAudioContext} ctx
+   * @param {AudioNode} masterIn - Where master-routed signal goes
+   * @param {Map} stripBuffers - Bus/group id -> input already rendered through its effects
+   * @param {*} captureStripId - If set, that strip's input is sent to ctx.destination
+   */
+  const buildMixGraph = (ctx, masterIn, stripBuffers, captureStripId = null) => {
+    const strips = new Map();
+    mixBuses.forEach((bus) => {
+      const input = ctx.createGain();
+      const fader = ctx.createGain();
+      fader.gain.value = bus.muted ? 0 : (bus.volume ?? 1);
+      const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+      if (panner) {
+        panner.pan.value = bus.pan || 0;
+        fader.connect(panner);
+      }
+
+      const processed = stripBuffers.get(bus.id);
+      if (processed) {
+        const src = ctx.createBufferSource();
+        src.buffer = processed;
+        src.connect(fader);
+        src.start(0);
+      } else {
+        input.connect(fader);
+      }
+      strips.set(bus.id, { input, output: panner || fader });
+    });
+
+    const inputFor = (targetId) =>
+      targetId != null && strips.has(targetId) ? strips.get(targetId).input : masterIn;
+
+    mixBuses.forEach((bus) => {
+      strips.get(bus.id).output.connect(inputFor(resolveOutputTarget(bus, routingTracks)));
+    });
+    if (captureStripId != null) {
+      strips.get(captureStripId).input.connect(ctx.destination);
+    }
+
+    included.forEach((track) => {
+      const chain = buildTrackChain(ctx, track);
+      chain.output.connect(inputFor(resolveOutputTarget(track, routingTracks)));
+
+      getActiveSends(track, routingTracks).forEach((send) => {
+        const sendGain = ctx.createGain();
+        sendGain.gain.value = Math.max(0, Math.min(1, toNumber(send.level, 0)));
+        (send.preFader ? chain.preFader : chain.output).connect(sendGain);
+        sendGain.connect(inputFor(send.busId));
+      });
+    });
+  };
+
+  // Buses/groups with effects: render their input on its own, run it through
+  // the effect chain, then play the result in place of the live input.
+  // Upstream strips go first so their processed output feeds later ones.
+  // Only effects the live strip can run are applied, so the mixdown matches
+  // what playback let you hear.
+  const stripBuffers = new Map();
+  const stripsWithEffects = orderStripsUpstreamFirst(mixBuses)
+    .map((bus) => ({
+      ...bus,
+      effects: (bus.effects || []).filter((e) => e.enabled !== false && isLiveEffect(e.type)),
+    }))
+    .filter((bus) => bus.effects.length > 0);
+  for (const bus of stripsWithEffects) {
+    const { context: stripCtx, cleanup: cleanupStrip } = offlineContextManager.create(
+      2,
+      length,
+      highestRate,
+      `Bus input: ${bus.name}`
+    );
+    try {
+      buildMixGraph(stripCtx, stripCtx.createGain(), stripBuffers, bus.id);
+      const busInput = await stripCtx.startRendering();
+      stripBuffers.set(bus.id, await processTrackEffects(busInput, bus, offline));
+      debugLog('MultitrackMixdown', `Bus effects processed: ${bus.name}`);
+    } catch (error) {
+      debugError('MultitrackMixdown', `Error processing bus ${bus.name}:`, error);
+    } finally {
+      cleanupStrip();
+    }
+  }
+
+  buildMixGraph(offline, masterGain, stripBuffers);
 
   onProgress(80);
   
   try {
     const rendered = await offline.startRendering();
+    const loudness = analyzeLoudness(channelsOf(rendered), rendered.sampleRate);
     
     // Analyze mix quality and provide feedback
     const mixAnalysis = analyzeMixQuality(
@@ -1934,7 +2138,8 @@ async function mixdownClipsAndMidi(
       projectDuration,
       adaptiveGain,
       targetHeadroom,
-      intelligentPanning
+      intelligentPanning,
+      loudness
     );
     
     console.log('\nMix Quality Analysis:');
@@ -1943,11 +2148,13 @@ async function mixdownClipsAndMidi(
     console.log(`Duration: ${Math.round(mixAnalysis.duration)}s`);
     console.log(`Adaptive Gain: ${mixAnalysis.adaptiveGain.toFixed(2)}`);
     console.log(`Target Headroom: ${mixAnalysis.targetHeadroom}dB`);
+    console.log(`Loudness: ${loudness.integrated.toFixed(1)} LUFS, LRA ${loudness.lra.toFixed(1)} LU, True Peak ${loudness.truePeakDb.toFixed(1)} dBTP`);
     if (mixAnalysis.panningChanges > 0) {
       console.log(`Panning Adjustments: ${mixAnalysis.panningChanges} tracks`);
     }
     console.log('\nProcessing Applied:');
     mixAnalysis.recommendations.forEach(rec => console.log(`  ${rec}`));
+    onAnalysis?.(mixAnalysis);
     
     onProgress(100);
     cleanupMainContext(); // Release the main mixdown context
@@ -2016,78 +2223,36 @@ function createBasicSynth(audioContext) {
   return synth;
 }
 
-/** Convert AudioBuffer to WAV blob */
-function audioBufferToWav(buffer) {
-  const length = buffer.length * buffer.numberOfChannels * 2 + 44;
-  const arrayBuffer = new ArrayBuffer(length);
-  const view = new DataView(arrayBuffer);
-  const channels = [];
-  let offset = 0;
-  let pos = 0;
-
-  const setUint16 = (data) => {
-    view.setUint16(pos, data, true);
-    pos += 2;
-  };
-  const setUint32 = (data) => {
-    view.setUint32(pos, data, true);
-    pos += 4;
-  };
-
-  // RIFF header
-  setUint32(0x46464952); // RIFF
-  setUint32(length - 8);
-  setUint32(0x45564157); // WAVE
-
-  // fmt  chunk
-  setUint32(0x20746d66); // fmt
-  setUint32(16);
-  setUint16(1);
-  setUint16(buffer.numberOfChannels);
-  setUint32(buffer.sampleRate);
-  setUint32(buffer.sampleRate * 2 * buffer.numberOfChannels);
-  setUint16(buffer.numberOfChannels * 2);
-  setUint16(16);
-
-  // data chunk
-  setUint32(0x61746164); // data
-  setUint32(length - pos - 4);
-
-  // interleave
-  const interleaved = new Float32Array(buffer.length * buffer.numberOfChannels);
-  for (let ch = 0; ch < buffer.numberOfChannels; ch++)
-    channels[ch] = buffer.getChannelData(ch);
-  offset = 0;
-  for (let i = 0; i < buffer.length; i++) {
-    for (let ch = 0; ch < buffer.numberOfChannels; ch++)
-      interleaved[offset++] = channels[ch][i];
-  }
-
-  // float -> 16-bit PCM with TPDF dither (1 LSB)
-  const volume = 0.95;
-  offset = 44;
-  for (let i = 0; i < interleaved.length; i++) {
-    // TPDF dither: sum of two uniforms in [-0.5, 0.5] scaled to 1 LSB
-    const dither = (Math.random() + Math.random() - 1) / 32768;
-    let s = interleaved[i] * volume + dither;
-    // clamp after adding dither
-    s = Math.max(-1, Math.min(1, s));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-    offset += 2;
-  }
-
-  return new Blob([arrayBuffer], { type: 'audio/wav' });
-}
-
 export default function MultitrackMixdown({ logOperation = null }) {
-  const { tracks, addTrack, soloTrackId, bpm: contextBpm } = useMultitrack();
-  const bpm = Number(contextBpm) || 120;
+  const { tracks, addTrack, soloTrackId, tempoMap } = useMultitrack();
+  const bpm = tempoMap.tempos[0].bpm;
   const [showModal, setShowModal] = useState(false);
   const [mixdownName, setMixdownName] = useState('Mixdown');
   const [addToProject, setAddToProject] = useState(true);
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState(null);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [report, setReport] = useState(null);
+  const { ffmpegRef, loaded: ffmpegLoaded } = useFFmpeg();
+  const router = useRouter();
+  const username = useSelector((state) => state.currentUser?.username);
+  const needsEncoder = exportOptions.format !== 'wav';
+
+  const openModal = () => {
+    // Fill in tags the student hasn't typed themselves
+    setExportOptions((options) => ({
+      ...options,
+      tags: {
+        ...options.tags,
+        student: options.tags.student || username || '',
+        piece: options.tags.piece || router.query.piece || '',
+        course: options.tags.course || router.query.slug || '',
+      },
+    }));
+    setReport(null);
+    setShowModal(true);
+  };
 
   // Derive which tracks would be included right now (mute/solo, has audio or MIDI)
   const includedTracks = useMemo(() => {
@@ -2095,7 +2260,7 @@ export default function MultitrackMixdown({ logOperation = null }) {
     return tracks
       .filter((t) => {
         const hasAudio = Array.isArray(t.clips) && t.clips.length > 0;
-        const hasMidiNotes = collectTrackMidiNotes(t, { bpm }).length > 0;
+        const hasMidiNotes = collectTrackMidiNotes(t, { bpm, tempoMap }).length > 0;
         const looksLikeMidi = !!(
           t?.midi ||
           t?.midiTrack ||
@@ -2117,7 +2282,7 @@ export default function MultitrackMixdown({ logOperation = null }) {
         return !t.muted;
       })
       .map((t) => ({ ...t, soloed: soloSet ? soloSet.has(t.id) : false }));
-  }, [tracks, soloTrackId, bpm]);
+  }, [tracks, soloTrackId, bpm, tempoMap]);
 
   const canMixdown = includedTracks.length > 0;
 
@@ -2127,15 +2292,38 @@ export default function MultitrackMixdown({ logOperation = null }) {
     setProgress(0);
 
     try {
-      const onProgress = (p) => setProgress(Math.min(100, Math.max(0, p)));
+      // Rendering is most of the work; the rest is normalizing and encoding
+      const onProgress = (p) =>
+        setProgress(Math.round(Math.min(100, Math.max(0, p)) * 0.8));
+      let mixAnalysis = null;
       const rendered = await mixdownClipsAndMidi(
         includedTracks,
         44100,
         onProgress,
         bpm,
+        {
+          mixBuses: tracks.filter(isMixBusTrack),
+          tempoMap,
+          onAnalysis: (analysis) => {
+            mixAnalysis = analysis;
+          },
+        },
       );
 
-      const blob = audioBufferToWav(rendered);
+      const { blob, filename, gainDb } = await exportAudio(
+        rendered,
+        {
+          ...exportOptions,
+          tags: { ...exportOptions.tags, title: mixdownName || 'Mixdown' },
+        },
+        { ffmpeg: ffmpegRef.current, loudness: mixAnalysis?.loudness },
+      );
+      if (exportOptions.normalize) {
+        debugLog(
+          'MultitrackMixdown',
+          `Normalized to ${exportOptions.targetLufs} LUFS, applied ${gainDb.toFixed(1)} dB`,
+        );
+      }
       const audioURL = URL.createObjectURL(blob);
 
       if (addToProject) {
@@ -2165,13 +2353,16 @@ export default function MultitrackMixdown({ logOperation = null }) {
           logOperation('mixdown_created', {
             name: mixdownName,
             trackCount: includedTracks.length,
-            duration: rendered.duration
+            duration: rendered.duration,
+            format: exportOptions.format,
+            loudness: mixAnalysis?.loudness.integrated,
+            truePeak: mixAnalysis?.loudness.truePeakDb,
           });
         }
       } else {
         const a = document.createElement('a');
         a.href = audioURL;
-        a.download = `${mixdownName || 'mixdown'}.wav`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -2179,23 +2370,37 @@ export default function MultitrackMixdown({ logOperation = null }) {
       }
 
       setProgress(100);
-      setTimeout(() => {
-        setShowModal(false);
-        setIsProcessing(false);
-        setProgress(0);
-      }, 400);
+      // Keep the modal open on the loudness report
+      setReport({
+        loudness: mixAnalysis?.loudness,
+        gainDb,
+        normalized: exportOptions.normalize,
+        targetLufs: exportOptions.targetLufs,
+      });
+      setIsProcessing(false);
+      setProgress(0);
     } catch (err) {
       console.error('Mixdown error:', err);
       setError(err.message || String(err));
       setIsProcessing(false);
     }
-  }, [includedTracks, addToProject, mixdownName, addTrack, bpm]);
+  }, [
+    includedTracks,
+    tracks,
+    addToProject,
+    mixdownName,
+    addTrack,
+    bpm,
+    tempoMap,
+    exportOptions,
+    ffmpegRef,
+  ]);
 
   return (
     <>
       <Button
         variant="primary"
-        onClick={() => setShowModal(true)}
+        onClick={openModal}
         disabled={!canMixdown}
         title={
           canMixdown
@@ -2221,74 +2426,90 @@ export default function MultitrackMixdown({ logOperation = null }) {
             </Alert>
           )}
 
-          <Form>
-            <Form.Group className="mb-3">
-              <Form.Label>Mixdown Name</Form.Label>
-              <Form.Control
-                type="text"
-                value={mixdownName}
-                onChange={(e) => setMixdownName(e.target.value)}
+          {report ? (
+            <LoudnessReport {...report} />
+          ) : (
+            <Form>
+              <Form.Group className="mb-3">
+                <Form.Label>Mixdown Name</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={mixdownName}
+                  onChange={(e) => setMixdownName(e.target.value)}
+                  disabled={isProcessing}
+                  placeholder="Enter mixdown name"
+                />
+              </Form.Group>
+
+              <Form.Group className="mb-3">
+                <Form.Label>Destination</Form.Label>
+                <Form.Check
+                  type="checkbox"
+                  label="Add mixdown as new track"
+                  checked={addToProject}
+                  onChange={(e) => setAddToProject(e.target.checked)}
+                  disabled={isProcessing}
+                />
+                {addToProject && (
+                  <Form.Text muted>
+                    Submitting the new track sends the file in the format
+                    below.
+                  </Form.Text>
+                )}
+              </Form.Group>
+
+              <ExportSettings
+                value={exportOptions}
+                onChange={setExportOptions}
                 disabled={isProcessing}
-                placeholder="Enter mixdown name"
               />
-            </Form.Group>
-
-            <Form.Group className="mb-3">
-              <Form.Label>Destination</Form.Label>
-              <Form.Check
-                type="checkbox"
-                label="Add mixdown as new track"
-                checked={addToProject}
-                onChange={(e) => setAddToProject(e.target.checked)}
-                disabled={isProcessing}
-              />
-            </Form.Group>
-
-            <div className="mb-3">
-              <strong>Tracks to Mix:</strong>
-              <ul className="mt-2">
-                {includedTracks.map((t) => (
-                  <li key={t.id}>
-                    {t.name}
-                    {t.volume !== 1 &&
-                      ` (vol: ${Math.round((t.volume || 1) * 100)}%)`}
-                    {t.pan !== 0 &&
-                      ` (pan: ${t.pan > 0 ? 'R' : 'L'}${Math.abs(Math.round((t.pan || 0) * 100))}%)`}
-                    {collectTrackMidiNotes(t, { bpm }).length > 0 ||
-                    t?.type === 'midi' ||
-                    t?.kind === 'midi' ||
-                    t?.midi ||
-                    t?.midiTrack ||
-                    t?.notes ||
-                    t?.midiNotes ||
-                    t?.sequence ||
-                    t?.pattern ||
-                    t?.events ||
-                    t?.midiEvents ||
-                    t?.eventQueue ||
-                    t?.stepSequencer ||
-                    t?.sequencer ||
-                    t?.steps
-                      ? ' [MIDI]'
-                      : ''}
-                    {Array.isArray(t.clips) && t.clips.length > 0
-                      ? ' [AUDIO]'
-                      : ''}
-                    {t.soloed ? ' [solo]' : ''}
-                  </li>
-                ))}
-              </ul>
-            </div>
-
-            {isProcessing && (
-              <ProgressBar
-                now={progress}
-                label={`${progress}%`}
-                animated
-                striped
-              />
-            )}
-          </Form>
+
+              <div className="mb-3">
+                <strong>Tracks to Mix:</strong>
+                <ul className="mt-2">
+                  {includedTracks.map((t) => (
+                    <li key={t.id}>
+                      {t.name}
+                      {t.volume !== 1 &&
+                        ` (vol: ${Math.round((t.volume || 1) * 100)}%)`}
+                      {t.pan !== 0 &&
+                        ` (pan: ${t.pan > 0 ? 'R' : 'L'}${Math.abs(Math.round((t.pan || 0) * 100))}%)`}
+                      {collectTrackMidiNotes(t, { bpm, tempoMap }).length > 0 ||
+                      t?.type === 'midi' ||
+                      t?.kind === 'midi' ||
+                      t?.midi ||
+                      t?.midiTrack ||
+                      t?.notes ||
+                      t?.midiNotes ||
+                      t?.sequence ||
+                      t?.pattern ||
+                      t?.events ||
+                      t?.midiEvents ||
+                      t?.eventQueue ||
+                      t?.stepSequencer ||
+                      t?.sequencer ||
+                      t?.steps
+                        ? ' [MIDI]'
+                        : ''}
+                      {Array.isArray(t.clips) && t.clips.length > 0
+                        ? ' [AUDIO]'
+                        : ''}
+                      {t.soloed ? ' [solo]' : ''}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {isProcessing && (
+                <ProgressBar
+                  now={progress}
+                  label={`${progress}%`}
+                  animated
+                  striped
+                />
+              )}
+            </Form>
+          )}
         </Modal.Body>
 
         <Modal.Footer>
@@ -2297,19 +2518,25 @@ export default function MultitrackMixdown({ logOperation = null }) {
             onClick={() => setShowModal(false)}
             disabled={isProcessing}
           >
-            Cancel
-          </Button>
-          <Button
-            variant="primary"
-            onClick={handleMixdown}
-            disabled={isProcessing || !canMixdown}
-          >
-            {isProcessing
-              ? 'Processing…'
-              : addToProject
-                ? 'Create Mixdown'
-                : 'Export WAV'}
+            {report ? 'Close' : 'Cancel'}
           </Button>
+          {!report && (
+            <Button
+              variant="primary"
+              onClick={handleMixdown}
+              disabled={
+                isProcessing || !canMixdown || (needsEncoder && !ffmpegLoaded)
+              }
+            >
+              {isProcessing
+                ? 'Processing…'
+                : needsEncoder && !ffmpegLoaded
+                  ? 'Loading encoder…'
+                  : addToProject
+                    ? 'Create Mixdown'
+                    : `Export ${EXPORT_FORMATS[exportOptions.format].extension.toUpperCase()}`}
+            </Button>
+          )}
         </Modal.Footer>
       </Modal>
     </>
@@ -3,6 +3,76 @@
 
 import { useEffect, useRef, useState } from 'react';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  beatToSeconds,
+  secondsToBeat,
+  getGridBeats,
+  getMeterSegments,
+} from '../../../../lib/tempoMap';
+
+// Bars/beats row on top, clock time below
+const RULER_HEIGHT = 52;
+const BAR_ROW_HEIGHT = 24;
+const MIN_BAR_LABEL_SPACING = 28; // px between bar numbers
+const MIN_BEAT_TICK_SPACING = 6; // px between beat ticks
+// Loop range is dragged out on the bar row, punch range on the clock row
+const DRAG_THRESHOLD_PX = 4;
+const RANGE_HANDLE_PX = 6;
+const MIN_RANGE_SEC = 0.05;
+
+// Loop or punch range on the ruler: drag the body to move it, the edges to
+// resize it, double-click to switch it on or off
+function TimelineRange({
+  region,
+  top,
+  height,
+  color,
+  pixelsPerSecond,
+  title,
+  onDragStart,
+  onToggle,
+}) {
+  const handleStyle = {
+    position: 'absolute',
+    top: 0,
+    width: `${RANGE_HANDLE_PX}px`,
+    height: '100%',
+    cursor: 'ew-resize',
+  };
+
+  return (
+    <div
+      title={title}
+      onPointerDown={onDragStart('move')}
+      onDoubleClick={(e) => {
+        e.stopPropagation();
+        onToggle();
+      }}
+      style={{
+        position: 'absolute',
+        top: `${top}px`,
+        left: `${region.start * pixelsPerSecond}px`,
+        width: `${(region.end - region.start) * pixelsPerSecond}px`,
+        height: `${height}px`,
+        backgroundColor: `${color}40`,
+        borderLeft: `2px solid ${color}`,
+        borderRight: `2px solid ${color}`,
+        boxSizing: 'border-box',
+        cursor: 'grab',
+        zIndex: 5,
+      }}
+    >
+      <div
+        onPointerDown={onDragStart('start')}
+        style={{ ...handleStyle, left: 0 }}
+      />
+      <div
+        onPointerDown={onDragStart('end')}
+        style={{ ...handleStyle, right: 0 }}
+      />
+    </div>
+  );
+}
 
 export default function MultitrackTimeline({
   zoomLevel = 100,
@@ -18,8 +88,26 @@ export default function MultitrackTimeline({
   const [isHovering, setIsHovering] = useState(false);
   const [isScrolling, setIsScrolling] = useState(false);
   const scrollTimeoutRef = useRef(null);
-
-  const { duration, currentTime, seek, isPlaying, tracks } = useMultitrack();
+  const rangeDragRef = useRef(null);
+  const suppressClickRef = useRef(false);
+
+  const {
+    duration,
+    currentTime,
+    seek,
+    isPlaying,
+    tracks,
+    tempoMap,
+    snapTimeToGrid,
+    loopRegion,
+    setLoopRegion,
+    loopEnabled,
+    setLoopEnabled,
+    punchRegion,
+    setPunchRegion,
+    punchEnabled,
+    setPunchEnabled,
+  } = useMultitrack();
 
   // Connect external scroll ref if provided
   useEffect(() => {
@@ -41,8 +129,102 @@ export default function MultitrackTimeline({
     return () => window.removeEventListener('resize', updateWidth);
   }, []);
 
+  // --- Loop and punch ranges ---
+  const ranges = {
+    loop: {
+      region: loopRegion,
+      setRegion: setLoopRegion,
+      setEnabled: setLoopEnabled,
+    },
+    punch: {
+      region: punchRegion,
+      setRegion: setPunchRegion,
+      setEnabled: setPunchEnabled,
+    },
+  };
+
+  const timeAtClientX = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return Math.max(0, (clientX - rect.left) / zoomLevel);
+  };
+
+  // mode: 'create' (drag out a new range), 'move', 'start' or 'end'
+  const beginRangeDrag = (kind, mode) => (e) => {
+    if (e.button !== 0 || !containerRef.current) return;
+    e.stopPropagation();
+    containerRef.current.setPointerCapture(e.pointerId);
+    rangeDragRef.current = {
+      kind,
+      mode,
+      originX: e.clientX,
+      originTime: timeAtClientX(e.clientX),
+      region: ranges[kind].region,
+      moved: false,
+    };
+  };
+
+  const handleRulerPointerDown = (e) => {
+    if (!containerRef.current) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    const kind = e.clientY - rect.top < BAR_ROW_HEIGHT ? 'loop' : 'punch';
+    beginRangeDrag(kind, 'create')(e);
+  };
+
+  const handleRulerPointerMove = (e) => {
+    const drag = rangeDragRef.current;
+    if (!drag) return;
+    if (!drag.moved && Math.abs(e.clientX - drag.originX) < DRAG_THRESHOLD_PX) {
+      return;
+    }
+    drag.moved = true;
+
+    const time = timeAtClientX(e.clientX);
+    const { region } = drag;
+    let next;
+    if (drag.mode === 'create') {
+      next = {
+        start: snapTimeToGrid(Math.min(drag.originTime, time)),
+        end: snapTimeToGrid(Math.max(drag.originTime, time)),
+      };
+    } else if (drag.mode === 'move') {
+      const start = Math.max(
+        0,
+        snapTimeToGrid(region.start + time - drag.originTime),
+      );
+      next = { start, end: start + (region.end - region.start) };
+    } else if (drag.mode === 'start') {
+      next = {
+        start: Math.min(snapTimeToGrid(time), region.end - MIN_RANGE_SEC),
+        end: region.end,
+      };
+    } else {
+      next = {
+        start: region.start,
+        end: Math.max(snapTimeToGrid(time), region.start + MIN_RANGE_SEC),
+      };
+    }
+    if (next.end - next.start < MIN_RANGE_SEC) return;
+
+    ranges[drag.kind].setRegion(next);
+    // Dragging out a new range switches it on
+    if (drag.mode === 'create') ranges[drag.kind].setEnabled(true);
+  };
+
+  const handleRulerPointerUp = (e) => {
+    const drag = rangeDragRef.current;
+    if (!drag) return;
+    containerRef.current?.releasePointerCapture?.(e.pointerId);
+    rangeDragRef.current = null;
+    // A drag is not a click on the ruler
+    suppressClickRef.current = drag.moved;
+  };
+
   // Handle click to set playhead position
   const handleTimelineClick = (e) => {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
     if (!containerRef.current || duration === 0) return;
 
     const rect = containerRef.current.getBoundingClientRect();
@@ -65,7 +247,7 @@ export default function MultitrackTimeline({
     if (!canvas) return;
 
     const ctx = canvas.getContext('2d');
-    const height = 40;
+    const height = RULER_HEIGHT;
 
     // Use the same pixels-per-second calculation as tracks container
     const pixelsPerSecond = zoomLevel; // 100 zoom = 100 pixels/second
@@ -118,7 +300,75 @@ export default function MultitrackTimeline({
       minorTicksPerMajor = 6;
     }
 
-    ctx.font = '11px Arial';
+    // --- Bars and beats from the tempo/meter map ---
+    const endBeat = secondsToBeat(tempoMap, projectDuration);
+    const beatToX = (beat) => beatToSeconds(tempoMap, beat) * pixelsPerSecond;
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#333';
+    getGridBeats(tempoMap, 0, endBeat, 'beat').forEach((g, i, beats) => {
+      if (g.isBar) return;
+      const x = beatToX(g.beat);
+      const prevX = i > 0 ? beatToX(beats[i - 1].beat) : -Infinity;
+      if (x > safeWidth || x - prevX < MIN_BEAT_TICK_SPACING) return;
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, BAR_ROW_HEIGHT - 5);
+      ctx.lineTo(x + 0.5, BAR_ROW_HEIGHT);
+      ctx.stroke();
+    });
+
+    ctx.font = 'bold 10px Arial';
+    ctx.fillStyle = '#aaa';
+    ctx.strokeStyle = '#555';
+    let lastLabelX = -Infinity;
+    getGridBeats(tempoMap, 0, endBeat, 'bar').forEach((g, i) => {
+      const x = beatToX(g.beat);
+      if (x > safeWidth) return;
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, 0);
+      ctx.lineTo(x + 0.5, BAR_ROW_HEIGHT);
+      ctx.stroke();
+      if (x - lastLabelX >= MIN_BAR_LABEL_SPACING && x + 20 < safeWidth) {
+        ctx.fillText(String(i + 1), x + 3, 10);
+        lastLabelX = x;
+      }
+    });
+
+    // Meter and tempo change markers
+    const markers = [
+      ...getMeterSegments(tempoMap).map((m) => ({
+        beat: m.beat,
+        label: `${m.numerator}/${m.denominator}`,
+        color: '#6fb3d9',
+      })),
+      ...tempoMap.tempos.map((t) => ({
+        beat: t.beat,
+        label: `\u2669=${Math.round(t.bpm)}${t.ramp ? ' \u2197' : ''}`,
+        color: '#d4910b',
+      })),
+    ].sort((a, b) => a.beat - b.beat);
+
+    ctx.font = '9px Arial';
+    let markerEnd = -Infinity;
+    markers.forEach((marker) => {
+      const x = beatToX(marker.beat);
+      if (x > safeWidth - 30) return;
+      const textX = Math.max(x + 3, markerEnd + 4);
+      ctx.fillStyle = marker.color;
+      ctx.fillRect(x, BAR_ROW_HEIGHT - 3, 2, 3);
+      ctx.fillText(marker.label, textX, BAR_ROW_HEIGHT - 4);
+      markerEnd = textX + ctx.measureText(marker.label).width;
+    });
+
+    // Row divider
+    ctx.strokeStyle = '#2e2e2e';
+    ctx.beginPath();
+    ctx.moveTo(0, BAR_ROW_HEIGHT + 0.5);
+    ctx.lineTo(width, BAR_ROW_HEIGHT + 0.5);
+    ctx.stroke();
+
+    // --- Clock time ---
+    ctx.font = '10px Arial';
     ctx.fillStyle = '#888';
     ctx.strokeStyle = '#444';
     ctx.lineWidth = 1;
@@ -132,7 +382,7 @@ export default function MultitrackTimeline({
 
       // Major tick
       ctx.beginPath();
-      ctx.moveTo(x, height - 10);
+      ctx.moveTo(x, height - 8);
       ctx.lineTo(x, height);
       ctx.stroke();
 
@@ -154,7 +404,7 @@ export default function MultitrackTimeline({
 
       // Only draw text if it fits within canvas
       if (x + 50 < safeWidth) {
-        ctx.fillText(label, x + 3, height - 15);
+        ctx.fillText(label, x + 3, height - 10);
       }
     }
 
@@ -170,7 +420,7 @@ export default function MultitrackTimeline({
         if (x > safeWidth - 10) break;
 
         ctx.beginPath();
-        ctx.moveTo(x, height - 5);
+        ctx.moveTo(x, height - 4);
         ctx.lineTo(x, height);
         ctx.stroke();
       }
@@ -182,7 +432,7 @@ export default function MultitrackTimeline({
     ctx.moveTo(0, height - 0.5);
     ctx.lineTo(width, height - 0.5);
     ctx.stroke();
-  }, [containerWidth, duration, zoomLevel, tracks, timelineExtent]);
+  }, [containerWidth, duration, zoomLevel, tracks, timelineExtent, tempoMap]);
 
   // Update playhead position - REMOVED, now handled by MultitrackEditor
   // The MultitrackEditor component will control both playheads to ensure sync
@@ -234,7 +484,7 @@ export default function MultitrackTimeline({
       </style>
       <div
         className="timeline-container"
-        style={{ display: 'flex', height: '40px' }}
+        style={{ display: 'flex', height: `${RULER_HEIGHT}px` }}
       >
         {/* Sidebar spacer - matches add track button area */}
         <div
@@ -297,10 +547,13 @@ export default function MultitrackTimeline({
             ref={containerRef}
             className="multitrack-timeline"
             onClick={handleTimelineClick}
+            onPointerDown={handleRulerPointerDown}
+            onPointerMove={handleRulerPointerMove}
+            onPointerUp={handleRulerPointerUp}
             style={{
               position: 'relative',
               width: `${timelineWidth}px`,
-              height: '40px',
+              height: `${RULER_HEIGHT}px`,
               backgroundColor: '#1e1e1e',
               cursor: 'pointer',
               userSelect: 'none',
@@ -315,6 +568,31 @@ export default function MultitrackTimeline({
               }}
             />
 
+            {loopRegion && (
+              <TimelineRange
+                region={loopRegion}
+                top={0}
+                height={BAR_ROW_HEIGHT}
+                color={loopEnabled ? '#d4910b' : '#777777'}
+                pixelsPerSecond={zoomLevel}
+                title={`Loop (${loopEnabled ? 'on' : 'off'}) - double-click to toggle`}
+                onDragStart={(mode) => beginRangeDrag('loop', mode)}
+                onToggle={() => setLoopEnabled(!loopEnabled)}
+              />
+            )}
+            {punchRegion && (
+              <TimelineRange
+                region={punchRegion}
+                top={BAR_ROW_HEIGHT}
+                height={RULER_HEIGHT - BAR_ROW_HEIGHT}
+                color={punchEnabled ? '#e04848' : '#777777'}
+                pixelsPerSecond={zoomLevel}
+                title={`Punch in/out (${punchEnabled ? 'on' : 'off'}) - double-click to toggle`}
+                onDragStart={(mode) => beginRangeDrag('punch', mode)}
+                onToggle={() => setPunchEnabled(!punchEnabled)}
+              />
+            )}
+
             {/* Playhead - positioned relative to timeline container */}
             <div
               id="multitrack-timeline-playhead"
@@ -323,7 +601,7 @@ export default function MultitrackTimeline({
                 top: 0,
                 left: 0,
                 width: '2px',
-                height: '40px', // Only the height of the timeline
+                height: `${RULER_HEIGHT}px`, // Only the height of the timeline
                 backgroundColor: '#ff3030',
                 boxShadow: '0 0 3px rgba(255, 48, 48, 0.8)',
                 pointerEvents: 'none',
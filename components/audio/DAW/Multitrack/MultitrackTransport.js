@@ -3,7 +3,14 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 // Sentinel used when instruments don't return a preview handle
 const NO_TOKEN = Symbol('no_token');
-import { Button, ButtonGroup, ProgressBar } from 'react-bootstrap';
+import {
+  Button,
+  ButtonGroup,
+  Dropdown,
+  Overlay,
+  Popover,
+  ProgressBar,
+} from 'react-bootstrap';
 import {
   FaPlay,
   FaPause,
@@ -15,12 +22,24 @@ import {
   FaKeyboard,
   FaCircle,
 } from 'react-icons/fa';
-import { MdPiano } from 'react-icons/md';
+import { MdGraphicEq, MdLoop, MdPiano, MdTimer } from 'react-icons/md';
 import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  barToBeat,
+  beatToBarPosition,
+  beatToSeconds,
+  formatBarBeat,
+  secondsToBeat,
+} from '../../../../lib/tempoMap';
 import Metronome from './Metronome';
+import TempoMapEditor from './TempoMapEditor';
+import MasterLoudnessMeter from './MasterLoudnessMeter';
+import SpectrumAnalyzer from '../SpectrumAnalyzer';
+import mixerRouter from './MixerRouter';
 import PianoKeyboard from './PianoKeyboard';
 import MIDIInputManager from './MIDIInputManager';
 import MIDIDeviceSelector from './MIDIDeviceSelector';
+import LatencyCalibrationModal from './recording/LatencyCalibrationModal';
 
 export default function MultitrackTransport({
   showPiano: showPianoProp,
@@ -41,6 +60,17 @@ export default function MultitrackTransport({
     playNoteOnSelectedTrack,
     stopNoteOnSelectedTrack,
     addNoteToSelectedTrack,
+    tempoMap,
+    loopRegion,
+    setLoopRegion,
+    loopEnabled,
+    setLoopEnabled,
+    punchRegion,
+    setPunchRegion,
+    punchEnabled,
+    setPunchEnabled,
+    preRollBars,
+    setPreRollBars,
   } = useMultitrack();
 
   const [masterVolume, setMasterVolume] = useState(1);
@@ -50,12 +80,15 @@ export default function MultitrackTransport({
   const setShowPiano = setShowPianoProp ?? setShowPianoState;
   const [activeNotes, setActiveNotes] = useState([]);
   const previewTokensRef = useRef(new Map()); // note -> token
+  const [masterAnalyser, setMasterAnalyser] = useState(null);
+  const spectrumButtonRef = useRef(null);
 
   // MIDI device management state
   const [showMidiDeviceSelector, setShowMidiDeviceSelector] = useState(false);
   const [connectedMidiDevices, setConnectedMidiDevices] = useState([]);
   const [selectedMidiDevice, setSelectedMidiDevice] = useState(null);
   const [midiActivity, setMidiActivity] = useState(false);
+  const [showLatencyCalibration, setShowLatencyCalibration] = useState(false);
 
   // Ref to track previous isPlaying state for edge-triggered cleanup
   const prevIsPlayingRef = useRef(isPlaying);
@@ -147,8 +180,6 @@ export default function MultitrackTransport({
       return;
     }
 
-    const tempo = selectedMidiTrack.midiData?.tempo || 120;
-    const secPerBeat = 60 / tempo;
     const velocity = 0.85; // 0..1 for context
 
     const shouldCapture = isPlayingRef.current || showPiano;
@@ -191,9 +222,7 @@ export default function MultitrackTransport({
         const endSec = getCaptureSec();
         const durationSec = Math.max(0, endSec - live.startSec);
         if (durationSec > 0.04) {
-          const startBeat = live.startSec / secPerBeat;
-          const durationBeats = durationSec / secPerBeat;
-          addNoteToSelectedTrack(note, live.velocity, startBeat, durationBeats);
+          addNoteToSelectedTrack(note, live.velocity, live.startSec, durationSec);
         }
         liveNotesRef.current.delete(note);
       }
@@ -213,8 +242,6 @@ export default function MultitrackTransport({
       );
       if (!tr) return;
 
-      const tempo = tr.midiData?.tempo || 120;
-      const secPerBeat = 60 / tempo;
       // External MIDI records when: transport playing OR track is armed (independent of piano visibility)
       const shouldCapture = isPlayingRef.current || tr.armed;
 
@@ -259,13 +286,11 @@ export default function MultitrackTransport({
           const endSec = getCaptureSec();
           const durationSec = Math.max(0, endSec - live.startSec);
           if (durationSec > 0.02) {
-            const startBeat = live.startSec / secPerBeat;
-            const durationBeats = durationSec / secPerBeat;
             addNoteToSelectedTrack(
               message.note,
               live.velocity,
-              startBeat,
-              durationBeats,
+              live.startSec,
+              durationSec,
             );
           }
           liveNotesRef.current.delete(message.note);
@@ -382,6 +407,12 @@ export default function MultitrackTransport({
     return () => window.removeEventListener('keydown', handleKeyPress);
   }, [isPlaying, play, pause, stop]);
 
+  // Release the master spectrum analyser when hidden or unmounted
+  useEffect(() => {
+    if (!masterAnalyser) return undefined;
+    return () => mixerRouter.releaseAnalyser(null);
+  }, [masterAnalyser]);
+
   // Update volume on all tracks when master volume changes
   useEffect(() => {
     // This would typically be handled by a master gain node
@@ -425,6 +456,29 @@ export default function MultitrackTransport({
     }
   }, [onActiveNotesChange, activeNotes]);
 
+  // `count` bars from the start of the bar under the playhead; used when
+  // loop or punch is switched on before a range was dragged on the ruler
+  const barsAtPlayhead = (count) => {
+    const { bar } = beatToBarPosition(
+      tempoMap,
+      secondsToBeat(tempoMap, currentTime),
+    );
+    return {
+      start: beatToSeconds(tempoMap, barToBeat(tempoMap, bar)),
+      end: beatToSeconds(tempoMap, barToBeat(tempoMap, bar + count)),
+    };
+  };
+
+  const toggleLoop = () => {
+    if (!loopRegion) setLoopRegion(barsAtPlayhead(4));
+    setLoopEnabled(!loopEnabled);
+  };
+
+  const togglePunch = () => {
+    if (!punchRegion) setPunchRegion(barsAtPlayhead(1));
+    setPunchEnabled(!punchEnabled);
+  };
+
   return (
     <div className="multitrack-transport-container">
       {/* Transport Controls Only - Piano moved to bottom of editor */}
@@ -479,9 +533,58 @@ export default function MultitrackTransport({
           </button>
         </div>
 
+        {/* Loop, punch-in/out and pre-roll (ranges are dragged on the ruler) */}
+        <ButtonGroup size="sm">
+          <Button
+            variant={loopEnabled ? 'warning' : 'outline-secondary'}
+            onClick={toggleLoop}
+            title={
+              loopEnabled
+                ? 'Loop on: recording records a take per pass'
+                : 'Loop playback (drag on the bar numbers to set the range)'
+            }
+          >
+            <MdLoop />
+          </Button>
+          <Button
+            variant={punchEnabled ? 'danger' : 'outline-secondary'}
+            onClick={togglePunch}
+            title={
+              punchEnabled
+                ? 'Punch on: recording only replaces the punch range'
+                : 'Punch in/out (drag under the bar numbers to set the range)'
+            }
+          >
+            <FaCircle size={8} /> Punch
+          </Button>
+          <Dropdown as={ButtonGroup}>
+            <Dropdown.Toggle
+              size="sm"
+              variant="outline-secondary"
+              title="Playback starts this far before the punch-in or loop when recording"
+            >
+              Pre-roll: {preRollBars ? `${preRollBars} bar${preRollBars > 1 ? 's' : ''}` : 'off'}
+            </Dropdown.Toggle>
+            <Dropdown.Menu variant="dark">
+              {[0, 1, 2].map((bars) => (
+                <Dropdown.Item
+                  key={bars}
+                  active={bars === preRollBars}
+                  onClick={() => setPreRollBars(bars)}
+                >
+                  {bars ? `${bars} bar${bars > 1 ? 's' : ''}` : 'Off'}
+                </Dropdown.Item>
+              ))}
+            </Dropdown.Menu>
+          </Dropdown>
+        </ButtonGroup>
+
         {/* Progress Bar */}
         <div className="flex-grow-1 d-flex align-items-center gap-2">
           <span className="time-display">{formatTime(currentTime)}</span>
+          <span className="time-display text-muted" title="Bar.Beat">
+            {formatBarBeat(tempoMap, currentTime)}
+          </span>
           <div
             className="progress flex-grow-1"
             style={{ height: '6px', cursor: 'pointer' }}
@@ -492,8 +595,9 @@ export default function MultitrackTransport({
           <span className="time-display">{formatTime(duration)}</span>
         </div>
 
-        {/* Metronome */}
-        <Metronome tempo={120} />
+        {/* Metronome and tempo map */}
+        <Metronome />
+        <TempoMapEditor />
 
         {/* MIDI Device Button */}
         <Button
@@ -516,6 +620,16 @@ export default function MultitrackTransport({
           {midiActivity && <span className="ms-1">●</span>}
         </Button>
 
+        {/* Recording latency calibration */}
+        <Button
+          size="sm"
+          variant="outline-secondary"
+          onClick={() => setShowLatencyCalibration(true)}
+          title="Measure recording latency"
+        >
+          <MdTimer />
+        </Button>
+
         {/* Piano Toggle */}
         <Button
           size="sm"
@@ -555,6 +669,41 @@ export default function MultitrackTransport({
           />
         </div>
 
+        {/* Master loudness and spectrum */}
+        <MasterLoudnessMeter isPlaying={isPlaying} />
+        <Button
+          ref={spectrumButtonRef}
+          size="sm"
+          variant={masterAnalyser ? 'info' : 'outline-secondary'}
+          onClick={() =>
+            setMasterAnalyser(
+              masterAnalyser ? null : mixerRouter.getAnalyser(null),
+            )
+          }
+          title={
+            masterAnalyser
+              ? 'Hide master spectrum'
+              : 'Show master spectrum analyzer'
+          }
+        >
+          <MdGraphicEq />
+        </Button>
+        <Overlay
+          target={spectrumButtonRef.current}
+          show={!!masterAnalyser}
+          placement="bottom"
+        >
+          <Popover id="master-spectrum" style={{ maxWidth: 'none' }}>
+            <Popover.Body className="p-1">
+              <SpectrumAnalyzer
+                analyser={masterAnalyser}
+                width={360}
+                height={140}
+              />
+            </Popover.Body>
+          </Popover>
+        </Overlay>
+
         {/* Track Info */}
         <div className="track-info">
           <small className="text-muted">
@@ -580,6 +729,11 @@ export default function MultitrackTransport({
         midiInputManager={window.__midiInputManager || new MIDIInputManager()}
         currentDevice={selectedMidiDevice}
       />
+
+      <LatencyCalibrationModal
+        show={showLatencyCalibration}
+        onHide={() => setShowLatencyCalibration(false)}
+      />
     </div>
   );
 }
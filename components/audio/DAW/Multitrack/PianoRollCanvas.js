@@ -1,8 +1,14 @@
 // components/audio/DAW/Multitrack/PianoRollCanvas.js
 'use client';
 
-import { useRef, useEffect, useState, useCallback } from 'react';
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import { beatsToPixels, pixelsToBeats, secondsToBeats, calculatePlayheadPosition } from '../../../../lib/midiTimeUtils';
+import {
+  createTempoMap,
+  beatToSeconds,
+  secondsToBeat,
+  getGridBeats,
+} from '../../../../lib/tempoMap';
 
 const NOTE_HEIGHT = 20; // Height of each piano key row
 const MIN_NOTE = 21; // A0
@@ -18,6 +24,7 @@ export default function PianoRollCanvas({
   snapValue,
   zoom,
   tempo,
+  tempoMap,
   isPlaying,
   currentTime,
   scrollOffset,
@@ -42,9 +49,16 @@ export default function PianoRollCanvas({
   const PIXELS_PER_SECOND_AT_100_ZOOM = 100;
   const zoomScale = zoom.x / 100; // Treat zoom.x as a percentage like main editor
   const pixelsPerSecond = PIXELS_PER_SECOND_AT_100_ZOOM * zoomScale;
-  const pixelsPerBeat = pixelsPerSecond / ((tempo || 120) / 60);
+  // Beats follow the project tempo map; without one, the track's tempo
+  const map = useMemo(
+    () => tempoMap || createTempoMap(tempo || 120),
+    [tempoMap, tempo],
+  );
   const noteHeight = NOTE_HEIGHT * zoom.y;
-  const gridWidth = Math.max(canvasSize.width, pixelsPerBeat * 64);
+  const gridWidth = Math.max(
+    canvasSize.width,
+    beatToSeconds(map, 64) * pixelsPerSecond,
+  );
   const gridHeight = Math.max(canvasSize.height, TOTAL_NOTES * noteHeight);
 
   // Update canvas size when zoom changes
@@ -61,20 +75,24 @@ export default function PianoRollCanvas({
   }, [zoom, canvasSize, gridWidth, gridHeight]);
 
   // Helper functions with bounds checking
-  // NOTE: Piano roll uses beat-based grid for visual display, but notes are stored in seconds
+  // NOTE: Piano roll uses beat-based grid for visual display, but notes are stored in seconds.
+  // The x axis is in seconds like the main editor, so beats are spaced by the tempo map.
   const pixelToTime = (x) => {
     // Convert pixel to beats for grid snapping
-    return Math.max(0, x / pixelsPerBeat);
+    return secondsToBeat(map, Math.max(0, x / pixelsPerSecond));
   };
 
   const timeToPixel = (time) => {
     // Convert beats to pixels for grid display
-    return time * pixelsPerBeat;
+    return beatToSeconds(map, time) * pixelsPerSecond;
   };
 
   // Convert between seconds (storage) and beats (display)
-  const secondsToBeats = (seconds) => seconds * ((tempo || 120) / 60);
-  const beatsToSeconds = (beats) => beats / ((tempo || 120) / 60);
+  const secondsToBeats = (seconds) => secondsToBeat(map, seconds);
+  const beatsToSeconds = (beats) => beatToSeconds(map, beats);
+  // Seconds taken by a run of beats, which depends on where it starts
+  const beatSpanToSeconds = (startBeats, lengthBeats) =>
+    beatsToSeconds(startBeats + lengthBeats) - beatsToSeconds(startBeats);
 
   const pixelToNote = (y) => {
     // y is relative to the canvas content; do not add scroll here.
@@ -125,18 +143,17 @@ export default function PianoRollCanvas({
       ctx.fillStyle = '#2a2a2a';
       ctx.fillRect(0, 0, actualCanvasSize.width, actualCanvasSize.height);
 
-      // Vertical lines (beats)
-      for (let beat = 0; beat < 64; beat++) {
+      // Vertical lines (beats, heavier on bar lines)
+      const lastBeat = pixelToTime(actualCanvasSize.width);
+      getGridBeats(map, 0, lastBeat, 'beat').forEach(({ beat, isBar }) => {
         const x = timeToPixel(beat);
-        if (x < 0 || x > actualCanvasSize.width) continue;
-
-        ctx.strokeStyle = beat % 4 === 0 ? '#444' : '#333';
-        ctx.lineWidth = beat % 4 === 0 ? 1.5 : 1;
+        ctx.strokeStyle = isBar ? '#444' : '#333';
+        ctx.lineWidth = isBar ? 1.5 : 1;
         ctx.beginPath();
         ctx.moveTo(x, 0);
         ctx.lineTo(x, actualCanvasSize.height);
         ctx.stroke();
-      }
+      });
 
       // Horizontal lines (notes)
       for (let note = MIN_NOTE; note <= MAX_NOTE; note++) {
@@ -161,7 +178,7 @@ export default function PianoRollCanvas({
         ctx.stroke();
       }
     },
-    [actualCanvasSize, pixelsPerBeat, noteHeight],
+    [actualCanvasSize, map, pixelsPerSecond, noteHeight],
   );
 
   // Draw notes
@@ -174,16 +191,16 @@ export default function PianoRollCanvas({
         const logKey = notes.map(n => `${n.note}-${n.startTime}`).join(',');
         if (window.__lastPianoRollNotesKey !== logKey) {
           console.log(`🎹 PianoRoll Drawing ${notes.length} notes:`);
-          console.log(`   Tempo: ${tempo} BPM, PixelsPerBeat: ${pixelsPerBeat.toFixed(1)}px`);
+          console.log(`   Tempo: ${map.tempos[0].bpm} BPM, PixelsPerSecond: ${pixelsPerSecond.toFixed(1)}px`);
           console.log(`   First 3 notes:`, notes.slice(0, 3).map(n => {
             const startBeats = secondsToBeats(n.startTime);
-            const durationBeats = secondsToBeats(n.duration);
+            const durationBeats = secondsToBeats(n.startTime + n.duration) - startBeats;
             return {
               pitch: n.note,
               startTime: `${n.startTime?.toFixed?.(3) ?? n.startTime}s (${startBeats.toFixed(3)} beats)`,
               duration: `${n.duration?.toFixed?.(3) ?? n.duration}s (${durationBeats.toFixed(3)} beats)`,
               startX: `${timeToPixel(startBeats).toFixed(1)}px`,
-              width: `${(durationBeats * pixelsPerBeat).toFixed(1)}px`
+              width: `${(n.duration * pixelsPerSecond).toFixed(1)}px`
             };
           }));
           window.__lastPianoRollNotesKey = logKey;
@@ -193,11 +210,10 @@ export default function PianoRollCanvas({
       notes.forEach((note) => {
         // Convert note times from seconds to beats for display
         const startBeats = secondsToBeats(note.startTime);
-        const durationBeats = secondsToBeats(note.duration);
 
         const x = timeToPixel(startBeats);
         const y = noteToPixel(note.note);
-        const width = Math.max(durationBeats * pixelsPerBeat, 5); // Minimum 5px width
+        const width = Math.max(note.duration * pixelsPerSecond, 5); // Minimum 5px width
         const height = noteHeight - 2;
 
         // Skip if outside visible area
@@ -234,7 +250,8 @@ export default function PianoRollCanvas({
       selectedNotes,
       actualCanvasSize,
       instrument,
-      pixelsPerBeat,
+      map,
+      pixelsPerSecond,
       noteHeight,
     ],
   );
@@ -267,14 +284,14 @@ export default function PianoRollCanvas({
   const drawPlayhead = useCallback(
     (ctx) => {
       if (!isPlaying) return;
-      // currentTime is in seconds, convert to beats for beat-based grid display
+      // currentTime is in seconds, like the x axis
       const currentBeat = secondsToBeats(currentTime);
-      const x = timeToPixel(currentBeat);
+      const x = currentTime * pixelsPerSecond;
       if (x < 0 || x > actualCanvasSize.width) return;
 
       // Log playhead position for debugging
       if (Math.floor(currentTime * 10) % 10 === 0) { // Log every 0.1 seconds
-        console.log(`🎹 PianoRoll Playhead: currentTime=${currentTime.toFixed(3)}s, currentBeat=${currentBeat.toFixed(3)} beats, x=${x.toFixed(1)}px, pixelsPerBeat=${pixelsPerBeat.toFixed(1)}`);
+        console.log(`🎹 PianoRoll Playhead: currentTime=${currentTime.toFixed(3)}s, currentBeat=${currentBeat.toFixed(3)} beats, x=${x.toFixed(1)}px, pixelsPerSecond=${pixelsPerSecond.toFixed(1)}`);
       }
 
       ctx.strokeStyle = '#ff3030';
@@ -284,7 +301,7 @@ export default function PianoRollCanvas({
       ctx.lineTo(x, actualCanvasSize.height);
       ctx.stroke();
     },
-    [isPlaying, currentTime, actualCanvasSize, tempo, timeToPixel, pixelsPerBeat],
+    [isPlaying, currentTime, actualCanvasSize, map, pixelsPerSecond],
   );
 
   // Main draw function with error handling
@@ -364,7 +381,7 @@ export default function PianoRollCanvas({
         id: `note-${Date.now()}`,
         note: pitch,
         startTime: beatsToSeconds(timeInBeats),
-        duration: beatsToSeconds(durationBeats),
+        duration: beatSpanToSeconds(timeInBeats, durationBeats),
         velocity: 100,
       };
       onNotesUpdate([...notes, newNote]);
@@ -448,7 +465,7 @@ export default function PianoRollCanvas({
           updatedNotes[noteIndex] = {
             ...draggedNote,
             startTime: beatsToSeconds(newStartTimeBeats),
-            duration: beatsToSeconds(newDurationBeats),
+            duration: beatSpanToSeconds(newStartTimeBeats, newDurationBeats),
           };
         } else if (mouseState.dragType === 'right') {
           const newEndTimeBeats = snapToGrid(pixelToTime(x));
@@ -460,7 +477,7 @@ export default function PianoRollCanvas({
 
           updatedNotes[noteIndex] = {
             ...draggedNote,
-            duration: beatsToSeconds(newDurationBeats),
+            duration: beatSpanToSeconds(startTimeBeats, newDurationBeats),
           };
         }
 
@@ -29,6 +29,7 @@ export default function PianoRollEditor({
   isPlaying = false,
   currentTime = 0,
   tempo = 120,
+  tempoMap,
 }) {
   // Editor state
   const [notes, setNotes] = useState(initialNotes);
@@ -382,6 +383,7 @@ export default function PianoRollEditor({
               isPlaying={isPlaying}
               currentTime={currentTime}
               tempo={tempo}
+              tempoMap={tempoMap}
               instrument={instrument}
               canvasSize={{ width: 2000, height: 88 * 20 }}
             />
@@ -0,0 +1,156 @@
+// components/audio/DAW/Multitrack/ProjectMenu.js
+'use client';
+
+import { useRef, useState } from 'react';
+import { Dropdown, Spinner } from 'react-bootstrap';
+import { FaFolderOpen, FaSave, FaFileExport, FaKeyboard } from 'react-icons/fa';
+import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  serializeProject,
+  deserializeProject,
+  downloadProjectFile,
+  readProjectFile,
+  PROJECT_FILE_EXTENSION,
+} from '../../../../lib/projectFile';
+import { exportArrangementToMIDIFile } from '../../../../lib/midiFileExport';
+
+/**
+ * Save / open multitrack project files
+ */
+export default function ProjectMenu({ logOperation = null }) {
+  const { getProjectState, loadProject, tracks, tempoMap } = useMultitrack();
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [projectName, setProjectName] = useState('My Project');
+
+  const handleSave = async (embedAudio) => {
+    setBusy(true);
+    try {
+      const doc = await serializeProject(getProjectState(), {
+        embedAudio,
+        name: projectName,
+      });
+      downloadProjectFile(doc, projectName);
+
+      if (logOperation) {
+        logOperation('project_saved', {
+          trackCount: doc.tracks.length,
+          embedAudio,
+        });
+      }
+    } catch (err) {
+      console.error('❌ ProjectMenu: Save failed:', err);
+      alert('Failed to save project: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExportMIDI = () => {
+    try {
+      exportArrangementToMIDIFile(
+        tracks,
+        { name: projectName, tempoMap },
+        `${projectName.replace(/[^\w\- ]+/g, '_') || 'arrangement'}.mid`,
+      );
+
+      if (logOperation) {
+        logOperation('midi_arrangement_exported', {
+          trackCount: tracks.filter((t) => t.type === 'midi').length,
+        });
+      }
+    } catch (err) {
+      console.error('❌ ProjectMenu: MIDI export failed:', err);
+      alert('Failed to export MIDI: ' + err.message);
+    }
+  };
+
+  const handleOpenFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (
+      tracks.length > 0 &&
+      !window.confirm(
+        'Opening a project replaces all current tracks. Continue?',
+      )
+    ) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const doc = await readProjectFile(file);
+      const project = await deserializeProject(doc);
+      loadProject(project);
+      setProjectName(project.name);
+
+      if (logOperation) {
+        logOperation('project_loaded', { trackCount: project.tracks.length });
+      }
+    } catch (err) {
+      console.error('❌ ProjectMenu: Open failed:', err);
+      alert('Failed to open project: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={`${PROJECT_FILE_EXTENSION},application/json`}
+        style={{ display: 'none' }}
+        onChange={handleOpenFile}
+      />
+      <Dropdown drop="down" align="end">
+        <Dropdown.Toggle variant="outline-secondary" size="sm" disabled={busy}>
+          {busy ? <Spinner animation="border" size="sm" /> : <FaSave />} Project
+        </Dropdown.Toggle>
+        <Dropdown.Menu
+          renderOnMount={true}
+          popperConfig={{ strategy: 'fixed' }}
+        >
+          <Dropdown.Header>
+            <input
+              type="text"
+              className="form-control form-control-sm"
+              value={projectName}
+              onChange={(e) => setProjectName(e.target.value)}
+              onClick={(e) => e.stopPropagation()}
+              onKeyDown={(e) => e.stopPropagation()}
+              placeholder="Project name"
+            />
+          </Dropdown.Header>
+          <Dropdown.Item
+            onClick={() => handleSave(false)}
+            disabled={tracks.length === 0}
+          >
+            <FaSave /> Save Project
+          </Dropdown.Item>
+          <Dropdown.Item
+            onClick={() => handleSave(true)}
+            disabled={tracks.length === 0}
+            title="Embed all audio, including server takes, for offline use"
+          >
+            <FaFileExport /> Save Project with All Audio
+          </Dropdown.Item>
+          <Dropdown.Item
+            onClick={handleExportMIDI}
+            disabled={!tracks.some((t) => t.type === 'midi')}
+            title="All MIDI tracks as a Standard MIDI File (format 1) for notation software or another DAW"
+          >
+            <FaKeyboard /> Export MIDI Tracks (.mid)
+          </Dropdown.Item>
+          <Dropdown.Divider />
+          <Dropdown.Item onClick={() => fileInputRef.current?.click()}>
+            <FaFolderOpen /> Open Project…
+          </Dropdown.Item>
+        </Dropdown.Menu>
+      </Dropdown>
+    </>
+  );
+}
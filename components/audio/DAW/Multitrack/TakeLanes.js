@@ -0,0 +1,371 @@
+// components/audio/DAW/Multitrack/TakeLanes.js
+'use client';
+
+import { useEffect, useRef, useState, memo } from 'react';
+import { Button, Spinner } from 'react-bootstrap';
+import { FaCheck, FaCompressArrowsAlt, FaTrash } from 'react-icons/fa';
+import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import audioContextManager from './AudioContextManager';
+import { decodeAudioFromURL } from './AudioEngine';
+import {
+  compTakeRange,
+  flattenComp,
+  removeTake,
+  selectCompRange,
+} from './comping';
+
+export const TAKE_LANE_HEIGHT = 48;
+export const TAKE_LANES_HEADER_HEIGHT = 28;
+
+const PIXELS_PER_SECOND_AT_100_ZOOM = 100;
+// Browsers refuse canvases much wider than this; longer takes are stretched
+const MAX_CANVAS_WIDTH = 16384;
+
+/**
+ * Height of a track's open take lanes (0 when closed)
+ * @param {Object} track
+ * @returns {number}
+ */
+export function takeLanesHeight(track) {
+  const count = track.takes?.length || 0;
+  if (!track.showTakes || count === 0) return 0;
+  return TAKE_LANES_HEADER_HEIGHT + count * TAKE_LANE_HEIGHT;
+}
+
+function TakeWaveform({ src, width, height, color }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    decodeAudioFromURL(src)
+      .then((buffer) => {
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas || !buffer) return;
+        const columns = Math.max(
+          1,
+          Math.min(MAX_CANVAS_WIDTH, Math.round(width)),
+        );
+        canvas.width = columns;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const data = buffer.getChannelData(0);
+        const step = data.length / columns;
+        const mid = height / 2;
+        ctx.fillStyle = color;
+        for (let x = 0; x < columns; x++) {
+          let min = 0;
+          let max = 0;
+          const end = Math.min(data.length, Math.floor((x + 1) * step));
+          for (let i = Math.floor(x * step); i < end; i++) {
+            if (data[i] < min) min = data[i];
+            if (data[i] > max) max = data[i];
+          }
+          ctx.fillRect(x, mid - max * mid, 1, Math.max(1, (max - min) * mid));
+        }
+      })
+      .catch((error) =>
+        console.warn('🎙️ TakeLanes: Could not draw take', error),
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [src, width, height, color]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ width: `${width}px`, height: `${height}px`, display: 'block' }}
+    />
+  );
+}
+
+/**
+ * Recorded takes of an audio track, one lane each, under the track.
+ * Drag across a lane to make that take play there (swipe comping); the
+ * track's clips follow the comp, crossfaded at each change of take.
+ */
+function TakeLanes({ track, zoomLevel = 100, logOperation = null }) {
+  const { updateTrack, snapTimeToGrid } = useMultitrack();
+  const [swipe, setSwipe] = useState(null); // { takeId, from, to }
+  const [isFlattening, setIsFlattening] = useState(false);
+  const swipeRef = useRef(null);
+
+  const takes = track.takes || [];
+  const comp = track.comp || [];
+  const color = track.color || '#7bafd4';
+  const pixelsPerSecond = PIXELS_PER_SECOND_AT_100_ZOOM * (zoomLevel / 100);
+
+  // What the comp would be if the current swipe were released now
+  const shownComp = swipe
+    ? selectCompRange(
+        comp,
+        swipe.takeId,
+        Math.min(swipe.from, swipe.to),
+        Math.max(swipe.from, swipe.to),
+      )
+    : comp;
+
+  const timeAt = (e, element) => {
+    const rect = element.getBoundingClientRect();
+    return snapTimeToGrid(
+      Math.max(0, (e.clientX - rect.left) / pixelsPerSecond),
+    );
+  };
+
+  const handlePointerDown = (take) => (e) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    const element = e.currentTarget;
+    element.setPointerCapture(e.pointerId);
+    const time = timeAt(e, element);
+    swipeRef.current = { element, takeId: take.id, from: time };
+    setSwipe({ takeId: take.id, from: time, to: time });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!swipeRef.current) return;
+    const to = timeAt(e, swipeRef.current.element);
+    setSwipe((current) => current && { ...current, to });
+  };
+
+  const handlePointerUp = (e) => {
+    const active = swipeRef.current;
+    if (!active) return;
+    active.element.releasePointerCapture?.(e.pointerId);
+    const to = timeAt(e, active.element);
+    swipeRef.current = null;
+    setSwipe(null);
+    if (Math.abs(to - active.from) < 1e-3) return;
+    updateTrack(track.id, (t) =>
+      compTakeRange(
+        t,
+        active.takeId,
+        Math.min(active.from, to),
+        Math.max(active.from, to),
+      ),
+    );
+  };
+
+  const handleFlatten = async () => {
+    setIsFlattening(true);
+    try {
+      const flattened = await flattenComp(
+        track,
+        audioContextManager.getContext().sampleRate,
+      );
+      if (flattened) {
+        updateTrack(track.id, { ...flattened, showTakes: false });
+        logOperation?.('comp_flattened', {
+          trackId: track.id,
+          takeCount: takes.length,
+        });
+      }
+    } catch (error) {
+      console.error('🎙️ TakeLanes: Flattening the comp failed', error);
+    } finally {
+      setIsFlattening(false);
+    }
+  };
+
+  const sidebarSpacer = (
+    <div
+      style={{
+        width: '80px',
+        flexShrink: 0,
+        backgroundColor: '#1e1e1e',
+        borderRight: '1px solid #3a3a3a',
+        position: 'sticky',
+        left: 0,
+        zIndex: 10,
+      }}
+    />
+  );
+
+  const controlsStyle = {
+    width: '230px',
+    flexShrink: 0,
+    padding: '4px 10px',
+    backgroundColor: '#1b1b1b',
+    borderRight: '1px solid #444',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    position: 'sticky',
+    left: '80px',
+    zIndex: 9,
+  };
+
+  return (
+    <div className="take-lanes">
+      {/* Header: the comp as it plays */}
+      <div
+        style={{
+          display: 'flex',
+          height: `${TAKE_LANES_HEADER_HEIGHT}px`,
+          borderBottom: '1px solid #3a3a3a',
+        }}
+      >
+        {sidebarSpacer}
+        <div style={controlsStyle}>
+          <span style={{ flex: 1, fontSize: '0.75rem', color: '#ccc' }}>
+            Takes ({takes.length})
+          </span>
+          <Button
+            size="sm"
+            variant="outline-primary"
+            onClick={handleFlatten}
+            disabled={isFlattening || comp.length === 0}
+            title="Render the comp into a single clip and remove the takes"
+            style={{ fontSize: '0.7rem', padding: '0 6px' }}
+          >
+            {isFlattening ? (
+              <Spinner animation="border" size="sm" />
+            ) : (
+              <>
+                <FaCompressArrowsAlt /> Flatten
+              </>
+            )}
+          </Button>
+        </div>
+        <div
+          style={{ flex: 1, position: 'relative', backgroundColor: '#202020' }}
+        >
+          {shownComp.map((segment) => {
+            const index = takes.findIndex((t) => t.id === segment.takeId);
+            return (
+              <div
+                key={`${segment.takeId}-${segment.start}`}
+                title={takes[index]?.name}
+                style={{
+                  position: 'absolute',
+                  top: 4,
+                  bottom: 4,
+                  left: segment.start * pixelsPerSecond,
+                  width: (segment.end - segment.start) * pixelsPerSecond,
+                  backgroundColor: color,
+                  opacity: 0.8,
+                  borderLeft: '1px solid #111',
+                  fontSize: '10px',
+                  color: '#111',
+                  paddingLeft: 3,
+                  overflow: 'hidden',
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                {index + 1}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* One lane per take */}
+      {takes.map((take, index) => {
+        const selected = shownComp.filter((s) => s.takeId === take.id);
+        return (
+          <div
+            key={take.id}
+            style={{
+              display: 'flex',
+              height: `${TAKE_LANE_HEIGHT}px`,
+              borderBottom: '1px solid #3a3a3a',
+            }}
+          >
+            {sidebarSpacer}
+            <div style={controlsStyle}>
+              <span
+                style={{
+                  flex: 1,
+                  fontSize: '0.75rem',
+                  color: selected.length ? '#eee' : '#888',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap',
+                }}
+                title={take.name}
+              >
+                {index + 1}. {take.name}
+              </span>
+              <Button
+                size="sm"
+                variant="outline-success"
+                onClick={() =>
+                  updateTrack(track.id, (t) =>
+                    compTakeRange(
+                      t,
+                      take.id,
+                      take.start,
+                      take.start + take.duration,
+                    ),
+                  )
+                }
+                title="Use this whole take"
+              >
+                <FaCheck />
+              </Button>
+              <Button
+                size="sm"
+                variant="outline-danger"
+                onClick={() =>
+                  updateTrack(track.id, (t) => removeTake(t, take.id))
+                }
+                title="Delete take"
+              >
+                <FaTrash />
+              </Button>
+            </div>
+            <div
+              style={{
+                flex: 1,
+                position: 'relative',
+                backgroundColor: '#262626',
+                cursor: 'text',
+              }}
+              onPointerDown={handlePointerDown(take)}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+            >
+              <div
+                style={{
+                  position: 'absolute',
+                  top: 2,
+                  left: take.start * pixelsPerSecond,
+                  width: take.duration * pixelsPerSecond,
+                  height: TAKE_LANE_HEIGHT - 4,
+                  backgroundColor: 'rgba(255, 255, 255, 0.04)',
+                  border: '1px solid #444',
+                  borderRadius: 3,
+                  overflow: 'hidden',
+                  pointerEvents: 'none',
+                }}
+              >
+                {/* Parts of this take that are in the comp */}
+                {selected.map((segment) => (
+                  <div
+                    key={segment.start}
+                    style={{
+                      position: 'absolute',
+                      top: 0,
+                      bottom: 0,
+                      left: (segment.start - take.start) * pixelsPerSecond,
+                      width: (segment.end - segment.start) * pixelsPerSecond,
+                      backgroundColor: `${color}55`,
+                    }}
+                  />
+                ))}
+                <TakeWaveform
+                  src={take.src}
+                  width={take.duration * pixelsPerSecond}
+                  height={TAKE_LANE_HEIGHT - 6}
+                  color={selected.length ? color : '#777'}
+                />
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default memo(TakeLanes);
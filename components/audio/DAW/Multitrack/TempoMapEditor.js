@@ -0,0 +1,354 @@
+// components/audio/DAW/Multitrack/TempoMapEditor.js
+'use client';
+
+import { useState } from 'react';
+import { Button, Form, Modal, Table } from 'react-bootstrap';
+import { FaTrash, FaPlus } from 'react-icons/fa';
+import { MdTimeline } from 'react-icons/md';
+import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  MIN_BPM,
+  MAX_BPM,
+  barToBeat,
+  beatToBarPosition,
+  isConstantTempoMap,
+  secondsToBeat,
+  setMeterChange,
+  setTempoPoint,
+  tempoAtBeat,
+} from '../../../../lib/tempoMap';
+
+const DENOMINATORS = [2, 4, 8, 16];
+
+/**
+ * Toolbar button and modal for editing the project tempo/meter map.
+ * Tempo changes are placed by bar and beat; meter changes start a bar.
+ */
+export default function TempoMapEditor({ logOperation = null }) {
+  const { tempoMap, setTempoMap, currentTime } = useMultitrack();
+  const [show, setShow] = useState(false);
+
+  const updateMap = (next, operation, details) => {
+    setTempoMap(next);
+    if (logOperation) logOperation(operation, details);
+  };
+
+  // Beat position of a bar.beat pair (beat counted in the meter's unit)
+  const positionToBeat = (bar, beatInBar) => {
+    const barStart = barToBeat(tempoMap, bar);
+    const { meter } = beatToBarPosition(tempoMap, barStart);
+    return barStart + ((beatInBar - 1) * 4) / meter.denominator;
+  };
+
+  const replaceTempoPoint = (point, updates) => {
+    const others = tempoMap.tempos.filter((p) => p !== point);
+    const next = { ...point, ...updates };
+    updateMap(
+      setTempoPoint({ ...tempoMap, tempos: others }, next),
+      'tempo_map_changed',
+      { beat: next.beat, bpm: next.bpm, ramp: next.ramp },
+    );
+  };
+
+  const addTempoPointAtPlayhead = () => {
+    const position = beatToBarPosition(
+      tempoMap,
+      secondsToBeat(tempoMap, currentTime || 0),
+    );
+    const beat = positionToBeat(
+      position.bar,
+      Math.floor(position.beat + 1e-6) + 1,
+    );
+    updateMap(
+      setTempoPoint(tempoMap, {
+        beat,
+        bpm: Math.round(tempoAtBeat(tempoMap, beat)),
+        ramp: false,
+      }),
+      'tempo_map_changed',
+      { beat, added: true },
+    );
+  };
+
+  const removeTempoPoint = (point) => {
+    updateMap(
+      { ...tempoMap, tempos: tempoMap.tempos.filter((p) => p !== point) },
+      'tempo_map_changed',
+      { beat: point.beat, removed: true },
+    );
+  };
+
+  const replaceMeter = (meter, updates) => {
+    const others = tempoMap.meters.filter((m) => m !== meter);
+    const next = { ...meter, ...updates };
+    updateMap(
+      setMeterChange({ ...tempoMap, meters: others }, next),
+      'meter_map_changed',
+      next,
+    );
+  };
+
+  const addMeterAtPlayhead = () => {
+    const position = beatToBarPosition(
+      tempoMap,
+      secondsToBeat(tempoMap, currentTime || 0),
+    );
+    // Start the new meter on the next bar line unless already on one
+    const bar = position.beat > 1e-6 ? position.bar + 1 : position.bar;
+    const { numerator, denominator } = position.meter;
+    updateMap(
+      setMeterChange(tempoMap, { bar, numerator, denominator }),
+      'meter_map_changed',
+      { bar, numerator, denominator, added: true },
+    );
+  };
+
+  const removeMeter = (meter) => {
+    updateMap(
+      { ...tempoMap, meters: tempoMap.meters.filter((m) => m !== meter) },
+      'meter_map_changed',
+      { bar: meter.bar, removed: true },
+    );
+  };
+
+  return (
+    <>
+      <Button
+        size="sm"
+        variant={
+          isConstantTempoMap(tempoMap) ? 'outline-secondary' : 'secondary'
+        }
+        onClick={() => setShow(true)}
+        title="Tempo and meter map"
+      >
+        <MdTimeline /> Map
+      </Button>
+
+      <Modal show={show} onHide={() => setShow(false)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Tempo &amp; Meter Map</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <h6 className="mb-0">Tempo</h6>
+            <Button
+              size="sm"
+              variant="outline-primary"
+              onClick={addTempoPointAtPlayhead}
+            >
+              <FaPlus /> Add at playhead
+            </Button>
+          </div>
+          <Table size="sm" variant="dark" className="mb-4">
+            <thead>
+              <tr>
+                <th>Bar</th>
+                <th>Beat</th>
+                <th>BPM</th>
+                <th title="Ramp linearly to the next tempo">Ramp</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {tempoMap.tempos.map((point, i) => {
+                const position = beatToBarPosition(tempoMap, point.beat);
+                const isFirst = i === 0;
+                const isLast = i === tempoMap.tempos.length - 1;
+                return (
+                  <tr key={i}>
+                    <td>
+                      <Form.Control
+                        key={position.bar}
+                        type="number"
+                        size="sm"
+                        min={1}
+                        defaultValue={position.bar}
+                        disabled={isFirst}
+                        onBlur={(e) => {
+                          const bar = parseInt(e.target.value, 10);
+                          if (bar >= 1) {
+                            replaceTempoPoint(point, {
+                              beat: positionToBeat(bar, position.beat + 1),
+                            });
+                          }
+                        }}
+                        style={{ width: 70 }}
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        key={Math.round((position.beat + 1) * 100) / 100}
+                        type="number"
+                        size="sm"
+                        min={1}
+                        max={position.meter.numerator}
+                        step="any"
+                        defaultValue={
+                          Math.round((position.beat + 1) * 100) / 100
+                        }
+                        disabled={isFirst}
+                        onBlur={(e) => {
+                          const beatInBar = parseFloat(e.target.value);
+                          if (
+                            beatInBar >= 1 &&
+                            beatInBar < position.meter.numerator + 1
+                          ) {
+                            replaceTempoPoint(point, {
+                              beat: positionToBeat(position.bar, beatInBar),
+                            });
+                          }
+                        }}
+                        style={{ width: 70 }}
+                      />
+                    </td>
+                    <td>
+                      <Form.Control
+                        key={point.bpm}
+                        type="number"
+                        size="sm"
+                        min={MIN_BPM}
+                        max={MAX_BPM}
+                        step="any"
+                        defaultValue={point.bpm}
+                        onBlur={(e) => {
+                          const bpm = parseFloat(e.target.value);
+                          if (bpm >= MIN_BPM && bpm <= MAX_BPM) {
+                            replaceTempoPoint(point, { bpm });
+                          }
+                        }}
+                        style={{ width: 90 }}
+                      />
+                    </td>
+                    <td>
+                      <Form.Check
+                        type="checkbox"
+                        id={`tempo-ramp-${i}`}
+                        checked={point.ramp}
+                        disabled={isLast}
+                        onChange={(e) =>
+                          replaceTempoPoint(point, { ramp: e.target.checked })
+                        }
+                      />
+                    </td>
+                    <td className="text-end">
+                      {!isFirst && (
+                        <Button
+                          size="sm"
+                          variant="outline-danger"
+                          onClick={() => removeTempoPoint(point)}
+                          title="Remove tempo change"
+                        >
+                          <FaTrash />
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <h6 className="mb-0">Meter</h6>
+            <Button
+              size="sm"
+              variant="outline-primary"
+              onClick={addMeterAtPlayhead}
+            >
+              <FaPlus /> Add at playhead
+            </Button>
+          </div>
+          <Table size="sm" variant="dark" className="mb-2">
+            <thead>
+              <tr>
+                <th>Bar</th>
+                <th>Time signature</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {tempoMap.meters.map((meter, i) => (
+                <tr key={i}>
+                  <td>
+                    <Form.Control
+                      key={meter.bar}
+                      type="number"
+                      size="sm"
+                      min={2}
+                      defaultValue={meter.bar}
+                      disabled={i === 0}
+                      onBlur={(e) => {
+                        const bar = parseInt(e.target.value, 10);
+                        if (bar >= 2) replaceMeter(meter, { bar });
+                      }}
+                      style={{ width: 70 }}
+                    />
+                  </td>
+                  <td>
+                    <div className="d-flex align-items-center gap-1">
+                      <Form.Control
+                        key={meter.numerator}
+                        type="number"
+                        size="sm"
+                        min={1}
+                        max={32}
+                        defaultValue={meter.numerator}
+                        onBlur={(e) => {
+                          const numerator = parseInt(e.target.value, 10);
+                          if (numerator >= 1 && numerator <= 32) {
+                            replaceMeter(meter, { numerator });
+                          }
+                        }}
+                        style={{ width: 60 }}
+                      />
+                      <span>/</span>
+                      <Form.Select
+                        size="sm"
+                        value={meter.denominator}
+                        onChange={(e) =>
+                          replaceMeter(meter, {
+                            denominator: Number(e.target.value),
+                          })
+                        }
+                        style={{ width: 70 }}
+                      >
+                        {DENOMINATORS.map((d) => (
+                          <option key={d} value={d}>
+                            {d}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </div>
+                  </td>
+                  <td className="text-end">
+                    {i > 0 && (
+                      <Button
+                        size="sm"
+                        variant="outline-danger"
+                        onClick={() => removeMeter(meter)}
+                        title="Remove meter change"
+                      >
+                        <FaTrash />
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <div className="text-muted small">
+            Values apply when you leave a field. Changing the map moves bars and
+            beats, not recorded audio or MIDI: clips and notes keep their place
+            in time.
+          </div>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShow(false)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+}
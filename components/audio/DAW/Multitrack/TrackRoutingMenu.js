@@ -0,0 +1,142 @@
+// components/audio/DAW/Multitrack/TrackRoutingMenu.js
+'use client';
+
+import { Dropdown, Form } from 'react-bootstrap';
+import { FaProjectDiagram } from 'react-icons/fa';
+import { useMultitrack } from '../../../../contexts/MultitrackContext';
+import {
+  canTrackSend,
+  getOutputOptions,
+  resolveOutputTarget,
+} from '../../../../lib/mixRouting';
+
+/**
+ * Output and send routing for one track.
+ * Reads the track from context (rather than props) so memoized track rows
+ * still pick up new buses and groups as they are added.
+ */
+export default function TrackRoutingMenu({ trackId, style }) {
+  const { tracks, updateTrack } = useMultitrack();
+  const track = tracks.find((t) => t.id === trackId);
+  if (!track) return null;
+
+  const outputOptions = getOutputOptions(track, tracks);
+  const buses = canTrackSend(track)
+    ? tracks.filter((t) => t.type === 'bus')
+    : [];
+  const sends = track.sends || [];
+  const outputId = resolveOutputTarget(track, tracks);
+  const isRouted = outputId != null || sends.some((s) => Number(s.level) > 0);
+
+  const updateSend = (busId, updates) => {
+    const existing = sends.find((s) => s.busId === busId);
+    const nextSends = existing
+      ? sends.map((s) => (s.busId === busId ? { ...s, ...updates } : s))
+      : [...sends, { busId, level: 0, preFader: false, ...updates }];
+    updateTrack(track.id, { sends: nextSends });
+  };
+
+  return (
+    <Dropdown
+      drop="end"
+      onClick={(e) => e.stopPropagation()}
+      style={{ flex: 1, display: 'flex', ...style }}
+    >
+      <Dropdown.Toggle
+        size="sm"
+        variant={isRouted ? 'info' : 'outline-secondary'}
+        title="Routing"
+        style={{ flex: 1 }}
+      >
+        <FaProjectDiagram />
+      </Dropdown.Toggle>
+      <Dropdown.Menu
+        renderOnMount={true}
+        popperConfig={{ strategy: 'fixed' }}
+        style={{ minWidth: 240, padding: '8px 12px' }}
+      >
+        <Form.Group className="mb-2">
+          <Form.Label style={{ fontSize: '0.75rem', marginBottom: 2 }}>
+            Output
+          </Form.Label>
+          <Form.Select
+            size="sm"
+            value={outputId ?? ''}
+            onChange={(e) =>
+              updateTrack(track.id, {
+                outputId: e.target.value === '' ? null : Number(e.target.value),
+              })
+            }
+          >
+            <option value="">Master</option>
+            {outputOptions.map((group) => (
+              <option key={group.id} value={group.id}>
+                {group.name}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+
+        {canTrackSend(track) && (
+          <>
+            <div style={{ fontSize: '0.75rem', marginBottom: 2 }}>Sends</div>
+            {buses.length === 0 && (
+              <div style={{ fontSize: '0.75rem', color: '#888' }}>
+                Add an aux bus track to create sends.
+              </div>
+            )}
+            {buses.map((bus) => {
+              const send = sends.find((s) => s.busId === bus.id);
+              const level = send ? Number(send.level) : 0;
+              return (
+                <div
+                  key={bus.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 6,
+                    fontSize: '0.75rem',
+                  }}
+                >
+                  <span
+                    style={{
+                      width: 70,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    }}
+                    title={bus.name}
+                  >
+                    {bus.name}
+                  </span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={level}
+                    onChange={(e) =>
+                      updateSend(bus.id, { level: parseFloat(e.target.value) })
+                    }
+                    style={{ flex: 1 }}
+                    title={`Send level ${Math.round(level * 100)}%`}
+                  />
+                  <Form.Check
+                    type="checkbox"
+                    id={`send-pre-${track.id}-${bus.id}`}
+                    label="Pre"
+                    checked={!!send?.preFader}
+                    onChange={(e) =>
+                      updateSend(bus.id, { preFader: e.target.checked })
+                    }
+                    title="Send before the track fader and pan"
+                  />
+                </div>
+              );
+            })}
+          </>
+        )}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+}
@@ -227,18 +227,25 @@ export function duplicateClips(clips, offsetTime = 0) {
 /**
  * Quantize clip positions to grid
  * @param {Array} clips - Clips to quantize
- * @param {number} gridSize - Grid size in seconds
+ * @param {number|Function} grid - Grid size in seconds, or a function that
+ *   snaps a time in seconds (e.g. the tempo-map grid from MultitrackContext)
  * @returns {Array} Quantized clips
  */
-export function quantizeClips(clips, gridSize) {
+export function quantizeClips(clips, grid) {
   // Safety check for undefined clips
   if (!clips || !Array.isArray(clips)) return [];
 
-  if (!gridSize || gridSize <= 0) return [...clips];
+  const snap =
+    typeof grid === 'function'
+      ? grid
+      : grid > 0
+        ? (sec) => Math.round(sec / grid) * grid
+        : null;
+  if (!snap) return [...clips];
 
   return clips.map((clip) => ({
     ...clip,
-    start: Math.round((clip.start || 0) / gridSize) * gridSize,
+    start: snap(clip.start || 0),
   }));
 }
 
@@ -279,3 +286,45 @@ export function createCrossfade(clipA, clipB, fadeTime) {
     },
   };
 }
+
+/**
+ * Gain of a clip's fade envelope at a point in the clip
+ * @param {Object} clip - Clip with duration and optional fadeIn/fadeOut (seconds)
+ * @param {number} time - Seconds from the start of the clip
+ * @returns {number} 0-1
+ */
+export function clipFadeGain(clip, time) {
+  const duration = clip.duration || 0;
+  const fadeIn = Math.min(clip.fadeIn || 0, duration);
+  const fadeOut = Math.min(clip.fadeOut || 0, duration - fadeIn);
+  let gain = 1;
+  if (fadeIn > 0 && time < fadeIn) gain = Math.max(0, time / fadeIn);
+  if (fadeOut > 0 && time > duration - fadeOut) {
+    gain = Math.min(gain, Math.max(0, (duration - time) / fadeOut));
+  }
+  return gain;
+}
+
+/**
+ * Schedule a clip's fade-in and fade-out on a gain parameter
+ * @param {AudioParam} param - Gain of a node the clip's source feeds
+ * @param {Object} clip - Clip with duration and optional fadeIn/fadeOut (seconds)
+ * @param {number} when - Context time at which playback reaches `from`
+ * @param {number} from - Seconds into the clip where playback starts
+ */
+export function scheduleClipFades(param, clip, when, from = 0) {
+  const duration = clip.duration || 0;
+  const fadeIn = Math.min(clip.fadeIn || 0, duration);
+  const fadeOut = Math.min(clip.fadeOut || 0, duration - fadeIn);
+  const at = (time) => when + (time - from);
+
+  param.setValueAtTime(clipFadeGain(clip, from), when);
+  if (fadeIn > 0 && from < fadeIn) {
+    param.linearRampToValueAtTime(1, at(fadeIn));
+  }
+  if (fadeOut > 0) {
+    const fadeOutStart = duration - fadeOut;
+    if (from < fadeOutStart) param.setValueAtTime(1, at(fadeOutStart));
+    param.linearRampToValueAtTime(0, at(duration));
+  }
+}
@@ -0,0 +1,409 @@
+// components/audio/DAW/Multitrack/comping.js
+'use client';
+
+/**
+ * Take lanes and comping for audio tracks
+ *
+ * Every recording pass on an audio track is kept as a take, and the comp
+ * says which take is heard when:
+ *
+ *   track.takes: [{ id, name, src, start, duration, sourceDuration, color?, createdAt }]
+ *   track.comp:  [{ takeId, start, end }]  // project seconds, sorted, non-overlapping
+ *
+ * The track's comp clips (clips with a takeId) are derived from the two,
+ * crossfading wherever one take hands over to another. Other clips on the
+ * track (imports, pasted audio) are left alone. A comp clip that has been
+ * moved, trimmed, split or deleted by hand leaves the comp: edited pieces
+ * stay on the track as ordinary clips and are not rebuilt from the take.
+ *
+ * MIDI tracks keep the notes of each pass over a range as a take instead:
+ *
+ *   track.midiTakes: [{ id, name, start, end, notes, createdAt }]
+ *   track.midiTakeId: the take whose notes are in midiData
+ */
+
+import { decodeAudioFromURL } from './AudioEngine';
+import { createCrossfade, scheduleClipFades } from './clipOperations';
+import { audioBufferToWav } from '../../../../lib/audioUtils';
+
+export const COMP_CROSSFADE_SEC = 0.02;
+
+const EPSILON = 1e-6;
+
+const takeEnd = (take) => take.start + take.duration;
+
+const compClipId = (takeId, start) =>
+  `comp-${takeId}-${Math.round(start * 1000)}`;
+
+/**
+ * Build a take from a finished recording
+ * @param {Object} recording
+ * @param {string} recording.src - Audio URL
+ * @param {number} recording.start - Timeline position in seconds
+ * @param {number} recording.duration
+ * @param {string} recording.name
+ * @returns {Object} Take
+ */
+export function createTake({ src, start = 0, duration, name, color }) {
+  return {
+    id: `take-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    src,
+    start: Math.max(0, start),
+    duration,
+    sourceDuration: duration,
+    color,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Join neighbouring segments that play the same take
+function mergeSegments(segments) {
+  const merged = [];
+  segments.forEach((segment) => {
+    const previous = merged[merged.length - 1];
+    if (
+      previous &&
+      previous.takeId === segment.takeId &&
+      Math.abs(previous.end - segment.start) < EPSILON
+    ) {
+      merged[merged.length - 1] = { ...previous, end: segment.end };
+    } else {
+      merged.push(segment);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Make one take play over a time range, cutting whatever the comp had there
+ * @param {Array} comp - Current comp segments
+ * @param {string} takeId
+ * @param {number} start - Project seconds
+ * @param {number} end
+ * @returns {Array} New comp segments
+ */
+export function selectCompRange(comp, takeId, start, end) {
+  if (end - start < EPSILON) return comp;
+
+  const segments = [];
+  (comp || []).forEach((segment) => {
+    if (segment.end <= start || segment.start >= end) {
+      segments.push(segment);
+      return;
+    }
+    if (segment.start < start) segments.push({ ...segment, end: start });
+    if (segment.end > end) segments.push({ ...segment, start: end });
+  });
+  segments.push({ takeId, start, end });
+  return mergeSegments(segments.sort((a, b) => a.start - b.start));
+}
+
+/**
+ * Comp clips for a set of takes, with crossfades at every boundary between
+ * two different takes. Each side of a boundary is extended by half the
+ * fade when its take has audio there.
+ * @param {Array} takes
+ * @param {Array} comp
+ * @param {Object} options
+ * @param {number} options.crossfade - Seconds (default COMP_CROSSFADE_SEC)
+ * @param {string} options.color - Fallback clip colour
+ * @returns {Array} Clips
+ */
+export function compToClips(
+  takes,
+  comp,
+  { crossfade = COMP_CROSSFADE_SEC, color } = {},
+) {
+  const takesById = new Map((takes || []).map((take) => [take.id, take]));
+  const clips = (comp || [])
+    .filter((segment) => takesById.has(segment.takeId))
+    .map((segment) => {
+      const take = takesById.get(segment.takeId);
+      return {
+        id: compClipId(take.id, segment.start),
+        takeId: take.id,
+        name: take.name,
+        src: take.src,
+        color: take.color || color,
+        start: segment.start,
+        duration: segment.end - segment.start,
+        offset: segment.start - take.start,
+        sourceDuration: take.sourceDuration ?? take.duration,
+      };
+    });
+
+  for (let i = 1; i < clips.length; i++) {
+    const before = clips[i - 1];
+    const after = clips[i];
+    const boundary = after.start;
+    if (before.takeId === after.takeId) continue;
+    if (Math.abs(before.start + before.duration - boundary) > EPSILON) continue;
+
+    const fade = createCrossfade(before, after, crossfade);
+    if (!fade) continue;
+    const half = Math.min(
+      fade.duration / 2,
+      takeEnd(takesById.get(before.takeId)) - boundary,
+      boundary - takesById.get(after.takeId).start,
+      before.duration,
+      after.duration,
+    );
+    if (half <= 0) continue;
+
+    before.duration += half;
+    before.fadeOut = half * 2;
+    after.start -= half;
+    after.offset -= half;
+    after.duration += half;
+    after.fadeIn = half * 2;
+  }
+  return clips;
+}
+
+// Comp clips still where the comp put them
+function isUntouched(clip, expected) {
+  return (
+    !!expected &&
+    Math.abs(clip.start - expected.start) < EPSILON &&
+    Math.abs(clip.duration - expected.duration) < EPSILON &&
+    Math.abs((clip.offset || 0) - expected.offset) < EPSILON
+  );
+}
+
+/**
+ * Fold clip edits back into the comp: segments whose clip was moved,
+ * trimmed, split or deleted leave it, and the edited clips lose their
+ * takeId so rebuilding the comp leaves them where the user put them
+ * @param {Object} track
+ * @returns {Object} track with { comp, clips } brought in line
+ */
+function syncComp(track) {
+  const expected = new Map(
+    compToClips(track.takes, track.comp, { color: track.color }).map((clip) => [
+      clip.id,
+      clip,
+    ]),
+  );
+  const untouched = new Set(
+    (track.clips || [])
+      .filter((clip) => clip.takeId && isUntouched(clip, expected.get(clip.id)))
+      .map((clip) => clip.id),
+  );
+  return {
+    ...track,
+    comp: (track.comp || []).filter((segment) =>
+      untouched.has(compClipId(segment.takeId, segment.start)),
+    ),
+    clips: (track.clips || []).map((clip) => {
+      if (!clip.takeId || untouched.has(clip.id)) return clip;
+      // A fresh id, so a later comp clip over the same spot can't clash
+      const { takeId, ...edited } = clip;
+      return {
+        ...edited,
+        id: `clip-${takeId}-${Math.random().toString(36).slice(2, 7)}`,
+      };
+    }),
+  };
+}
+
+/**
+ * Revoke the blob URLs of takes the updated track no longer plays
+ * @param {Object} track - Before the change
+ * @param {Object} updated - Fields handed to updateTrack
+ */
+function releaseTakeAudio(track, updated) {
+  const next = { ...track, ...updated };
+  const inUse = new Set([
+    next.audioURL,
+    ...(next.takes || []).map((take) => take.src),
+    ...(next.clips || []).map((clip) => clip.src),
+  ]);
+  (track.takes || []).forEach((take) => {
+    if (take.src?.startsWith('blob:') && !inUse.has(take.src)) {
+      URL.revokeObjectURL(take.src);
+    }
+  });
+}
+
+/**
+ * Track fields after changing takes or the comp
+ * @param {Object} track
+ * @param {Object} changes - { takes?, comp? }
+ * @returns {Object} { takes, comp, clips } for updateTrack
+ */
+export function applyComp(track, changes = {}) {
+  const synced = syncComp(track);
+  const takes = changes.takes ?? synced.takes ?? [];
+  const comp = changes.comp ?? synced.comp;
+  const otherClips = synced.clips.filter((clip) => !clip.takeId);
+  return {
+    takes,
+    comp,
+    clips: [...otherClips, ...compToClips(takes, comp, { color: track.color })],
+  };
+}
+
+/**
+ * Add a take; it plays over its whole range, like a new pass over the
+ * passage would
+ * @returns {Object} { takes, comp, clips } for updateTrack
+ */
+export function addTake(track, take) {
+  const synced = syncComp(track);
+  return applyComp(synced, {
+    takes: [...(synced.takes || []), take],
+    comp: selectCompRange(synced.comp, take.id, take.start, takeEnd(take)),
+  });
+}
+
+/**
+ * Swipe-comp: the given take plays over the part of [start, end] it covers
+ * @returns {Object} { takes, comp, clips } for updateTrack
+ */
+export function compTakeRange(track, takeId, start, end) {
+  const synced = syncComp(track);
+  const take = (synced.takes || []).find((t) => t.id === takeId);
+  if (!take) return applyComp(synced);
+  return applyComp(synced, {
+    comp: selectCompRange(
+      synced.comp,
+      takeId,
+      Math.max(start, take.start),
+      Math.min(end, takeEnd(take)),
+    ),
+  });
+}
+
+/**
+ * Remove a take. Where it was heard, the newest remaining take that covers
+ * the spot takes over. Its audio is released unless an edited clip still
+ * plays it.
+ * @returns {Object} { takes, comp, clips } for updateTrack
+ */
+export function removeTake(track, takeId) {
+  const synced = syncComp(track);
+  const takes = (synced.takes || []).filter((take) => take.id !== takeId);
+  let comp = synced.comp.filter((segment) => segment.takeId !== takeId);
+  synced.comp
+    .filter((segment) => segment.takeId === takeId)
+    .forEach((segment) => {
+      takes.forEach((take) => {
+        const start = Math.max(segment.start, take.start);
+        const end = Math.min(segment.end, takeEnd(take));
+        if (end > start) comp = selectCompRange(comp, take.id, start, end);
+      });
+    });
+  const updated = applyComp(synced, { takes, comp });
+  releaseTakeAudio(track, updated);
+  return updated;
+}
+
+/**
+ * Render the comp, crossfades included, into one clip and drop the takes
+ * @param {Object} track
+ * @param {number} sampleRate
+ * @returns {Promise<Object|null>} { takes, comp, clips } for updateTrack, or null without a comp
+ */
+export async function flattenComp(track, sampleRate = 44100) {
+  const compClips = syncComp(track).clips.filter((clip) => clip.takeId);
+  if (compClips.length === 0) return null;
+
+  const start = Math.min(...compClips.map((clip) => clip.start));
+  const end = Math.max(...compClips.map((clip) => clip.start + clip.duration));
+  const buffers = await Promise.all(
+    compClips.map((clip) => decodeAudioFromURL(clip.src)),
+  );
+  const channels = Math.max(
+    1,
+    ...buffers.map((buffer) => buffer?.numberOfChannels || 1),
+  );
+  const offline = new OfflineAudioContext(
+    channels,
+    Math.max(1, Math.ceil((end - start) * sampleRate)),
+    sampleRate,
+  );
+
+  compClips.forEach((clip, i) => {
+    if (!buffers[i]) return;
+    const when = clip.start - start;
+    const source = offline.createBufferSource();
+    source.buffer = buffers[i];
+    const fade = offline.createGain();
+    scheduleClipFades(fade.gain, clip, when);
+    source.connect(fade);
+    fade.connect(offline.destination);
+    source.start(when, clip.offset || 0, clip.duration);
+  });
+
+  const rendered = await offline.startRendering();
+  const src = URL.createObjectURL(audioBufferToWav(rendered));
+  const flattened = {
+    id: `clip-${track.id}-comp-${Date.now()}`,
+    name: 'Comp',
+    src,
+    color: track.color,
+    start,
+    duration: rendered.duration,
+    offset: 0,
+    sourceDuration: rendered.duration,
+  };
+
+  const updated = {
+    takes: [],
+    comp: [],
+    clips: [...syncComp(track).clips.filter((clip) => !clip.takeId), flattened],
+  };
+  releaseTakeAudio(track, updated);
+  return updated;
+}
+
+// ========== MIDI takes ==========
+
+/**
+ * Build a MIDI take from one recorded pass
+ * @param {Object} recording
+ * @param {Array} recording.notes - Timeline seconds
+ * @param {number} recording.start - Start of the range the pass covers
+ * @param {number} recording.end
+ * @param {string} recording.name
+ * @returns {Object} MIDI take
+ */
+export function createMidiTake({ notes, start, end, name }) {
+  return {
+    id: `midi-take-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    start,
+    end,
+    notes,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Swap a take's notes in over its range, replacing the notes that start there
+ * @returns {Object} { midiData, midiTakeId } for updateTrack
+ */
+export function applyMidiTake(track, take) {
+  const kept = (track.midiData?.notes || []).filter(
+    (note) => note.startTime < take.start || note.startTime >= take.end,
+  );
+  return {
+    midiData: {
+      ...track.midiData,
+      notes: [...kept, ...take.notes].sort((a, b) => a.startTime - b.startTime),
+    },
+    midiTakeId: take.id,
+  };
+}
+
+/**
+ * Add a MIDI take and play it, like a new pass over the range would
+ * @returns {Object} { midiTakes, midiData, midiTakeId } for updateTrack
+ */
+export function addMidiTake(track, take) {
+  return {
+    midiTakes: [...(track.midiTakes || []), take],
+    ...applyMidiTake(track, take),
+  };
+}
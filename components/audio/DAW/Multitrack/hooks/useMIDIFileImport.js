@@ -0,0 +1,63 @@
+// components/audio/DAW/Multitrack/hooks/useMIDIFileImport.js
+'use client';
+
+import { useCallback, useState } from 'react';
+import { useMultitrack } from '../../../../../contexts/MultitrackContext';
+import { readMIDIFile } from '../../../../../lib/midiFileImport';
+
+/**
+ * Import a Standard MIDI File as new MIDI tracks (one per part).
+ * An empty project also takes on the file's tempo and meter map.
+ * @param {Object} options
+ * @param {Function} options.logOperation - Study protocol logger
+ * @returns {{ importMIDIFile: function(File): Promise<Array|null>, isImporting: boolean }}
+ */
+export function useMIDIFileImport({ logOperation = null } = {}) {
+  const { addTrack, tracks, setTempoMap } = useMultitrack();
+  const [isImporting, setIsImporting] = useState(false);
+
+  const importMIDIFile = useCallback(
+    async (file) => {
+      setIsImporting(true);
+      try {
+        const { tracks: trackData, tempoMap } = await readMIDIFile(file);
+
+        // Notes keep their timing either way; adopting the map lines the
+        // bars up with the imported parts
+        const adoptTempoMap = tracks.length === 0;
+        if (adoptTempoMap) setTempoMap(tempoMap);
+
+        // addTrack ids come from Date.now(), so give each part its own
+        const baseId = Date.now();
+        trackData.forEach((data, index) => {
+          addTrack({ ...data, id: baseId + index });
+        });
+
+        console.log(
+          `🎹 Imported ${trackData.length} MIDI track(s) from ${file.name}`,
+        );
+        if (logOperation) {
+          logOperation('midi_file_imported', {
+            fileName: file.name,
+            trackCount: trackData.length,
+            tempoMapAdopted: adoptTempoMap,
+            noteCount: trackData.reduce(
+              (sum, t) => sum + t.midiData.notes.length,
+              0,
+            ),
+          });
+        }
+        return trackData;
+      } catch (err) {
+        console.error('❌ MIDI file import failed:', err);
+        alert('Failed to import MIDI file: ' + err.message);
+        return null;
+      } finally {
+        setIsImporting(false);
+      }
+    },
+    [addTrack, tracks.length, setTempoMap, logOperation],
+  );
+
+  return { importMIDIFile, isImporting };
+}
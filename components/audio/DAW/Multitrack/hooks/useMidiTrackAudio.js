@@ -5,9 +5,17 @@ import { useEffect, useRef, useCallback, useState } from 'react';
 import audioContextManager from '../AudioContextManager';
 import { createInstrument } from '../Instruments/WebAudioInstruments';
 import ImprovedNoteScheduler from '../ImprovedNoteScheduler';
+import mixerRouter from '../MixerRouter';
 import ImprovedMIDIRecorder from '../MIDIRecorder';
 import EnhancedSynth from '../../../../../lib/EnhancedSynth';
 import { secondsToBeats } from '../../../../../lib/midiTimeUtils';
+import { secondsToBeat } from '../../../../../lib/tempoMap';
+import {
+  getActiveAutomation,
+  applyTrackAutomation,
+  resetTrackAutomation,
+} from '../../../../../lib/automation';
+import { createLiveEffectChain } from '../../../../../lib/effects/liveEffectChain';
 
 /**
  * Map instrument types to EnhancedSynth presets
@@ -46,6 +54,7 @@ export function useMIDITrackAudio(
   globalCurrentTime,
   registerTrackInstrument,
   soloTrackId = null,
+  tempoMap = null,
 ) {
   const [isRecording, setIsRecording] = useState(false);
   const [isCountingIn, setIsCountingIn] = useState(false);
@@ -56,8 +65,15 @@ export function useMIDITrackAudio(
   const recorderRef = useRef(null);
   const masterGainRef = useRef(null);
   const pannerRef = useRef(null);
+  const effectsInputRef = useRef(null);
+  const effectsRef = useRef(null);
+  const effectsKeyRef = useRef(null);
+  const outputRef = useRef(null);
+  const preFaderRef = useRef(null);
+  const activeAutomationRef = useRef({});
   const lastPlayStateRef = useRef(false);
   const noteLastPlayedRef = useRef(new Map()); // note -> timestamp
+  const tempoMapRef = useRef(tempoMap);
   const globalTimelineStartRef = useRef(null); // Store the global timeline start time
 
   // Initialize audio nodes
@@ -72,11 +88,32 @@ export function useMIDITrackAudio(
     pannerRef.current = audioContextManager.createStereoPanner();
     pannerRef.current.pan.value = track.pan || 0;
 
+    // Track effects sit after the panner (the chain is built below)
+    effectsInputRef.current = audioContextManager.createGain();
+    outputRef.current = audioContextManager.createGain();
+    effectsRef.current = createLiveEffectChain(audioContext, []);
+    effectsKeyRef.current = '[]';
+
+    // Pre-fader point the instrument feeds (tap for pre-fader sends)
+    preFaderRef.current = audioContextManager.createGain();
+
     // Connect nodes
+    preFaderRef.current.connect(masterGainRef.current);
     masterGainRef.current.connect(pannerRef.current);
-    pannerRef.current.connect(audioContextManager.getDestination());
+    pannerRef.current.connect(effectsInputRef.current);
+    effectsInputRef.current.connect(effectsRef.current.input);
+    effectsRef.current.output.connect(outputRef.current);
+    outputRef.current.connect(audioContextManager.getDestination());
+
+    // Let the mixer route the output to groups and feed sends
+    mixerRouter.registerSource(track.id, {
+      preFader: preFaderRef.current,
+      postFader: outputRef.current,
+    });
 
     return () => {
+      mixerRouter.unregisterSource(track.id);
+
       // Robust cleanup with error handling
       try {
         if (instrumentRef.current) {
@@ -104,16 +141,21 @@ export function useMIDITrackAudio(
       }
       
       try {
+        preFaderRef.current?.disconnect();
         masterGainRef.current?.disconnect();
         pannerRef.current?.disconnect();
+        effectsInputRef.current?.disconnect();
+        effectsRef.current?.dispose();
+        outputRef.current?.disconnect();
       } catch (error) {
         console.warn('Error disconnecting audio nodes:', error);
       }
     };
   }, []);
 
-  // Update volume
+  // Update volume (automation curves take over while playing)
   useEffect(() => {
+    if (lastPlayStateRef.current && activeAutomationRef.current.volume) return;
     if (masterGainRef.current) {
       masterGainRef.current.gain.value = track.muted ? 0 : track.volume || 0.75;
     }
@@ -121,11 +163,75 @@ export function useMIDITrackAudio(
 
   // Update pan
   useEffect(() => {
+    if (lastPlayStateRef.current && activeAutomationRef.current.pan) return;
     if (pannerRef.current) {
       pannerRef.current.pan.value = track.pan || 0;
     }
   }, [track.pan]);
 
+  // Automation scheduling helpers
+  const getAutomationParams = useCallback(
+    () => ({
+      ...effectsRef.current?.params,
+      volume: [masterGainRef.current?.gain],
+      pan: [pannerRef.current?.pan],
+    }),
+    [],
+  );
+
+  const releaseAutomation = useCallback(() => {
+    resetTrackAutomation(getAutomationParams(), {
+      ...effectsRef.current?.values,
+      volume: track.muted ? 0 : track.volume || 0.75,
+      pan: track.pan || 0,
+    });
+  }, [getAutomationParams, track.muted, track.volume, track.pan]);
+
+  const applyAutomation = useCallback(
+    (timelinePosition) => {
+      releaseAutomation();
+      applyTrackAutomation(getAutomationParams(), activeAutomationRef.current, {
+        contextTime: audioContextManager.getContext().currentTime,
+        timelinePosition,
+      });
+    },
+    [getAutomationParams, releaseAutomation],
+  );
+
+  // Rebuild the effect chain when it changes (new AudioParams need their
+  // curves again mid-playback)
+  useEffect(() => {
+    const enabled = (track.effects || []).filter((e) => e.enabled !== false);
+    const key = JSON.stringify(enabled);
+    if (!effectsInputRef.current || key === effectsKeyRef.current) return;
+
+    effectsInputRef.current.disconnect();
+    effectsRef.current?.dispose();
+    effectsRef.current = createLiveEffectChain(
+      audioContextManager.getContext(),
+      enabled,
+    );
+    effectsInputRef.current.connect(effectsRef.current.input);
+    effectsRef.current.output.connect(outputRef.current);
+    effectsKeyRef.current = key;
+
+    if (lastPlayStateRef.current) {
+      applyAutomation(globalCurrentTime);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [track.effects]);
+
+  // Reschedule when the curves change mid-playback
+  useEffect(() => {
+    activeAutomationRef.current = getActiveAutomation(track.automation);
+    if (lastPlayStateRef.current) {
+      applyAutomation(globalCurrentTime);
+    } else {
+      releaseAutomation();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [track.automation]);
+
   // Create/update instrument (robust connection + fallbacks)
   useEffect(() => {
     let disposed = false;
@@ -207,13 +313,13 @@ export function useMIDITrackAudio(
       let connected = false;
       try {
         if (inst && typeof inst.connect === 'function') {
-          inst.connect(masterGainRef.current);
+          inst.connect(preFaderRef.current);
           connected = true;
         } else if (inst?.output?.connect) {
-          inst.output.connect(masterGainRef.current);
+          inst.output.connect(preFaderRef.current);
           connected = true;
         } else if (inst?.node?.connect) {
-          inst.node.connect(masterGainRef.current);
+          inst.node.connect(preFaderRef.current);
           connected = true;
         }
       } catch (e) {
@@ -239,6 +345,7 @@ export function useMIDITrackAudio(
       }
       schedulerRef.current = new ImprovedNoteScheduler(inst, {
         tempo: track.midiData?.tempo || 120,
+        tempoMap: tempoMapRef.current,
       });
       schedulerRef.current.setNotes(track.midiData?.notes || []);
     };
@@ -274,6 +381,18 @@ export function useMIDITrackAudio(
     }
   }, [track.midiData?.notes, track.midiData?.tempo]);
 
+  // Follow the project tempo map
+  useEffect(() => {
+    tempoMapRef.current = tempoMap;
+    schedulerRef.current?.setTempoMap(tempoMap);
+  }, [tempoMap]);
+
+  // Scheduler position (beats) for a timeline time
+  const toSchedulerBeat = (seconds) =>
+    tempoMap
+      ? secondsToBeat(tempoMap, seconds)
+      : secondsToBeats(seconds, track.midiData?.tempo || 120);
+
   // Handle playback state changes
   useEffect(() => {
     if (!schedulerRef.current) return;
@@ -305,7 +424,7 @@ export function useMIDITrackAudio(
 
     if (shouldPlay && !lastPlayStateRef.current) {
       // Start playback - use unified time conversion
-      const beatPosition = secondsToBeats(globalCurrentTime, track.midiData?.tempo || 120);
+      const beatPosition = toSchedulerBeat(globalCurrentTime);
 
       if (process.env.NODE_ENV === 'development') {
         console.log(`▶️ Starting MIDI playback for track ${track.id} at beat ${beatPosition.toFixed(3)}`, {
@@ -314,21 +433,24 @@ export function useMIDITrackAudio(
         });
       }
       schedulerRef.current.start(beatPosition);
+      applyAutomation(globalCurrentTime);
     } else if (!shouldPlay && lastPlayStateRef.current) {
       // Stop playback
       if (process.env.NODE_ENV === 'development') {
         console.log(`⏹️ Stopping MIDI playback for track ${track.id}`);
       }
       schedulerRef.current.stop();
+      releaseAutomation();
     } else if (shouldPlay) {
       // Detect seeks (large jumps)
-      const beatPosition = secondsToBeats(globalCurrentTime, track.midiData?.tempo || 120);
+      const beatPosition = toSchedulerBeat(globalCurrentTime);
       const currentSchedulerBeat = schedulerRef.current.getCurrentBeat();
 
       if (Math.abs(beatPosition - currentSchedulerBeat) > 0.5) {
         // Restart after seek
         schedulerRef.current.stop();
         schedulerRef.current.start(beatPosition);
+        applyAutomation(globalCurrentTime);
 
         if (process.env.NODE_ENV === 'development') {
           console.log(`🔄 Seeking MIDI track ${track.id} to beat ${beatPosition.toFixed(3)}`);
@@ -345,6 +467,7 @@ export function useMIDITrackAudio(
     track.midiData?.tempo,
     track.id,
     soloTrackId,
+    tempoMap,
   ]);
 
   // Play a single note (for preview/audition)
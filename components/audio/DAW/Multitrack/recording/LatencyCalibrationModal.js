@@ -0,0 +1,335 @@
+// components/audio/DAW/Multitrack/recording/LatencyCalibrationModal.js
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Form,
+  InputGroup,
+  Modal,
+  Spinner,
+} from 'react-bootstrap';
+import { FaHandPointer, FaHeadphones, FaVolumeUp } from 'react-icons/fa';
+import audioContextManager from '../AudioContextManager';
+import {
+  CLICK_INTERVAL_SEC,
+  MAX_LATENCY_SEC,
+  clearDeviceLatency,
+  getDeviceLatency,
+  inputDeviceKey,
+  measureLoopbackLatency,
+  measureOffset,
+  reportedLatency,
+  saveDeviceLatency,
+  scheduleClick,
+} from '../../../../../lib/latencyCalibration';
+
+const TAP_CLICKS = 12;
+// The first clicks are for getting into the groove and are not scored
+const TAP_WARMUP_CLICKS = 4;
+// Taps this far ahead of a click still count for it
+const TAP_EARLY_SEC = 0.15;
+
+const toMs = (sec) => Math.round(sec * 1000);
+
+/**
+ * Measure how late recordings land for the current microphone and
+ * speakers, and store the result so RecordingManager can compensate
+ */
+export default function LatencyCalibrationModal({ show, onHide }) {
+  const [mediaStream, setMediaStream] = useState(null);
+  const [status, setStatus] = useState('idle'); // 'idle' | 'loopback' | 'tapping' | 'done'
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null); // { audioMs, midiMs, method, detail }
+  const [saved, setSaved] = useState(null);
+  const [tapCount, setTapCount] = useState(0);
+  const tapRef = useRef(null); // { clicks: [], taps: [] }
+
+  const deviceKey = inputDeviceKey(mediaStream);
+  const audioContext = show ? audioContextManager.getContext() : null;
+  const reported = reportedLatency(audioContext, mediaStream);
+
+  // Open the microphone the way audio tracks do while the wizard is shown
+  useEffect(() => {
+    if (!show) return undefined;
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices
+      .getUserMedia({
+        audio: {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+          channelCount: 1,
+          latency: 0,
+        },
+      })
+      .then((s) => {
+        stream = s;
+        if (cancelled) {
+          s.getTracks().forEach((track) => track.stop());
+        } else {
+          setMediaStream(s);
+        }
+      })
+      .catch((err) => {
+        console.error('🎚️ LatencyCalibration: No microphone', err);
+        setError('Microphone access is needed to measure latency.');
+      });
+
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach((track) => track.stop());
+      setMediaStream(null);
+      setStatus('idle');
+      setResult(null);
+      setError(null);
+    };
+  }, [show]);
+
+  useEffect(() => {
+    if (mediaStream) setSaved(getDeviceLatency(deviceKey));
+  }, [mediaStream, deviceKey]);
+
+  const runLoopback = async () => {
+    setStatus('loopback');
+    setError(null);
+    try {
+      const measured = await measureLoopbackLatency(audioContext, mediaStream);
+      if (!measured) {
+        setError(
+          'The microphone did not pick up the clicks. Turn the speakers up ' +
+            '(not headphones) and try again, or use the tap-along test.',
+        );
+        setStatus('idle');
+        return;
+      }
+      setResult({
+        audioMs: toMs(measured.latencySec),
+        midiMs: toMs(reported.outputSec),
+        method: 'loopback',
+        detail: `${measured.matched} clicks heard, ±${toMs(measured.spreadSec / 2)} ms`,
+      });
+      setStatus('done');
+    } catch (err) {
+      console.error('🎚️ LatencyCalibration: Loopback test failed', err);
+      setError('The loopback test failed. Try the tap-along test instead.');
+      setStatus('idle');
+    }
+  };
+
+  const finishTapping = useCallback(() => {
+    const { clicks, taps } = tapRef.current;
+    tapRef.current = null;
+    const measured = measureOffset(clicks.slice(TAP_WARMUP_CLICKS), taps, {
+      minSec: -TAP_EARLY_SEC,
+      maxSec: MAX_LATENCY_SEC,
+    });
+    if (!measured || measured.matched < (TAP_CLICKS - TAP_WARMUP_CLICKS) / 2) {
+      setError('Not enough taps lined up with the clicks. Try again.');
+      setStatus('idle');
+      return;
+    }
+    const outputSec = Math.max(0, measured.latencySec);
+    setResult({
+      audioMs: toMs(outputSec + reported.inputSec),
+      midiMs: toMs(outputSec),
+      method: 'tap',
+      detail: `${measured.matched} taps, ±${toMs(measured.spreadSec / 2)} ms`,
+    });
+    setStatus('done');
+  }, [reported.inputSec]);
+
+  const runTapAlong = async () => {
+    if (audioContext.state === 'suspended') await audioContext.resume();
+    setError(null);
+    setTapCount(0);
+    const start = audioContext.currentTime + 0.5;
+    const clicks = Array.from(
+      { length: TAP_CLICKS },
+      (_, i) => start + i * CLICK_INTERVAL_SEC,
+    );
+    clicks.forEach((time, i) =>
+      scheduleClick(audioContext, time, i < TAP_WARMUP_CLICKS ? 1500 : 1000),
+    );
+    tapRef.current = { clicks, taps: [] };
+    setStatus('tapping');
+    const lastClick = clicks[clicks.length - 1] - audioContext.currentTime;
+    setTimeout(finishTapping, (lastClick + MAX_LATENCY_SEC) * 1000);
+  };
+
+  const handleTap = useCallback(() => {
+    if (!tapRef.current) return;
+    tapRef.current.taps.push(audioContext.currentTime);
+    setTapCount((count) => count + 1);
+  }, [audioContext]);
+
+  // Space bar taps too
+  useEffect(() => {
+    if (status !== 'tapping') return undefined;
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || e.repeat) return;
+      e.preventDefault();
+      handleTap();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [status, handleTap]);
+
+  const handleSave = () => {
+    saveDeviceLatency(deviceKey, result);
+    setSaved(getDeviceLatency(deviceKey));
+    onHide();
+  };
+
+  const handleReset = () => {
+    clearDeviceLatency(deviceKey);
+    setSaved(null);
+  };
+
+  const setResultMs = (field) => (e) => {
+    const value = parseFloat(e.target.value);
+    setResult((current) => ({
+      ...(current || {
+        audioMs: saved?.audioMs ?? 0,
+        midiMs: saved?.midiMs ?? 0,
+      }),
+      [field]: Number.isFinite(value) ? value : 0,
+      method: 'manual',
+      detail: null,
+    }));
+  };
+
+  const busy = status === 'loopback' || status === 'tapping';
+  const deviceLabel = mediaStream?.getAudioTracks()[0]?.label || 'Microphone';
+
+  return (
+    <Modal show={show} onHide={busy ? undefined : onHide}>
+      <Modal.Header closeButton={!busy} className="bg-dark text-white">
+        <Modal.Title>Recording Latency</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body className="bg-dark text-white">
+        <p className="small">
+          Recordings land a little late because sound takes time to get out of
+          the speakers and back into the computer. Measure it once per
+          microphone and new recordings are moved back by that much.
+        </p>
+
+        <p className="small text-muted mb-3">
+          {deviceLabel}:{' '}
+          {saved
+            ? `audio ${saved.audioMs} ms, MIDI ${saved.midiMs} ms (${saved.method})`
+            : 'not calibrated'}
+          . The browser reports {toMs(reported.outputSec)} ms output
+          {reported.inputSec > 0 &&
+            ` and ${toMs(reported.inputSec)} ms input`}{' '}
+          latency.
+        </p>
+
+        {error && (
+          <Alert variant="warning" className="py-2">
+            {error}
+          </Alert>
+        )}
+
+        <div className="d-flex gap-2 mb-3">
+          <Button
+            variant="primary"
+            onClick={runLoopback}
+            disabled={!mediaStream || busy}
+            title="Play clicks through the speakers and record them"
+          >
+            {status === 'loopback' ? (
+              <Spinner animation="border" size="sm" />
+            ) : (
+              <FaVolumeUp />
+            )}{' '}
+            Loopback test
+          </Button>
+          <Button
+            variant="outline-light"
+            onClick={runTapAlong}
+            disabled={!audioContext || busy}
+            title="For headphones: tap along with clicks"
+          >
+            <FaHeadphones /> Tap along
+          </Button>
+        </div>
+
+        {status === 'tapping' && (
+          <div className="text-center mb-3">
+            <p className="small">
+              Tap on every click (button or space bar). The first{' '}
+              {TAP_WARMUP_CLICKS} higher clicks are practice.
+            </p>
+            <Button
+              variant="success"
+              size="lg"
+              onPointerDown={handleTap}
+              style={{ width: '100%', height: '80px' }}
+            >
+              <FaHandPointer /> Tap ({tapCount})
+            </Button>
+          </div>
+        )}
+
+        {status === 'done' && result?.detail && (
+          <p className="small mb-2">
+            Measured with the{' '}
+            {result.method === 'tap' ? 'tap-along' : 'loopback'} test:{' '}
+            {result.detail}. Adjust before saving if needed.
+          </p>
+        )}
+
+        <div className="d-flex gap-2">
+          <InputGroup size="sm">
+            <InputGroup.Text>Audio</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min="0"
+              max={toMs(MAX_LATENCY_SEC)}
+              value={result?.audioMs ?? saved?.audioMs ?? 0}
+              onChange={setResultMs('audioMs')}
+              disabled={busy}
+            />
+            <InputGroup.Text>ms</InputGroup.Text>
+          </InputGroup>
+          <InputGroup size="sm">
+            <InputGroup.Text>MIDI</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min="0"
+              max={toMs(MAX_LATENCY_SEC)}
+              value={result?.midiMs ?? saved?.midiMs ?? 0}
+              onChange={setResultMs('midiMs')}
+              disabled={busy}
+            />
+            <InputGroup.Text>ms</InputGroup.Text>
+          </InputGroup>
+        </div>
+      </Modal.Body>
+
+      <Modal.Footer className="bg-dark">
+        <Button
+          variant="outline-danger"
+          onClick={handleReset}
+          disabled={!saved || busy}
+        >
+          Reset
+        </Button>
+        <Button variant="secondary" onClick={onHide} disabled={busy}>
+          Cancel
+        </Button>
+        <Button
+          variant="success"
+          onClick={handleSave}
+          disabled={!result || !mediaStream || busy}
+        >
+          Save
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -2,6 +2,10 @@
 'use client';
 
 import { EventEmitter } from 'events';
+import ImprovedMIDIRecorder from '../MIDIRecorder';
+import { passNotes, recordedPasses, slicePass } from './cycleRecording';
+import { audioBufferToWav } from '../../../../../lib/audioUtils';
+import { getRecordingLatency } from '../../../../../lib/latencyCalibration';
 
 /**
  * Unified recording manager for both audio and MIDI tracks
@@ -65,6 +69,11 @@ class RecordingManager extends EventEmitter {
 
   /**
    * Start recording for a track (audio or MIDI)
+   * With options.recordWindow ({ start, end } timeline seconds) the take is
+   * recorded against the running transport instead: there is no countdown
+   * (the caller plays a pre-roll), transport positions are logged with
+   * markTransportPosition, and each pass through the window completes as
+   * its own take.
    */
   async startRecording(trackId, trackType, options = {}) {
     console.log(`📍 RecordingManager: Starting recording for track ${trackId} (${trackType})`);
@@ -88,11 +97,26 @@ class RecordingManager extends EventEmitter {
       countdownValue: this.countdownDuration,
       chunks: [], // For audio
       midiEvents: [], // For MIDI
-      recordingStartPosition: options.startPosition || 0
+      recordingStartPosition: options.startPosition || 0,
+      recordWindow: options.recordWindow || null,
+      // Measured input/output delay to take off the recording (see lib/latencyCalibration.js)
+      latency: getRecordingLatency(trackType, options.mediaStream),
+      captureStartTime: null, // AudioContext time the capture began
+      transportMarks: [] // [{ time, position }] in AudioContext time
     };
 
     this.activeRecordings.set(trackId, recordingState);
 
+    if (recordingState.recordWindow) {
+      recordingState.isCountingIn = false;
+      if (trackType === 'audio') {
+        await this.startAudioRecording(trackId);
+      } else if (trackType === 'midi') {
+        await this.startWindowedMIDIRecording(trackId);
+      }
+      return true;
+    }
+
     // Emit countdown start event
     this.emit('countdown-start', { trackId, countdown: this.countdownDuration });
 
@@ -191,11 +215,13 @@ class RecordingManager extends EventEmitter {
         console.log(`🎤 RecordingManager: Audio recording started for track ${trackId}`);
         // Use performance.now() for consistency with recording timer and playhead
         recordingState.startTime = performance.now() / 1000;
+        recordingState.captureStartTime = this.audioContext?.currentTime ?? 0;
         this.emit('recording-start', {
           trackId,
           type: 'audio',
           startTime: recordingState.startTime,
-          startPosition: recordingState.recordingStartPosition
+          startPosition: recordingState.recordingStartPosition,
+          synced: !!recordingState.recordWindow
         });
       };
 
@@ -314,6 +340,76 @@ class RecordingManager extends EventEmitter {
     });
   }
 
+  /**
+   * Start a MIDI recording against the transport. Notes are timed on the
+   * AudioContext clock by ImprovedMIDIRecorder so they line up with the
+   * transport marks.
+   */
+  async startWindowedMIDIRecording(trackId) {
+    const recordingState = this.activeRecordings.get(trackId);
+    if (!recordingState) return;
+
+    const recorder = new ImprovedMIDIRecorder({ tempo: recordingState.tempo });
+    recorder.start({ countIn: false });
+
+    if (this.midiAccess && recordingState.midiInput) {
+      const input = this.midiAccess.inputs.get(recordingState.midiInput);
+      if (input) {
+        input.onmidimessage = (event) => {
+          const [status, note, velocity] = event.data;
+          const command = status & 0xf0;
+          if (command === 0x90 || command === 0x80) {
+            const type = command === 0x90 && velocity > 0 ? 'noteon' : 'noteoff';
+            recorder.handleMIDIMessage({ type, note, velocity });
+            this.emit(type === 'noteon' ? 'midi-note-on' : 'midi-note-off', {
+              trackId,
+              note,
+              velocity,
+              timestamp: recorder.getCurrentTime()
+            });
+          }
+        };
+      }
+    }
+
+    recordingState.recorder = recorder;
+    recordingState.startTime = performance.now() / 1000;
+    recordingState.captureStartTime = recorder.startTime;
+
+    this.emit('recording-start', {
+      trackId,
+      type: 'midi',
+      startTime: recordingState.startTime,
+      startPosition: recordingState.recordingStartPosition,
+      synced: true
+    });
+  }
+
+  /**
+   * Log the transport position for recordings made against it; called when
+   * playback starts and each time it wraps around the loop
+   * @param {number} position - Timeline seconds
+   */
+  markTransportPosition(position) {
+    const time = this.audioContext?.currentTime ?? 0;
+    this.activeRecordings.forEach((recordingState) => {
+      if (recordingState.recordWindow) {
+        recordingState.transportMarks.push({ time, position });
+      }
+    });
+  }
+
+  // Passes through the record window, timed from the start of the capture
+  getRecordedPasses(recordingState, duration) {
+    // What was played at a transport position reaches the recording
+    // `latency` later
+    const marks = recordingState.transportMarks.map(({ time, position }) => ({
+      at: time - recordingState.captureStartTime + recordingState.latency,
+      position
+    }));
+    return recordedPasses(marks, duration, recordingState.recordWindow);
+  }
+
   /**
    * Stop recording for a track
    */
@@ -333,7 +429,11 @@ class RecordingManager extends EventEmitter {
       }
     } else if (recordingState.type === 'midi' && recordingState.recorder) {
       recordingState.recorder.stop();
-      this.handleMIDIRecordingComplete(trackId);
+      if (recordingState.recordWindow) {
+        this.handleWindowedMIDIRecordingComplete(trackId);
+      } else {
+        this.handleMIDIRecordingComplete(trackId);
+      }
     }
 
     // Clean up MIDI input listeners
@@ -386,9 +486,10 @@ class RecordingManager extends EventEmitter {
 
     // Decode audio to get duration
     let duration = 0;
+    let audioBuffer = null;
     try {
       const arrayBuffer = await blob.arrayBuffer();
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+      audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
       duration = audioBuffer.duration;
       console.log(`📍 RecordingManager: Decoded audio, duration: ${duration}`);
     } catch (error) {
@@ -396,7 +497,26 @@ class RecordingManager extends EventEmitter {
       duration = 10; // Fallback duration
     }
 
-    const audioURL = URL.createObjectURL(blob);
+    if (recordingState.recordWindow) {
+      if (audioBuffer) this.emitAudioPasses(recordingState, audioBuffer);
+      this.activeRecordings.delete(trackId);
+      return;
+    }
+
+    // Trim the measured latency off the front so the take lines up
+    let take = blob;
+    const { latency } = recordingState;
+    if (audioBuffer && latency > 0 && duration > latency) {
+      take = audioBufferToWav(
+        slicePass(this.audioContext, audioBuffer, {
+          at: latency,
+          duration: duration - latency
+        })
+      );
+      duration -= latency;
+    }
+
+    const audioURL = URL.createObjectURL(take);
     console.log(`📍 RecordingManager: Created audioURL: ${audioURL}`);
 
     // Emit completion event
@@ -407,7 +527,7 @@ class RecordingManager extends EventEmitter {
     });
     this.emit('audio-recording-complete', {
       trackId,
-      blob,
+      blob: take,
       duration,
       startPosition: recordingState.recordingStartPosition,
       audioURL  // Changed from 'url' to 'audioURL' to match AudioTrack expectations
@@ -425,8 +545,12 @@ class RecordingManager extends EventEmitter {
     const recordingState = this.activeRecordings.get(trackId);
     if (!recordingState) return;
 
-    // Get recorded notes
-    const notes = recordingState.recorder?.notes || [];
+    // Get recorded notes, moved earlier by the measured latency
+    const { latency } = recordingState;
+    const notes = (recordingState.recorder?.notes || []).map((note) => {
+      const startTime = Math.max(0, note.startTime - latency);
+      return { ...note, startTime, endTime: startTime + note.duration };
+    });
 
     console.log(`🎹 RecordingManager: MIDI recording complete`, {
       trackId,
@@ -457,6 +581,60 @@ class RecordingManager extends EventEmitter {
     });
   }
 
+  /**
+   * Split an audio recording made against the transport into one
+   * 'audio-recording-complete' per pass through the record window
+   */
+  emitAudioPasses(recordingState, audioBuffer) {
+    const { trackId } = recordingState;
+    const passes = this.getRecordedPasses(recordingState, audioBuffer.duration);
+    console.log(`📍 RecordingManager: ${passes.length} pass(es) recorded for track ${trackId}`);
+
+    passes.forEach((pass, index) => {
+      const wav = audioBufferToWav(
+        slicePass(this.audioContext, audioBuffer, pass)
+      );
+      this.emit('audio-recording-complete', {
+        trackId,
+        blob: wav,
+        duration: pass.duration,
+        startPosition: pass.start,
+        audioURL: URL.createObjectURL(wav),
+        pass: index + 1
+      });
+    });
+  }
+
+  /**
+   * Complete a MIDI recording made against the transport: one
+   * 'midi-recording-complete' per pass, notes in timeline seconds and
+   * `range` marking the part of the timeline the pass replaces
+   */
+  handleWindowedMIDIRecordingComplete(trackId) {
+    const recordingState = this.activeRecordings.get(trackId);
+    if (!recordingState) return;
+
+    const recorder = recordingState.recorder;
+    const notes = recorder.recordedNotes.map((note) => ({
+      note: note.note,
+      velocity: Math.round(note.velocity * 127),
+      startTime: note.startTime,
+      duration: note.duration
+    }));
+    const passes = this.getRecordedPasses(recordingState, recorder.getCurrentTime());
+
+    passes.forEach((pass, index) => {
+      this.emit('midi-recording-complete', {
+        trackId,
+        notes: passNotes(notes, pass),
+        duration: pass.duration,
+        startPosition: pass.start,
+        range: { start: pass.start, end: pass.start + pass.duration },
+        pass: index + 1
+      });
+    });
+  }
+
   /**
    * Get all active recording track IDs
    */
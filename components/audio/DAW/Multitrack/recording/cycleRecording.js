@@ -0,0 +1,112 @@
+// components/audio/DAW/Multitrack/recording/cycleRecording.js
+'use client';
+
+/**
+ * Recording against the running transport (loop and punch recording)
+ *
+ * The recorder captures one continuous stream while the transport plays,
+ * wraps around the loop and rolls through the pre-roll. Every time the
+ * transport starts or wraps, a mark is logged:
+ *
+ *   marks: [{ at, position }]  // `at` seconds into the recording, transport at `position`
+ *
+ * Each mark opens a pass that lasts until the next mark (or the end of the
+ * recording). A pass keeps only the part inside the record window (the
+ * punch range, else the loop range) and becomes one take.
+ */
+
+import {
+  beatToSeconds,
+  meterAtBeat,
+  secondsToBeat,
+} from '../../../../../lib/tempoMap';
+
+// Passes shorter than this (a stop just after a wrap) are dropped
+export const MIN_PASS_SEC = 0.5;
+
+/**
+ * Timeline position that playback starts from, `bars` bars before `start`
+ * @param {Object} tempoMap
+ * @param {number} start - Seconds
+ * @param {number} bars
+ * @returns {number} Seconds (never before 0)
+ */
+export function preRollStart(tempoMap, start, bars = 1) {
+  if (!bars) return start;
+  const beat = secondsToBeat(tempoMap, start);
+  const barLength = meterAtBeat(tempoMap, beat).barLength;
+  return beatToSeconds(tempoMap, Math.max(0, beat - bars * barLength));
+}
+
+/**
+ * Recorded passes inside a record window
+ * @param {Array} marks - [{ at, position }] in recording order
+ * @param {number} end - Length of the recording in seconds
+ * @param {{ start: number, end: number }} window - Timeline seconds
+ * @param {number} minDuration
+ * @returns {Array} [{ at, start, duration }] - `at` seconds into the
+ *   recording, `start` on the timeline
+ */
+export function recordedPasses(marks, end, window, minDuration = MIN_PASS_SEC) {
+  const passes = [];
+  marks.forEach((mark, i) => {
+    const markEnd = i + 1 < marks.length ? marks[i + 1].at : end;
+    // Timeline span this stretch of the recording covers, without the
+    // part before the recording started
+    const from = mark.position + Math.max(0, -mark.at);
+    const to = mark.position + (markEnd - mark.at);
+    const start = Math.max(from, window.start);
+    const stop = Math.min(to, window.end);
+    if (stop - start < minDuration) return;
+    passes.push({
+      at: mark.at + (start - mark.position),
+      start,
+      duration: stop - start,
+    });
+  });
+  return passes;
+}
+
+/**
+ * Copy one pass out of the decoded recording
+ * @param {BaseAudioContext} audioContext
+ * @param {AudioBuffer} buffer
+ * @param {{ at: number, duration: number }} pass
+ * @returns {AudioBuffer}
+ */
+export function slicePass(audioContext, buffer, pass) {
+  const { sampleRate, numberOfChannels } = buffer;
+  const from = Math.max(0, Math.round(pass.at * sampleRate));
+  const length = Math.max(
+    1,
+    Math.min(buffer.length - from, Math.round(pass.duration * sampleRate)),
+  );
+  const slice = audioContext.createBuffer(numberOfChannels, length, sampleRate);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    slice.copyToChannel(
+      buffer.getChannelData(channel).subarray(from, from + length),
+      channel,
+    );
+  }
+  return slice;
+}
+
+/**
+ * Notes played during one pass, moved onto the timeline. Notes still held
+ * when the pass ends are cut off there.
+ * @param {Array} notes - [{ note, velocity, startTime, duration }], seconds
+ *   into the recording
+ * @param {{ at: number, start: number, duration: number }} pass
+ * @returns {Array} Notes in timeline seconds
+ */
+export function passNotes(notes, pass) {
+  const passEnd = pass.at + pass.duration;
+  return notes
+    .filter((note) => note.startTime >= pass.at && note.startTime < passEnd)
+    .map((note) => ({
+      ...note,
+      startTime: pass.start + (note.startTime - pass.at),
+      duration: Math.min(note.duration, passEnd - note.startTime),
+    }))
+    .sort((a, b) => a.startTime - b.startTime);
+}
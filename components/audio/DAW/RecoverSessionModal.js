@@ -0,0 +1,65 @@
+// components/audio/DAW/RecoverSessionModal.js
+'use client';
+
+import { Modal, Button, Spinner } from 'react-bootstrap';
+import { FaHistory } from 'react-icons/fa';
+
+/**
+ * Prompt to restore an autosaved DAW session
+ */
+export default function RecoverSessionModal({
+  record,
+  isRecovering = false,
+  onRecover,
+  onDiscard,
+}) {
+  const trackCount = record?.multitrack?.tracks?.length ?? 0;
+  const editCount = record?.editHistory?.entries?.length ?? 0;
+
+  return (
+    <Modal show={!!record} onHide={onDiscard} backdrop="static" centered>
+      <Modal.Header>
+        <Modal.Title>
+          <FaHistory className="me-2" />
+          Recover unsaved session?
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p>
+          Work from a previous session on this page was saved automatically
+          {record?.savedAt &&
+            ` at ${new Date(record.savedAt).toLocaleString()}`}
+          .
+        </p>
+        <ul className="mb-0">
+          {trackCount > 0 && (
+            <li>
+              {trackCount} multitrack {trackCount === 1 ? 'track' : 'tracks'}
+            </li>
+          )}
+          {editCount > 0 && (
+            <li>
+              Single-track audio with {editCount}{' '}
+              {editCount === 1 ? 'history step' : 'history steps'}
+            </li>
+          )}
+        </ul>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button
+          variant="outline-secondary"
+          onClick={onDiscard}
+          disabled={isRecovering}
+        >
+          Discard
+        </Button>
+        <Button variant="primary" onClick={onRecover} disabled={isRecovering}>
+          {isRecovering && (
+            <Spinner animation="border" size="sm" className="me-1" />
+          )}
+          Recover
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,116 @@
+// components/audio/DAW/SpectrumAnalyzer.js
+'use client';
+
+import { useEffect, useRef } from 'react';
+import {
+  FREQUENCY_GRID,
+  SPECTRUM_MAX_FREQ,
+  SPECTRUM_MIN_FREQ,
+  formatFrequency,
+  frequencyToPosition,
+  positionToFrequency,
+} from '../../../lib/spectrum';
+
+const MIN_DB = -100;
+const MAX_DB = -10;
+
+/**
+ * Real-time spectrum of an AnalyserNode on a log-frequency axis, with the
+ * gridlines used by the EQ controls
+ * @param {Object} props
+ * @param {AnalyserNode|null} props.analyser
+ * @param {number} props.width - CSS pixels
+ * @param {number} props.height - CSS pixels
+ * @param {string} props.color
+ */
+export default function SpectrumAnalyzer({
+  analyser,
+  width = 240,
+  height = 100,
+  color = '#7bafd4',
+  style = {},
+}) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !analyser) return undefined;
+
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    const bins = new Float32Array(analyser.frequencyBinCount);
+    const binHz = analyser.context.sampleRate / analyser.fftSize;
+    const maxFreq = Math.min(
+      SPECTRUM_MAX_FREQ,
+      analyser.context.sampleRate / 2,
+    );
+    const binAt = (x) =>
+      Math.floor(
+        positionToFrequency(x / width, SPECTRUM_MIN_FREQ, maxFreq) / binHz,
+      );
+    const xOf = (frequency) =>
+      frequencyToPosition(frequency, SPECTRUM_MIN_FREQ, maxFreq) * width;
+    const yOf = (db) =>
+      height *
+      (1 -
+        (Math.max(MIN_DB, Math.min(MAX_DB, db)) - MIN_DB) / (MAX_DB - MIN_DB));
+
+    let frameId = null;
+    const draw = () => {
+      analyser.getFloatFrequencyData(bins);
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(0, 0, width, height);
+
+      // Frequency grid
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.font = '9px sans-serif';
+      ctx.lineWidth = 1;
+      FREQUENCY_GRID.forEach((frequency) => {
+        if (frequency > maxFreq) return;
+        const x = Math.round(xOf(frequency)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillText(formatFrequency(frequency), x + 2, height - 2);
+      });
+
+      // One point per pixel column, taking the loudest bin it covers
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      for (let x = 0; x < width; x++) {
+        const low = Math.max(1, binAt(x));
+        const high = Math.max(low, binAt(x + 1));
+        let db = -Infinity;
+        for (let bin = low; bin <= high && bin < bins.length; bin++) {
+          if (bins[bin] > db) db = bins[bin];
+        }
+        ctx.lineTo(x, yOf(db));
+      }
+      ctx.lineTo(width, height);
+      ctx.closePath();
+      ctx.fillStyle = `${color}66`;
+      ctx.fill();
+      ctx.strokeStyle = color;
+      ctx.stroke();
+
+      frameId = requestAnimationFrame(draw);
+    };
+    frameId = requestAnimationFrame(draw);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [analyser, width, height, color]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ width: `${width}px`, height: `${height}px`, ...style }}
+    />
+  );
+}
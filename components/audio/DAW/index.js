@@ -2,6 +2,7 @@
 'use client';
 
 import { useEffect, useState, useCallback } from 'react';
+import { useRouter } from 'next/router';
 import {
   Card,
   CardBody,
@@ -26,6 +27,8 @@ import HelpModal from '../daw-old/dawHelp';
 import MultitrackWithTakes from './Multitrack/MultitrackWithTakes';
 import RecordingModal from '../RecordingModal';
 import RecordingWithTakesModal from '../RecordingWithTakesModal';
+import RecoverSessionModal from './RecoverSessionModal';
+import { useSessionAutosave } from '../../../hooks/useSessionAutosave';
 import { GrHelpBook } from 'react-icons/gr';
 import { PiWarningDuotone } from 'react-icons/pi';
 import { MdLayers, MdLayersClear } from 'react-icons/md';
@@ -38,7 +41,9 @@ export default function DAW({
   silenceWarning = false,
   logOperation = null, // For study protocol tracking
   sampleTakes = [], // Pre-loaded takes (e.g. bassline) for Import Takes modal
+  autosave = true, // Autosave the session to IndexedDB for crash recovery
 }) {
+  const router = useRouter();
   const { audioURL, dawMode, setDawMode, activityLogger } = useAudio();
   const { loadFFmpeg, loaded: ffmpegLoaded } = useFFmpeg();
   const { showDAW, showHelp, setShowHelp, mapPresent, useEffectsRack } =
@@ -49,6 +54,16 @@ export default function DAW({
   const [showRecordingModal, setShowRecordingModal] = useState(false);
   const [showTakesModal, setShowTakesModal] = useState(false);
 
+  // One autosaved session per page (e.g. /studio or a specific activity step)
+  const autosaveKey = router.isReady ? router.asPath.split('?')[0] : null;
+  const {
+    pendingRecovery,
+    isRecovering,
+    recover: recoverSession,
+    discard: discardSession,
+    clear: clearAutosave,
+  } = useSessionAutosave({ sessionKey: autosaveKey, enabled: autosave });
+
   // Always use custom waveform - WaveSurfer is deprecated
   const useCustomWaveform = true;
 
@@ -94,6 +109,15 @@ export default function DAW({
 
   if (!showDAW) return null;
 
+  const recoverSessionModal = (
+    <RecoverSessionModal
+      record={pendingRecovery}
+      isRecovering={isRecovering}
+      onRecover={recoverSession}
+      onDiscard={discardSession}
+    />
+  );
+
   // For multitrack mode
   if (dawMode === 'multi') {
     // Get the selected track
@@ -165,6 +189,7 @@ export default function DAW({
                       // Pass the selected track's audio URL and activity log
                       console.log(`🎵 Submitting audio from track: ${selectedTrack.name}`);
                       onSubmit(selectedTrack.audioURL, activityLogData);
+                      clearAutosave();
                     }
                   }}
                   title={!hasValidAudio ? "Select a track with audio to submit" : "Submit selected track"}
@@ -182,6 +207,8 @@ export default function DAW({
           onHide={() => setShowRecordingModal(false)}
           onRecordingComplete={handleRecordingComplete}
         />
+
+        {recoverSessionModal}
       </>
     );
   }
@@ -275,6 +302,7 @@ export default function DAW({
 
                   // Pass both audio URL and activity log
                   onSubmit(audioURL, activityLogData);
+                  clearAutosave();
                 }
               }}
             >
@@ -300,6 +328,8 @@ export default function DAW({
         show={showTakesModal}
         onHide={() => setShowTakesModal(false)}
       />
+
+      {recoverSessionModal}
     </>
   );
 }
@@ -0,0 +1,189 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import {
+  frequencyToMidi,
+  midiToNoteName,
+  summarizePitchTrack,
+  IN_TUNE_CENTS,
+} from '../../lib/pitchTracking';
+import { centsColor } from './PitchTuner';
+
+const LABEL_WIDTH = 36;
+const LIVE_RANGE_SEMITONES = 7;
+
+// Visible note range: around recent playing when live, the whole take otherwise
+function noteRange(midis, live) {
+  if (midis.length === 0) return { low: 60 - 6, high: 60 + 6 };
+  if (live) {
+    const recent = midis.slice(-60).sort((a, b) => a - b);
+    const centre = Math.round(recent[Math.floor(recent.length / 2)]);
+    return {
+      low: centre - LIVE_RANGE_SEMITONES,
+      high: centre + LIVE_RANGE_SEMITONES,
+    };
+  }
+  let low = Math.floor(Math.min(...midis)) - 1;
+  let high = Math.ceil(Math.max(...midis)) + 1;
+  if (high - low < 12) {
+    const pad = (12 - (high - low)) / 2;
+    low = Math.floor(low - pad);
+    high = Math.ceil(high + pad);
+  }
+  return { low, high };
+}
+
+function drawCurve(
+  canvas,
+  points,
+  { referencePitch, startTime, endTime, live, hopSec },
+) {
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#f8f9fa';
+  ctx.fillRect(0, 0, width, height);
+
+  const visible = points.filter(
+    (p) => p.time >= startTime && p.time <= endTime,
+  );
+  const midis = visible
+    .filter((p) => p.frequency)
+    .map((p) => frequencyToMidi(p.frequency, referencePitch));
+  const { low, high } = noteRange(midis, live);
+  const plotWidth = width - LABEL_WIDTH;
+  const span = Math.max(0.001, endTime - startTime);
+  const x = (time) => LABEL_WIDTH + ((time - startTime) / span) * plotWidth;
+  const y = (midi) => height - ((midi - low) / (high - low)) * height;
+
+  // Semitone grid, labelling every note when zoomed in and only Cs otherwise
+  const labelAll = high - low <= 24;
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'middle';
+  for (let midi = Math.ceil(low); midi <= high; midi++) {
+    const isC = midi % 12 === 0;
+    ctx.strokeStyle = isC ? '#adb5bd' : '#dee2e6';
+    ctx.beginPath();
+    ctx.moveTo(LABEL_WIDTH, y(midi));
+    ctx.lineTo(width, y(midi));
+    ctx.stroke();
+    if (labelAll || isC) {
+      ctx.fillStyle = '#6c757d';
+      ctx.fillText(midiToNoteName(midi), 2, y(midi));
+    }
+  }
+
+  // Pitch curve, broken at silences, coloured by distance from the nearest note
+  const maxGap = Math.max(0.05, 2.5 * (hopSec || 0));
+  ctx.lineWidth = 2;
+  ctx.lineCap = 'round';
+  let previous = null;
+  visible.forEach((point) => {
+    if (!point.frequency) {
+      previous = null;
+      return;
+    }
+    const midi = frequencyToMidi(point.frequency, referencePitch);
+    const cents = (midi - Math.round(midi)) * 100;
+    ctx.strokeStyle = centsColor(cents);
+    ctx.beginPath();
+    if (previous && point.time - previous.time <= maxGap) {
+      ctx.moveTo(x(previous.time), y(previous.midi));
+    } else {
+      ctx.moveTo(x(point.time) - 1, y(midi));
+    }
+    ctx.lineTo(x(point.time), y(midi));
+    ctx.stroke();
+    previous = { time: point.time, midi };
+  });
+}
+
+/**
+ * Pitch curve on a semitone grid. With a running `tracker` it scrolls
+ * through the last `windowSec` seconds; with a stored `pitchTrack` it shows
+ * the whole take with an intonation summary.
+ */
+export default function PitchCurve({
+  tracker = null,
+  pitchTrack = null,
+  windowSec = 8,
+  height = 140,
+}) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+
+    if (tracker) {
+      let frameId = requestAnimationFrame(function tick() {
+        const points = tracker.points;
+        const endTime = Math.max(
+          windowSec,
+          points.length ? points[points.length - 1].time : 0,
+        );
+        drawCurve(canvas, points, {
+          referencePitch: tracker.referencePitch,
+          startTime: endTime - windowSec,
+          endTime,
+          live: true,
+          hopSec: tracker.hopSec,
+        });
+        frameId = requestAnimationFrame(tick);
+      });
+      return () => cancelAnimationFrame(frameId);
+    }
+
+    if (pitchTrack) {
+      const points = pitchTrack.points || [];
+      const redraw = () =>
+        drawCurve(canvas, points, {
+          referencePitch: pitchTrack.referencePitch,
+          startTime: 0,
+          endTime: points.length ? points[points.length - 1].time : windowSec,
+          live: false,
+          hopSec: pitchTrack.hopSec,
+        });
+      redraw();
+      window.addEventListener('resize', redraw);
+      return () => window.removeEventListener('resize', redraw);
+    }
+    return undefined;
+  }, [tracker, pitchTrack, windowSec]);
+
+  const summary =
+    !tracker && pitchTrack ? summarizePitchTrack(pitchTrack) : null;
+
+  return (
+    <div className="w-100">
+      <canvas
+        ref={canvasRef}
+        style={{ width: '100%', height, display: 'block', borderRadius: 4 }}
+        aria-label="Pitch curve"
+      />
+      {!tracker && pitchTrack && (
+        <div className="small text-muted mt-1">
+          {summary ? (
+            <>
+              In tune (±{IN_TUNE_CENTS}¢):{' '}
+              <strong>{summary.inTunePercent}%</strong>
+              {' · '}Sharp {summary.sharpPercent}% · Flat {summary.flatPercent}%
+              {' · '}Average {summary.meanAbsCents}¢ off
+              {Math.abs(summary.meanCents) > 2 &&
+                ` (tends ${summary.meanCents > 0 ? 'sharp' : 'flat'} ${summary.meanCents > 0 ? '+' : ''}${summary.meanCents}¢)`}
+            </>
+          ) : (
+            'No pitched playing detected in this take.'
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { frequencyToNote, IN_TUNE_CENTS } from '../../lib/pitchTracking';
+
+// Colour for a deviation in cents: green in tune, amber close, red off
+export const centsColor = (cents) => {
+  const abs = Math.abs(cents);
+  if (abs <= IN_TUNE_CENTS) return '#28a745';
+  if (abs <= 2.5 * IN_TUNE_CENTS) return '#ffc107';
+  return '#dc3545';
+};
+
+/**
+ * Live tuner for a running PitchTracker: nearest note plus a needle
+ * showing how many cents sharp or flat the player is.
+ */
+export default function PitchTuner({ tracker }) {
+  const [reading, setReading] = useState(null);
+
+  // Redraw at most once per animation frame however fast frames arrive
+  useEffect(() => {
+    if (!tracker) {
+      setReading(null);
+      return undefined;
+    }
+    let frameId = null;
+    let pending = null;
+    const unsubscribe = tracker.subscribe((point) => {
+      pending = point;
+      if (frameId) return;
+      frameId = requestAnimationFrame(() => {
+        frameId = null;
+        setReading(
+          pending.frequency
+            ? frequencyToNote(pending.frequency, tracker.referencePitch)
+            : null,
+        );
+      });
+    });
+    return () => {
+      unsubscribe();
+      if (frameId) cancelAnimationFrame(frameId);
+    };
+  }, [tracker]);
+
+  const cents = reading?.cents ?? 0;
+  const color = reading ? centsColor(cents) : '#6c757d';
+
+  return (
+    <div
+      className="d-flex align-items-center gap-3 my-2"
+      aria-live="polite"
+      title="Nearest note and cents sharp (+) or flat (-)"
+    >
+      <div style={{ minWidth: '4.5rem', textAlign: 'center' }}>
+        <span style={{ fontSize: '2rem', fontWeight: 'bold', color }}>
+          {reading ? reading.name : '–'}
+        </span>
+        {reading && <sub>{reading.octave}</sub>}
+      </div>
+      <div style={{ flex: 1, maxWidth: 320 }}>
+        <div
+          style={{
+            position: 'relative',
+            height: 14,
+            borderRadius: 7,
+            background:
+              'linear-gradient(90deg, #dc3545, #ffc107 30%, #28a745 40%, #28a745 60%, #ffc107 70%, #dc3545)',
+            opacity: reading ? 1 : 0.35,
+          }}
+        >
+          <div
+            style={{
+              position: 'absolute',
+              top: -4,
+              bottom: -4,
+              width: 4,
+              borderRadius: 2,
+              background: '#212529',
+              left: `calc(${50 + Math.max(-50, Math.min(50, cents))}% - 2px)`,
+              transition: 'left 80ms linear',
+            }}
+          />
+        </div>
+        <div className="d-flex justify-content-between small text-muted">
+          <span>-50¢ flat</span>
+          <span>sharp +50¢</span>
+        </div>
+      </div>
+      <div style={{ minWidth: '4rem', color, fontWeight: 'bold' }}>
+        {reading ? `${cents > 0 ? '+' : ''}${cents}¢` : ''}
+      </div>
+    </div>
+  );
+}
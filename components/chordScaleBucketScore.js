@@ -1,5 +1,5 @@
-import React, { useEffect, useState } from 'react';
-import Embed from 'flat-embed';
+import React, { useMemo } from 'react';
+import ScoreRenderer from './scoreRenderer';
 import {
   colorNotes,
   getChordScaleInKey,
@@ -15,13 +15,8 @@ function ChordScaleBucketScore({
   instrumentName,
   className,
 }) {
-  const [embed, setEmbed] = useState();
-  const editorRef = React.createRef();
-
-  // *FIX* Need to get rid of arrow, make it a normal function as we did with keyFromScoreJSON, and getChordScaleInKey below.
-  function embedTransposed(
+  function bucketScore(
     bucket,
-    transposeEmbed,
     // templt,
     keySig,
     instrName,
@@ -138,46 +133,11 @@ function ChordScaleBucketScore({
         };
       });
     }
-    const resultTransposed = transposeEmbed
-      .ready()
-      .then(() => transposeEmbed.loadJSON(template));
-    return resultTransposed;
+    return template;
   }
 
-  useEffect(() => {
-    const embedParams = {
-      // sharingKey: score.sharingKey,
-      appId: '60a51c906bcde01fc75a3ad0',
-      layout: 'responsive',
-      branding: false,
-      themePrimary: '#450084',
-      controlsDisplay: false,
-      controlsPlay: false,
-      controlsFullscreen: false,
-      controlsZoom: false,
-      controlsPrint: false,
-      displayFirstLinePartsNames: false,
-      toolsetId: '64be80de738efff96cc27edd',
-    };
-    let computedHeight = 300;
-    if (height) {
-      computedHeight = height;
-    }
-
-    const allParams = {
-      height: `${computedHeight}`,
-      width: '100%',
-      embedParams,
-    };
-    setEmbed(new Embed(editorRef.current, allParams));
-  }, [height]);
-
-  useEffect(() => {
-    if (
-      referenceScoreJSON !== '' &&
-      referenceScoreJSON !== undefined &&
-      embed
-    ) {
+  const scoreJSON = useMemo(() => {
+    if (referenceScoreJSON !== '' && referenceScoreJSON !== undefined) {
       // Makes sure we don't accidentally run this code and prevents runtime error.
       const copyJSON = JSON.parse(referenceScoreJSON); // Creates our JSON object to use in our functions below.
 
@@ -204,11 +164,18 @@ function ChordScaleBucketScore({
       }
 
       // current issue: our octaves are all defaulted to 0; however, to fix this issue if we comment out our else statement in our keyFromScoreJSON it fixes.
-      embedTransposed(bucket, embed, keySignature, instrumentName);
+      return bucketScore(bucket, keySignature, instrumentName);
     }
-  }, [referenceScoreJSON, chordScaleBucket, embed]);
+    return null;
+  }, [referenceScoreJSON, chordScaleBucket, colors, instrumentName]);
 
-  return <div className={className} ref={editorRef} />;
+  return (
+    <ScoreRenderer
+      className={className}
+      scoreJSON={scoreJSON}
+      height={height || 300}
+    />
+  );
 }
 
 export default ChordScaleBucketScore;
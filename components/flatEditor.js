@@ -15,6 +15,8 @@ import {
   colorMeasures,
 } from '../lib/flat';
 import { correctMeasure, correctScore } from '../lib/variations';
+import FlatMelodyViewer from './flatMelodyViewer';
+import ScorePlayer from './scorePlayer';
 
 const validateScore = (proposedScore, permittedPitches) => {
   const result = { ok: true, errors: [] };
@@ -31,7 +33,7 @@ const validateScore = (proposedScore, permittedPitches) => {
   return result;
 };
 
-function FlatEditor({
+function FlatEmbedEditor({
   edit = false,
   height,
   width = '100%',
@@ -531,4 +533,83 @@ function FlatEditor({
   );
 }
 
+/**
+ * Composing goes through the Flat editor; read-only scores are drawn and
+ * played by ScorePlayer so they show without loading Flat.
+ */
+function FlatEditor({
+  edit = false,
+  score = {},
+  scoreJSON,
+  height = 300,
+  width,
+  onSubmit,
+  submittingStatus,
+  onUpdate,
+  orig,
+  giveJSON,
+  trim,
+  colors,
+  referenceScoreJSON,
+  chordScaleBucket,
+  instrumentName,
+  instrument = instrumentName,
+  transposition,
+  slice,
+  sliceIdx,
+  debugMsg,
+  selectedMeasure,
+}) {
+  if (edit || score.scoreId === 'blank') {
+    return (
+      <FlatEmbedEditor
+        edit={edit}
+        height={height}
+        width={width}
+        score={score}
+        onSubmit={onSubmit}
+        submittingStatus={submittingStatus}
+        scoreJSON={scoreJSON}
+        onUpdate={onUpdate}
+        orig={orig}
+        giveJSON={giveJSON}
+        trim={trim}
+        colors={colors}
+        referenceScoreJSON={referenceScoreJSON}
+        chordScaleBucket={chordScaleBucket}
+        instrumentName={instrumentName}
+        slice={slice}
+        sliceIdx={sliceIdx}
+        debugMsg={debugMsg}
+        selectedMeasure={selectedMeasure}
+      />
+    );
+  }
+  if (score.scoreId && score.sharingKey) {
+    return (
+      <FlatMelodyViewer
+        score={score}
+        height={height}
+        width={width}
+        onLoad={giveJSON}
+        debugMsg={debugMsg}
+        instrument={instrument}
+        transposition={transposition}
+      />
+    );
+  }
+  return (
+    <Row>
+      <Col>
+        <ScorePlayer
+          scoreJSON={scoreJSON}
+          height={height}
+          instrument={instrument}
+          transposition={transposition}
+        />
+      </Col>
+    </Row>
+  );
+}
+
 export default FlatEditor;
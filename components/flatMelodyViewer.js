@@ -1,7 +1,9 @@
 import React, { useEffect, useState } from 'react';
+import Alert from 'react-bootstrap/Alert';
 import Col from 'react-bootstrap/Col';
 import Row from 'react-bootstrap/Row';
-import Embed from 'flat-embed';
+import ScorePlayer from './scorePlayer';
+import { loadFlatScoreJSON } from '../lib/flat';
 
 function FlatMelodyViewer({
   height = 300,
@@ -9,46 +11,25 @@ function FlatMelodyViewer({
   score,
   onLoad,
   debugMsg,
+  instrument,
+  transposition,
 }) {
-  // const [embed, setEmbed] = useState();
-  const editorRef = React.createRef();
-
-  const embedParams = {
-    appId: '60a51c906bcde01fc75a3ad0',
-    layout: 'responsive',
-    branding: false,
-    themePrimary: '#450084',
-    controlsDisplay: false,
-    controlsPlay: false,
-    controlsFullscreen: false,
-    displayFirstLinePartsNames: false,
-    controlsZoom: false,
-    controlsPrint: false,
-    toolsetId: '64be80de738efff96cc27edd',
-  };
-
-  const allParams = {
-    height: `${height}`,
-    width,
-    embedParams,
-  };
+  const [scoreJSON, setScoreJSON] = useState(null);
+  const [loadError, setLoadError] = useState(null);
 
   useEffect(() => {
-    if (!editorRef.current) return;
-    const loadParams = {
-      score: score.scoreId,
-    };
-    if (score.sharingKey) {
-      loadParams.sharingKey = score.sharingKey;
-    }
-    const embed = new Embed(editorRef.current, allParams);
-
-    embed
-      .ready()
-      .then(() => embed.loadFlatScore(loadParams))
-      .then(() => embed.getJSON())
-      .then((jsonData) => onLoad && onLoad(JSON.stringify(jsonData)))
+    if (!score) return undefined;
+    let cancelled = false;
+    setLoadError(null);
+    loadFlatScoreJSON(score)
+      .then((jsonData) => {
+        if (cancelled) return;
+        setScoreJSON(jsonData);
+        if (onLoad) onLoad(JSON.stringify(jsonData));
+      })
       .catch((e) => {
+        // Shown to the user before the message gets the debug details below
+        const reason = e?.message || 'unknown error';
         if (e && e.message) {
           e.message = `flat error: ${e?.message}, not loaded from scoreId, score: ${JSON.stringify(score)}`;
           if (debugMsg) {
@@ -62,14 +43,31 @@ function FlatMelodyViewer({
         }
         console.error('score not loaded from scoreId');
         console.error('score', score);
-        throw e;
+        console.error(e);
+        if (!cancelled) setLoadError(reason);
       });
-  }, [editorRef.current]);
+    return () => {
+      cancelled = true;
+    };
+  }, [score?.scoreId, score?.sharingKey]);
 
   return (
     <Row>
       <Col>
-        <div ref={editorRef} />
+        <div style={{ width }}>
+          {loadError ? (
+            <Alert variant="warning">
+              This score could not be loaded: {loadError}.
+            </Alert>
+          ) : (
+            <ScorePlayer
+              scoreJSON={scoreJSON}
+              height={height}
+              instrument={instrument}
+              transposition={transposition}
+            />
+          )}
+        </div>
       </Col>
     </Row>
   );
@@ -0,0 +1,114 @@
+import React, { useMemo } from 'react';
+import Alert from 'react-bootstrap/Alert';
+import Table from 'react-bootstrap/Table';
+import ScoreRenderer from './scoreRenderer';
+import {
+  analyzeHarmonicFit,
+  colorHarmonicFit,
+  HARMONIC_FIT_COLORS,
+} from '../lib/harmonicFit';
+
+// Measures under this fit are flagged even when every non-chord tone resolves
+const LOW_FIT = 0.5;
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+function measureVariant(measure) {
+  if (measure.fit === null) return '';
+  if (measure.unresolved > 0) return 'table-danger';
+  if (measure.fit < LOW_FIT) return 'table-warning';
+  return 'table-success';
+}
+
+function formatNonChordTones(measure) {
+  const counts = Object.keys(HARMONIC_FIT_COLORS)
+    .filter((kind) => measure[kind] > 0)
+    .map((kind) => `${measure[kind]} ${kind}`);
+  return counts.length > 0 ? counts.join(' · ') : 'none';
+}
+
+/**
+ * How well a composition fits the piece's chord-scale pattern: the
+ * composition with its non-chord tones colored by kind, and the fit of
+ * each measure. Shown to students before they submit and to teachers
+ * when grading.
+ * @param {Object|string} scoreJSON - The composition
+ * @param {string[]} chordScalePattern - Chord scale of each measure
+ */
+export default function HarmonicFitReport({
+  scoreJSON,
+  chordScalePattern,
+  height,
+}) {
+  const checked = useMemo(() => {
+    if (!scoreJSON || !chordScalePattern?.length) return null;
+    try {
+      const report = analyzeHarmonicFit(scoreJSON, chordScalePattern);
+      return { report, score: colorHarmonicFit(scoreJSON, report) };
+    } catch (e) {
+      console.error('composition could not be checked against the harmony', e);
+      return { error: e };
+    }
+  }, [scoreJSON, chordScalePattern]);
+
+  if (!checked) return null;
+  if (checked.error) {
+    return (
+      <Alert variant="warning" className="mt-2">
+        This composition could not be checked against the harmony.
+      </Alert>
+    );
+  }
+
+  const { report, score } = checked;
+  const { summary } = report;
+  if (summary.checkedMeasures === 0) {
+    return (
+      <p className="text-muted small mt-2">
+        There are no notes to check against the harmony yet.
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-2">
+      <p className="mb-1">
+        {percent(summary.fit)} on chord-scale tones · {summary.passing} passing
+        · {summary.neighbor} neighbor · {summary.unresolved} unresolved
+      </p>
+      <div className="d-flex flex-wrap gap-3 small text-muted mb-2">
+        {Object.entries(HARMONIC_FIT_COLORS).map(([kind, color]) => (
+          <span key={kind}>
+            <span style={{ color }} aria-hidden="true">
+              ●
+            </span>{' '}
+            {kind} tone
+          </span>
+        ))}
+      </div>
+      <ScoreRenderer scoreJSON={score} height={height || 300} />
+      <Table size="sm" bordered responsive className="mt-2 mb-0">
+        <thead>
+          <tr>
+            <th>Measure</th>
+            <th>Chord scale</th>
+            <th>Fit</th>
+            <th>Non-chord tones</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.measures.map((measure) => (
+            <tr key={measure.number} className={measureVariant(measure)}>
+              <td>{measure.number}</td>
+              <td className="text-capitalize">{measure.chordScale ?? '–'}</td>
+              <td>{measure.fit === null ? '–' : percent(measure.fit)}</td>
+              <td>
+                {measure.fit === null ? '–' : formatNonChordTones(measure)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </div>
+  );
+}
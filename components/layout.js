@@ -9,7 +9,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { Spinner } from 'react-bootstrap';
 import Navigation from './nav';
 import styles from './layout.module.css';
-import { getUserProfile, gotUser } from '../actions';
+import { getUserProfile, gotUser, resumePendingUploads } from '../actions';
 
 const PUBLIC_PATHS = ['/', '/about', '/auth/signin', '/api/auth/signout', '/studio', '/silence-sandbox/catch-dropped-audio'];
 
@@ -30,6 +30,13 @@ export default function Layout({ children }) {
   const { loaded: userLoaded, token } = useSelector(
     (state) => state.currentUser,
   );
+
+  // Finish any recording upload an earlier page was interrupted in
+  useEffect(() => {
+    if (token) {
+      dispatch(resumePendingUploads());
+    }
+  }, [token, dispatch]);
   return (
     <>
       <Head>
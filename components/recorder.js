@@ -25,6 +25,9 @@ import DAW from './audio/DAW';
 import { AudioDropModal } from './audio/silenceDetect';
 import { catchSilence, setupAudioContext } from '../lib/dawUtils';
 import StatusIndicator from './statusIndicator';
+import PitchTuner from './audio/PitchTuner';
+import PitchCurve from './audio/PitchCurve';
+import { usePitchTracking } from '../hooks/usePitchTracking';
 import styles from '../styles/recorder.module.css';
 import { getInstrumentConfigurations, mutateInstrumentConfiguration, createInstrumentConfiguration, deleteInstrumentConfiguration } from "../api";
 import MicRecorder from 'mic-recorder-to-mp3';
@@ -47,6 +50,7 @@ import {
   FaVolumeDown,
   FaVolumeUp,
   FaRegTrashAlt,
+  FaChartLine,
 } from 'react-icons/fa';
 import WaveSurfer from 'wavesurfer.js';
 import { MdOutlineKeyboard } from 'react-icons/md';
@@ -109,6 +113,7 @@ export default function RecorderRefactored({
   accompaniment,
   logOperation = null,
   enableDroppedAudioDetection = false,
+  enablePitchTracking = true,
 }) {
   const dispatch = useDispatch();
   const router = useRouter();
@@ -167,6 +172,17 @@ export default function RecorderRefactored({
   // Keep track of processed takes to avoid duplicates
   const processedTakesRef = useRef(new Set());
 
+  // Intonation feedback: live while recording, stored on each take
+  const {
+    tracker: pitchTracker,
+    start: startPitchTracking,
+    stop: stopPitchTracking,
+  } = usePitchTracking({ enabled: enablePitchTracking });
+  const micStreamRef = useRef(null);
+  const pendingPitchTrackRef = useRef(null);
+  const [pitchReviewTake, setPitchReviewTake] = useState(null);
+  const reviewedTake = blobInfo.find((t) => t.take === pitchReviewTake);
+
   // Fixed recording completion effect - apply recording to armed track
   useEffect(() => {
     // Detect when we've just stopped recording (transition from recording to not recording)
@@ -370,6 +386,7 @@ export default function RecorderRefactored({
             return;
           }
           setMimeType(supportedType);
+          micStreamRef.current = stream;
 
           const recorder = new MediaRecorder(stream, {
             mimeType: supportedType,
@@ -404,7 +421,9 @@ export default function RecorderRefactored({
               timeStr: new Date().toLocaleString(),
               mimeType: supportedType,
               takeName: null,
+              pitchTrack: pendingPitchTrackRef.current,
             });
+            pendingPitchTrackRef.current = null;
             setTakeNo(currentTakeNo);
 
             chunksRef.current = [];
@@ -496,8 +515,16 @@ export default function RecorderRefactored({
 
     chunksRef.current = [];
     mediaRecorder.start(10);
+    startPitchTracking(micStreamRef.current, performance.now());
     setIsRecording(true);
-  }, [isBlocked, mediaRecorder, accompanimentRef, chunksRef, setIsRecording]);
+  }, [
+    isBlocked,
+    mediaRecorder,
+    accompanimentRef,
+    chunksRef,
+    setIsRecording,
+    startPitchTracking,
+  ]);
 
   const stopRecording = useCallback(async () => {
     try {
@@ -516,6 +543,8 @@ export default function RecorderRefactored({
       }
 
       if (mediaRecorder && mediaRecorder.state === 'recording') {
+        // onstop attaches the pitch track to the new take
+        pendingPitchTrackRef.current = stopPitchTracking();
         mediaRecorder.stop();
         // Set the active take to the one we just recorded
         setTimeout(() => {
@@ -527,7 +556,13 @@ export default function RecorderRefactored({
       console.log('Suppressed error in stopRecording:', error.name);
       setIsRecording(false); // Ensure we still update state
     }
-  }, [mediaRecorder, accompanimentRef, setIsRecording, setActiveTakeNo]);
+  }, [
+    mediaRecorder,
+    accompanimentRef,
+    setIsRecording,
+    setActiveTakeNo,
+    stopPitchTracking,
+  ]);
 
   const handleDeleteTake = useCallback(
     (index) => {
@@ -607,8 +642,13 @@ export default function RecorderRefactored({
             }
           }
 
+          // The edited recording comes from the active take, so its
+          // intonation goes along for the teacher
+          const pitchTrack =
+            blobInfo.find((t) => t.take === activeTakeNo)?.pitchTrack ?? null;
+
           // Always submit the pristine blob - DO NOT MODIFY IT
-          submit(blob);
+          submit(blob, null, { pitchTrack });
 
           // Clear the pending activity log after a delay
           if (activityLogData && typeof window !== 'undefined') {
@@ -631,6 +671,8 @@ export default function RecorderRefactored({
       setSilenceData,
       setShowAudioDrop,
       submit,
+      blobInfo,
+      activeTakeNo,
     ],
   );
 
@@ -648,6 +690,12 @@ export default function RecorderRefactored({
               <FaMicrophone />
             </Button>
           )}
+          {isRecording && pitchTracker && (
+            <>
+              <PitchTuner tracker={pitchTracker} />
+              <PitchCurve tracker={pitchTracker} />
+            </>
+          )}
         </Col>
       </Row>
 
@@ -710,6 +758,25 @@ export default function RecorderRefactored({
                   />
                   <div className="d-flex align-items-center gap-1">
                     <BiRename onClick={() => handleRename(take.take)} />
+                    {take.pitchTrack && (
+                      <Button
+                        size="sm"
+                        variant={
+                          pitchReviewTake === take.take
+                            ? 'info'
+                            : 'outline-info'
+                        }
+                        style={{ fontSize: '0.6rem' }}
+                        onClick={() =>
+                          setPitchReviewTake((prev) =>
+                            prev === take.take ? null : take.take,
+                          )
+                        }
+                        title="Review intonation"
+                      >
+                        <FaChartLine /> Pitch
+                      </Button>
+                    )}
                     <Button
                       size="sm"
                       variant="success"
@@ -734,6 +801,17 @@ export default function RecorderRefactored({
               ))}
             </ListGroup>
           )}
+          {reviewedTake?.pitchTrack && (
+            <Card className="mt-2">
+              <Card.Body>
+                <Card.Title as="h6">
+                  Intonation —{' '}
+                  {reviewedTake.takeName || `Take ${reviewedTake.take}`}
+                </Card.Title>
+                <PitchCurve pitchTrack={reviewedTake.pitchTrack} />
+              </Card.Body>
+            </Card>
+          )}
           {showDAW && audioURL && audioURL !== scratchURL && (
             <DAW
               onSubmit={submitEditedRecording}
@@ -1382,6 +1460,12 @@ export function Recorder({ submit, accompaniment }) {
   const [audioFileUrl, setAudioFileUrl] = useState(null);
   const [persistedConfigId, setPersistedConfigId] = useState(null);
   const [configs, setConfigs] = useState([]);
+  const {
+    tracker: pitchTracker,
+    start: startPitchTracking,
+    stop: stopPitchTracking,
+  } = usePitchTracking();
+  const [pitchReviewIndex, setPitchReviewIndex] = useState(null);
 
   useEffect(() => {
     (async () => {
@@ -1516,6 +1600,7 @@ export function Recorder({ submit, accompaniment }) {
       recorder
         .start()
         .then(() => {
+          startPitchTracking();
           setIsRecording(true);
         })
         .catch((err) => console.error('problem starting recording', err));
@@ -1537,6 +1622,7 @@ export function Recorder({ submit, accompaniment }) {
     accompanimentRef.current.pause();
     accompanimentRef.current.load();
     if (recordingType === "mic") {
+      const pitchTrack = stopPitchTracking();
 
       recorder
         .stop()
@@ -1550,6 +1636,7 @@ export function Recorder({ submit, accompaniment }) {
             {
               url,
               data: blob,
+              pitchTrack,
             },
           ]);
           setIsRecording(false);
@@ -1580,13 +1667,14 @@ export function Recorder({ submit, accompaniment }) {
     const blob = new File([blobInfo[i].data], 'student-recording.mp3', {
       type: 'audio/mpeg',
     });
-    submit(blob);
+    submit(blob, submissionId, { pitchTrack: blobInfo[i].pitchTrack ?? null });
   };
 
   function deleteTake(index) {
     const newInfo = blobInfo.slice();
     newInfo.splice(index, 1);
     setBlobInfo(newInfo);
+    setPitchReviewIndex(null);
   }
   // Start of integration
   const keyboardMap = useMemo(() => {
@@ -1754,6 +1842,12 @@ export function Recorder({ submit, accompaniment }) {
               </Modal>
             </>
           )}
+          {isRecording && pitchTracker && (
+            <>
+              <PitchTuner tracker={pitchTracker} />
+              <PitchCurve tracker={pitchTracker} />
+            </>
+          )}
         </Col>
       </Row>
       <Row>
@@ -1790,6 +1884,17 @@ export function Recorder({ submit, accompaniment }) {
                     <Button onClick={() => deleteTake(i)}>
                       <FaRegTrashAlt />
                     </Button>
+                    {take.pitchTrack && (
+                      <Button
+                        variant={pitchReviewIndex === i ? 'info' : 'outline-info'}
+                        onClick={() =>
+                          setPitchReviewIndex(pitchReviewIndex === i ? null : i)
+                        }
+                        title="Review intonation"
+                      >
+                        <FaChartLine />
+                      </Button>
+                    )}
                   </div>
                   <div className="minWidth">
                     <StatusIndicator statusId={`recording-take-${i}`} />
@@ -1798,6 +1903,9 @@ export function Recorder({ submit, accompaniment }) {
               ))}
             </ListGroup>
           )}
+          {blobInfo[pitchReviewIndex]?.pitchTrack && (
+            <PitchCurve pitchTrack={blobInfo[pitchReviewIndex].pitchTrack} />
+          )}
           {/* eslint-disable-next-line jsx-a11y/media-has-caption */}
           <audio src={blobURL} />
         </Col>
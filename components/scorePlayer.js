@@ -0,0 +1,314 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import { FaPlay, FaStop } from 'react-icons/fa';
+import { MdLoop } from 'react-icons/md';
+import ScoreRenderer from './scoreRenderer';
+import { createInstrument } from './audio/DAW/Multitrack/Instruments/WebAudioInstruments';
+import {
+  cursorAtBeat,
+  playbackInstrument,
+  rangeBeats,
+  scorePlaybackEvents,
+} from '../lib/scorePlayback';
+
+const LOOKAHEAD_SEC = 0.1;
+const SCHEDULE_INTERVAL_MS = 25;
+const MIN_TEMPO = 30;
+const MAX_TEMPO = 240;
+const DEFAULT_TEMPO = 100;
+// Notes are released a little early so repeated pitches are heard apart
+const ARTICULATION = 0.95;
+
+/**
+ * A read-only score with playback through the DAW instruments. The sound
+ * follows the student's instrument, and notes sound at concert pitch for
+ * the part's transposition. Click a measure to play only that measure,
+ * shift-click to extend the range, and switch on looping to practice it.
+ */
+function ScorePlayer({
+  scoreJSON,
+  instrument,
+  transposition,
+  height,
+  staffSpace,
+  className,
+}) {
+  const instrumentName =
+    typeof instrument === 'string' ? instrument : instrument?.name;
+  const playback = useMemo(() => {
+    if (!scoreJSON) return null;
+    try {
+      return scorePlaybackEvents(scoreJSON, {
+        transposition: transposition ?? instrument?.transposition,
+        instrument: instrumentName,
+      });
+    } catch (e) {
+      console.error('score could not be read for playback', e);
+      return null;
+    }
+  }, [scoreJSON, transposition, instrument?.transposition, instrumentName]);
+
+  const sound = playbackInstrument(instrument);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [tempo, setTempo] = useState(DEFAULT_TEMPO);
+  const [range, setRange] = useState(null); // [first, last] measure index
+  const [loop, setLoop] = useState(false);
+
+  const audioContextRef = useRef(null);
+  const instrumentRef = useRef(null); // { key, instrument }
+  const timerIDRef = useRef(null);
+  const frameRef = useRef(null);
+  // Context time at which playback was (or will be) at a beat; the previous
+  // anchor stays in use until a loop's restart is reached
+  const anchorRef = useRef(null);
+  const previousAnchorRef = useRef(null);
+  const nextNoteRef = useRef(0);
+  const tempoRef = useRef(tempo);
+  const settingsRef = useRef({ loop, span: null });
+
+  const span = playback ? rangeBeats(playback.measures, range) : null;
+  settingsRef.current = { loop, span };
+
+  // Start at the score's own tempo
+  useEffect(() => {
+    const scoreTempo = playback?.tempo;
+    const initial = Math.round(
+      Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, scoreTempo || DEFAULT_TEMPO)),
+    );
+    tempoRef.current = initial;
+    setTempo(initial);
+  }, [playback?.tempo]);
+
+  const beatAt = (contextTime) => {
+    const anchor =
+      previousAnchorRef.current && contextTime < anchorRef.current.contextTime
+        ? previousAnchorRef.current
+        : anchorRef.current;
+    return (
+      anchor.beat + ((contextTime - anchor.contextTime) * tempoRef.current) / 60
+    );
+  };
+
+  const timeOfBeat = (beat) =>
+    anchorRef.current.contextTime +
+    ((beat - anchorRef.current.beat) * 60) / tempoRef.current;
+
+  const firstNoteFrom = (beat) => {
+    const index = playback.notes.findIndex(
+      (note) => note.startBeat >= beat - 1e-6,
+    );
+    return index === -1 ? playback.notes.length : index;
+  };
+
+  const stop = () => {
+    clearInterval(timerIDRef.current);
+    timerIDRef.current = null;
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = null;
+    instrumentRef.current?.instrument.stopAllNotes();
+    anchorRef.current = null;
+    previousAnchorRef.current = null;
+    setIsPlaying(false);
+    setCursor(null);
+  };
+
+  // Plays the notes that start within the lookahead window, and at the end
+  // of a looped range anchors the next pass to start where this one ends
+  const scheduler = () => {
+    const ctx = audioContextRef.current;
+    const { instrument: voice } = instrumentRef.current;
+    const { loop: looping, span: current } = settingsRef.current;
+    const horizon = ctx.currentTime + LOOKAHEAD_SEC;
+
+    for (;;) {
+      const note = playback.notes[nextNoteRef.current];
+      const noteInRange = note && note.startBeat < current.endBeat - 1e-6;
+      const endTime = timeOfBeat(current.endBeat);
+      if (noteInRange) {
+        const when = timeOfBeat(note.startBeat);
+        if (when >= horizon) break;
+        const endBeat = Math.min(
+          note.startBeat + note.durationBeats,
+          current.endBeat,
+        );
+        if (when >= ctx.currentTime - 0.01) {
+          const length = (timeOfBeat(endBeat) - when) * ARTICULATION;
+          voice.playNote(note.midi, 0.8, Math.max(when, ctx.currentTime));
+          voice.stopNote(note.midi, when + length);
+        }
+        nextNoteRef.current += 1;
+      } else if (looping && endTime < horizon) {
+        previousAnchorRef.current = anchorRef.current;
+        anchorRef.current = { contextTime: endTime, beat: current.startBeat };
+        nextNoteRef.current = firstNoteFrom(current.startBeat);
+      } else {
+        break;
+      }
+    }
+  };
+
+  const followCursor = () => {
+    const ctx = audioContextRef.current;
+    if (!ctx || !anchorRef.current) return;
+    const { loop: looping, span: current } = settingsRef.current;
+    const beat = beatAt(ctx.currentTime);
+    if (!looping && beat >= current.endBeat) {
+      stop();
+      return;
+    }
+    setCursor(cursorAtBeat(playback.measures, Math.max(beat, 0)));
+    frameRef.current = requestAnimationFrame(followCursor);
+  };
+
+  const startAt = (beat) => {
+    const ctx = audioContextRef.current;
+    instrumentRef.current.instrument.stopAllNotes();
+    anchorRef.current = { contextTime: ctx.currentTime + 0.05, beat };
+    previousAnchorRef.current = null;
+    nextNoteRef.current = firstNoteFrom(beat);
+    scheduler();
+  };
+
+  const play = async () => {
+    if (!playback || !span) return;
+    if (!audioContextRef.current) {
+      audioContextRef.current = new (
+        window.AudioContext || window.webkitAudioContext
+      )();
+    }
+    const ctx = audioContextRef.current;
+    await ctx.resume?.();
+
+    // One instrument per sound, replaced when the student's instrument changes
+    const key = `${sound.type}:${sound.preset || ''}`;
+    if (instrumentRef.current?.key !== key) {
+      instrumentRef.current?.instrument.dispose();
+      const voice = createInstrument(ctx, sound.type, sound.preset);
+      voice.connect(ctx.destination);
+      instrumentRef.current = { key, instrument: voice };
+    }
+
+    startAt(span.startBeat);
+    timerIDRef.current = setInterval(scheduler, SCHEDULE_INTERVAL_MS);
+    frameRef.current = requestAnimationFrame(followCursor);
+    setIsPlaying(true);
+  };
+
+  // Tempo changes carry on from the current position
+  const handleTempoChange = (e) => {
+    const bpm = parseInt(e.target.value, 10);
+    if (!Number.isFinite(bpm)) return;
+    const ctx = audioContextRef.current;
+    if (anchorRef.current && ctx) {
+      const beat = Math.max(beatAt(ctx.currentTime), span.startBeat);
+      tempoRef.current = bpm;
+      startAt(beat);
+    }
+    tempoRef.current = bpm;
+    setTempo(bpm);
+  };
+
+  const handleMeasureClick = (index, event) => {
+    if (isPlaying) stop();
+    setRange((current) =>
+      event?.shiftKey && current
+        ? [Math.min(current[0], index), Math.max(current[1], index)]
+        : [index, index],
+    );
+  };
+
+  // A new score starts over with nothing selected
+  useEffect(() => {
+    stop();
+    setRange(null);
+  }, [playback]);
+
+  useEffect(
+    () => () => {
+      clearInterval(timerIDRef.current);
+      cancelAnimationFrame(frameRef.current);
+      instrumentRef.current?.instrument.dispose();
+      audioContextRef.current?.close();
+    },
+    [],
+  );
+
+  const hasNotes = playback?.notes.length > 0;
+
+  return (
+    <div className={className}>
+      <div className="d-flex align-items-center flex-wrap gap-2 mb-2">
+        {isPlaying ? (
+          <Button size="sm" variant="primary" onClick={stop} title="Stop">
+            <FaStop /> Stop
+          </Button>
+        ) : (
+          <Button
+            size="sm"
+            variant="primary"
+            onClick={play}
+            disabled={!hasNotes}
+            title={range ? 'Play the selected measures' : 'Play the score'}
+          >
+            <FaPlay /> Play
+          </Button>
+        )}
+        <Button
+          size="sm"
+          variant={loop ? 'primary' : 'outline-secondary'}
+          onClick={() => setLoop(!loop)}
+          title="Loop playback"
+          aria-pressed={loop}
+        >
+          <MdLoop /> Loop
+        </Button>
+        <Form.Range
+          min={MIN_TEMPO}
+          max={MAX_TEMPO}
+          value={tempo}
+          onChange={handleTempoChange}
+          style={{ width: '140px' }}
+          aria-label="Tempo"
+        />
+        <span className="text-muted small">{tempo} BPM</span>
+        {range ? (
+          <>
+            <span className="text-muted small">
+              {range[0] === range[1]
+                ? `Measure ${range[0] + 1}`
+                : `Measures ${range[0] + 1}–${range[1] + 1}`}
+            </span>
+            <Button
+              size="sm"
+              variant="link"
+              onClick={() => {
+                if (isPlaying) stop();
+                setRange(null);
+              }}
+            >
+              Play all
+            </Button>
+          </>
+        ) : (
+          hasNotes && (
+            <span className="text-muted small">
+              Click a measure to practice it; shift-click to choose several
+            </span>
+          )
+        )}
+      </div>
+      <ScoreRenderer
+        scoreJSON={scoreJSON}
+        height={height}
+        staffSpace={staffSpace}
+        selectedRange={range}
+        cursor={cursor}
+        onMeasureClick={hasNotes ? handleMeasureClick : undefined}
+      />
+    </div>
+  );
+}
+
+export default ScorePlayer;
@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { layoutScore } from '../lib/notation';
+
+// Fonts with the Unicode musical symbols used for clefs and accidentals
+const MUSIC_FONT =
+  "'Noto Music', 'Bravura Text', 'Segoe UI Symbol', 'Apple Symbols', serif";
+const TEXT_FONT = "'Times New Roman', serif";
+const SELECTED_FILL = 'rgba(69, 0, 132, 0.12)';
+const CURSOR_COLOR = '#450084';
+
+function ScoreItem({ item }) {
+  switch (item.kind) {
+    case 'line':
+      return (
+        <line
+          x1={item.x1}
+          y1={item.y1}
+          x2={item.x2}
+          y2={item.y2}
+          stroke={item.color}
+          strokeWidth={item.width}
+        />
+      );
+    case 'rect':
+      return (
+        <rect
+          x={item.x}
+          y={item.y}
+          width={item.width}
+          height={item.height}
+          fill={item.color}
+        />
+      );
+    case 'notehead':
+      return (
+        <ellipse
+          cx={item.x}
+          cy={item.y}
+          rx={item.rx}
+          ry={item.ry}
+          transform={`rotate(-20 ${item.x} ${item.y})`}
+          fill={item.filled ? item.color : 'none'}
+          stroke={item.color}
+          strokeWidth={item.filled ? 0 : item.ry * 0.35}
+        />
+      );
+    case 'path':
+      return item.fill ? (
+        <path d={item.d} fill={item.color} />
+      ) : (
+        <path
+          d={item.d}
+          fill="none"
+          stroke={item.color}
+          strokeWidth={item.width}
+          strokeLinecap="round"
+        />
+      );
+    case 'text':
+      return (
+        <text
+          x={item.x}
+          y={item.y}
+          fill={item.color}
+          fontSize={item.size}
+          fontFamily={item.music ? MUSIC_FONT : TEXT_FONT}
+          fontWeight={item.bold ? 'bold' : 'normal'}
+          textAnchor={item.anchor}
+        >
+          {item.text}
+        </text>
+      );
+    default:
+      return null;
+  }
+}
+
+// x of a position in a measure box, between the noteheads on either side
+function cursorX(measure, beat) {
+  const points = [
+    { onset: 0, x: measure.x },
+    ...measure.columns,
+    { onset: measure.lengthQ, x: measure.x + measure.width },
+  ];
+  for (let i = points.length - 1; i > 0; i--) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (beat >= from.onset && to.onset > from.onset) {
+      const t = Math.min(1, (beat - from.onset) / (to.onset - from.onset));
+      return from.x + t * (to.x - from.x);
+    }
+  }
+  return points[0].x;
+}
+
+/**
+ * Draws a `score-partwise` JSON score as SVG, without the Flat embed.
+ * Read-only; measures can be clicked when `onMeasureClick` is given, and
+ * `cursor` ({ measure, beat }, beat in quarter notes into the measure)
+ * draws a playback cursor that is kept scrolled into view.
+ */
+function ScoreRenderer({
+  scoreJSON,
+  height,
+  staffSpace = 9,
+  onMeasureClick,
+  selectedMeasure = null,
+  selectedRange = null,
+  cursor = null,
+  className,
+}) {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  // Lay out again whenever the container is resized
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    setWidth(container.clientWidth);
+    const observer = new ResizeObserver(([entry]) =>
+      setWidth(Math.floor(entry.contentRect.width)),
+    );
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const layout = useMemo(() => {
+    if (!scoreJSON || !width) return null;
+    try {
+      return layoutScore(scoreJSON, { width, staffSpace });
+    } catch (e) {
+      console.error('score could not be laid out', e);
+      return { error: e };
+    }
+  }, [scoreJSON, width, staffSpace]);
+
+  // The notation only changes with the layout, not with the cursor
+  const notation = useMemo(
+    () =>
+      layout?.systems?.map((system) => (
+        <g
+          key={system.y}
+          transform={`translate(0 ${system.y})`}
+          pointerEvents="none"
+        >
+          {system.items.map((item, i) => (
+            // eslint-disable-next-line react/no-array-index-key
+            <ScoreItem key={i} item={item} />
+          ))}
+        </g>
+      )),
+    [layout],
+  );
+
+  const isSelected = (index) =>
+    selectedMeasure === index ||
+    (selectedRange !== null &&
+      index >= selectedRange[0] &&
+      index <= selectedRange[1]);
+
+  let cursorLine = null;
+  if (cursor && layout?.systems) {
+    layout.systems.some((system, systemIdx) => {
+      const measure = system.measures.find((m) => m.index === cursor.measure);
+      if (!measure) return false;
+      cursorLine = {
+        systemIdx,
+        x: cursorX(measure, cursor.beat),
+        y1: system.y + system.top,
+        y2: system.y + system.top + system.height,
+      };
+      return true;
+    });
+  }
+  const cursorSystem = cursorLine?.systemIdx;
+
+  // Scroll the system with the cursor into view when the cursor moves on
+  useEffect(() => {
+    const container = containerRef.current;
+    if (cursorSystem === undefined || !container || !height) return;
+    const system = layout.systems[cursorSystem];
+    const top = system.y + system.top;
+    const bottom = top + system.height;
+    if (
+      top < container.scrollTop ||
+      bottom > container.scrollTop + container.clientHeight
+    ) {
+      container.scrollTop = top;
+    }
+  }, [cursorSystem, layout, height]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      style={{
+        maxHeight: height ? `${height}px` : undefined,
+        overflowY: height ? 'auto' : undefined,
+        backgroundColor: '#ffffff',
+      }}
+    >
+      {layout?.error && (
+        <p className="text-muted small m-2">This score could not be shown.</p>
+      )}
+      {layout && !layout.error && (
+        <svg
+          width={layout.width}
+          height={layout.height}
+          viewBox={`0 0 ${layout.width} ${layout.height}`}
+          role="img"
+          aria-label="Score"
+        >
+          {layout.systems.map((system) => (
+            <g key={system.y} transform={`translate(0 ${system.y})`}>
+              {system.measures.map(
+                (measure) =>
+                  (onMeasureClick || isSelected(measure.index)) && (
+                    <rect
+                      key={`measure-${measure.index}`}
+                      x={measure.x}
+                      y={system.top}
+                      width={measure.width}
+                      height={system.height}
+                      fill={
+                        isSelected(measure.index)
+                          ? SELECTED_FILL
+                          : 'transparent'
+                      }
+                      style={{ cursor: onMeasureClick ? 'pointer' : undefined }}
+                      onClick={
+                        onMeasureClick
+                          ? (event) => onMeasureClick(measure.index, event)
+                          : undefined
+                      }
+                    />
+                  ),
+              )}
+            </g>
+          ))}
+          {notation}
+          {cursorLine && (
+            <line
+              x1={cursorLine.x}
+              y1={cursorLine.y1}
+              x2={cursorLine.x}
+              y2={cursorLine.y2}
+              stroke={CURSOR_COLOR}
+              strokeWidth={2}
+              pointerEvents="none"
+            />
+          )}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(ScoreRenderer);
@@ -4,21 +4,35 @@ import { useSelector } from 'react-redux';
 import { UploadStatusEnum } from '../types';
 
 export default function StatusIndicator({ statusId }) {
-  const { submissions } = useSelector((state) => state.submission);
+  const { submissions, progress } = useSelector((state) => state.submission);
 
   const status = submissions?.[statusId];
+  const uploaded = progress?.[statusId];
+  const percent = uploaded?.total
+    ? Math.floor((uploaded.loaded / uploaded.total) * 100)
+    : null;
   return (
     /* eslint-disable no-nested-ternary */
     status === UploadStatusEnum.Active ? (
-      <Spinner
-        as="span"
-        animation="border"
-        size="sm"
-        role="status"
-        aria-hidden="true"
-      >
-        <span className="visually-hidden">Loading...</span>
-      </Spinner>
+      <span className="text-nowrap">
+        <Spinner
+          as="span"
+          animation="border"
+          size="sm"
+          role="status"
+          aria-hidden="true"
+        >
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        {percent !== null && (
+          <small
+            className="ms-1"
+            title={`${uploaded.loaded} of ${uploaded.total} bytes`}
+          >
+            {percent}%
+          </small>
+        )}
+      </span>
     ) : status === UploadStatusEnum.Erroneous ? (
       <FaTimesCircle className="show-out" />
     ) : status === UploadStatusEnum.Success ? (
@@ -63,13 +63,15 @@ export default function CreativityAuralActivity() {
         partTransposition.transposition.name === currentTransposition,
     )?.[0]?.flatio;
 
-  const submitCreativity = (audio) =>
+  const submitCreativity = (audio, submissionId, { pitchTrack } = {}) =>
     dispatch(
       postRecording({
         slug,
         assignmentId: currentAssignment.id,
         audio,
         composition: composition.current,
+        submissionId,
+        pitchTrack,
       }),
     );
   let scoreJSON;
@@ -78,7 +80,12 @@ export default function CreativityAuralActivity() {
   }
   return flatIOScoreForTransposition ? (
     <>
-      <FlatMelodyViewer score={scoreJSON} onLoad={setJson} />
+      <FlatMelodyViewer
+        score={scoreJSON}
+        onLoad={setJson}
+        instrument={currentAssignment?.instrument}
+        transposition={currentTransposition}
+      />
       {json && (
         <>
           <Row>
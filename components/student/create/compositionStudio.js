@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from 'react';
+import Alert from 'react-bootstrap/Alert';
+import Button from 'react-bootstrap/Button';
+import { MdPiano } from 'react-icons/md';
+import DAW from '../../audio/DAW';
+import {
+  DAWProvider,
+  useAudio,
+  useMultitrack,
+  useUI,
+} from '../../../contexts/DAWProvider';
+import {
+  midiTrackToScore,
+  scoreToMIDITrack,
+} from '../../../lib/scoreMidiTrack';
+
+// The multitrack editor, opened with the composition as a MIDI track
+function StudioSession({
+  session,
+  template,
+  instrument,
+  transposition,
+  onExport,
+}) {
+  const { setDawMode } = useAudio();
+  const { setShowDAW } = useUI();
+  const { addTrack, setTempoMap, tracks, tempoMap, selectedTrackId } =
+    useMultitrack();
+  const [exported, setExported] = useState(null);
+  const opened = useRef(false);
+
+  useEffect(() => {
+    if (opened.current) return;
+    opened.current = true;
+    setDawMode('multi');
+    setShowDAW(true);
+    setTempoMap(session.tempoMap);
+    addTrack(session.track);
+  }, [session, addTrack, setDawMode, setShowDAW, setTempoMap]);
+
+  // The selected MIDI track, else the composition's own track
+  const midiTracks = tracks.filter((track) => track.type === 'midi');
+  const source =
+    midiTracks.find((track) => track.id === selectedTrackId) ||
+    midiTracks.find((track) => track.name === session.track.name) ||
+    midiTracks[0];
+
+  const handleExport = () => {
+    const score = midiTrackToScore(source, tempoMap, {
+      template,
+      instrument,
+      transposition,
+    });
+    onExport(JSON.stringify(score));
+    setExported(source.name);
+  };
+
+  return (
+    <>
+      <DAW autosave={false} />
+      <div className="d-flex align-items-center gap-2 mb-2">
+        <Button
+          variant="primary"
+          onClick={handleExport}
+          disabled={!source?.midiData?.notes?.length}
+        >
+          Use {source ? `“${source.name}”` : 'a MIDI track'} as my composition
+        </Button>
+        {exported && (
+          <span className="text-muted small">
+            “{exported}” will be submitted as your composition.
+          </span>
+        )}
+      </div>
+    </>
+  );
+}
+
+/**
+ * "Open in Studio" for a composition: the multitrack editor with the
+ * composition as a MIDI track, for orchestrating and mixing it. A
+ * piano-roll track can be turned back into the submitted composition.
+ * @param {Function} getComposition - Returns the current composition JSON
+ * @param {Function} onExport - Receives the score JSON of an exported track
+ */
+export default function CompositionStudio({
+  getComposition,
+  instrument,
+  transposition,
+  onExport,
+}) {
+  const [session, setSession] = useState(null);
+  const [template, setTemplate] = useState(null);
+  const [error, setError] = useState(null);
+
+  const open = () => {
+    const composition = getComposition();
+    if (!composition) {
+      setError('Write your composition first, then open it in the studio.');
+      return;
+    }
+    try {
+      const { track, tempoMap } = scoreToMIDITrack(composition, {
+        instrument,
+        transposition,
+        name: 'My composition',
+      });
+      if (track.midiData.notes.length === 0) {
+        setError('Your composition has no notes yet.');
+        return;
+      }
+      setError(null);
+      setTemplate(composition);
+      setSession({ track, tempoMap });
+    } catch (e) {
+      console.error('composition could not be opened in the studio', e);
+      setError('Your composition could not be opened in the studio.');
+    }
+  };
+
+  return (
+    <div className="my-3">
+      {session ? (
+        <>
+          <Button
+            variant="outline-secondary"
+            size="sm"
+            className="mb-2"
+            onClick={() => setSession(null)}
+          >
+            Close Studio
+          </Button>
+          <DAWProvider>
+            <StudioSession
+              session={session}
+              template={template}
+              instrument={instrument}
+              transposition={transposition}
+              onExport={onExport}
+            />
+          </DAWProvider>
+        </>
+      ) : (
+        <Button variant="outline-primary" onClick={open}>
+          <MdPiano /> Open in Studio
+        </Button>
+      )}
+      {error && (
+        <Alert variant="warning" className="mt-2 mb-0">
+          {error}
+        </Alert>
+      )}
+    </div>
+  );
+}
@@ -30,6 +30,10 @@ const ExploratoryCompose = dynamic(() => import('../../exploratoryCompose'), {
   ssr: false,
 });
 
+const CompositionStudio = dynamic(() => import('./compositionStudio'), {
+  ssr: false,
+});
+
 const VariationsFromMotiveScore = dynamic(
   () => import('../../variationsFromMotiveScore'),
   {
@@ -37,6 +41,10 @@ const VariationsFromMotiveScore = dynamic(
   },
 );
 
+// Score prop for a Flat editor that loads its scoreJSON instead of a
+// blank score (a composition exported from the studio)
+const STUDIO_SCORE = {};
+
 export default function CreativityActivity() {
   const dispatch = useDispatch();
   // I think this should show the melody for the current piece, but in the student's transposition
@@ -47,6 +55,7 @@ export default function CreativityActivity() {
   const [melodyJson, setMelodyJson] = useState('');
 
   const composition = useRef('');
+  const [studioComposition, setStudioComposition] = useState(null);
 
   const tonicJson = useRef('');
   const subdominantJson = useRef('');
@@ -88,13 +97,15 @@ export default function CreativityActivity() {
         partTransposition.transposition.name === currentTransposition,
     )?.[0]?.flatio;
 
-  const submitCreativity = (audio) =>
+  const submitCreativity = (audio, submissionId, { pitchTrack } = {}) =>
     dispatch(
       postRecording({
         slug,
         assignmentId: currentAssignment.id,
         audio,
         composition: composition.current,
+        submissionId,
+        pitchTrack,
       }),
     );
   let scoreJSON;
@@ -121,7 +132,12 @@ export default function CreativityActivity() {
 
   return flatIOScoreForTransposition ? (
     <div className="cpr-create">
-      <FlatMelodyViewer score={scoreJSON} onLoad={setMelodyJson} />
+      <FlatMelodyViewer
+        score={scoreJSON}
+        onLoad={setMelodyJson}
+        instrument={currentAssignment?.instrument}
+        transposition={currentTransposition}
+      />
       <h2>Motive 1 - Tonic</h2>
       <div className="row">
         <div className="col-md-6">
@@ -214,6 +230,8 @@ export default function CreativityActivity() {
                 height={300}
                 width={700}
                 onSelect={setSelectedMeasure}
+                instrument={currentAssignment?.instrument}
+                transposition={currentTransposition}
               />
             </Tab>
             <Tab
@@ -226,6 +244,8 @@ export default function CreativityActivity() {
                 height={300}
                 width={700}
                 onSelect={setSelectedMeasure}
+                instrument={currentAssignment?.instrument}
+                transposition={currentTransposition}
               />
             </Tab>
             <Tab
@@ -238,15 +258,22 @@ export default function CreativityActivity() {
                 height={300}
                 width={700}
                 onSelect={setSelectedMeasure}
+                instrument={currentAssignment?.instrument}
+                transposition={currentTransposition}
               />
             </Tab>
           </Tabs>
           <h2>Final Composition</h2>
           <FlatEditor
             edit
-            score={{
-              scoreId: 'blank',
-            }}
+            score={
+              studioComposition
+                ? STUDIO_SCORE
+                : {
+                    scoreId: 'blank',
+                  }
+            }
+            scoreJSON={studioComposition}
             onUpdate={(data) => {
               composition.current = data;
             }}
@@ -257,6 +284,17 @@ export default function CreativityActivity() {
             debugMsg="final explore composition flateditor instance"
             instrumentName={currentAssignment?.instrument}
           />
+          <CompositionStudio
+            getComposition={() => composition.current}
+            instrument={currentAssignment?.instrument}
+            transposition={currentTransposition}
+            onExport={(data) => {
+              // reload the editor too, or its next update would replace
+              // the export with the old composition
+              composition.current = data;
+              setStudioComposition(data);
+            }}
+          />
           <Recorder
             submit={submitCreativity}
             accompaniment={currentAssignment?.part?.piece?.accompaniment}
@@ -30,6 +30,14 @@ const ChordScaleBucketScore = dynamic(
   },
 );
 
+const CompositionStudio = dynamic(() => import('./compositionStudio'), {
+  ssr: false,
+});
+
+const HarmonicFitReport = dynamic(() => import('../../harmonicFitReport'), {
+  ssr: false,
+});
+
 const MEASURES_PER_STEP = 4;
 
 export default function CreativityActivity() {
@@ -50,6 +58,8 @@ export default function CreativityActivity() {
   // const [totalScoreJSON, setTotalScoreJSON] = useState('');
   const totalScoreJSON = useRef('');
   const [isDoneComposing, setIsDoneComposing] = useState(false);
+  // The composition as it was when the student last checked its harmony
+  const [checkedComposition, setCheckedComposition] = useState('');
 
   // const userInfo = useSelector((state) => state.currentUser);
 
@@ -133,13 +143,15 @@ export default function CreativityActivity() {
       (partTransposition) =>
         partTransposition.transposition.name === currentTransposition,
     )?.[0]?.flatio;
-  const submitCreativity = (audio) =>
+  const submitCreativity = (audio, submissionId, { pitchTrack } = {}) =>
     dispatch(
       postRecording({
         slug,
         assignmentId: currentAssignment.id,
         audio,
         composition: totalScoreJSON.current,
+        submissionId,
+        pitchTrack,
       }),
     );
   let scoreJSON;
@@ -163,6 +175,8 @@ export default function CreativityActivity() {
         score={scoreJSON}
         onLoad={setMelodyJson}
         debugMsg="Failed to load in theoretical"
+        instrument={currentAssignment?.instrument}
+        transposition={currentTransposition}
       />
       {melodyJson && (
         <Row>
@@ -218,8 +232,33 @@ export default function CreativityActivity() {
                   giveJSON={onMerged}
                   scores={scoreDataRef}
                   instrumentName={currentAssignment?.instrument}
+                  transposition={currentTransposition}
                 />
               )}
+            {isDoneComposing && (
+              <CompositionStudio
+                getComposition={() => totalScoreJSON.current}
+                instrument={currentAssignment?.instrument}
+                transposition={currentTransposition}
+                onExport={onMerged}
+              />
+            )}
+            {isDoneComposing && (
+              <div className="my-3">
+                <Button
+                  variant="outline-primary"
+                  onClick={() => setCheckedComposition(totalScoreJSON.current)}
+                >
+                  Check harmonic fit
+                </Button>
+                <HarmonicFitReport
+                  scoreJSON={checkedComposition}
+                  chordScalePattern={
+                    currentAssignment?.part?.chord_scale_pattern
+                  }
+                />
+              </div>
+            )}
             <Recorder
               submit={submitCreativity}
               accompaniment={currentAssignment?.part?.piece?.accompaniment}
@@ -1,8 +1,16 @@
 import Col from 'react-bootstrap/Col';
 import Row from 'react-bootstrap/Row';
 import Card from 'react-bootstrap/Card';
+import Badge from 'react-bootstrap/Badge';
+import ListGroup from 'react-bootstrap/ListGroup';
 import { FaCalendarDay } from 'react-icons/fa';
 import dynamic from 'next/dynamic';
+import { useRef } from 'react';
+import {
+  formatCommentAnchor,
+  gradeCommentsFor,
+  sortGradeComments,
+} from '../../lib/gradeComments';
 
 const FlatEditor = dynamic(() => import('../flatEditor'), {
   ssr: false,
@@ -16,12 +24,19 @@ export default function RecentSubmission(assn) {
       activity = null,
     },
   } = assn;
+  const audioRef = useRef();
   if (!submissions || submissions.length === 0) return '';
   const mostRecent = submissions?.reduce((recent, current) =>
     new Date(recent.submitted) > new Date(current.submitted) ? recent : current,
   );
   const { submitted, content, attachments } = mostRecent;
   const ctgy = activityTypeCategory ?? activity.activity_type.category;
+  const comments = sortGradeComments(gradeCommentsFor(mostRecent));
+  const playFrom = (time) => {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = time;
+    audioRef.current.play();
+  };
 
   return (
     <Card>
@@ -36,7 +51,7 @@ export default function RecentSubmission(assn) {
         <Card.Body>
           {
             // eslint-disable-next-line jsx-a11y/media-has-caption
-            <audio controls src={attachments[0].file}>
+            <audio controls src={attachments[0].file} ref={audioRef}>
               <a href={attachments[0].file}>
                 download the recording (your browser doesn&apos;t support
                 applying it here directly)
@@ -74,6 +89,34 @@ export default function RecentSubmission(assn) {
           )}
         </Card.Body>
       )}
+      {comments.length > 0 && (
+        <Card.Body>
+          <Card.Subtitle className="mb-2">Teacher comments</Card.Subtitle>
+          <ListGroup>
+            {comments.map((comment) => (
+              <ListGroup.Item
+                key={comment.id}
+                className="d-flex align-items-start gap-2"
+              >
+                <Badge
+                  as={comment.time !== null ? 'button' : 'span'}
+                  bg="secondary"
+                  className="border-0"
+                  title={comment.time !== null ? 'Play from here' : ''}
+                  onClick={
+                    comment.time !== null
+                      ? () => playFrom(comment.time)
+                      : undefined
+                  }
+                >
+                  {formatCommentAnchor(comment)}
+                </Badge>
+                <span>{comment.text}</span>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </Card.Body>
+      )}
       <Card.Body>
         <time dateTime={submitted}>
           <FaCalendarDay />{' '}
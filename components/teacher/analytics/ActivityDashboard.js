@@ -0,0 +1,301 @@
+import { useMemo, useState } from 'react';
+import {
+  Badge,
+  Button,
+  Card,
+  Col,
+  Form,
+  ProgressBar,
+  Row,
+  Table,
+} from 'react-bootstrap';
+import { FaFileCsv } from 'react-icons/fa';
+import {
+  activityEventsCSV,
+  activitySummaryCSV,
+  completionFunnel,
+  downloadCSV,
+  timeOnTask,
+  toolUsage,
+} from '../../../lib/activity/activityAnalytics';
+import { DEFAULT_ACTIVITY_DEFINITION } from '../../../lib/activity/activityDefinition';
+import StudentTimeline from './StudentTimeline';
+
+const BOX_WIDTH = 240;
+
+const formatMinutes = (minutes) =>
+  minutes === null ? '–' : `${minutes.toFixed(1)} min`;
+
+// Box plot of one step's time-on-task on a shared scale
+function TimeBox({ stats, maxMinutes }) {
+  if (stats.values.length === 0) return null;
+  const x = (minutes) => 4 + (minutes / maxMinutes) * (BOX_WIDTH - 8);
+  return (
+    <svg width={BOX_WIDTH} height="20" role="img" aria-label="Time on task">
+      <line
+        x1={x(stats.min)}
+        x2={x(stats.max)}
+        y1="10"
+        y2="10"
+        stroke="#6c757d"
+      />
+      <rect
+        x={x(stats.q1)}
+        y="3"
+        width={Math.max(1, x(stats.q3) - x(stats.q1))}
+        height="14"
+        fill="#cfe2ff"
+        stroke="#0d6efd"
+      />
+      <line
+        x1={x(stats.median)}
+        x2={x(stats.median)}
+        y1="3"
+        y2="17"
+        stroke="#0d6efd"
+        strokeWidth="2"
+      />
+      {stats.values.map((value, idx) => (
+        <circle
+          key={idx}
+          cx={x(value)}
+          cy="10"
+          r="1.5"
+          fill="#212529"
+          opacity="0.5"
+        />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Class-wide view of DAW activity progress: how far students got, how long
+ * each step took, which tools were used, and a replay of any student's
+ * logged operations. Both the raw events and per-student summary can be
+ * exported as CSV.
+ */
+export default function ActivityDashboard({ students, slug }) {
+  const pieces = useMemo(
+    () => [...new Set(students.map((s) => s.pieceSlug).filter(Boolean))],
+    [students],
+  );
+  const [piece, setPiece] = useState('');
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const shownStudents = useMemo(
+    () =>
+      piece
+        ? students.filter((s) => s.pieceSlug === piece || !s.pieceSlug)
+        : students,
+    [students, piece],
+  );
+
+  const stepCount = Math.max(
+    DEFAULT_ACTIVITY_DEFINITION.steps.length,
+    ...shownStudents.flatMap((s) => [
+      s.currentStep - 1,
+      ...s.logs.map((log) => log.step || 0),
+    ]),
+  );
+  const stepName = (step) =>
+    DEFAULT_ACTIVITY_DEFINITION.steps[step - 1]?.name ?? `Activity ${step}`;
+
+  const funnel = useMemo(
+    () => completionFunnel(shownStudents, stepCount),
+    [shownStudents, stepCount],
+  );
+  const times = useMemo(
+    () => timeOnTask(shownStudents, stepCount),
+    [shownStudents, stepCount],
+  );
+  const tools = useMemo(() => toolUsage(shownStudents), [shownStudents]);
+  const maxMinutes = Math.max(1, ...times.map((t) => t.max ?? 0));
+  const usedTools = tools.filter((tool) => tool.events > 0);
+  const unusedTools = tools.filter((tool) => tool.events === 0);
+  const selected = shownStudents.find((s) => s.key === selectedKey);
+
+  const filePrefix = `${slug}${piece ? `-${piece}` : ''}-daw-activity`;
+
+  return (
+    <>
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+        {pieces.length > 1 && (
+          <Form.Select
+            value={piece}
+            onChange={(ev) => setPiece(ev.target.value)}
+            style={{ width: 'auto' }}
+            aria-label="Piece"
+          >
+            <option value="">All pieces</option>
+            {pieces.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </Form.Select>
+        )}
+        <span className="me-auto text-muted">
+          {shownStudents.length} students
+        </span>
+        <Button
+          variant="outline-primary"
+          onClick={() =>
+            downloadCSV(
+              activitySummaryCSV(shownStudents, stepCount),
+              `${filePrefix}-summary.csv`,
+            )
+          }
+        >
+          <FaFileCsv /> Summary CSV
+        </Button>
+        <Button
+          variant="outline-primary"
+          onClick={() =>
+            downloadCSV(
+              activityEventsCSV(shownStudents),
+              `${filePrefix}-events.csv`,
+            )
+          }
+        >
+          <FaFileCsv /> Events CSV
+        </Button>
+      </div>
+
+      <Row>
+        <Col lg={6}>
+          <Card className="mb-3">
+            <Card.Header>Completion funnel</Card.Header>
+            <Card.Body>
+              {funnel.map((row) => (
+                <div key={row.step} className="mb-2">
+                  <div className="d-flex justify-content-between small">
+                    <span>{stepName(row.step)}</span>
+                    <span className="text-muted">
+                      {row.submitted} submitted · {row.started} started of{' '}
+                      {row.total}
+                    </span>
+                  </div>
+                  <ProgressBar>
+                    <ProgressBar
+                      variant="success"
+                      now={row.total ? (row.submitted / row.total) * 100 : 0}
+                      key="submitted"
+                    />
+                    <ProgressBar
+                      variant="info"
+                      now={
+                        row.total
+                          ? ((row.started - row.submitted) / row.total) * 100
+                          : 0
+                      }
+                      key="started"
+                    />
+                  </ProgressBar>
+                </div>
+              ))}
+            </Card.Body>
+          </Card>
+
+          <Card className="mb-3">
+            <Card.Header>Time on task (active minutes)</Card.Header>
+            <Card.Body>
+              <Table size="sm" className="mb-0 align-middle">
+                <thead>
+                  <tr>
+                    <th>Step</th>
+                    <th>Students</th>
+                    <th>Median</th>
+                    <th>Middle half</th>
+                    <th>Distribution (0–{Math.ceil(maxMinutes)} min)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {times.map((stats) => (
+                    <tr key={stats.step}>
+                      <td>{stats.step}</td>
+                      <td>{stats.values.length}</td>
+                      <td>{formatMinutes(stats.median)}</td>
+                      <td className="text-nowrap">
+                        {stats.values.length
+                          ? `${stats.q1.toFixed(1)}–${stats.q3.toFixed(1)}`
+                          : '–'}
+                      </td>
+                      <td>
+                        <TimeBox stats={stats} maxMinutes={maxMinutes} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={6}>
+          <Card className="mb-3">
+            <Card.Header>Tool usage</Card.Header>
+            <Card.Body>
+              <Table size="sm" className="mb-2">
+                <thead>
+                  <tr>
+                    <th>Operation</th>
+                    <th>Uses</th>
+                    <th>Students</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usedTools.map((tool) => (
+                    <tr key={tool.operation}>
+                      <td title={tool.operation}>{tool.label}</td>
+                      <td>{tool.events}</td>
+                      <td>{tool.students}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              {unusedTools.length > 0 && (
+                <div className="small">
+                  <span className="text-muted">Never used:</span>{' '}
+                  {unusedTools.map((tool) => (
+                    <Badge
+                      key={tool.operation}
+                      bg="light"
+                      text="dark"
+                      className="me-1"
+                      title={tool.operation}
+                    >
+                      {tool.label}
+                    </Badge>
+                  ))}
+                </div>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Card className="mb-3">
+        <Card.Header>Student timeline</Card.Header>
+        <Card.Body>
+          <Form.Select
+            className="mb-3"
+            value={selectedKey ?? ''}
+            onChange={(ev) => setSelectedKey(ev.target.value || null)}
+            aria-label="Student"
+          >
+            <option value="">Choose a student…</option>
+            {shownStudents.map((s) => (
+              <option key={s.key} value={s.key}>
+                {s.name}
+                {s.pieceSlug && pieces.length > 1 ? ` (${s.pieceSlug})` : ''} ·
+                step {s.currentStep} · {s.logs.length} operations
+              </option>
+            ))}
+          </Form.Select>
+          {selected && <StudentTimeline student={selected} />}
+        </Card.Body>
+      </Card>
+    </>
+  );
+}
@@ -0,0 +1,166 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Button, ButtonGroup, Form, ListGroup } from 'react-bootstrap';
+import { FaPause, FaPlay, FaUndo } from 'react-icons/fa';
+import { studentTimeline } from '../../../lib/activity/activityAnalytics';
+
+const STEP_COLORS = ['#0d6efd', '#198754', '#fd7e14', '#6f42c1', '#d63384'];
+const TICK_MS = 100;
+const SPEEDS = [10, 60, 300];
+
+const stepColor = (step) => STEP_COLORS[(step - 1) % STEP_COLORS.length];
+
+function formatOffset(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Replays a student's logged operations in order, sped up, with the events
+ * marked along a timeline coloured by step.
+ */
+export default function StudentTimeline({ student }) {
+  const events = useMemo(() => studentTimeline(student), [student]);
+  const duration = events.length ? events[events.length - 1].offset : 0;
+  const [clock, setClock] = useState(duration);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[1]);
+  const listRef = useRef(null);
+
+  // Show the whole history when switching students
+  useEffect(() => {
+    setIsPlaying(false);
+    setClock(duration);
+  }, [student, duration]);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setInterval(() => {
+      setClock((previous) =>
+        Math.min(duration, previous + (TICK_MS / 1000) * speed),
+      );
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, duration]);
+
+  useEffect(() => {
+    if (isPlaying && clock >= duration) setIsPlaying(false);
+  }, [isPlaying, clock, duration]);
+
+  const shown = events.filter((event) => event.offset <= clock);
+
+  // Keep the latest replayed event in view
+  useEffect(() => {
+    if (isPlaying && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [isPlaying, shown.length]);
+
+  if (events.length === 0) {
+    return <p className="text-muted">No operations logged yet.</p>;
+  }
+
+  const x = (offset) => (duration ? (offset / duration) * 100 : 0);
+
+  return (
+    <div>
+      <div className="d-flex align-items-center gap-2 mb-2">
+        <ButtonGroup size="sm">
+          <Button
+            variant="outline-primary"
+            onClick={() => {
+              if (clock >= duration) setClock(0);
+              setIsPlaying(!isPlaying);
+            }}
+          >
+            {isPlaying ? <FaPause /> : <FaPlay />}{' '}
+            {isPlaying ? 'Pause' : 'Replay'}
+          </Button>
+          <Button
+            variant="outline-secondary"
+            aria-label="Rewind"
+            onClick={() => {
+              setIsPlaying(false);
+              setClock(0);
+            }}
+          >
+            <FaUndo />
+          </Button>
+        </ButtonGroup>
+        <Form.Select
+          size="sm"
+          value={speed}
+          onChange={(ev) => setSpeed(Number(ev.target.value))}
+          style={{ width: 'auto' }}
+          aria-label="Replay speed"
+        >
+          {SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s}× speed
+            </option>
+          ))}
+        </Form.Select>
+        <span className="small text-muted">
+          {formatOffset(clock)} / {formatOffset(duration)} · {shown.length} of{' '}
+          {events.length} operations
+        </span>
+      </div>
+
+      <svg
+        width="100%"
+        height="28"
+        className="mb-2"
+        role="img"
+        aria-label="Timeline of logged operations"
+      >
+        <line x1="0" x2="100%" y1="14" y2="14" stroke="#dee2e6" />
+        {events.map((event) => (
+          <circle
+            key={event.index}
+            cx={`${x(event.offset)}%`}
+            cy="14"
+            r="4"
+            fill={stepColor(event.step)}
+            opacity={event.offset <= clock ? 1 : 0.2}
+          >
+            <title>
+              {formatOffset(event.offset)} · step {event.step} ·{' '}
+              {event.operation}
+            </title>
+          </circle>
+        ))}
+        <line
+          x1={`${x(clock)}%`}
+          x2={`${x(clock)}%`}
+          y1="2"
+          y2="26"
+          stroke="#dc3545"
+        />
+      </svg>
+
+      <ListGroup
+        ref={listRef}
+        variant="flush"
+        style={{ maxHeight: 300, overflowY: 'auto' }}
+      >
+        {shown.map((event) => (
+          <ListGroup.Item key={event.index} className="py-1 small">
+            <code className="me-2">{formatOffset(event.offset)}</code>
+            <span
+              className="badge me-2"
+              style={{ backgroundColor: stepColor(event.step) }}
+            >
+              Step {event.step}
+            </span>
+            {event.operation}
+            {Object.keys(event.data).length > 0 && (
+              <span className="text-muted ms-2">
+                {JSON.stringify(event.data)}
+              </span>
+            )}
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { FaPlus, FaMarker, FaTrash } from 'react-icons/fa';
+import { FaPlus, FaMarker, FaTrash, FaSlidersH } from 'react-icons/fa';
 import Accordion from 'react-bootstrap/Accordion';
 import Button from 'react-bootstrap/Button';
 import Col from 'react-bootstrap/Col';
@@ -210,6 +210,19 @@ export default function TeacherCourseView() {
                                 className="d-flex justify-content-between"
                               >
                                 <span className="me-auto">{`${piece.activities[activityKey].category} ${piece.activities[activityKey].name}`}</span>
+                                {piece.activities[
+                                  activityKey
+                                ].category.startsWith('Perform') && (
+                                  <Link
+                                    href={`/courses/${slug}/${piece.slug}/${piece.activities[activityKey].category}/${piece.activities[activityKey].name}/activity-editor`}
+                                    passHref
+                                    legacyBehavior
+                                  >
+                                    <a className="btn btn-outline-primary me-2">
+                                      DAW lesson <FaSlidersH />
+                                    </a>
+                                  </Link>
+                                )}
                                 <Link
                                   href={`/courses/${slug}/${piece.slug}/${piece.activities[activityKey].category}/${piece.activities[activityKey].name}/grade`}
                                   passHref
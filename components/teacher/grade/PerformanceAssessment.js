@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { Alert, Badge, Button, ProgressBar, Table } from 'react-bootstrap';
+import { FaWaveSquare } from 'react-icons/fa';
+import {
+  assessPerformance,
+  CENTERED_CENTS,
+  ON_TIME_BEATS,
+} from '../../../lib/performanceAssessment';
+import { useAssignedScore } from '../../../hooks/useAssignedScore';
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+function measureVariant(measure) {
+  if (measure.expected === 0 && measure.extra === 0) return '';
+  const problems = measure.wrongPitch + measure.missed + measure.extra;
+  if (problems > 0) return 'table-danger';
+  if (
+    (measure.maxAbsTimingBeats ?? 0) > ON_TIME_BEATS ||
+    (measure.meanAbsCents ?? 0) > CENTERED_CENTS
+  ) {
+    return 'table-warning';
+  }
+  return 'table-success';
+}
+
+function formatTiming(measure) {
+  if (measure.meanTimingSec === null) return '–';
+  const ms = Math.round(measure.meanTimingSec * 1000);
+  if (Math.abs(ms) < 15) return 'on time';
+  return ms > 0 ? `${ms} ms late` : `${-ms} ms early`;
+}
+
+function formatCents(measure) {
+  if (measure.meanCents === null) return '–';
+  const cents = Math.round(measure.meanCents);
+  return `${cents > 0 ? '+' : ''}${cents}¢`;
+}
+
+/**
+ * Aligns a perform submission's recording with the assigned part and shows
+ * per-measure pitch and timing deviations. Suggested rhythm and tone
+ * ratings are handed to `onSuggest` so the grade form can be pre-filled.
+ */
+export default function PerformanceAssessment({ submission, onSuggest }) {
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const audioURL = submission?.attachments?.[0]?.file;
+  const {
+    hasScore,
+    score,
+    isLoading: isLoadingScore,
+    error: scoreError,
+  } = useAssignedScore(submission?.assignment);
+
+  if (!audioURL) return null;
+  if (!hasScore) {
+    return (
+      <p className="text-muted small">
+        No score is available for this student&apos;s instrument, so the
+        recording can&apos;t be compared with the part.
+      </p>
+    );
+  }
+  if (scoreError) {
+    return (
+      <Alert variant="warning" className="mt-2">
+        The assigned score could not be loaded ({scoreError}), so the recording
+        can&apos;t be compared with the part.
+      </Alert>
+    );
+  }
+
+  const analyze = async () => {
+    setIsAnalyzing(true);
+    setError(null);
+    setProgress(0);
+    const audioContext = new (
+      window.AudioContext || window.webkitAudioContext
+    )();
+    try {
+      const response = await fetch(audioURL);
+      if (!response.ok) {
+        throw new Error(`could not download recording (${response.status})`);
+      }
+      const audioBuffer = await audioContext.decodeAudioData(
+        await response.arrayBuffer(),
+      );
+      const assessment = await assessPerformance(audioBuffer, score, {
+        onProgress: (p) => setProgress(Math.round(p * 100)),
+      });
+      setResult(assessment);
+      onSuggest?.(assessment.suggested);
+    } catch (err) {
+      console.error('❌ Performance analysis failed:', err);
+      setError(err.message);
+    } finally {
+      audioContext.close();
+      setIsAnalyzing(false);
+    }
+  };
+
+  let analyzeLabel = result ? 'Re-analyze' : 'Analyze against score';
+  if (isLoadingScore) analyzeLabel = 'Loading score…';
+
+  return (
+    <div className="mt-2">
+      <Button
+        size="sm"
+        variant="outline-primary"
+        onClick={analyze}
+        disabled={isAnalyzing || !score}
+      >
+        <FaWaveSquare /> {analyzeLabel}
+      </Button>
+
+      {isAnalyzing && (
+        <ProgressBar
+          now={progress}
+          label={`${progress}%`}
+          className="mt-2"
+          animated
+        />
+      )}
+      {error && (
+        <Alert variant="danger" className="mt-2">
+          Analysis failed: {error}
+        </Alert>
+      )}
+
+      {result && !isAnalyzing && (
+        <div className="mt-2">
+          <p className="mb-1">
+            {result.summary.correct} of {result.summary.expected} notes correct
+            · {result.summary.wrongPitch} wrong · {result.summary.missed} missed
+            · {result.summary.extra} extra
+          </p>
+          <p className="mb-1 small text-muted">
+            Played at ♩={Math.round(result.tempo)} (marked{' '}
+            {Math.round(result.scoreTempo)}) · on time{' '}
+            {percent(result.summary.onTimeRatio)} · centred (±
+            {CENTERED_CENTS}¢) {percent(result.summary.centeredRatio)}
+            {result.transpositionAssumed &&
+              ` · assumed sounding ${result.transposeSemitones > 0 ? '+' : ''}${result.transposeSemitones} semitones from written`}
+          </p>
+          <div className="d-flex align-items-center gap-2 mb-2">
+            <span>Suggested:</span>
+            <Badge bg="secondary">Rhythm {result.suggested.rhythm}</Badge>
+            <Badge bg="secondary">Tone {result.suggested.tone}</Badge>
+            <Button
+              size="sm"
+              variant="outline-success"
+              onClick={() => onSuggest?.({ ...result.suggested })}
+            >
+              Use suggestions
+            </Button>
+          </div>
+          <Table size="sm" bordered responsive className="mb-0">
+            <thead>
+              <tr>
+                <th>Measure</th>
+                <th>Notes</th>
+                <th>Pitch</th>
+                <th>Timing</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.measures.map((measure) => (
+                <tr key={measure.number} className={measureVariant(measure)}>
+                  <td>{measure.number}</td>
+                  <td>
+                    {measure.correct}/{measure.expected}
+                    {measure.wrongPitch > 0 && ` · ${measure.wrongPitch} wrong`}
+                    {measure.missed > 0 && ` · ${measure.missed} missed`}
+                    {measure.extra > 0 && ` · ${measure.extra} extra`}
+                  </td>
+                  <td>{formatCents(measure)}</td>
+                  <td>{formatTiming(measure)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useEffect, useMemo, useState } from 'react';
+import dynamic from 'next/dynamic';
+import { ErrorBoundary } from 'react-error-boundary';
+import {
+  Alert,
+  Badge,
+  Button,
+  Col,
+  Form,
+  InputGroup,
+  ListGroup,
+  Row,
+} from 'react-bootstrap';
+import { FaRegCommentDots, FaTrash } from 'react-icons/fa';
+import {
+  DAWProvider,
+  useAudio,
+  useWaveform,
+} from '../../../contexts/DAWProvider';
+import {
+  TimelineRenderer,
+  WaveformRenderer,
+  CustomTransport,
+} from '../../audio/DAW/CustomWaveform';
+import { scoreNoteEvents } from '../../../lib/flat';
+import { useAssignedScore } from '../../../hooks/useAssignedScore';
+import {
+  createGradeComment,
+  estimateMeasureAtTime,
+  formatCommentAnchor,
+  formatCommentTime,
+  sortGradeComments,
+} from '../../../lib/gradeComments';
+
+const FlatEditor = dynamic(() => import('../../flatEditor'), {
+  ssr: false,
+});
+
+// Points the DAW's waveform at the submitted recording
+function SubmissionAudioLoader({ url }) {
+  const { setAudioURL } = useAudio();
+  useEffect(() => {
+    setAudioURL(url);
+  }, [url, setAudioURL]);
+  return null;
+}
+
+function GradeComments({ comments, onChange, scoreEvents }) {
+  const { currentTime, seek } = useWaveform();
+  const [text, setText] = useState('');
+  const [atPlayhead, setAtPlayhead] = useState(true);
+  const [measure, setMeasure] = useState('');
+  const estimatedMeasure = estimateMeasureAtTime(scoreEvents, currentTime);
+
+  const addComment = (ev) => {
+    ev.preventDefault();
+    ev.stopPropagation();
+    if (!text.trim()) return;
+    onChange([
+      ...comments,
+      createGradeComment({
+        text,
+        time: atPlayhead ? currentTime : null,
+        measure: parseInt(measure, 10),
+      }),
+    ]);
+    setText('');
+    setMeasure('');
+  };
+
+  return (
+    <>
+      <Form onSubmit={addComment} className="mt-3">
+        <InputGroup>
+          <Form.Control
+            placeholder="Comment for the student"
+            aria-label="Comment for the student"
+            value={text}
+            onChange={(ev) => setText(ev.target.value)}
+          />
+          <InputGroup.Checkbox
+            aria-label="Anchor to playhead"
+            checked={atPlayhead}
+            onChange={(ev) => setAtPlayhead(ev.target.checked)}
+          />
+          <InputGroup.Text>at {formatCommentTime(currentTime)}</InputGroup.Text>
+          <InputGroup.Text>m.</InputGroup.Text>
+          <Form.Control
+            type="number"
+            min={1}
+            max={scoreEvents?.measures.at(-1)?.number}
+            aria-label="Measure"
+            placeholder={estimatedMeasure ?? ''}
+            value={measure}
+            onChange={(ev) => setMeasure(ev.target.value)}
+            onFocus={() => {
+              if (!measure && estimatedMeasure) {
+                setMeasure(String(estimatedMeasure));
+              }
+            }}
+            style={{ maxWidth: '5rem' }}
+          />
+          <Button type="submit" variant="outline-primary" disabled={!text}>
+            <FaRegCommentDots /> Add
+          </Button>
+        </InputGroup>
+      </Form>
+
+      {comments.length > 0 && (
+        <ListGroup className="mt-2">
+          {sortGradeComments(comments).map((comment) => (
+            <ListGroup.Item
+              key={comment.id}
+              className="d-flex align-items-start gap-2"
+            >
+              <Badge
+                as={comment.time !== null ? 'button' : 'span'}
+                bg="secondary"
+                className="border-0"
+                title={comment.time !== null ? 'Jump to this moment' : ''}
+                onClick={
+                  comment.time !== null ? () => seek(comment.time) : undefined
+                }
+              >
+                {formatCommentAnchor(comment)}
+              </Badge>
+              <span className="flex-grow-1">{comment.text}</span>
+              <Button
+                size="sm"
+                variant="outline-danger"
+                aria-label="Delete comment"
+                onClick={() =>
+                  onChange(comments.filter((c) => c.id !== comment.id))
+                }
+              >
+                <FaTrash />
+              </Button>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </>
+  );
+}
+
+/**
+ * Side-by-side grading view of a perform submission: the recording's
+ * waveform next to the part in the student's transposition, with comments
+ * anchored to the playhead and/or a measure. Comments are held by the
+ * caller and saved with the grade.
+ */
+export default function SubmissionReview({ submission, comments, onChange }) {
+  const audioURL = submission?.attachments?.[0]?.file;
+  const {
+    hasScore,
+    score,
+    isLoading: isLoadingScore,
+    error: scoreError,
+  } = useAssignedScore(submission?.assignment);
+  // Measures for comment anchors come from the loaded score
+  const scoreEvents = useMemo(
+    () => (score ? scoreNoteEvents(score) : null),
+    [score],
+  );
+
+  if (!audioURL) return null;
+
+  return (
+    <DAWProvider>
+      <SubmissionAudioLoader url={audioURL} />
+      <Row>
+        <Col lg={hasScore ? 7 : 12}>
+          <TimelineRenderer />
+          <WaveformRenderer height={140} />
+          <CustomTransport />
+        </Col>
+        {hasScore && (
+          <Col lg={5}>
+            {isLoadingScore && <p className="text-muted">Loading score…</p>}
+            {scoreError && (
+              <Alert variant="warning">
+                The assigned score could not be loaded ({scoreError}).
+              </Alert>
+            )}
+            {score && (
+              <ErrorBoundary fallback={<div>Something went wrong</div>}>
+                <FlatEditor
+                  scoreJSON={score}
+                  height={300}
+                  instrument={submission.assignment.instrument}
+                />
+              </ErrorBoundary>
+            )}
+          </Col>
+        )}
+      </Row>
+      <GradeComments
+        comments={comments}
+        onChange={onChange}
+        scoreEvents={scoreEvents}
+      />
+    </DAWProvider>
+  );
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import PitchCurve from '../../audio/PitchCurve';
+import { isPitchTrackAttachment } from '../../../lib/pitchTracking';
+
+/**
+ * The pitch track the student's recorder stored with the submission, so the
+ * teacher sees the same intonation curve the student reviewed.
+ */
+export default function SubmittedIntonation({ submission }) {
+  const [pitchTrack, setPitchTrack] = useState(null);
+  const url = submission?.attachments?.find(isPitchTrackAttachment)?.file;
+
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false;
+    fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`status ${res.status}`);
+        return res.json();
+      })
+      .then((track) => {
+        if (!cancelled) setPitchTrack(track);
+      })
+      .catch((err) => console.error('Could not load pitch track:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  if (!pitchTrack) return null;
+  return (
+    <div className="mt-2">
+      <h6>Intonation</h6>
+      <PitchCurve pitchTrack={pitchTrack} />
+    </div>
+  );
+}
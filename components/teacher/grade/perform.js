@@ -1,17 +1,35 @@
 import ListGroup from 'react-bootstrap/ListGroup';
 import ListGroupItem from 'react-bootstrap/ListGroupItem';
-import { Card, Col, Row } from 'react-bootstrap';
+import { Button, Card, Col, Row } from 'react-bootstrap';
 import dynamic from 'next/dynamic';
 import { useRef, useState } from 'react';
 import { ErrorBoundary } from 'react-error-boundary';
 import RTE from './rte';
+import PerformanceAssessment from './PerformanceAssessment';
+import SubmittedIntonation from './SubmittedIntonation';
+import { gradeCommentsFor } from '../../../lib/gradeComments';
+import { isPitchTrackAttachment } from '../../../lib/pitchTracking';
 
 const FlatEditor = dynamic(() => import('../../flatEditor'), {
   ssr: false,
 });
 
+const SubmissionReview = dynamic(() => import('./SubmissionReview'), {
+  ssr: false,
+});
+
+const HarmonicFitReport = dynamic(() => import('../../harmonicFitReport'), {
+  ssr: false,
+});
+
 export default function GradePerform({ submissions }) {
   const [isFormFocused, setFormFocus] = useState(false);
+  // Suggested rhythm/tone per submission id from score analysis
+  const [suggestedGrades, setSuggestedGrades] = useState({});
+  // Unsaved comments per submission id; saved ones come with the grade
+  const [comments, setComments] = useState({});
+  // Only one waveform/score view is open at a time
+  const [reviewedId, setReviewedId] = useState(null);
   const audioRef = useRef();
   const gradeKeyDown = (ev) => {
     if (ev.key === ' ') {
@@ -35,13 +53,17 @@ export default function GradePerform({ submissions }) {
         ) : (
           <h2>No Submissions to Grade</h2>
         )}
-        {/* TODO: should I show the flat score viewer during grading of perform? */}
-        {/* <FlatEditor height={200} /> */}
         {submissions &&
           submissions.map((submission, submissionIdx) => {
             let rte;
             let reflection;
             let parsedScore;
+            const isPerform =
+              submission?.assignment?.activity?.activity_type?.category?.startsWith(
+                'Perform',
+              );
+            const submissionComments =
+              comments[submission.id] ?? gradeCommentsFor(submission);
 
             if (
               submission?.assignment?.activity?.activity_type?.category ===
@@ -64,6 +86,10 @@ export default function GradePerform({ submissions }) {
               reflection = content.reflection;
               rte = { r: content.r, t: content.t, e: content.e };
             }
+            // Stored pitch tracks ride along with the recordings
+            const recordings = submission.attachments.filter(
+              (attachment) => !isPitchTrackAttachment(attachment),
+            );
             return (
               <Row
                 className={[
@@ -121,6 +147,38 @@ export default function GradePerform({ submissions }) {
                           'Connect',
                         ) && <p>{submission?.content}</p>}
                       </Card.Text>
+                      <SubmittedIntonation submission={submission} />
+                      {isPerform && submission.attachments?.[0]?.file && (
+                        <Button
+                          size="sm"
+                          variant="outline-secondary"
+                          className="me-2"
+                          onClick={() =>
+                            setReviewedId(
+                              reviewedId === submission.id
+                                ? null
+                                : submission.id,
+                            )
+                          }
+                        >
+                          {reviewedId === submission.id
+                            ? 'Close waveform & score'
+                            : 'Waveform, score & comments'}
+                          {submissionComments.length > 0 &&
+                            ` (${submissionComments.length})`}
+                        </Button>
+                      )}
+                      {isPerform && (
+                        <PerformanceAssessment
+                          submission={submission}
+                          onSuggest={(suggested) =>
+                            setSuggestedGrades((prev) => ({
+                              ...prev,
+                              [submission.id]: suggested,
+                            }))
+                          }
+                        />
+                      )}
                     </Card.Body>
                     <ListGroup className="list-group-flush">
                       {/* TODO: what time should I show here? */}
@@ -140,6 +198,14 @@ export default function GradePerform({ submissions }) {
                                 fallback={<div>Something went wrong</div>}
                               >
                                 <FlatEditor scoreJSON={parsedScore} />
+                                <HarmonicFitReport
+                                  scoreJSON={submission.content}
+                                  chordScalePattern={
+                                    submission.assignment?.part
+                                      ?.chord_scale_pattern
+                                  }
+                                  height={200}
+                                />
                               </ErrorBoundary>
                             ) : (
                               <div>
@@ -150,15 +216,34 @@ export default function GradePerform({ submissions }) {
                           </ListGroupItem>
                         )}
                       <ListGroupItem>
-                        {submission.attachments.length} submission
-                        {submission.attachments.length === 1 ? '' : 's'}
+                        {recordings.length} submission
+                        {recordings.length === 1 ? '' : 's'}
                       </ListGroupItem>
                     </ListGroup>
                   </Card>
                 </Col>
                 <Col onKeyDown={gradeKeyDown}>
-                  <RTE submission={submission} teacher={true}/>
+                  <RTE
+                    submission={submission}
+                    teacher={true}
+                    suggestedGrade={suggestedGrades[submission.id]}
+                    comments={isPerform ? submissionComments : undefined}
+                  />
                 </Col>
+                {reviewedId === submission.id && (
+                  <Col xs={12} className="mt-2 mb-3">
+                    <SubmissionReview
+                      submission={submission}
+                      comments={submissionComments}
+                      onChange={(next) =>
+                        setComments((prev) => ({
+                          ...prev,
+                          [submission.id]: next,
+                        }))
+                      }
+                    />
+                  </Col>
+                )}
               </Row>
             );
           })}
@@ -1,7 +1,7 @@
 import FloatingLabel from 'react-bootstrap/FloatingLabel';
 import Button from 'react-bootstrap/Button';
 import Form from 'react-bootstrap/Form';
-import { useRef, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useMutation, useQueryClient } from 'react-query';
 import { useRouter } from 'next/router';
 import { useDispatch, useSelector } from 'react-redux';
@@ -9,7 +9,7 @@ import { mutateGradeSubmission } from '../../../api';
 import { beginUpload, uploadFailed, uploadSucceeded } from '../../../actions';
 import StatusIndicator from '../../statusIndicator';
 
-export default function RTE({ submission, submitAction, autoFocus = false, teacher = false }) {
+export default function RTE({ submission, submitAction, autoFocus = false, teacher = false, suggestedGrade = null, comments }) {
   const router = useRouter();
   const userInfo = useSelector((state) => state.currentUser);
   const { slug } = router.query;
@@ -19,6 +19,12 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
   const [expression, setExpression] = useState(
     submission?.grade?.expression ?? '',
   );
+  // Pre-fill from score analysis; the teacher can still type over it
+  useEffect(() => {
+    if (!suggestedGrade) return;
+    setRhythm(String(suggestedGrade.rhythm));
+    setTone(String(suggestedGrade.tone));
+  }, [suggestedGrade]);
   const audioRef = useRef();
   const dispatch = useDispatch();
   const queryClient = useQueryClient();
@@ -70,6 +76,7 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
       tone: t,
       expression: e,
       grader,
+      comments,
     });
 
   return (
@@ -116,7 +123,7 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
           >
             <Form.Control
               type="number"
-              defaultValue={rhythm}
+              value={rhythm}
               onChange={(ev) => {
                 setRhythm(ev.target.value);
               }}
@@ -128,6 +135,9 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
               onBlur={() => setFormFocus(false)}
             />
           </FloatingLabel>
+          {suggestedGrade && (
+            <Form.Text muted>Suggested from score analysis: {suggestedGrade.rhythm}</Form.Text>
+          )}
         </Form.Group></dd>
         <dt>Tonality</dt>
         {teacher && <div><dd>(continuous rating scale). Mark the highest level of achievement the student reached:</dd>
@@ -143,7 +153,7 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
             <FloatingLabel controlId="floatingInput" label="Tone" className="mb-3">
               <Form.Control
                 type="number"
-                defaultValue={tone}
+                value={tone}
                 onChange={(ev) => {
                   setTone(ev.target.value);
                 }}
@@ -154,6 +164,9 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
                 onBlur={() => setFormFocus(false)}
               />
             </FloatingLabel>
+            {suggestedGrade && (
+              <Form.Text muted>Suggested from score analysis: {suggestedGrade.tone}</Form.Text>
+            )}
           </Form.Group>
         </dd>
         <dt>Expression</dt>
@@ -190,6 +203,12 @@ export default function RTE({ submission, submitAction, autoFocus = false, teach
           </Form.Group>
         </dd>
       </dl>
+      {comments?.length > 0 && (
+        <Form.Text as="p" muted>
+          {comments.length} comment{comments.length === 1 ? '' : 's'} will be
+          saved with this grade.
+        </Form.Text>
+      )}
       <Button variant="primary" type="submit" className="mb-3">
         Submit
       </Button>{' '}
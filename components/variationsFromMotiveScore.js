@@ -1,71 +1,259 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useMemo, useState } from 'react';
+import Button from 'react-bootstrap/Button';
 import Col from 'react-bootstrap/Col';
+import Form from 'react-bootstrap/Form';
 import Row from 'react-bootstrap/Row';
-import Embed from 'flat-embed';
-import { mwCreateVariations } from '../lib/variations';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+import ScoreRenderer from './scoreRenderer';
+import ScorePlayer from './scorePlayer';
+import { keyFromScoreJSON } from '../lib/flat';
+import {
+  mwApplyTransformations,
+  mwCreateVariations,
+  VARIATION_TRANSFORMATIONS,
+} from '../lib/variations';
+
+const ALTER_SIGNS = { 1: '♯', '-1': '♭' };
+
+const pitchLabel = ({ step, alter, octave }) =>
+  `${step}${ALTER_SIGNS[parseInt(alter ?? 0, 10)] || ''}${octave}`;
+
+// Choices for an option; 'notes' lists the pitched notes of the measure
+function optionChoices(option, measure) {
+  if (option.choices !== 'notes') return option.choices;
+  return measure.note
+    .filter((note) => !note.isRest && note.pitch)
+    .map((note, i) => ({
+      value: i,
+      label: `Note ${i + 1} (${pitchLabel(note.pitch)})`,
+    }));
+}
+
+function defaultOptions(transformation) {
+  return Object.fromEntries(
+    transformation.options.map((option) => [
+      option.name,
+      option.choices === 'notes' ? 0 : option.choices[0].value,
+    ]),
+  );
+}
+
+// One transformation in the chain, with its options
+function TransformationStep({ index, step, input, onChange, onRemove }) {
+  const transformation = VARIATION_TRANSFORMATIONS.find(
+    (t) => t.id === step.id,
+  );
+
+  return (
+    <li className="mb-2">
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <Form.Select
+          size="sm"
+          style={{ width: 'auto' }}
+          value={step.id}
+          aria-label={`Transformation ${index + 1}`}
+          onChange={(e) => {
+            const chosen = VARIATION_TRANSFORMATIONS.find(
+              (t) => t.id === e.target.value,
+            );
+            onChange({ id: chosen.id, options: defaultOptions(chosen) });
+          }}
+        >
+          {VARIATION_TRANSFORMATIONS.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </Form.Select>
+        {transformation.options.map((option) => {
+          const choices = optionChoices(option, input);
+          return (
+            <Form.Group
+              key={option.name}
+              className="d-flex align-items-center gap-1"
+            >
+              <Form.Label className="mb-0 small">{option.label}</Form.Label>
+              <Form.Select
+                size="sm"
+                style={{ width: 'auto' }}
+                value={String(step.options[option.name])}
+                onChange={(e) => {
+                  const choice = choices.find(
+                    (c) => String(c.value) === e.target.value,
+                  );
+                  onChange({
+                    ...step,
+                    options: { ...step.options, [option.name]: choice.value },
+                  });
+                }}
+              >
+                {choices.map((choice) => (
+                  <option
+                    key={String(choice.value)}
+                    value={String(choice.value)}
+                  >
+                    {choice.label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          );
+        })}
+        <Button
+          size="sm"
+          variant="outline-danger"
+          onClick={onRemove}
+          title="Remove this transformation"
+        >
+          <FaTrash />
+        </Button>
+      </div>
+    </li>
+  );
+}
 
 function VariationsFromMotiveScore({
   height,
   referenceScoreJSON, // original motive from student
   // chordScaleBucket,
   onSelect,
+  instrument,
+  transposition,
 }) {
-  const editorRef = React.createRef();
-  const variations = useRef();
+  const [selectedMeasure, setSelectedMeasure] = useState(null);
+  const [chain, setChain] = useState([]); // [{ id, options }]
+  const [usedVariation, setUsedVariation] = useState(false);
+  const variations = useMemo(
+    () => (referenceScoreJSON ? mwCreateVariations(referenceScoreJSON) : null),
+    [referenceScoreJSON],
+  );
+  const key = useMemo(
+    () => (variations ? keyFromScoreJSON(variations) : null),
+    [variations],
+  );
 
-  useEffect(() => {
-    const embedParams = {
-      // sharingKey: score.sharingKey,
-      appId: '60a51c906bcde01fc75a3ad0',
-      layout: 'responsive',
-      branding: false,
-      themePrimary: '#450084',
-      controlsDisplay: false,
-      controlsPlay: false,
-      controlsFullscreen: false,
-      controlsZoom: false,
-      controlsPrint: false,
-      toolsetId: '64be80de738efff96cc27edd',
-      displayFirstLinePartsNames: false,
-    };
-    let computedHeight = 300;
-    if (height) {
-      computedHeight = height;
-    }
+  // The chain starts from the chosen variation, else the motive itself
+  const start =
+    variations?.['score-partwise'].part[0].measure[selectedMeasure ?? 0];
 
-    const allParams = {
-      height: `${computedHeight}`,
-      width: '100%',
-      embedParams,
-    };
-    const createdEmbed = new Embed(editorRef.current, allParams);
-    if (createdEmbed) {
-      createdEmbed.ready().then(() => {
-        // listen for cursor position
+  // What each step is applied to, then the final result
+  const stages = useMemo(() => {
+    if (!start) return [];
+    return chain.reduce(
+      (measures, step) => [
+        ...measures,
+        mwApplyTransformations(measures[measures.length - 1], key, [step]),
+      ],
+      [start],
+    );
+  }, [start, key, chain]);
+  const result = stages[stages.length - 1];
 
-        variations.current = mwCreateVariations(referenceScoreJSON);
-        if (onSelect) {
-          createdEmbed.off('cursorPosition');
-          createdEmbed.on('cursorPosition', (ev) => {
-            onSelect(
-              variations.current['score-partwise'].part[0].measure[
-                ev.measureIdx
-              ],
-            );
-          });
-        }
-        createdEmbed.loadJSON(variations.current);
-        // TODO: save/set the measures array from this `variations` json obj
-      });
-    }
-  }, [height, referenceScoreJSON]);
+  const resultScore = useMemo(() => {
+    if (!result || chain.length === 0) return null;
+    const score = JSON.parse(JSON.stringify(variations));
+    const measure = JSON.parse(JSON.stringify(result));
+    measure.$number = '1';
+    measure.barline = { ...measure.barline, 'bar-style': 'light-heavy' };
+    score['score-partwise'].part[0].measure = [measure];
+    return score;
+  }, [variations, result, chain.length]);
+
+  const updateChain = (steps) => {
+    setChain(steps);
+    setUsedVariation(false);
+  };
+
+  const handleMeasureClick = (measureIdx) => {
+    setSelectedMeasure(measureIdx);
+    setUsedVariation(false);
+    onSelect(variations['score-partwise'].part[0].measure[measureIdx]);
+  };
+
+  const addStep = () => {
+    const [first] = VARIATION_TRANSFORMATIONS;
+    updateChain([...chain, { id: first.id, options: defaultOptions(first) }]);
+  };
 
   return (
-    <Row>
-      <Col>
-        <div ref={editorRef} />
-      </Col>
-    </Row>
+    <>
+      <Row>
+        <Col>
+          <ScoreRenderer
+            scoreJSON={variations}
+            height={height || 300}
+            selectedMeasure={selectedMeasure}
+            onMeasureClick={onSelect ? handleMeasureClick : undefined}
+          />
+        </Col>
+      </Row>
+      {variations && (
+        <Row className="mt-3">
+          <Col>
+            <h3 className="h6">Build your own variation</h3>
+            <p className="text-muted small mb-2">
+              Starting from{' '}
+              {selectedMeasure === null
+                ? 'your motive'
+                : `measure ${selectedMeasure + 1}`}
+              , apply transformations one after another.
+            </p>
+            {chain.length > 0 && (
+              <ol className="ps-3">
+                {chain.map((step, i) => (
+                  <TransformationStep
+                    // steps have no identity of their own beyond their place
+                    // eslint-disable-next-line react/no-array-index-key
+                    key={i}
+                    index={i}
+                    step={step}
+                    input={stages[i]}
+                    onChange={(changed) =>
+                      updateChain(chain.map((s, j) => (j === i ? changed : s)))
+                    }
+                    onRemove={() =>
+                      updateChain(chain.filter((s, j) => j !== i))
+                    }
+                  />
+                ))}
+              </ol>
+            )}
+            <Button size="sm" variant="outline-primary" onClick={addStep}>
+              <FaPlus /> Add a transformation
+            </Button>
+            {resultScore && (
+              <div className="mt-3">
+                <ScorePlayer
+                  scoreJSON={resultScore}
+                  instrument={instrument}
+                  transposition={transposition}
+                  height={150}
+                />
+                {onSelect && (
+                  <div className="d-flex align-items-center gap-2">
+                    <Button
+                      size="sm"
+                      variant="primary"
+                      onClick={() => {
+                        onSelect(result);
+                        setUsedVariation(true);
+                      }}
+                    >
+                      Use this variation
+                    </Button>
+                    {usedVariation && (
+                      <span className="text-muted small">
+                        Now click a measure of your composition to put it there.
+                      </span>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </Col>
+        </Row>
+      )}
+    </>
   );
 }
 
@@ -177,6 +177,34 @@ export const AudioProvider = ({ children, persistenceConfig = { enabled: false }
     hasInitialAudioRef.current = true;
   }, []);
 
+  /**
+   * Replace the edit history with previously saved entries and load the
+   * entry at currentIndex (defaults to the last one).
+   * @param {Array} entries - [{ url, effectName, metadata }]
+   * @param {number} currentIndex
+   */
+  const restoreEditHistory = useCallback((entries, currentIndex = null) => {
+    if (!commandManagerRef.current || !entries || entries.length === 0) return;
+
+    const commands = entries.map((historyItem) =>
+      createAudioCommand(
+        historyItem.effectName || 'Restored Edit',
+        historyItem.url,
+        historyItem.metadata || {}
+      )
+    );
+    commandManagerRef.current.restoreHistory(
+      commands,
+      currentIndex ?? commands.length - 1
+    );
+
+    const current = commandManagerRef.current.getCurrentCommand();
+    if (current) {
+      setAudioURL(current.audioData);
+    }
+    hasInitialAudioRef.current = true;
+  }, []);
+
   // Wrapped setDawMode with logging
   const setDawMode = useCallback((newMode) => {
     try {
@@ -221,29 +249,14 @@ export const AudioProvider = ({ children, persistenceConfig = { enabled: false }
       });
 
       // Restore edit history to command manager
-      if (commandManagerRef.current) {
-        // Clear existing history first
-        commandManagerRef.current.clear();
-
-        // Restore each command from history
-        audio_edit_history.forEach((historyItem) => {
-          const command = createAudioCommand(
-            historyItem.effectName || 'Restored Edit',
-            historyItem.url,
-            historyItem.metadata || {}
-          );
-          commandManagerRef.current.addCommand(command);
-        });
-
-        console.log(`✅ Restored ${audio_edit_history.length} items to edit history`);
-      }
+      restoreEditHistory(audio_edit_history);
+      console.log(`✅ Restored ${audio_edit_history.length} items to edit history`);
 
       // Set the current audio URL
       setAudioURL(current_audio_url);
-      hasInitialAudioRef.current = true;
       audioStateRestoredRef.current = true;
     }
-  }, [persistenceConfig]);
+  }, [persistenceConfig, restoreEditHistory]);
 
   // Auto-save audio state when it changes (with debouncing)
   useEffect(() => {
@@ -324,6 +337,7 @@ export const AudioProvider = ({ children, persistenceConfig = { enabled: false }
     getCurrentCommand,
     isRestoredToOriginal,
     clearHistory,
+    restoreEditHistory,
 
     // Methods
     loadAudio,
@@ -12,10 +12,26 @@ import {
 import audioContextManager from '../components/audio/DAW/Multitrack/AudioContextManager';
 import { createTransport } from '../components/audio/DAW/Multitrack/AudioEngine';
 import RecordingManager from '../components/audio/DAW/Multitrack/recording/RecordingManager';
+import { preRollStart } from '../components/audio/DAW/Multitrack/recording/cycleRecording';
+import mixerRouter from '../components/audio/DAW/Multitrack/MixerRouter';
 import { getDAWActivityLogger } from '../lib/activity/DAWActivityLogger';
+import {
+  getAutomationLane,
+  writeAutomationPoint,
+} from '../lib/automation';
+import { detachRouting } from '../lib/mixRouting';
+import {
+  DEFAULT_TEMPO_MAP,
+  normalizeTempoMap,
+  snapSecondsToGrid,
+  getGridTimes,
+} from '../lib/tempoMap';
 
 const MultitrackContext = createContext();
 
+// Punch recordings keep capturing this long past the punch-out
+const PUNCH_OUT_TAIL_SEC = 0.25;
+
 export const useMultitrack = () => {
   const context = useContext(MultitrackContext);
   if (!context) {
@@ -45,6 +61,23 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
   const [selectedClipIds, setSelectedClipIds] = useState([]); // For multi-selection
   const [snapEnabled, setSnapEnabled] = useState(true);
   const [gridSizeSec, setGridSizeSec] = useState(0.1);
+  // Musical grid ('bar', 'beat', '1/8', ...) or 'seconds' to use gridSizeSec
+  const [gridDivision, setGridDivision] = useState('beat');
+
+  // Project tempo/meter map (see lib/tempoMap.js)
+  const [tempoMap, setTempoMapState] = useState(DEFAULT_TEMPO_MAP);
+  const setTempoMap = useCallback((next) => {
+    setTempoMapState((prev) =>
+      normalizeTempoMap(typeof next === 'function' ? next(prev) : next),
+    );
+  }, []);
+
+  // Loop and punch ranges on the timeline ({ start, end } in seconds)
+  const [loopRegion, setLoopRegion] = useState(null);
+  const [loopEnabled, setLoopEnabled] = useState(false);
+  const [punchRegion, setPunchRegion] = useState(null);
+  const [punchEnabled, setPunchEnabled] = useState(false);
+  const [preRollBars, setPreRollBars] = useState(1);
 
   // Effects modal state
   const [showEffectSelectionModal, setShowEffectSelectionModal] = useState(false);
@@ -70,18 +103,46 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
 
   const trackPlayersRef = useRef({}); // trackId -> ClipPlayer instance
 
+  // Loop the transport follows (null when looping is off)
+  const loopRegionRef = useRef(null);
+  // Recording against the transport: { trackIds: Set, stopAt }
+  const transportRecordingRef = useRef(null);
+
+  useEffect(() => {
+    loopRegionRef.current = loopEnabled && loopRegion ? loopRegion : null;
+  }, [loopEnabled, loopRegion]);
+
+  // Clip players restart at the loop start; MIDI tracks follow currentTime
+  const handleTransportLoop = useCallback((position) => {
+    Object.values(trackPlayersRef.current).forEach((player) => {
+      if (player?.isPlaying) {
+        player.play(position);
+      }
+    });
+    RecordingManager.markTransportPosition(position);
+  }, []);
+
   useEffect(() => {
     // create a fresh transport when duration changes (so it clamps correctly)
     transportRef.current = createTransport({
       onTick: (t) => setCurrentTime(t),
-      getProjectDurationSec: () => duration || 0,
+      onLoop: handleTransportLoop,
+      getProjectDurationSec: () => {
+        // Keep rolling past the last clip while recording or looping
+        if (transportRecordingRef.current) return 0;
+        const loop = loopRegionRef.current;
+        return duration > 0 && loop
+          ? Math.max(duration, loop.end)
+          : duration || 0;
+      },
+      getLoopRegion: () => loopRegionRef.current,
     });
     return () => {
       try {
         transportRef.current?.stop?.();
       } catch {}
     };
-  }, [duration]);
+  }, [duration, handleTransportLoop]);
 
   // Get live transport time directly from AudioContext
   // This ensures components can sync with the exact same timing
@@ -145,6 +206,11 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
 
   // (removed interval-based timer effect for updating current time)
 
+  // Keep live bus/group/send routing in step with the track list
+  useEffect(() => {
+    mixerRouter.update(tracks);
+  }, [tracks]);
+
   // Update duration when tracks change (clip-aware)
   useEffect(() => {
     let maxDuration = 0;
@@ -239,7 +305,7 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
       const newTrack = {
         id: Date.now(),
         name: trackData.name || `Track ${tracks.length + 1}`,
-        type: trackData.type || 'audio', // 'audio' or 'midi'
+        type: trackData.type || 'audio', // 'audio', 'midi', 'bus' or 'group'
         audioURL: trackData.audioURL || null,
         volume: trackData.volume || 1,
         pan: trackData.pan || 0,
@@ -288,7 +354,13 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
       // Get track type before deletion for logging
       const trackToDelete = tracks.find(t => t.id === trackId);
 
-      setTracks((prev) => prev.filter((track) => track.id !== trackId));
+      // Sends and outputs pointing at a removed bus/group fall back to the master
+      setTracks((prev) =>
+        detachRouting(
+          prev.filter((track) => track.id !== trackId),
+          trackId,
+        ),
+      );
       if (selectedTrackId === trackId) {
         setSelectedTrackId(null);
       }
@@ -429,6 +501,135 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     setActiveRegion(null);
   }, [tracks]);
 
+  // --- Project save/load (see lib/projectFile.js) ---
+  const getProjectState = useCallback(
+    () => ({
+      tracks,
+      soloTrackId,
+      selectedTrackId,
+      snapEnabled,
+      gridSizeSec,
+      gridDivision,
+      tempoMap,
+      loopRegion,
+      loopEnabled,
+      punchRegion,
+      punchEnabled,
+      preRollBars,
+    }),
+    [
+      tracks,
+      soloTrackId,
+      selectedTrackId,
+      snapEnabled,
+      gridSizeSec,
+      gridDivision,
+      tempoMap,
+      loopRegion,
+      loopEnabled,
+      punchRegion,
+      punchEnabled,
+      preRollBars,
+    ],
+  );
+
+  /**
+   * Replace the current session with a deserialized project.
+   * Existing instruments and players are torn down; the incoming tracks carry
+   * fresh ids so AudioTrack/MIDITrack remount and rebuild their clip players
+   * and instruments.
+   */
+  const loadProject = useCallback(
+    (project) => {
+      if (!project || !Array.isArray(project.tracks)) return;
+
+      try {
+        transportRef.current?.stop?.();
+      } catch {}
+      Object.values(trackPlayersRef.current).forEach((player) => {
+        try {
+          player?.stop?.();
+        } catch {}
+      });
+      clearAllTracks();
+
+      setTracks(project.tracks);
+      setSoloTrackId(project.soloTrackId ?? null);
+      setSelectedTrackId(project.selectedTrackId ?? null);
+      setSnapEnabled(project.snapEnabled ?? true);
+      setGridSizeSec(project.gridSizeSec ?? 0.1);
+      setGridDivision(project.gridDivision ?? 'beat');
+      setTempoMap(project.tempoMap);
+      setLoopRegion(project.loopRegion ?? null);
+      setLoopEnabled(project.loopEnabled ?? false);
+      setPunchRegion(project.punchRegion ?? null);
+      setPunchEnabled(project.punchEnabled ?? false);
+      setPreRollBars(project.preRollBars ?? 1);
+      setSelectedClipId(null);
+      setSelectedClipIds([]);
+    },
+    [clearAllTracks, setTempoMap],
+  );
+
+  // --- Automation lanes (see lib/automation.js) ---
+  // Lanes written during the current pass: key -> { trackId, paramId, lastTime }
+  const automationWritesRef = useRef(new Map());
+
+  /**
+   * Update one automation lane of a track
+   * @param {number} trackId
+   * @param {string} paramId - 'volume' | 'pan' | an effect parameter (see effectAutomationId)
+   * @param {Object|Function} updates - Partial lane, or (lane) => partial lane
+   */
+  const setAutomationLane = useCallback(
+    (trackId, paramId, updates) => {
+      updateTrack(trackId, (track) => {
+        const lane = getAutomationLane(track, paramId);
+        const next = typeof updates === 'function' ? updates(lane) : updates;
+        return {
+          automation: {
+            ...(track.automation || {}),
+            [paramId]: { ...lane, ...next },
+          },
+        };
+      });
+    },
+    [updateTrack],
+  );
+
+  /**
+   * Record a fader move into a lane that is in write mode.
+   * Does nothing unless the transport is running.
+   */
+  const recordAutomation = useCallback(
+    (trackId, paramId, value) => {
+      if (!isPlaying) return;
+      const track = tracks.find((t) => t.id === trackId);
+      if (getAutomationLane(track, paramId).mode !== 'write') return;
+
+      const time = getTransportTime();
+      const key = `${trackId}:${paramId}`;
+      const fromTime = automationWritesRef.current.get(key)?.lastTime ?? time;
+      automationWritesRef.current.set(key, { trackId, paramId, lastTime: time });
+
+      setAutomationLane(trackId, paramId, (lane) => ({
+        points: writeAutomationPoint(lane.points, fromTime, time, value),
+      }));
+    },
+    [isPlaying, tracks, getTransportTime, setAutomationLane],
+  );
+
+  // When the transport stops, lanes written during the pass switch back to
+  // read so the next playback (and the mixdown) follows what was recorded
+  useEffect(() => {
+    if (isPlaying || automationWritesRef.current.size === 0) return;
+    const written = Array.from(automationWritesRef.current.values());
+    automationWritesRef.current.clear();
+    written.forEach(({ trackId, paramId }) => {
+      setAutomationLane(trackId, paramId, { mode: 'read' });
+    });
+  }, [isPlaying, setAutomationLane]);
+
   // Playback control
   const seek = useCallback(
     (progress) => {
@@ -517,10 +718,12 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
   }
 
   // --- Playback control methods (play, pause, stop) ---
-  const play = useCallback(() => {
+  const play = useCallback((fromSec) => {
+    const startSec = typeof fromSec === 'number' ? fromSec : currentTime || 0;
+
     // Start transport from current time
     try {
-      transportRef.current?.play?.(currentTime || 0);
+      transportRef.current?.play?.(startSec);
     } catch {}
 
     // Start all track players
@@ -532,7 +735,7 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
       const shouldPlay = soloTrackId ? track.id === soloTrackId : !track.muted;
 
       if (shouldPlay && player) {
-        player.play(currentTime || 0);
+        player.play(startSec);
       }
     });
 
@@ -543,7 +746,7 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
       if (activityLogger?.isActive) {
         activityLogger.logEvent('multitrack_play', {
           trackCount: tracks.length,
-          currentTime
+          currentTime: startSec
         });
       }
     } catch (error) {
@@ -551,7 +754,19 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     }
   }, [currentTime, tracks, soloTrackId]);
 
+  // End every recording made against the transport
+  const stopTransportRecording = useCallback(() => {
+    const recording = transportRecordingRef.current;
+    if (!recording) return;
+    transportRecordingRef.current = null;
+    recording.trackIds.forEach((trackId) => {
+      RecordingManager.stopRecording(trackId);
+    });
+  }, []);
+
   const pause = useCallback(() => {
+    stopTransportRecording();
+
     // Pause transport
     try {
       transportRef.current?.pause?.();
@@ -580,12 +795,14 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     } catch (error) {
       console.error('📊 Error logging multitrack pause:', error);
     }
-  }, [tracks]);
+  }, [tracks, stopTransportRecording]);
 
   // Ref for scroll reset callback (set by MultitrackEditor)
   const scrollResetCallbackRef = useRef(null);
 
   const stop = useCallback(() => {
+    stopTransportRecording();
+
     // Stop transport
     try {
       transportRef.current?.stop?.();
@@ -616,7 +833,114 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     } catch (error) {
       console.error('📊 Error logging multitrack stop:', error);
     }
-  }, [tracks]);
+  }, [tracks, stopTransportRecording]);
+
+  /**
+   * Record a track against the running transport. Playback starts a
+   * pre-roll before the punch-in (or the loop start), loops if the loop is
+   * on, and ends at the punch-out when it is not. Every pass through the
+   * punch range (else the loop range) becomes its own take.
+   * @param {string} trackId
+   * @param {'audio'|'midi'} type
+   * @param {Object} options - Passed on to RecordingManager.startRecording
+   * @returns {Promise<boolean>} false without a loop or punch range to record
+   */
+  const recordWithTransport = useCallback(
+    async (trackId, type, options = {}) => {
+      const loop = loopEnabled ? loopRegion : null;
+      const recordWindow = punchEnabled && punchRegion ? punchRegion : loop;
+      if (!recordWindow || transportRecordingRef.current) return false;
+
+      transportRecordingRef.current = {
+        trackIds: new Set([trackId]),
+        stopAt: loop ? null : recordWindow.end,
+      };
+      const started = await RecordingManager.startRecording(trackId, type, {
+        ...options,
+        startPosition: recordWindow.start,
+        recordWindow,
+      });
+      if (!started) {
+        transportRecordingRef.current = null;
+        return false;
+      }
+
+      const from = preRollStart(tempoMap, recordWindow.start, preRollBars);
+      play(from);
+      RecordingManager.markTransportPosition(from);
+
+      try {
+        if (activityLogger?.isActive) {
+          activityLogger.logEvent('multitrack_transport_recording', {
+            trackId,
+            type,
+            loop: !!loop,
+            punch: recordWindow !== loop,
+            preRollBars,
+          });
+        }
+      } catch (error) {
+        console.error('📊 Error logging transport recording:', error);
+      }
+      return true;
+    },
+    [
+      loopEnabled,
+      loopRegion,
+      punchEnabled,
+      punchRegion,
+      preRollBars,
+      tempoMap,
+      play,
+    ],
+  );
+
+  // Punch recording without a loop ends just after the punch-out
+  useEffect(() => {
+    const stopAt = transportRecordingRef.current?.stopAt;
+    if (stopAt == null || currentTime < stopAt + PUNCH_OUT_TAIL_SEC) return;
+    pause();
+  }, [currentTime, pause]);
+
+  // A track stopped by its own record button is no longer recording
+  useEffect(() => {
+    const handleRecordingStop = ({ trackId }) => {
+      const recording = transportRecordingRef.current;
+      if (!recording?.trackIds.has(trackId)) return;
+      recording.trackIds.delete(trackId);
+      if (recording.trackIds.size === 0) transportRecordingRef.current = null;
+    };
+    RecordingManager.on('recording-stop', handleRecordingStop);
+    return () => RecordingManager.off('recording-stop', handleRecordingStop);
+  }, []);
+
+  // --- Grid snapping (seconds grid or musical grid via the tempo map) ---
+  const snapTimeToGrid = useCallback(
+    (sec) => {
+      if (!snapEnabled) return sec;
+      if (gridDivision === 'seconds') {
+        const gs = Math.max(0.001, Number(gridSizeSec) || 0.1);
+        return Math.round(sec / gs) * gs;
+      }
+      return snapSecondsToGrid(tempoMap, sec, gridDivision);
+    },
+    [snapEnabled, gridDivision, gridSizeSec, tempoMap],
+  );
+
+  const getGridLineTimes = useCallback(
+    (startSec, endSec) => {
+      if (gridDivision === 'seconds') {
+        const gs = Math.max(0.001, Number(gridSizeSec) || 0.1);
+        const times = [];
+        for (let t = Math.ceil(startSec / gs) * gs; t <= endSec; t += gs) {
+          times.push(t);
+        }
+        return times;
+      }
+      return getGridTimes(tempoMap, startSec, endSec, gridDivision);
+    },
+    [gridDivision, gridSizeSec, tempoMap],
+  );
 
   // --- Non-destructive CLIP actions (audio + MIDI) ---
   const splitAtPlayhead = useCallback(
@@ -679,10 +1003,9 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
           return { ...track, clips: nextClips };
         }
         if (track.type === 'midi' && track.midiData) {
-          const tempo = track.midiData.tempo || 120;
-          const spb = 60 / tempo;
-          const rs = rStart / spb;
-          const re = rEnd / spb;
+          // Notes are stored in timeline seconds, like the region
+          const rs = rStart;
+          const re = rEnd;
           const delta = re - rs;
           const src = Array.isArray(track.midiData.notes)
             ? track.midiData.notes
@@ -879,7 +1202,7 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
   const noteBufferTimerRef = useRef(null);
 
   const addNoteToSelectedTrack = useCallback(
-    (note, velocity01, startBeat, durationBeats) => {
+    (note, velocity01, startSec, durationSec) => {
       if (!selectedTrackId) return;
 
       const newNote = {
@@ -888,8 +1211,8 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
           1,
           Math.min(127, Math.round((velocity01 ?? 0.8) * 127)),
         ),
-        startTime: startBeat,
-        duration: durationBeats,
+        startTime: startSec,
+        duration: durationSec,
       };
 
       // Add to buffer instead of immediate state update
@@ -1153,10 +1476,9 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
 
           // MIDI: trim/split notes and shift later notes left
           if (track.type === 'midi' && track.midiData) {
-            const tempo = track.midiData.tempo || 120;
-            const spb = 60 / tempo;
-            const rs = rStart / spb;
-            const re = rEnd / spb;
+            // Notes are stored in timeline seconds, like the region
+            const rs = rStart;
+            const re = rEnd;
             const delta = re - rs;
 
             const src = Array.isArray(track.midiData.notes)
@@ -1251,10 +1573,9 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
 
           // MIDI: keep only overlapping notes, trim to edges, rebase start to 0
           if (track.type === 'midi' && track.midiData) {
-            const tempo = track.midiData.tempo || 120;
-            const spb = 60 / tempo;
-            const rs = rStart / spb;
-            const re = rEnd / spb;
+            // Notes are stored in timeline seconds, like the region
+            const rs = rStart;
+            const re = rEnd;
             const src = Array.isArray(track.midiData.notes)
               ? track.midiData.notes
               : [];
@@ -1304,6 +1625,10 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     removeTrack,
     updateTrack,
     clearAllTracks,
+    getProjectState,
+    loadProject,
+    setAutomationLane,
+    recordAutomation,
     registerTrackPlayer,
     unregisterTrackPlayer,
 
@@ -1314,6 +1639,18 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     seek,
     getTransportTime,
     scrollResetCallbackRef, // For scroll position reset on stop
+    // Loop playback, punch-in/out and recording against the transport
+    loopRegion,
+    setLoopRegion,
+    loopEnabled,
+    setLoopEnabled,
+    punchRegion,
+    setPunchRegion,
+    punchEnabled,
+    setPunchEnabled,
+    preRollBars,
+    setPreRollBars,
+    recordWithTransport,
     // Recording management (using RecordingManager)
     isAnyTrackRecording,
     isTrackRecording,
@@ -1335,6 +1672,12 @@ export const MultitrackProvider = ({ children, initialTracks = [] }) => {
     setSnapEnabled,
     gridSizeSec,
     setGridSizeSec,
+    gridDivision,
+    setGridDivision,
+    snapTimeToGrid,
+    getGridLineTimes,
+    tempoMap,
+    setTempoMap,
     splitAtPlayhead,
     rippleDeleteSelection,
 
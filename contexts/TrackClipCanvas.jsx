@@ -3,6 +3,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { useMultitrack } from './MultitrackContext';
 import waveformCache from '../components/audio/DAW/Multitrack/WaveformCache';
+import { drawSpectrogram } from '../lib/spectrum';
 
 export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100, logOperation = null }) {
   const {
@@ -16,7 +17,8 @@ export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100,
     setSelectedClipIds,
     editorTool,
     snapEnabled,
-    gridSizeSec,
+    snapTimeToGrid,
+    getGridLineTimes,
     setTracks,
   } = useMultitrack();
 
@@ -151,6 +153,15 @@ export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100,
     const audioBuffer = bufferCache.get(clip.src);
     if (!audioBuffer) return;
 
+    if (track?.displayMode === 'spectrogram') {
+      const startTime = clip.offset || 0;
+      drawSpectrogram(ctx, audioBuffer, rect, {
+        startTime,
+        endTime: startTime + (clip.duration || 0),
+      });
+      return;
+    }
+
     const channelData = audioBuffer.getChannelData(0);
     const sampleRate = audioBuffer.sampleRate;
     const totalSamples = channelData.length;
@@ -336,12 +347,12 @@ export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100,
       // ctx.fillRect(phX, 0, Math.max(1, Math.floor(2 * dpr)), H);
       
       // Draw grid lines if snap is enabled
-      if (snapEnabled && gridSizeSec > 0 && projectDur > 0) {
+      if (snapEnabled && projectDur > 0) {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
         ctx.lineWidth = dpr;
         ctx.setLineDash([4 * dpr, 4 * dpr]);
 
-        for (let t = 0; t < projectDur; t += gridSizeSec) {
+        for (const t of getGridLineTimes(0, projectDur)) {
           const x = Math.floor(t * pxPerSec);
           ctx.beginPath();
           ctx.moveTo(x, 0);
@@ -356,12 +367,6 @@ export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100,
     }
 
     // Pointer handlers remain the same as original
-    function quantize(sec) {
-      if (!snapEnabled) return sec;
-      const gs = Math.max(0.001, Number(gridSizeSec) || 0.1);
-      return Math.round(sec / gs) * gs;
-    }
-
     function hitTest(clientX) {
       const rect = canvas.getBoundingClientRect();
       const x = clientX - rect.left;
@@ -544,8 +549,13 @@ export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100,
 
       const dxCss = e.clientX - dragRef.current.startX;
       const dxSecRaw = dxCss / dragRef.current.pxPerSecCSS;
-      const dxSec = snapEnabled ? quantize(dxSecRaw) : dxSecRaw;
       const { start, duration: dur, offset } = dragRef.current.orig;
+      // Snap the edge being dragged (not the delta) so it lands on the grid
+      // even where the tempo map changes the bar length
+      const snapEdge = dragRef.current.op === 'resizeR' ? start + dur : start;
+      const dxSec = snapEnabled
+        ? snapTimeToGrid(snapEdge + dxSecRaw) - snapEdge
+        : dxSecRaw;
       // If sourceDuration is known, use it; otherwise use offset+duration as the
       // buffer bound (the clip can be trimmed inward but never extended outward)
       const srcDur = dragRef.current.sourceDuration || (offset + dur);
@@ -652,8 +662,8 @@ export default function TrackClipCanvas({ track, zoomLevel = 100, height = 100,
       }
     };
   }, [clipRects, currentTime, duration, zoomLevel, interactive, selectedClipId, selectedClipIds,
-      selectedTrackId, snapEnabled, gridSizeSec, setSelectedTrackId, setSelectedClipId,
-      setSelectedClipIds, setTracks, track?.id, bufferCache, clips, editorTool, logOperation]);
+      selectedTrackId, snapEnabled, snapTimeToGrid, getGridLineTimes, setSelectedTrackId, setSelectedClipId,
+      setSelectedClipIds, setTracks, track?.id, track?.displayMode, bufferCache, clips, editorTool, logOperation]);
 
   return (
     <canvas
@@ -39,6 +39,7 @@ export const WaveformProvider = ({ children, logOperation = null }) => {
   const [scrollPosition, setScrollPosition] = useState(0); // scroll position in seconds
   const [containerWidth, setContainerWidth] = useState(0);
   const [initialZoomSet, setInitialZoomSet] = useState(false);
+  const [displayMode, setDisplayMode] = useState('waveform'); // 'waveform' | 'spectrogram'
 
   // Peaks data
   const [peaks, setPeaks] = useState(null);
@@ -566,6 +567,8 @@ export const WaveformProvider = ({ children, logOperation = null }) => {
     containerWidth,
     setContainerWidth,
     setScrollPosition,
+    displayMode,
+    setDisplayMode,
 
     // Peaks data
     peaks,
@@ -0,0 +1,48 @@
+/**
+ * useActivityDefinition Hook
+ *
+ * Loads the DAW lesson an assignment follows. Until it arrives, and when
+ * the teacher hasn't authored one, the built-in study activities are used.
+ */
+
+import { useState, useEffect } from 'react';
+import { getActivityDefinition } from '../api';
+import {
+  DEFAULT_ACTIVITY_DEFINITION,
+  normalizeActivityDefinition,
+} from '../lib/activity/activityDefinition';
+
+export function useActivityDefinition({ slug, assignmentId }) {
+  const [definition, setDefinition] = useState(DEFAULT_ACTIVITY_DEFINITION);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!slug || !assignmentId) return undefined;
+    let cancelled = false;
+
+    const loadDefinition = async () => {
+      setIsLoading(true);
+      try {
+        const raw = await getActivityDefinition({ slug, assignmentId });
+        if (cancelled) return;
+        setDefinition(
+          normalizeActivityDefinition(raw) ?? DEFAULT_ACTIVITY_DEFINITION,
+        );
+      } catch (error) {
+        console.error('❌ Failed to load activity definition:', error);
+        if (!cancelled) setDefinition(DEFAULT_ACTIVITY_DEFINITION);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadDefinition();
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, assignmentId]);
+
+  return { definition, isLoading };
+}
+
+export default useActivityDefinition;
@@ -3,6 +3,10 @@
  *
  * Manages activity progress state for DAW study protocol.
  * Integrates with DAWActivityLogger and backend API.
+ *
+ * Mutations go through a persistent outbox (lib/activity/activityOutbox), so
+ * state updates immediately and the server catches up when it can. The
+ * returned syncStatus says whether everything has reached the server.
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -14,13 +18,26 @@ import {
   mutateSaveQuestionResponse,
 } from '../api';
 import {
-  isStepComplete,
-  getStepProgress,
-  getMissingOperations,
-  ACTIVITY_REQUIREMENTS,
-} from '../lib/activity/activityConstants';
-
-export function useActivityProgress({ slug, assignmentId, initialStep = 1, email = null }) {
+  ActivityOutbox,
+  OUTBOX_ENTRY_TYPES,
+  SYNC_STATES,
+  applyPending,
+  createClientEventId,
+} from '../lib/activity/activityOutbox';
+import {
+  DEFAULT_ACTIVITY_DEFINITION,
+  evaluateStep,
+  getDefinitionStep,
+  stepContext,
+} from '../lib/activity/activityDefinition';
+
+export function useActivityProgress({
+  slug,
+  assignmentId,
+  initialStep = 1,
+  email = null,
+  definition = DEFAULT_ACTIVITY_DEFINITION,
+}) {
   // Progress state
   const [currentStep, setCurrentStep] = useState(initialStep);
   const [stepCompletions, setStepCompletions] = useState({});
@@ -28,10 +45,15 @@ export function useActivityProgress({ slug, assignmentId, initialStep = 1, email
   const [questionResponses, setQuestionResponses] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({ state: SYNC_STATES.SYNCED, pending: 0, error: null, retryAt: null });
 
   // Track if we've loaded initial progress
   const hasLoadedProgress = useRef(false);
 
+  // Last progress the server confirmed; queued mutations are applied on top
+  const serverProgressRef = useRef(null);
+  const outboxRef = useRef(null);
+
   // Store email in ref to avoid re-renders
   const emailRef = useRef(email);
 
@@ -48,103 +70,142 @@ export function useActivityProgress({ slug, assignmentId, initialStep = 1, email
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [initialStep]); // Only depend on initialStep, not currentStep
 
-  // Load progress from backend on mount
+  // Show server progress plus whatever is still queued
+  const refreshState = useCallback(async () => {
+    const outbox = outboxRef.current;
+    if (!outbox) return null;
+    const pending = await outbox.pending();
+    const merged = applyPending(serverProgressRef.current, pending);
+
+    // With nothing from the server or queued, keep the step from the URL
+    if (serverProgressRef.current || pending.some((entry) => entry.type === OUTBOX_ENTRY_TYPES.SUBMIT_STEP)) {
+      setCurrentStep(merged.current_step);
+    }
+    setStepCompletions(merged.step_completions);
+    setActivityLogs(merged.activity_logs);
+    setQuestionResponses(merged.question_responses);
+    return merged;
+  }, []);
+
+  // Fetch server progress, drop queued entries it already has, send the rest
+  const syncWithServer = useCallback(async (outbox) => {
+    const progress = await getActivityProgress({ slug, assignmentId });
+    console.log('📥 Loaded progress from backend:', progress);
+    if (progress && Object.keys(progress).length > 0) {
+      serverProgressRef.current = progress;
+      const delivered = await outbox.reconcile(progress);
+      if (delivered > 0) {
+        console.log(`🔁 ${delivered} queued change(s) already on the server`);
+      }
+    } else {
+      console.log('📥 No progress found, starting fresh');
+    }
+    await refreshState();
+    outbox.flush({ force: true });
+  }, [slug, assignmentId, refreshState]);
+
+  // Set up the outbox and load progress from backend on mount
   useEffect(() => {
-    if (!slug || !assignmentId || hasLoadedProgress.current) return;
+    if (!slug || !assignmentId) return undefined;
+
+    const outbox = new ActivityOutbox({
+      queue: `${slug}/${assignmentId}`,
+      senders: {
+        [OUTBOX_ENTRY_TYPES.LOG_EVENT]: mutateLogActivityEvent({ slug, assignmentId }),
+        [OUTBOX_ENTRY_TYPES.SAVE_RESPONSE]: mutateSaveQuestionResponse({ slug, assignmentId }),
+        [OUTBOX_ENTRY_TYPES.SUBMIT_STEP]: mutateSubmitActivityStep({ slug, assignmentId }),
+      },
+      onDelivered: (progress) => {
+        serverProgressRef.current = progress;
+      },
+    });
+    outboxRef.current = outbox;
+    const unsubscribe = outbox.subscribe((status) => {
+      setSyncStatus(status);
+      refreshState();
+    });
 
     const loadProgress = async () => {
       try {
         console.log('📥 Loading progress for assignment:', assignmentId);
-        const progress = await getActivityProgress({ slug, assignmentId });
-        console.log('📥 Loaded progress from backend:', progress);
-
-        if (progress) {
-          console.log('📥 Setting state from progress:', {
-            current_step: progress.current_step,
-            step_completions: progress.step_completions,
-            activity_logs_count: progress.activity_logs?.length || 0,
-          });
-          setCurrentStep(progress.current_step);
-          setStepCompletions(progress.step_completions || {});
-          setActivityLogs(progress.activity_logs || []);
-          setQuestionResponses(progress.question_responses || {});
-        } else {
-          console.log('📥 No progress found, starting fresh');
-        }
-
-        hasLoadedProgress.current = true;
-        setIsLoading(false);
+        await syncWithServer(outbox);
       } catch (error) {
+        // Offline or server down: work from what is queued locally
         console.error('Failed to load activity progress:', error);
-        setIsLoading(false);
+        await refreshState();
+        outbox.flush();
       }
+      hasLoadedProgress.current = true;
+      setIsLoading(false);
+    };
+
+    const handleOnline = () => {
+      console.log('🌐 Back online, syncing activity progress');
+      syncWithServer(outbox).catch((error) => {
+        console.error('Failed to sync activity progress:', error);
+        outbox.flush({ force: true });
+      });
     };
+    const handleOffline = () => outbox.flush();
 
     loadProgress();
-  }, [slug, assignmentId]);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribe();
+      outbox.dispose();
+      if (outboxRef.current === outbox) outboxRef.current = null;
+    };
+  }, [slug, assignmentId, syncWithServer, refreshState]);
 
   // Log operation and update local state
   const logOperation = useCallback(async (operation, data = {}) => {
     console.log('📝 useActivityProgress.logOperation called:', { operation, data, slug, assignmentId, currentStep });
 
-    if (!slug || !assignmentId) {
+    const outbox = outboxRef.current;
+    if (!slug || !assignmentId || !outbox) {
       console.warn('⚠️ Cannot log operation - missing slug or assignmentId:', { slug, assignmentId });
       return;
     }
 
-    try {
-      // Log to backend
-      console.log('📡 Sending operation to backend:', operation);
-      const logEvent = mutateLogActivityEvent({ slug, assignmentId });
-      const updatedProgress = await logEvent({
-        operation,
-        step: currentStep,
-        data,
-        email: emailRef.current, // Include email from Qualtrics
-      });
-
-      console.log('✅ Backend responded with updated progress:', updatedProgress?.step_completions);
-
-      // Also log to DAW logger for local analytics
-      logger.logEvent(operation, data);
+    // Also log to DAW logger for local analytics
+    logger.logEvent(operation, data);
 
-      // Update local state with server response
-      if (updatedProgress?.step_completions) {
-        setStepCompletions(updatedProgress.step_completions);
-        setActivityLogs(updatedProgress.activity_logs || []);
-      }
+    // The client id lets a resend after a lost response be recognised
+    await outbox.enqueue(OUTBOX_ENTRY_TYPES.LOG_EVENT, {
+      operation,
+      step: currentStep,
+      data: { ...data, client_event_id: createClientEventId() },
+      email: emailRef.current, // Include email from Qualtrics
+    });
+    const updatedProgress = await refreshState();
+    outbox.flush();
 
-      return updatedProgress;
-    } catch (error) {
-      console.error('❌ Failed to log operation:', error);
-      throw error;
-    }
-  }, [slug, assignmentId, currentStep, logger]);
+    return updatedProgress;
+  }, [slug, assignmentId, currentStep, logger, refreshState]);
 
   // Save question response
   const saveResponse = useCallback(async (questionId, response) => {
-    if (!slug || !assignmentId) return;
+    const outbox = outboxRef.current;
+    if (!slug || !assignmentId || !outbox) return;
 
-    // Update local state optimistically before the API call
+    // Update local state optimistically before it is queued
     setQuestionResponses(prev => ({
       ...prev,
       [questionId]: response,
     }));
 
-    try {
-      const saveResponseFn = mutateSaveQuestionResponse({ slug, assignmentId });
-      const updatedProgress = await saveResponseFn({ questionId, response });
-
-      return updatedProgress;
-    } catch (error) {
-      console.error('Failed to save response:', error);
-      throw error;
-    }
+    await outbox.enqueue(OUTBOX_ENTRY_TYPES.SAVE_RESPONSE, { questionId, response });
+    outbox.flush();
   }, [slug, assignmentId]);
 
   // Submit current step and advance
   const submitStep = useCallback(async (responses = {}, stepToSubmit = null) => {
-    if (!slug || !assignmentId) {
+    const outbox = outboxRef.current;
+    if (!slug || !assignmentId || !outbox) {
       console.error('Cannot submit: missing slug or assignmentId', { slug, assignmentId });
       throw new Error('Assignment not loaded yet. Please wait and try again.');
     }
@@ -156,64 +217,57 @@ export function useActivityProgress({ slug, assignmentId, initialStep = 1, email
     setIsSubmitting(true);
 
     try {
-      const submitFn = mutateSubmitActivityStep({ slug, assignmentId });
-      const updatedProgress = await submitFn({
+      const entry = await outbox.enqueue(OUTBOX_ENTRY_TYPES.SUBMIT_STEP, {
         questionResponses: {
           ...questionResponses,
           ...responses,
         },
         step,
       });
+      await outbox.flush();
 
-      console.log('📥 Backend returned current_step:', updatedProgress.current_step);
+      // A refused submission (e.g. the server disagrees the step is complete)
+      // must reach the student; one that is only waiting on the network will
+      // be sent later
+      const rejection = outbox.takeRejection(entry.id);
+      if (rejection) throw rejection;
 
-      // Update local state
-      setCurrentStep(updatedProgress.current_step);
-      setStepCompletions(updatedProgress.step_completions);
-      setActivityLogs(updatedProgress.activity_logs || []);
-      setQuestionResponses(updatedProgress.question_responses);
+      const updatedProgress = await refreshState();
+      console.log('📥 Step submitted, current_step:', updatedProgress.current_step);
 
       setIsSubmitting(false);
       return updatedProgress;
     } catch (error) {
       console.error('Failed to submit step:', error);
+      await refreshState();
       setIsSubmitting(false);
       throw error;
     }
-  }, [slug, assignmentId, questionResponses, currentStep]);
+  }, [slug, assignmentId, questionResponses, currentStep, refreshState]);
 
-  // Check if the VIEWED step (initialStep from URL) can be submitted
+  // Evaluate the VIEWED step (initialStep from URL) against the lesson definition
   // Use initialStep, not currentStep, because currentStep is backend state which may be stale
-  const canSubmit = useCallback(() => {
-    return isStepComplete(initialStep, stepCompletions, activityLogs);
-  }, [initialStep, stepCompletions, activityLogs]);
-
-  // Get progress percentage for the VIEWED step
-  const progress = useCallback(() => {
-    return getStepProgress(initialStep, stepCompletions, activityLogs);
-  }, [initialStep, stepCompletions, activityLogs]);
-
-  // Get missing operations for the VIEWED step
-  const missingOperations = useCallback(() => {
-    return getMissingOperations(initialStep, stepCompletions, activityLogs);
-  }, [initialStep, stepCompletions, activityLogs]);
-
-  // Get step requirements for the VIEWED step
-  const requirements = ACTIVITY_REQUIREMENTS[initialStep] || { required: [] };
+  const step = getDefinitionStep(definition, initialStep);
+  const { canSubmit, progress, missing } = evaluateStep(
+    step,
+    stepContext(initialStep, stepCompletions, activityLogs)
+  );
 
   return {
     // State
     currentStep,
     stepCompletions,
+    activityLogs,
     questionResponses,
     isLoading,
     isSubmitting,
+    syncStatus,
 
     // Computed
-    canSubmit: canSubmit(),
-    progress: progress(),
-    missingOperations: missingOperations(),
-    requirements,
+    canSubmit,
+    progress,
+    missingOperations: missing,
+    requirements: step.completion,
 
     // Methods
     logOperation,
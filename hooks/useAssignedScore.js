@@ -0,0 +1,46 @@
+/**
+ * useAssignedScore Hook
+ *
+ * Loads the score JSON of the part an assignment gives the student's
+ * instrument. The assignment only stores a Flat reference, so the JSON is
+ * fetched before anything can be read from it.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { assignedScoreRef, loadFlatScoreJSON } from '../lib/flat';
+
+export function useAssignedScore(assignment) {
+  const scoreRef = useMemo(() => assignedScoreRef(assignment), [assignment]);
+  const [score, setScore] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setScore(null);
+    setError(null);
+    if (!scoreRef) return undefined;
+    let cancelled = false;
+
+    const loadScore = async () => {
+      setIsLoading(true);
+      try {
+        const json = await loadFlatScoreJSON(scoreRef);
+        if (!cancelled) setScore(json);
+      } catch (err) {
+        console.error('❌ Failed to load assigned score:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadScore();
+    return () => {
+      cancelled = true;
+    };
+  }, [scoreRef]);
+
+  return { hasScore: !!scoreRef, score, isLoading, error };
+}
+
+export default useAssignedScore;
@@ -0,0 +1,92 @@
+/**
+ * usePitchTracking Hook
+ *
+ * Runs a PitchTracker for the duration of a take. Pass the recorder's
+ * microphone stream when there is one; otherwise the hook opens (and later
+ * releases) its own.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  PitchTracker,
+  isPitchTrackingSupported,
+  DEFAULT_REFERENCE_PITCH,
+} from '../lib/pitchTracking';
+
+export function usePitchTracking({
+  enabled = true,
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+} = {}) {
+  const [tracker, setTracker] = useState(null);
+  const trackerRef = useRef(null);
+  const ownStreamRef = useRef(null);
+
+  const releaseOwnStream = () => {
+    ownStreamRef.current?.getTracks().forEach((track) => track.stop());
+    ownStreamRef.current = null;
+  };
+
+  /**
+   * Start tracking a take
+   * @param {MediaStream|null} stream - Microphone stream to analyse
+   * @param {number} startedAt - performance.now() of the take start
+   * @returns {Promise<boolean>} Whether tracking started
+   */
+  const start = useCallback(
+    async (stream = null, startedAt = performance.now()) => {
+      if (!enabled || !isPitchTrackingSupported()) return false;
+      trackerRef.current?.stop();
+
+      try {
+        let input = stream;
+        if (!input) {
+          input = await navigator.mediaDevices.getUserMedia({
+            audio: {
+              echoCancellation: false,
+              noiseSuppression: false,
+              autoGainControl: false,
+            },
+          });
+          ownStreamRef.current = input;
+        }
+
+        const next = new PitchTracker({ referencePitch });
+        trackerRef.current = next;
+        await next.start(input, startedAt);
+        if (trackerRef.current !== next) return false;
+        setTracker(next);
+        return true;
+      } catch (err) {
+        // Recording carries on without intonation feedback
+        console.error('❌ Pitch tracking failed to start:', err);
+        trackerRef.current = null;
+        releaseOwnStream();
+        return false;
+      }
+    },
+    [enabled, referencePitch],
+  );
+
+  /**
+   * Stop tracking
+   * @returns {Object|null} Pitch track for the take
+   */
+  const stop = useCallback(() => {
+    const current = trackerRef.current;
+    trackerRef.current = null;
+    setTracker(null);
+    releaseOwnStream();
+    return current ? current.stop() : null;
+  }, []);
+
+  // Stop on unmount
+  useEffect(
+    () => () => {
+      trackerRef.current?.stop();
+      releaseOwnStream();
+    },
+    [],
+  );
+
+  return { tracker, start, stop };
+}
@@ -0,0 +1,198 @@
+/**
+ * useSessionAutosave Hook
+ *
+ * Periodically saves the DAW session (multitrack tracks with their audio and
+ * the single-track edit history) to IndexedDB, and offers to recover it when
+ * the same page is reopened after a crash or reload.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAudio, useMultitrack } from '../contexts/DAWProvider';
+import { getCommandManager } from '../lib/AudioCommandManager';
+import {
+  saveSession,
+  loadSession,
+  clearSession,
+  hasRecoverableContent,
+  restoreSession,
+} from '../lib/sessionAutosave';
+
+export function useSessionAutosave({
+  sessionKey,
+  enabled = true,
+  intervalMs = 15000,
+}) {
+  const { audioURL, dawMode, setDawMode, restoreEditHistory } = useAudio();
+  const { tracks, getProjectState, loadProject, isAnyTrackRecording } =
+    useMultitrack();
+
+  const [pendingRecovery, setPendingRecovery] = useState(null);
+  const [isRecovering, setIsRecovering] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  // Autosave stays off until we know whether an older session must be
+  // offered first - otherwise the empty new session would overwrite it
+  const readyRef = useRef(false);
+  const dirtyRef = useRef(false);
+  const savingRef = useRef(false);
+
+  // Keep latest values in refs so the timer and page-hide handlers don't
+  // need to be re-registered on every change
+  const stateRef = useRef({});
+  stateRef.current = { getProjectState, dawMode, isAnyTrackRecording };
+
+  // Look for a previous session on mount
+  useEffect(() => {
+    if (!enabled || !sessionKey) return;
+    let cancelled = false;
+    readyRef.current = false;
+
+    loadSession(sessionKey)
+      .then((record) => {
+        if (cancelled) return;
+        if (hasRecoverableContent(record)) {
+          console.log(
+            '💾 Found autosaved session from',
+            new Date(record.savedAt),
+          );
+          setPendingRecovery(record);
+        } else {
+          readyRef.current = true;
+        }
+      })
+      .catch((error) => {
+        console.error('💾 Error reading autosaved session:', error);
+        if (!cancelled) readyRef.current = true;
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, sessionKey]);
+
+  // Any change to tracks, the edit history or the current audio marks the session dirty
+  useEffect(() => {
+    dirtyRef.current = true;
+  }, [tracks, audioURL, dawMode]);
+
+  useEffect(() => {
+    const manager = getCommandManager();
+    const markDirty = () => {
+      dirtyRef.current = true;
+    };
+    manager.addListener(markDirty);
+    return () => manager.removeListener(markDirty);
+  }, []);
+
+  const saveNow = useCallback(async () => {
+    if (!enabled || !sessionKey || !readyRef.current) return;
+    if (!dirtyRef.current || savingRef.current) return;
+
+    const { getProjectState, dawMode, isAnyTrackRecording } = stateRef.current;
+    // Recording buffers aren't in the tracks yet; save once the take lands
+    if (isAnyTrackRecording()) return;
+
+    savingRef.current = true;
+    dirtyRef.current = false;
+    try {
+      const record = await saveSession(sessionKey, {
+        projectState: getProjectState(),
+        commandManager: getCommandManager(),
+        dawMode,
+      });
+      if (hasRecoverableContent(record)) {
+        setLastSavedAt(record.savedAt);
+      } else {
+        // Nothing worth keeping - don't prompt for an empty session later
+        await clearSession(sessionKey);
+      }
+    } catch (error) {
+      dirtyRef.current = true;
+      console.error('💾 Error autosaving session:', error);
+    } finally {
+      savingRef.current = false;
+    }
+  }, [enabled, sessionKey]);
+
+  // Periodic background save
+  useEffect(() => {
+    if (!enabled || !sessionKey) return;
+    const timer = setInterval(saveNow, intervalMs);
+    return () => clearInterval(timer);
+  }, [enabled, sessionKey, intervalMs, saveNow]);
+
+  // Best-effort save when the tab is hidden or closed
+  useEffect(() => {
+    if (!enabled || !sessionKey) return;
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') saveNow();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('pagehide', saveNow);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('pagehide', saveNow);
+    };
+  }, [enabled, sessionKey, saveNow]);
+
+  const recover = useCallback(async () => {
+    if (!pendingRecovery) return;
+    setIsRecovering(true);
+    try {
+      const {
+        dawMode: savedMode,
+        project,
+        editHistory,
+      } = await restoreSession(pendingRecovery);
+
+      if (editHistory) {
+        restoreEditHistory(editHistory.entries, editHistory.currentIndex);
+      }
+      if (project) {
+        loadProject(project);
+      }
+      if (savedMode) {
+        setDawMode(savedMode);
+      }
+      console.log('💾 Recovered autosaved session');
+    } catch (error) {
+      console.error('💾 Error recovering session:', error);
+      alert('Could not recover the previous session: ' + error.message);
+    } finally {
+      setPendingRecovery(null);
+      setIsRecovering(false);
+      dirtyRef.current = true;
+      readyRef.current = true;
+    }
+  }, [pendingRecovery, restoreEditHistory, loadProject, setDawMode]);
+
+  const discard = useCallback(async () => {
+    setPendingRecovery(null);
+    try {
+      await clearSession(sessionKey);
+    } catch (error) {
+      console.error('💾 Error discarding autosaved session:', error);
+    }
+    readyRef.current = true;
+  }, [sessionKey]);
+
+  // Forget the autosave (e.g. after the work has been submitted)
+  const clear = useCallback(async () => {
+    dirtyRef.current = false;
+    try {
+      await clearSession(sessionKey);
+    } catch (error) {
+      console.error('💾 Error clearing autosaved session:', error);
+    }
+  }, [sessionKey]);
+
+  return {
+    pendingRecovery,
+    isRecovering,
+    lastSavedAt,
+    recover,
+    discard,
+    clear,
+    saveNow,
+  };
+}
@@ -173,6 +173,22 @@ export class AudioCommandManager {
     this.currentIndex = this.history.length - 1;
     this.notifyListeners();
   }
+
+  /**
+   * Replace the whole history (for restoring a saved session)
+   * @param {AudioCommand[]} commands - Commands in original order
+   * @param {number} currentIndex - Position to restore (defaults to the last command)
+   */
+  restoreHistory(commands, currentIndex = commands.length - 1) {
+    this.history.forEach(cmd => this.cleanupCommand(cmd));
+    this.history = commands.slice(-this.maxHistorySize);
+    const dropped = commands.length - this.history.length;
+    this.currentIndex = Math.max(
+      -1,
+      Math.min(this.history.length - 1, currentIndex - dropped)
+    );
+    this.notifyListeners();
+  }
 }
 
 // Singleton instance
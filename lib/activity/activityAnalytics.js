@@ -0,0 +1,255 @@
+/**
+ * Activity Analytics
+ *
+ * Class-wide aggregation of DAW activity progress for the teacher
+ * dashboard: completion funnel, time on task, tool usage, per-student
+ * timelines and CSV export for the research study.
+ */
+
+import { OPERATION_OPTIONS } from './activityDefinition';
+
+// Gaps between logged operations longer than this count as time away
+export const IDLE_GAP_SEC = 300;
+
+function studentName(record, enrollment) {
+  return (
+    enrollment?.user?.name ||
+    record.student_name ||
+    record.user?.name ||
+    enrollment?.user?.username ||
+    `Enrollment ${record.enrollment ?? record.id}`
+  );
+}
+
+function logTime(log) {
+  const time = new Date(log.timestamp ?? log.created_at ?? log.time);
+  return Number.isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Join activity progress records with the course roster. Students without
+ * a record are kept so the funnel counts everyone enrolled.
+ * @param {Array} records - Activity progress from getCourseActivityProgress()
+ * @param {Array} roster - Course enrollments (teachers are skipped)
+ * @returns {Array} [{ key, name, enrollmentId, pieceSlug, currentStep, stepCompletions, logs: [{ step, operation, data, time }] }]
+ */
+export function normalizeActivityRecords(records = [], roster = []) {
+  const students = roster.filter((enrollment) => enrollment.role !== 'Teacher');
+  const byEnrollment = new Map(students.map((enrollment) => [enrollment.id, enrollment]));
+  const seen = new Set();
+
+  const rows = records.map((record) => {
+    const enrollmentId = record.enrollment?.id ?? record.enrollment ?? null;
+    const enrollment = byEnrollment.get(enrollmentId);
+    seen.add(enrollmentId);
+    const logs = (record.activity_logs || [])
+      .map((log) => ({
+        step: Number(log.step),
+        operation: log.operation,
+        data: log.data || {},
+        time: logTime(log),
+      }))
+      .filter((log) => log.time)
+      .sort((a, b) => a.time - b.time);
+    return {
+      key: `${enrollmentId ?? 'x'}-${record.assignment ?? record.id}`,
+      name: studentName(record, enrollment),
+      enrollmentId,
+      pieceSlug: record.piece_slug ?? null,
+      currentStep: Number(record.current_step) || 1,
+      stepCompletions: record.step_completions || {},
+      logs,
+    };
+  });
+
+  students
+    .filter((enrollment) => !seen.has(enrollment.id))
+    .forEach((enrollment) => {
+      rows.push({
+        key: `${enrollment.id}-none`,
+        name: enrollment.user?.name || enrollment.user?.username || `Enrollment ${enrollment.id}`,
+        enrollmentId: enrollment.id,
+        pieceSlug: null,
+        currentStep: 1,
+        stepCompletions: {},
+        logs: [],
+      });
+    });
+
+  return rows.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Students who started (logged anything in) and submitted each step, out
+ * of `total` students. A student with several progress records counts once,
+ * as started or submitted if any of their records is.
+ * @returns {Array} [{ step, total, started, submitted }]
+ */
+export function completionFunnel(students, stepCount) {
+  const studentKey = (s) => s.enrollmentId ?? s.key;
+  const countStudents = (rows) => new Set(rows.map(studentKey)).size;
+  const total = countStudents(students);
+
+  return Array.from({ length: stepCount }, (_, idx) => {
+    const step = idx + 1;
+    return {
+      step,
+      total,
+      started: countStudents(
+        students.filter((s) => s.currentStep > step || s.logs.some((log) => log.step === step)),
+      ),
+      submitted: countStudents(students.filter((s) => s.currentStep > step)),
+    };
+  });
+}
+
+/**
+ * Active seconds a student spent on a step: the time between consecutive
+ * logged operations, leaving out idle gaps
+ */
+export function stepActiveSeconds(student, step) {
+  const times = student.logs.filter((log) => log.step === step).map((log) => log.time.getTime());
+  let total = 0;
+  for (let i = 1; i < times.length; i++) {
+    const gap = (times[i] - times[i - 1]) / 1000;
+    if (gap <= IDLE_GAP_SEC) total += gap;
+  }
+  return total;
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const low = Math.floor(pos);
+  const high = Math.ceil(pos);
+  return sorted[low] + (sorted[high] - sorted[low]) * (pos - low);
+}
+
+/**
+ * Time-on-task distribution per step over the students who worked on it
+ * @returns {Array} [{ step, values, min, q1, median, q3, max }] in minutes
+ */
+export function timeOnTask(students, stepCount) {
+  return Array.from({ length: stepCount }, (_, idx) => {
+    const step = idx + 1;
+    const values = students
+      .filter((s) => s.logs.some((log) => log.step === step))
+      .map((s) => stepActiveSeconds(s, step) / 60)
+      .sort((a, b) => a - b);
+    return {
+      step,
+      values,
+      min: quantile(values, 0),
+      q1: quantile(values, 0.25),
+      median: quantile(values, 0.5),
+      q3: quantile(values, 0.75),
+      max: quantile(values, 1),
+    };
+  });
+}
+
+/**
+ * How often each operation was logged across the class, most used first.
+ * Known operations nobody has used are included with zero counts.
+ * @returns {Array} [{ operation, label, events, students }]
+ */
+export function toolUsage(students) {
+  const usage = new Map(OPERATION_OPTIONS.map(({ value, label }) => [value, { operation: value, label, events: 0, students: 0 }]));
+  students.forEach((student) => {
+    const used = new Set();
+    student.logs.forEach((log) => {
+      if (!usage.has(log.operation)) {
+        usage.set(log.operation, { operation: log.operation, label: log.operation.replace(/_/g, ' '), events: 0, students: 0 });
+      }
+      usage.get(log.operation).events++;
+      used.add(log.operation);
+    });
+    used.forEach((operation) => {
+      usage.get(operation).students++;
+    });
+  });
+  return [...usage.values()].sort((a, b) => b.events - a.events || a.label.localeCompare(b.label));
+}
+
+/**
+ * A student's logged operations with seconds since their first one
+ */
+export function studentTimeline(student) {
+  const start = student.logs[0]?.time.getTime() ?? 0;
+  return student.logs.map((log, index) => ({
+    ...log,
+    index,
+    offset: (log.time.getTime() - start) / 1000,
+  }));
+}
+
+// ========== CSV Export ==========
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * One row per logged operation
+ */
+export function activityEventsCSV(students) {
+  const rows = students.flatMap((student) =>
+    studentTimeline(student).map((event) => [
+      student.name,
+      student.enrollmentId,
+      student.pieceSlug,
+      event.step,
+      event.operation,
+      event.time.toISOString(),
+      event.offset.toFixed(1),
+      event.data,
+    ])
+  );
+  return toCSV(['student', 'enrollment_id', 'piece', 'step', 'operation', 'timestamp', 'seconds_since_first_event', 'data'], rows);
+}
+
+/**
+ * One row per student with per-step submission and active minutes
+ */
+export function activitySummaryCSV(students, stepCount) {
+  const steps = Array.from({ length: stepCount }, (_, idx) => idx + 1);
+  const header = [
+    'student',
+    'enrollment_id',
+    'piece',
+    'current_step',
+    'events',
+    ...steps.flatMap((step) => [`step${step}_submitted`, `step${step}_active_minutes`]),
+  ];
+  const rows = students.map((student) => [
+    student.name,
+    student.enrollmentId,
+    student.pieceSlug,
+    student.currentStep,
+    student.logs.length,
+    ...steps.flatMap((step) => [student.currentStep > step ? 1 : 0, (stepActiveSeconds(student, step) / 60).toFixed(2)]),
+  ]);
+  return toCSV(header, rows);
+}
+
+/**
+ * Trigger a download of CSV text
+ */
+export function downloadCSV(csv, filename) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
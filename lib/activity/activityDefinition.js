@@ -0,0 +1,293 @@
+/**
+ * Activity Definitions
+ *
+ * Data-driven DAW lessons. A definition can be authored by a teacher and
+ * loaded per assignment; the built-in study activities are expressed the
+ * same way as DEFAULT_ACTIVITY_DEFINITION.
+ *
+ * {
+ *   version: 1,
+ *   name,
+ *   steps: [{
+ *     name,
+ *     editor: 'recorder' | 'multitrack',
+ *     showPart,    // show the student's part and sample above the editor
+ *     bassline,    // offer the piece's bassline under "Import from takes"
+ *     instructions: [{ type: 'text' | 'alert', content, variant } | { type: 'list', title, items }],
+ *     questions: [{ id, question, type: 'textarea' | 'input', unlock, unlockHint }],
+ *     completion: { conditions: [condition], minRequired },
+ *   }],
+ * }
+ *
+ * Conditions are evaluated over the operations logged during the step:
+ *   { operation, count, where }  logged at least `count` times (default 1),
+ *                                 optionally only counting events whose data
+ *                                 matches every key of `where`
+ *   { any: [condition] }         at least one holds
+ *   { all: [condition] }         every one holds
+ */
+
+import { OPERATION_TYPES, ACTIVITY_REQUIREMENTS } from './activityConstants';
+import { ACTIVITY_CONFIGS } from './activityConfigs';
+
+export const ACTIVITY_DEFINITION_VERSION = 1;
+
+export const EDITOR_TYPES = {
+  RECORDER: 'recorder',
+  MULTITRACK: 'multitrack',
+};
+
+export const INSTRUCTION_TYPES = ['text', 'list', 'alert'];
+export const QUESTION_TYPES = ['textarea', 'input'];
+
+// Operations a condition can name, labelled for the editor. Several
+// OPERATION_TYPES share an event, so the first name wins.
+export const OPERATION_OPTIONS = Object.entries(OPERATION_TYPES).reduce((options, [key, value]) => {
+  if (!options.some((option) => option.value === value)) {
+    const label = key.charAt(0) + key.slice(1).toLowerCase().replace(/_/g, ' ');
+    options.push({ value, label });
+  }
+  return options;
+}, []);
+
+// Editor setup of the built-in activities, which the page used to hard-code
+const LEGACY_STEP_LAYOUT = {
+  1: { editor: EDITOR_TYPES.RECORDER, showPart: true, bassline: false },
+  2: { editor: EDITOR_TYPES.RECORDER, showPart: true, bassline: false },
+  3: { editor: EDITOR_TYPES.MULTITRACK, showPart: false, bassline: true },
+  4: { editor: EDITOR_TYPES.MULTITRACK, showPart: false, bassline: false },
+};
+
+function legacyCompletion(requirements) {
+  if (requirements.countMultiple) {
+    return {
+      conditions: requirements.required.map((operation) => ({ operation, count: requirements.minRequired })),
+      minRequired: 1,
+    };
+  }
+  return {
+    conditions: [
+      ...requirements.required.map((operation) => ({ operation })),
+      ...(requirements.alternateRequired || []).map((alternates) => ({
+        any: alternates.map((operation) => ({ operation })),
+      })),
+    ],
+    minRequired: requirements.minRequired,
+  };
+}
+
+export const DEFAULT_ACTIVITY_DEFINITION = {
+  version: ACTIVITY_DEFINITION_VERSION,
+  name: 'DAW Study Activities',
+  steps: Object.keys(ACTIVITY_CONFIGS).map((step) => ({
+    name: ACTIVITY_CONFIGS[step].name,
+    ...LEGACY_STEP_LAYOUT[step],
+    instructions: ACTIVITY_CONFIGS[step].instructions,
+    questions: ACTIVITY_CONFIGS[step].questions.map(({ requiredOperation, ...question }) => ({
+      ...question,
+      unlock: requiredOperation ? { operation: requiredOperation } : null,
+    })),
+    completion: legacyCompletion(ACTIVITY_REQUIREMENTS[step]),
+  })),
+};
+
+// ========== Conditions ==========
+
+function matchesWhere(data = {}, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([key, value]) => data?.[key] === value);
+}
+
+function operationCount({ operation, where }, { completed = [], logs = [] }) {
+  const logged = logs.filter((log) => log.operation === operation && matchesWhere(log.data, where)).length;
+  // step_completions only records that an operation happened, not how often
+  if (!where && completed.includes(operation)) return Math.max(logged, 1);
+  return logged;
+}
+
+/**
+ * How far a condition is towards holding, from 0 to 1
+ * @param {Object} condition
+ * @param {Object} context - { completed: operations completed in the step, logs: the step's activity logs }
+ */
+export function conditionProgress(condition, context) {
+  if (!condition) return 1;
+  if (Array.isArray(condition.any)) {
+    if (condition.any.length === 0) return 1;
+    return Math.max(...condition.any.map((c) => conditionProgress(c, context)));
+  }
+  if (Array.isArray(condition.all)) {
+    if (condition.all.length === 0) return 1;
+    return condition.all.reduce((sum, c) => sum + conditionProgress(c, context), 0) / condition.all.length;
+  }
+  const count = Math.max(1, condition.count || 1);
+  return Math.min(1, operationCount(condition, context) / count);
+}
+
+export function isConditionMet(condition, context) {
+  return conditionProgress(condition, context) >= 1;
+}
+
+// First operation still needed for a condition, in the shape getMissingOperations used
+function missingFor(condition, context) {
+  if (Array.isArray(condition.any)) return missingFor(condition.any[0], context);
+  if (Array.isArray(condition.all)) {
+    const pending = condition.all.find((c) => !isConditionMet(c, context));
+    return pending ? missingFor(pending, context) : null;
+  }
+  const count = Math.max(1, condition.count || 1);
+  if (count === 1) return condition.operation;
+  return { operation: condition.operation, remaining: count - operationCount(condition, context) };
+}
+
+/**
+ * Completion state of a step
+ * @param {Object} step - Definition step
+ * @param {Object} context - { completed, logs } for the step
+ * @returns {Object} { canSubmit, progress: 0-100, missing: [operation | { operation, remaining }] }
+ */
+export function evaluateStep(step, context) {
+  const conditions = step?.completion?.conditions || [];
+  const minRequired = Math.min(step?.completion?.minRequired ?? conditions.length, conditions.length);
+  if (minRequired <= 0) return { canSubmit: true, progress: 100, missing: [] };
+
+  const partials = conditions.map((condition) => conditionProgress(condition, context));
+  const best = [...partials].sort((a, b) => b - a).slice(0, minRequired);
+  const satisfied = partials.filter((p) => p >= 1).length;
+
+  return {
+    canSubmit: satisfied >= minRequired,
+    progress: Math.round((best.reduce((sum, p) => sum + p, 0) / minRequired) * 100),
+    missing: conditions
+      .filter((_, idx) => partials[idx] < 1)
+      .map((condition) => missingFor(condition, context))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Logs and completed operations of one step, as conditions expect them
+ */
+export function stepContext(stepNumber, stepCompletions = {}, activityLogs = []) {
+  const stepKey = String(stepNumber);
+  return {
+    completed: stepCompletions[stepKey] || [],
+    logs: activityLogs.filter((log) => String(log.step) === stepKey),
+  };
+}
+
+// ========== Definitions ==========
+
+/**
+ * Step of a definition by 1-based step number, or an empty step
+ */
+export function getDefinitionStep(definition, stepNumber) {
+  return definition?.steps?.[stepNumber - 1] || {
+    name: `Activity ${stepNumber}`,
+    editor: EDITOR_TYPES.RECORDER,
+    instructions: [],
+    questions: [],
+    completion: { conditions: [], minRequired: 0 },
+  };
+}
+
+export function createEmptyStep(stepNumber) {
+  return {
+    name: `Activity ${stepNumber}`,
+    editor: EDITOR_TYPES.RECORDER,
+    showPart: true,
+    bassline: false,
+    instructions: [{ type: 'text', content: '' }],
+    questions: [],
+    completion: { conditions: [], minRequired: 0 },
+  };
+}
+
+function validateCondition(condition, where, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${where}: condition is missing`);
+  } else if (Array.isArray(condition.any) || Array.isArray(condition.all)) {
+    const list = condition.any || condition.all;
+    if (list.length === 0) errors.push(`${where}: "${condition.any ? 'any' : 'all'}" needs at least one condition`);
+    list.forEach((c, idx) => validateCondition(c, `${where}.${idx + 1}`, errors));
+  } else if (!condition.operation) {
+    errors.push(`${where}: choose an operation`);
+  } else if (condition.count !== undefined && !(Number.isInteger(condition.count) && condition.count > 0)) {
+    errors.push(`${where}: count must be a whole number of at least 1`);
+  }
+}
+
+/**
+ * Problems that would stop a definition from working, as readable messages
+ * @returns {string[]} Empty when the definition is valid
+ */
+export function validateActivityDefinition(definition) {
+  const errors = [];
+  if (!definition || !Array.isArray(definition.steps)) return ['Definition has no steps'];
+  if (definition.steps.length === 0) errors.push('Add at least one step');
+
+  const questionIds = new Set();
+  definition.steps.forEach((step, stepIdx) => {
+    const label = `Step ${stepIdx + 1}`;
+    if (!step.name?.trim()) errors.push(`${label}: name is required`);
+    if (!Object.values(EDITOR_TYPES).includes(step.editor)) errors.push(`${label}: unknown editor "${step.editor}"`);
+
+    (step.instructions || []).forEach((block, blockIdx) => {
+      if (!INSTRUCTION_TYPES.includes(block.type)) {
+        errors.push(`${label}, instruction ${blockIdx + 1}: unknown type "${block.type}"`);
+      }
+    });
+
+    (step.questions || []).forEach((question, questionIdx) => {
+      const where = `${label}, question ${questionIdx + 1}`;
+      if (!question.id?.trim()) errors.push(`${where}: id is required`);
+      else if (questionIds.has(question.id)) errors.push(`${where}: id "${question.id}" is used more than once`);
+      questionIds.add(question.id);
+      if (!question.question?.trim()) errors.push(`${where}: question text is required`);
+      if (question.unlock) validateCondition(question.unlock, `${where} unlock`, errors);
+    });
+
+    const conditions = step.completion?.conditions || [];
+    conditions.forEach((condition, idx) => validateCondition(condition, `${label}, requirement ${idx + 1}`, errors));
+    const minRequired = step.completion?.minRequired ?? conditions.length;
+    if (!Number.isInteger(minRequired) || minRequired < 0 || minRequired > conditions.length) {
+      errors.push(`${label}: required count must be between 0 and ${conditions.length}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Fill in defaults on a definition from the backend. Returns null for
+ * anything unusable so callers fall back to the built-in activities.
+ */
+export function normalizeActivityDefinition(raw) {
+  let definition = raw;
+  if (typeof definition === 'string') {
+    try {
+      definition = JSON.parse(definition);
+    } catch (e) {
+      console.error('❌ Could not parse activity definition:', e);
+      return null;
+    }
+  }
+  if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) return null;
+
+  return {
+    version: definition.version ?? ACTIVITY_DEFINITION_VERSION,
+    name: definition.name || 'DAW Activities',
+    steps: definition.steps.map((step, idx) => ({
+      name: step.name || `Activity ${idx + 1}`,
+      editor: Object.values(EDITOR_TYPES).includes(step.editor) ? step.editor : EDITOR_TYPES.RECORDER,
+      showPart: !!step.showPart,
+      bassline: !!step.bassline,
+      instructions: Array.isArray(step.instructions) ? step.instructions : [],
+      questions: Array.isArray(step.questions) ? step.questions : [],
+      completion: {
+        conditions: step.completion?.conditions || [],
+        minRequired: step.completion?.minRequired ?? (step.completion?.conditions || []).length,
+      },
+    })),
+  };
+}
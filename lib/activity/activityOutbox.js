@@ -0,0 +1,398 @@
+/**
+ * Activity Outbox
+ *
+ * Persistent queue for activity progress mutations (logged operations,
+ * question responses and step submissions) so nothing a student does is
+ * lost on flaky Wi-Fi. Entries are kept in IndexedDB until the server has
+ * accepted them, sent oldest first, and retried with backoff while the
+ * network or server is unavailable.
+ *
+ * Logged operations carry a client_event_id in their data. After a
+ * reconnect the queue is reconciled against the server's progress, so an
+ * event whose response was lost in transit is not sent twice.
+ *
+ * Entry layout:
+ *   {
+ *     id,             // auto-increment, gives send order
+ *     queue,          // `${slug}/${assignmentId}`
+ *     type,           // 'log_event' | 'save_response' | 'submit_step'
+ *     payload,        // arguments for the matching api mutation
+ *     createdAt,
+ *     attempts,
+ *     nextAttemptAt,  // ms timestamp, 0 to send right away
+ *     lastError,
+ *   }
+ */
+
+const DB_NAME = 'musiccpr-activity';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+export const OUTBOX_ENTRY_TYPES = {
+  LOG_EVENT: 'log_event',
+  SAVE_RESPONSE: 'save_response',
+  SUBMIT_STEP: 'submit_step',
+};
+
+export const SYNC_STATES = {
+  SYNCED: 'synced',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  RETRYING: 'retrying',
+  ERROR: 'error',
+};
+
+// ========== Storage ==========
+
+let dbPromise = null;
+// Used when IndexedDB is unavailable (private browsing, SSR); not persistent
+const memoryStore = { nextId: 1, entries: new Map() };
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('queue', 'queue');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function putEntry(entry) {
+  try {
+    const id = await withStore('readwrite', (store) => store.put(entry));
+    return { ...entry, id };
+  } catch (error) {
+    const id = entry.id ?? memoryStore.nextId++;
+    const stored = { ...entry, id };
+    memoryStore.entries.set(id, stored);
+    return stored;
+  }
+}
+
+async function deleteEntry(id) {
+  memoryStore.entries.delete(id);
+  try {
+    await withStore('readwrite', (store) => store.delete(id));
+  } catch (error) {
+    // Only in memory
+  }
+}
+
+async function listEntries(queue) {
+  let stored = [];
+  try {
+    stored = await withStore('readonly', (store) => store.index('queue').getAll(queue));
+  } catch (error) {
+    // Fall through to the in-memory entries
+  }
+  const inMemory = [...memoryStore.entries.values()].filter((entry) => entry.queue === queue);
+  return [...(stored || []), ...inMemory].sort((a, b) => a.id - b.id);
+}
+
+// ========== Helpers ==========
+
+export function createClientEventId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempts - Failed attempts so far (1 for the first retry)
+ */
+export function retryDelay(attempts) {
+  const delay = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Whether a failed request is worth retrying. Network failures, timeouts,
+ * rate limiting, auth hiccups and server errors are; anything else the
+ * server rejected (e.g. a 400 for an incomplete step) is not.
+ */
+export function isRetryableError(error) {
+  const status = parseInt(/^(\d{3}):/.exec(error?.message || '')?.[1], 10);
+  if (!status) return true;
+  return status >= 500 || [401, 408, 429].includes(status);
+}
+
+function loggedClientIds(progress) {
+  return new Set(
+    (progress?.activity_logs || [])
+      .map((log) => log.client_event_id ?? log.data?.client_event_id)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Queued entries the server already has: events whose client id appears in
+ * its logs, submissions it has moved past, and responses it holds as-is
+ */
+export function deliveredEntries(entries, progress) {
+  if (!progress) return [];
+  const clientIds = loggedClientIds(progress);
+  return entries.filter((entry) => {
+    switch (entry.type) {
+      case OUTBOX_ENTRY_TYPES.LOG_EVENT:
+        return clientIds.has(entry.payload.data?.client_event_id);
+      case OUTBOX_ENTRY_TYPES.SUBMIT_STEP:
+        return (progress.current_step ?? 0) > entry.payload.step;
+      case OUTBOX_ENTRY_TYPES.SAVE_RESPONSE:
+        return progress.question_responses?.[entry.payload.questionId] === entry.payload.response;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Server progress with still-queued entries applied on top, so the student
+ * sees their own work (unlocked questions, answers, advanced step) offline
+ */
+export function applyPending(progress, entries) {
+  const result = {
+    current_step: progress?.current_step ?? 1,
+    step_completions: { ...(progress?.step_completions || {}) },
+    activity_logs: [...(progress?.activity_logs || [])],
+    question_responses: { ...(progress?.question_responses || {}) },
+  };
+  const clientIds = loggedClientIds(progress);
+
+  entries.forEach((entry) => {
+    const { payload } = entry;
+    if (entry.type === OUTBOX_ENTRY_TYPES.LOG_EVENT) {
+      if (clientIds.has(payload.data?.client_event_id)) return;
+      const stepKey = String(payload.step);
+      result.activity_logs.push({
+        operation: payload.operation,
+        step: payload.step,
+        data: payload.data,
+        timestamp: new Date(entry.createdAt).toISOString(),
+      });
+      const completed = result.step_completions[stepKey] || [];
+      if (!completed.includes(payload.operation)) {
+        result.step_completions[stepKey] = [...completed, payload.operation];
+      }
+    } else if (entry.type === OUTBOX_ENTRY_TYPES.SAVE_RESPONSE) {
+      result.question_responses[payload.questionId] = payload.response;
+    } else if (entry.type === OUTBOX_ENTRY_TYPES.SUBMIT_STEP) {
+      Object.assign(result.question_responses, payload.questionResponses);
+      result.current_step = Math.max(result.current_step, payload.step + 1);
+    }
+  });
+
+  return result;
+}
+
+// ========== Outbox ==========
+
+export class ActivityOutbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.queue - Queue name, one per assignment
+   * @param {Object} options.senders - { [type]: async (payload) => progress }
+   * @param {Function} options.onDelivered - Called with the server's progress after each send
+   */
+  constructor({ queue, senders, onDelivered }) {
+    this.queue = queue;
+    this.senders = senders;
+    this.onDelivered = onDelivered;
+    this.listeners = new Set();
+    this.rejections = new Map();
+    this.status = { state: SYNC_STATES.SYNCED, pending: 0, error: null, retryAt: null };
+    this.flushing = null;
+    this.flushAgain = false;
+    this.retryTimer = null;
+    this.disposed = false;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.status);
+    return () => this.listeners.delete(listener);
+  }
+
+  setStatus(patch) {
+    this.status = { ...this.status, ...patch };
+    this.listeners.forEach((listener) => listener(this.status));
+  }
+
+  pending() {
+    return listEntries(this.queue);
+  }
+
+  /**
+   * Queue a mutation. A newer answer to the same question replaces a queued
+   * one, and a step already queued for submission is not queued twice.
+   * @returns {Promise<Object>} The stored entry
+   */
+  async enqueue(type, payload) {
+    const queued = await this.pending();
+    if (type === OUTBOX_ENTRY_TYPES.SAVE_RESPONSE) {
+      await Promise.all(
+        queued
+          .filter((entry) => entry.type === type && entry.payload.questionId === payload.questionId)
+          .map((entry) => deleteEntry(entry.id))
+      );
+    }
+    if (type === OUTBOX_ENTRY_TYPES.SUBMIT_STEP) {
+      const existing = queued.find((entry) => entry.type === type && entry.payload.step === payload.step);
+      if (existing) {
+        const updated = await putEntry({ ...existing, payload });
+        this.markPending(queued.length);
+        return updated;
+      }
+    }
+
+    const entry = await putEntry({
+      queue: this.queue,
+      type,
+      payload,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+    });
+    this.markPending((await this.pending()).length);
+    return entry;
+  }
+
+  markPending(pending) {
+    const unsent = this.status.state === SYNC_STATES.SYNCED && pending > 0;
+    this.setStatus({ pending, ...(unsent && { state: SYNC_STATES.SYNCING }) });
+  }
+
+  /**
+   * Drop entries the server already has, given its current progress
+   */
+  async reconcile(progress) {
+    const delivered = deliveredEntries(await this.pending(), progress);
+    await Promise.all(delivered.map((entry) => deleteEntry(entry.id)));
+    const pending = (await this.pending()).length;
+    this.setStatus(pending === 0 ? { state: SYNC_STATES.SYNCED, pending, error: null, retryAt: null } : { pending });
+    return delivered.length;
+  }
+
+  /**
+   * Error the server gave when it rejected an entry, if it did
+   */
+  takeRejection(entryId) {
+    const error = this.rejections.get(entryId) ?? null;
+    this.rejections.delete(entryId);
+    return error;
+  }
+
+  /**
+   * Send queued entries in order until the queue is empty or a send fails
+   * @param {Object} options
+   * @param {boolean} options.force - Ignore backoff (e.g. after reconnecting)
+   */
+  flush({ force = false } = {}) {
+    if (this.flushing) {
+      // Resolve once the follow-up pass has also run
+      this.flushAgain = true;
+      return this.flushing.then(() => this.flushing);
+    }
+    this.flushing = this.runFlush(force).finally(() => {
+      this.flushing = null;
+      if (this.flushAgain && !this.disposed) {
+        this.flushAgain = false;
+        this.flush();
+      }
+    });
+    return this.flushing;
+  }
+
+  async runFlush(force) {
+    clearTimeout(this.retryTimer);
+
+    for (;;) {
+      if (this.disposed) return;
+      const queued = await this.pending();
+      if (queued.length === 0) {
+        this.setStatus({ state: SYNC_STATES.SYNCED, pending: 0, error: null, retryAt: null });
+        return;
+      }
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        this.setStatus({ state: SYNC_STATES.OFFLINE, pending: queued.length, retryAt: null });
+        return;
+      }
+
+      const entry = queued[0];
+      if (!force && entry.nextAttemptAt > Date.now()) {
+        this.scheduleRetry(entry.nextAttemptAt);
+        return;
+      }
+      this.setStatus({ state: SYNC_STATES.SYNCING, pending: queued.length });
+
+      try {
+        const progress = await this.senders[entry.type](entry.payload);
+        // makeRequest resolves to {} without a session; keep the entry until sign-in
+        if (!progress || Object.keys(progress).length === 0) {
+          throw new Error('No session, activity progress not sent');
+        }
+        // Hand over the server's state before the entry leaves the queue, so
+        // nothing reading both ever sees the change missing
+        await this.onDelivered?.(progress);
+        await deleteEntry(entry.id);
+      } catch (error) {
+        if (isRetryableError(error)) {
+          const attempts = entry.attempts + 1;
+          const nextAttemptAt = Date.now() + retryDelay(attempts);
+          await putEntry({ ...entry, attempts, nextAttemptAt, lastError: error.message });
+          console.warn(`⚠️ Activity sync failed (attempt ${attempts}), retrying:`, error.message);
+          this.setStatus({ state: SYNC_STATES.RETRYING, error: error.message });
+          this.scheduleRetry(nextAttemptAt);
+          return;
+        }
+        // The server refused it; retrying would only fail again
+        console.error('❌ Activity sync rejected by server:', entry.type, error);
+        await deleteEntry(entry.id);
+        this.rejections.set(entry.id, error);
+        this.setStatus({ state: SYNC_STATES.ERROR, error: error.message });
+      }
+      force = false;
+    }
+  }
+
+  scheduleRetry(at) {
+    clearTimeout(this.retryTimer);
+    this.setStatus({ retryAt: at });
+    this.retryTimer = setTimeout(() => this.flush(), Math.max(0, at - Date.now()));
+  }
+
+  dispose() {
+    this.disposed = true;
+    clearTimeout(this.retryTimer);
+    this.listeners.clear();
+  }
+}
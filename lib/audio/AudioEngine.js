@@ -17,6 +17,7 @@ export class AudioEngine {
     this.audioBuffer = null;
     this.sourceNode = null;
     this.gainNode = null;
+    this.analyser = null;
 
     // Playback state
     this.isPlaying = false;
@@ -244,6 +245,23 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Analyser tapped after the volume control, for the spectrum view.
+   * Returns null until the audio context exists.
+   * @returns {AnalyserNode|null}
+   */
+  getAnalyser() {
+    if (!this.audioContext || !this.gainNode) return null;
+
+    if (!this.analyser) {
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = 4096;
+      this.analyser.smoothingTimeConstant = 0.8;
+      this.gainNode.connect(this.analyser);
+    }
+    return this.analyser;
+  }
+
   /**
    * Start time update loop
    */
@@ -280,6 +298,11 @@ export class AudioEngine {
 
     this.stop();
 
+    if (this.analyser) {
+      this.analyser.disconnect();
+      this.analyser = null;
+    }
+
     if (this.gainNode) {
       this.gainNode.disconnect();
       this.gainNode = null;
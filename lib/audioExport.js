@@ -0,0 +1,341 @@
+// lib/audioExport.js
+/**
+ * Audio Export
+ * Turns a rendered AudioBuffer into a downloadable / submittable file:
+ * optional loudness normalization, resampling, then WAV (encoded here) or
+ * MP3 / Opus / FLAC (encoded with ffmpeg.wasm from FFmpegContext), with
+ * title / student / piece / course tags embedded in the file.
+ */
+
+import { measureLoudness, normalizationGainDb } from './loudness';
+
+export const EXPORT_FORMATS = {
+  wav: {
+    label: 'WAV (uncompressed)',
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    sampleRates: [44100, 48000, 96000],
+    bitDepths: [16, 24, 32],
+  },
+  mp3: {
+    label: 'MP3',
+    extension: 'mp3',
+    mimeType: 'audio/mpeg',
+    sampleRates: [44100, 48000],
+    bitrates: [128, 192, 256, 320],
+  },
+  opus: {
+    label: 'Opus',
+    extension: 'opus',
+    mimeType: 'audio/ogg',
+    // Opus always runs at 48 kHz internally
+    sampleRates: [48000],
+    bitrates: [64, 96, 128, 160, 192],
+  },
+  flac: {
+    label: 'FLAC (lossless)',
+    extension: 'flac',
+    mimeType: 'audio/flac',
+    sampleRates: [44100, 48000, 96000],
+    bitDepths: [16, 24],
+  },
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'mp3',
+  bitrate: 192,
+  sampleRate: 44100,
+  bitDepth: 16,
+  normalize: true,
+  targetLufs: -14,
+  tags: { title: '', student: '', piece: '', course: '' },
+};
+
+/**
+ * Keep options valid for the chosen format (e.g. Opus forces 48 kHz)
+ */
+export function resolveExportOptions(options) {
+  const format = EXPORT_FORMATS[options.format] ? options.format : 'wav';
+  const spec = EXPORT_FORMATS[format];
+  const pick = (value, allowed) =>
+    allowed?.includes(value) ? value : allowed?.[0];
+  return {
+    ...DEFAULT_EXPORT_OPTIONS,
+    ...options,
+    format,
+    sampleRate: pick(options.sampleRate, spec.sampleRates),
+    bitrate: pick(options.bitrate, spec.bitrates) ?? null,
+    bitDepth: pick(options.bitDepth, spec.bitDepths) ?? null,
+    tags: { ...DEFAULT_EXPORT_OPTIONS.tags, ...options.tags },
+  };
+}
+
+export function exportFilename(name, format) {
+  const base = (name || 'mixdown').trim().replace(/[\\/:*?"<>|]+/g, '-');
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Title / artist / album / comment, the fields every player shows
+function standardTags({ title, student, piece, course }) {
+  return Object.fromEntries(
+    [
+      ['title', title],
+      ['artist', student],
+      ['album', piece],
+      ['comment', course ? `Course: ${course}` : ''],
+    ].filter(([, value]) => value),
+  );
+}
+
+// ========== WAV ==========
+
+function riffInfoChunk(tags) {
+  const ids = { title: 'INAM', artist: 'IART', album: 'IPRD', comment: 'ICMT' };
+  const encoder = new TextEncoder();
+  const entries = Object.entries(standardTags(tags)).map(([key, value]) => {
+    const text = encoder.encode(`${value}\0`);
+    const padded = new Uint8Array(text.length + (text.length % 2));
+    padded.set(text);
+    return { id: ids[key], size: text.length, bytes: padded };
+  });
+  if (entries.length === 0) return null;
+
+  const length =
+    12 + entries.reduce((sum, entry) => sum + 8 + entry.bytes.length, 0);
+  const chunk = new Uint8Array(length);
+  const view = new DataView(chunk.buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++)
+      chunk[offset + i] = string.charCodeAt(i);
+  };
+  writeString(0, 'LIST');
+  view.setUint32(4, length - 8, true);
+  writeString(8, 'INFO');
+  let offset = 12;
+  entries.forEach(({ id, size, bytes }) => {
+    writeString(offset, id);
+    view.setUint32(offset + 4, size, true);
+    chunk.set(bytes, offset + 8);
+    offset += 8 + bytes.length;
+  });
+  return chunk;
+}
+
+/**
+ * Encode channels as a WAV file
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.bitDepth - 16 or 24 (integer PCM) or 32 (float)
+ * @param {Object} options.tags - { title, student, piece, course }
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(
+  channels,
+  sampleRate,
+  { bitDepth = 16, tags = {} } = {},
+) {
+  const numChannels = channels.length;
+  const frames = channels[0]?.length ?? 0;
+  const bytesPerSample = bitDepth / 8;
+  const isFloat = bitDepth === 32;
+  const dataSize = frames * numChannels * bytesPerSample;
+  const info = riffInfoChunk(tags);
+  const infoSize = info ? info.length : 0;
+
+  const arrayBuffer = new ArrayBuffer(44 + infoSize + dataSize);
+  const view = new DataView(arrayBuffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++)
+      view.setUint8(offset + i, string.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, arrayBuffer.byteLength - 8, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, isFloat ? 3 : 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * bytesPerSample, true);
+  view.setUint16(32, numChannels * bytesPerSample, true);
+  view.setUint16(34, bitDepth, true);
+  if (info) new Uint8Array(arrayBuffer, 36, infoSize).set(info);
+  writeString(36 + infoSize, 'data');
+  view.setUint32(40 + infoSize, dataSize, true);
+
+  // TPDF dither of 1 LSB before quantising to integer PCM
+  const lsb = isFloat ? 0 : 1 / 2 ** (bitDepth - 1);
+
+  let offset = 44 + infoSize;
+  for (let i = 0; i < frames; i++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      const dither = (Math.random() + Math.random() - 1) * lsb;
+      const sample = Math.max(-1, Math.min(1, channels[channel][i] + dither));
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else if (bitDepth === 24) {
+        const int24 = Math.round(
+          sample < 0 ? sample * 0x800000 : sample * 0x7fffff,
+        );
+        view.setUint8(offset, int24 & 0xff);
+        view.setUint8(offset + 1, (int24 >> 8) & 0xff);
+        view.setUint8(offset + 2, (int24 >> 16) & 0xff);
+      } else {
+        view.setInt16(
+          offset,
+          Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff),
+          true,
+        );
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return arrayBuffer;
+}
+
+// ========== Processing ==========
+
+export function channelsOf(buffer) {
+  return Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+    buffer.getChannelData(channel),
+  );
+}
+
+function applyGain(channels, gainDb) {
+  const gain = 10 ** (gainDb / 20);
+  return channels.map((samples) => samples.map((sample) => sample * gain));
+}
+
+/**
+ * Resample with an OfflineAudioContext (browser only)
+ */
+async function resample(channels, fromRate, toRate) {
+  if (fromRate === toRate) return channels;
+  const frames = Math.ceil((channels[0].length * toRate) / fromRate);
+  const context = new OfflineAudioContext(channels.length, frames, toRate);
+  const source = context.createBuffer(
+    channels.length,
+    channels[0].length,
+    fromRate,
+  );
+  channels.forEach((samples, channel) =>
+    source.copyToChannel(samples, channel),
+  );
+  const node = context.createBufferSource();
+  node.buffer = source;
+  node.connect(context.destination);
+  node.start();
+  return channelsOf(await context.startRendering());
+}
+
+function ffmpegArgs({ format, bitrate, sampleRate, bitDepth }) {
+  switch (format) {
+    case 'mp3':
+      return [
+        '-c:a',
+        'libmp3lame',
+        '-b:a',
+        `${bitrate}k`,
+        '-ar',
+        `${sampleRate}`,
+        '-id3v2_version',
+        '3',
+      ];
+    case 'opus':
+      return ['-c:a', 'libopus', '-b:a', `${bitrate}k`, '-ar', '48000'];
+    case 'flac':
+      return [
+        '-c:a',
+        'flac',
+        '-ar',
+        `${sampleRate}`,
+        '-sample_fmt',
+        bitDepth === 16 ? 's16' : 's32',
+        ...(bitDepth === 24 ? ['-bits_per_raw_sample', '24'] : []),
+      ];
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+async function encodeWithFFmpeg(ffmpeg, channels, options) {
+  const spec = EXPORT_FORMATS[options.format];
+  const input = 'export-input.wav';
+  const output = `export-output.${spec.extension}`;
+  const metadata = Object.entries(standardTags(options.tags)).flatMap(
+    ([key, value]) => ['-metadata', `${key}=${value}`],
+  );
+
+  // 32-bit float input so ffmpeg does the only quantisation
+  await ffmpeg.writeFile(
+    input,
+    new Uint8Array(encodeWav(channels, options.sampleRate, { bitDepth: 32 })),
+  );
+  try {
+    const exitCode = await ffmpeg.exec([
+      '-y',
+      '-i',
+      input,
+      ...ffmpegArgs(options),
+      ...metadata,
+      output,
+    ]);
+    if (exitCode) throw new Error(`ffmpeg exited with code ${exitCode}`);
+    const data = await ffmpeg.readFile(output);
+    return new Blob([data.buffer], { type: spec.mimeType });
+  } finally {
+    await ffmpeg.deleteFile(input).catch(() => {});
+    await ffmpeg.deleteFile(output).catch(() => {});
+  }
+}
+
+/**
+ * Encode a rendered mix for download or submission
+ * @param {AudioBuffer} buffer
+ * @param {Object} options - See DEFAULT_EXPORT_OPTIONS
+ * @param {Object} context
+ * @param {Object} context.ffmpeg - Loaded FFmpeg instance, required for MP3 / Opus / FLAC
+ * @param {Object} context.loudness - The buffer's loudness if it was already measured
+ * @returns {Promise<{ blob: Blob, filename: string, loudness: Object|null, gainDb: number }>}
+ */
+export async function exportAudio(
+  buffer,
+  options,
+  { ffmpeg = null, loudness: measured = null } = {},
+) {
+  const resolved = resolveExportOptions(options);
+  let channels = channelsOf(buffer);
+  let loudness = null;
+  let gainDb = 0;
+
+  if (resolved.normalize) {
+    loudness = measured ?? measureLoudness(channels, buffer.sampleRate);
+    gainDb = normalizationGainDb(loudness, resolved.targetLufs);
+    channels = applyGain(channels, gainDb);
+  }
+  channels = await resample(channels, buffer.sampleRate, resolved.sampleRate);
+
+  let blob;
+  if (resolved.format === 'wav') {
+    blob = new Blob([encodeWav(channels, resolved.sampleRate, resolved)], {
+      type: EXPORT_FORMATS.wav.mimeType,
+    });
+  } else {
+    if (!ffmpeg?.loaded) {
+      throw new Error(
+        'The audio encoder has not loaded yet. Try again, or export as WAV.',
+      );
+    }
+    blob = await encodeWithFFmpeg(ffmpeg, channels, resolved);
+  }
+
+  return {
+    blob,
+    filename: exportFilename(resolved.tags.title, resolved.format),
+    loudness,
+    gainDb,
+  };
+}
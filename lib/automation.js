@@ -0,0 +1,352 @@
+// lib/automation.js
+/**
+ * Track Parameter Automation
+ * Breakpoint curves for track volume and pan and for the parameters of the
+ * track's effects (filter cutoff, wet mix, LFO rate, ...), shared by live
+ * playback (ClipPlayer / MIDI track audio) and the offline mixdown so both
+ * schedule exactly the same AudioParam ramps.
+ *
+ * Lanes live on the track:
+ *   track.automation = {
+ *     [paramId]: { mode: 'off' | 'read' | 'write', points: [{ time, value }] }
+ *   }
+ * `paramId` is a key of AUTOMATION_PARAMS or an effect parameter id from
+ * effectAutomationId. `time` is timeline seconds, `value` is in the
+ * parameter's own units (gain 0-1, pan -1..1, Hz, mix 0-1). Points are kept
+ * sorted by time.
+ *
+ * Modes:
+ * - read:  the curve drives the parameter during playback and mixdown
+ * - write: the track fader drives the parameter and fader moves made during
+ *          playback are recorded as points; the lane returns to read when
+ *          the transport stops
+ * - off:   the curve is kept but ignored
+ */
+
+const formatHertz = (v) =>
+  v >= 1000 ? `${(v / 1000).toFixed(1)} kHz` : `${Math.round(v)} Hz`;
+const formatPercent = (v) => `${Math.round(v * 100)}%`;
+
+export const AUTOMATION_PARAMS = {
+  volume: {
+    label: 'Volume',
+    min: 0,
+    max: 1,
+    defaultValue: 1,
+    format: formatPercent,
+  },
+  pan: {
+    label: 'Pan',
+    min: -1,
+    max: 1,
+    defaultValue: 0,
+    format: (v) =>
+      Math.abs(v) < 0.005
+        ? 'C'
+        : `${Math.round(Math.abs(v) * 100)}${v < 0 ? 'L' : 'R'}`,
+  },
+};
+
+const FREQUENCY = {
+  label: 'Frequency',
+  min: 20,
+  max: 20000,
+  defaultValue: 1000,
+  scale: 'log',
+  format: formatHertz,
+};
+const MIX = {
+  label: 'Mix',
+  min: 0,
+  max: 1,
+  defaultValue: 0.5,
+  format: formatPercent,
+};
+const RATE = {
+  label: 'Rate',
+  min: 0.05,
+  max: 20,
+  defaultValue: 1,
+  scale: 'log',
+  format: (v) => `${v.toFixed(2)} Hz`,
+};
+
+/**
+ * Automatable effect parameters by effect type and parameter name. Each
+ * name matches an AudioParam the effect's graph exposes (see
+ * lib/effects/effectGraphs.js); `*` stands for every EQ band.
+ */
+export const EFFECT_AUTOMATION_PARAMS = {
+  filter: { frequency: { ...FREQUENCY, label: 'Cutoff' } },
+  eq: { 'bands.*.frequency': FREQUENCY },
+  reverb: { mix: { ...MIX, defaultValue: 0.3 } },
+  echo: { mix: MIX },
+  delay: { mix: MIX },
+  chorus: { mix: MIX },
+  flanger: { mix: MIX, rate: { ...RATE, defaultValue: 0.5 } },
+  phaser: { mix: MIX, rate: { ...RATE, defaultValue: 0.5 } },
+  tremolo: { rate: { ...RATE, defaultValue: 5 } },
+  autopan: { rate: RATE },
+};
+
+const EFFECT_LABELS = { eq: 'EQ', autopan: 'Auto Pan' };
+
+/**
+ * Lane id for one parameter of an effect in the track's chain
+ * @param {Object} effect - { id, type }
+ * @param {string} name - Parameter name, e.g. 'mix' or 'bands.2.frequency'
+ * @returns {string} fx:<type>:<name>:<effectId>
+ */
+export function effectAutomationId(effect, name) {
+  return `fx:${effect.type}:${name}:${effect.id}`;
+}
+
+/**
+ * Range and formatting for a lane id
+ * @param {string} paramId - Key of AUTOMATION_PARAMS or an effectAutomationId
+ * @returns {Object|null} { label, min, max, defaultValue, scale?, format }
+ */
+export function getAutomationParam(paramId) {
+  if (AUTOMATION_PARAMS[paramId]) return AUTOMATION_PARAMS[paramId];
+  const [prefix, type, name] = String(paramId).split(':');
+  if (prefix !== 'fx' || !name) return null;
+  return (
+    EFFECT_AUTOMATION_PARAMS[type]?.[name.replace(/\.\d+\./, '.*.')] || null
+  );
+}
+
+/**
+ * Everything a track's lanes can automate: its fader and pan, then the
+ * automatable parameters of each effect in its chain
+ * @param {Object} track
+ * @returns {Array} [{ id, label, value }] - value is the static (un-automated) value
+ */
+export function getAutomationTargets(track) {
+  const targets = [
+    {
+      id: 'volume',
+      label: AUTOMATION_PARAMS.volume.label,
+      value: track?.volume ?? AUTOMATION_PARAMS.volume.defaultValue,
+    },
+    {
+      id: 'pan',
+      label: AUTOMATION_PARAMS.pan.label,
+      value: track?.pan ?? AUTOMATION_PARAMS.pan.defaultValue,
+    },
+  ];
+
+  (track?.effects || []).forEach((effect) => {
+    const parameters = effect.parameters || {};
+    const effectName =
+      EFFECT_LABELS[effect.type] ||
+      effect.type.charAt(0).toUpperCase() + effect.type.slice(1);
+    Object.entries(EFFECT_AUTOMATION_PARAMS[effect.type] || {}).forEach(
+      ([name, param]) => {
+        if (name === 'bands.*.frequency') {
+          (parameters.bands || []).forEach((band, i) => {
+            if (band.enabled === false) return;
+            targets.push({
+              id: effectAutomationId(effect, `bands.${i}.frequency`),
+              label: `${effectName} band ${i + 1} ${param.label}`,
+              value: band.frequency ?? param.defaultValue,
+            });
+          });
+          return;
+        }
+        targets.push({
+          id: effectAutomationId(effect, name),
+          label: `${effectName} ${param.label}`,
+          value: parameters[name] || param.defaultValue,
+        });
+      },
+    );
+  });
+
+  return targets;
+}
+
+export const AUTOMATION_MODES = ['off', 'read', 'write'];
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+/**
+ * Get a track's lane for a parameter (empty read lane if none exists)
+ * @param {Object} track
+ * @param {string} paramId - See getAutomationParam
+ * @returns {{mode: string, points: Array}}
+ */
+export function getAutomationLane(track, paramId) {
+  const lane = track?.automation?.[paramId];
+  return {
+    mode: lane?.mode || 'read',
+    points: Array.isArray(lane?.points) ? lane.points : [],
+  };
+}
+
+/**
+ * Collect the curves that should drive playback
+ * @param {Object} automation - track.automation
+ * @returns {Object} { [paramId]: points } for lanes in read mode with points
+ */
+export function getActiveAutomation(automation) {
+  const active = {};
+  Object.entries(automation || {}).forEach(([paramId, lane]) => {
+    if (!getAutomationParam(paramId)) return;
+    if (lane?.mode === 'read' && lane.points?.length > 0) {
+      active[paramId] = lane.points;
+    }
+  });
+  return active;
+}
+
+/**
+ * Map a parameter value to 0-1 for drawing
+ */
+export function normalizeAutomationValue(paramId, value) {
+  const { min, max, scale } = getAutomationParam(paramId);
+  const v = clamp(value, min, max);
+  if (scale === 'log') {
+    return Math.log(v / min) / Math.log(max / min);
+  }
+  return (v - min) / (max - min);
+}
+
+/**
+ * Map a 0-1 drawing position back to a parameter value
+ */
+export function denormalizeAutomationValue(paramId, normalized) {
+  const { min, max, scale } = getAutomationParam(paramId);
+  const n = clamp(normalized, 0, 1);
+  if (scale === 'log') {
+    return min * Math.pow(max / min, n);
+  }
+  return min + n * (max - min);
+}
+
+/**
+ * Value of a curve at a timeline position. Interpolates the same way the
+ * AudioParam ramps do (linear, or exponential for log-scaled params).
+ * @param {string} paramId
+ * @param {Array} points - Sorted breakpoints
+ * @param {number} time - Timeline seconds
+ * @returns {number|null} null if the curve has no points
+ */
+export function automationValueAt(paramId, points, time) {
+  if (!points || points.length === 0) return null;
+  if (time <= points[0].time) return points[0].value;
+  const last = points[points.length - 1];
+  if (time >= last.time) return last.value;
+
+  const i = points.findIndex((p) => p.time > time);
+  const a = points[i - 1];
+  const b = points[i];
+  const t = (time - a.time) / Math.max(1e-9, b.time - a.time);
+  if (getAutomationParam(paramId)?.scale === 'log') {
+    return a.value * Math.pow(b.value / a.value, t);
+  }
+  return a.value + (b.value - a.value) * t;
+}
+
+/**
+ * Schedule a curve on an AudioParam
+ * @param {AudioParam} audioParam
+ * @param {string} paramId
+ * @param {Array} points - Sorted breakpoints
+ * @param {Object} timing
+ * @param {number} timing.contextTime - Context time that corresponds to timelinePosition
+ * @param {number} timing.timelinePosition - Timeline seconds playback starts from
+ */
+export function scheduleAutomation(
+  audioParam,
+  paramId,
+  points,
+  { contextTime, timelinePosition },
+) {
+  const exponential = getAutomationParam(paramId)?.scale === 'log';
+
+  audioParam.cancelScheduledValues(0);
+  audioParam.setValueAtTime(
+    automationValueAt(paramId, points, timelinePosition),
+    contextTime,
+  );
+  points.forEach((p) => {
+    if (p.time <= timelinePosition) return;
+    const when = contextTime + (p.time - timelinePosition);
+    if (exponential) {
+      audioParam.exponentialRampToValueAtTime(p.value, when);
+    } else {
+      audioParam.linearRampToValueAtTime(p.value, when);
+    }
+  });
+}
+
+/**
+ * Drop any scheduled curve and return an AudioParam to a static value
+ */
+export function resetAutomation(audioParam, value) {
+  audioParam.cancelScheduledValues(0);
+  audioParam.value = value;
+}
+
+/**
+ * Apply a track's active curves to its audio nodes
+ * @param {Object} params - { [paramId]: AudioParam[] }
+ * @param {Object} active - From getActiveAutomation
+ * @param {Object} timing - See scheduleAutomation
+ */
+export function applyTrackAutomation(params, active, timing) {
+  Object.entries(active).forEach(([paramId, points]) => {
+    (params[paramId] || []).forEach((audioParam) => {
+      if (!audioParam) return;
+      try {
+        scheduleAutomation(audioParam, paramId, points, timing);
+      } catch (e) {
+        console.warn(`🎚️ Could not schedule ${paramId} automation:`, e);
+      }
+    });
+  });
+}
+
+/**
+ * Reset a track's audio nodes to their static (fader) values
+ * @param {Object} params - { [paramId]: AudioParam[] }
+ * @param {Object} values - { [paramId]: number }
+ */
+export function resetTrackAutomation(params, values) {
+  Object.entries(params).forEach(([paramId, audioParams]) => {
+    const value =
+      values[paramId] ?? getAutomationParam(paramId)?.defaultValue ?? 0;
+    audioParams.forEach((audioParam) => {
+      if (!audioParam) return;
+      try {
+        resetAutomation(audioParam, value);
+      } catch {
+        /* Node may be disconnected or context closed */
+      }
+    });
+  });
+}
+
+/**
+ * Add (or replace) a breakpoint
+ * @returns {Array} New sorted points array
+ */
+export function insertAutomationPoint(points, { time, value }) {
+  const next = points.filter((p) => Math.abs(p.time - time) > 1e-3);
+  next.push({ time: Math.max(0, time), value });
+  return next.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Record a fader value during a write pass. Points the pass has moved over
+ * since the previous write are replaced.
+ * @param {Array} points
+ * @param {number} fromTime - Time of the previous write in this pass (or the current time)
+ * @param {number} time - Current timeline position
+ * @param {number} value
+ * @returns {Array} New sorted points array
+ */
+export function writeAutomationPoint(points, fromTime, time, value) {
+  const kept = points.filter((p) => p.time <= fromTime || p.time > time);
+  return insertAutomationPoint(kept, { time, value });
+}
@@ -0,0 +1,417 @@
+// lib/chunkedUpload.js
+/**
+ * Resumable Chunked Upload
+ * Sends recordings and mixdowns to the backend in fixed-size chunks so a
+ * dropped connection only costs the chunk in flight. The pending upload
+ * (including its Blob) is kept in IndexedDB until the submission exists,
+ * so it can pick up where it left off after a network drop or a reload.
+ * A record is dropped once it fails for good, after MAX_UPLOAD_TRIES page
+ * loads, or when it is older than UPLOAD_EXPIRY_MS.
+ *
+ * Backends without the uploads API get the file as a multipart `file`
+ * attachment instead (see actions.js).
+ *
+ * Backend protocol (per assignment):
+ *   POST  uploads/                  { filename, content_type, size, sha256, chunk_size } -> { id, offset }
+ *   GET   uploads/:id/              -> { offset }
+ *   PUT   uploads/:id/              raw bytes with Content-Range            -> { offset }
+ *   POST  uploads/:id/complete/     -> { size, sha256 }
+ *
+ * Record layout:
+ *   {
+ *     key,            // one upload per submission attempt
+ *     owner,          // username, so another student's upload is never resumed
+ *     slug, assignmentId, index, content,
+ *     blob, filename, contentType, size, sha256,
+ *     uploadId,       // server upload session, once created
+ *     offset,         // bytes the server has confirmed
+ *     submissionId,   // once the submission has been created
+ *     audioAttached,  // once the recording is attached to it
+ *     pitchTrack,     // the take's intonation, attached after the audio
+ *     pitchTrackAttached, // once it is (a failure here doesn't fail the upload)
+ *     createdAt,
+ *     tries,          // failed attempts to finish the upload
+ *   }
+ */
+
+const DB_NAME = 'musiccpr-uploads';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+export const CHUNK_SIZE = 1024 * 1024;
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+const MAX_UPLOAD_TRIES = 5;
+const UPLOAD_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Open (and lazily create) the upload database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the upload store
+ */
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Store an upload record. Failing to persist only loses reload recovery,
+ * so it is logged rather than thrown.
+ */
+export async function saveUpload(record) {
+  try {
+    await withStore('readwrite', (store) => store.put(record));
+  } catch (error) {
+    console.warn('⚠️ Could not persist upload for resume:', error);
+  }
+  return record;
+}
+
+export async function deleteUpload(key) {
+  try {
+    await withStore('readwrite', (store) => store.delete(key));
+  } catch (error) {
+    console.warn('⚠️ Could not remove stored upload:', error);
+  }
+}
+
+function isExpired(record) {
+  return (
+    (record.tries ?? 0) >= MAX_UPLOAD_TRIES ||
+    Date.now() - record.createdAt > UPLOAD_EXPIRY_MS
+  );
+}
+
+/**
+ * Uploads left unfinished by an earlier page. Uploads that have run out of
+ * tries or expired are deleted instead.
+ * @param {string} owner - Only return this user's uploads
+ * @returns {Promise<Array>}
+ */
+export async function listPendingUploads(owner) {
+  let records;
+  try {
+    records = await withStore('readonly', (store) => store.getAll());
+  } catch (error) {
+    return [];
+  }
+  const mine = (records || []).filter((record) => record.owner === owner);
+  await Promise.all(
+    mine.filter(isExpired).map((record) => {
+      console.error('❌ Giving up on stored upload:', record.filename);
+      return deleteUpload(record.key);
+    }),
+  );
+  return mine
+    .filter((record) => !isExpired(record))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Count a failed attempt to finish a stored upload
+ * @param {string} key
+ */
+export async function recordFailedTry(key) {
+  try {
+    const record = await withStore('readonly', (store) => store.get(key));
+    if (record) {
+      await saveUpload({ ...record, tries: (record.tries ?? 0) + 1 });
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not update stored upload:', error);
+  }
+}
+
+// ========== Integrity ==========
+
+/**
+ * Hex SHA-256 of a Blob
+ */
+export async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    await blob.arrayBuffer(),
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Name the audio container from a file's first bytes, or null if unknown
+ * @param {Uint8Array} bytes - At least the first 12 bytes
+ */
+export function sniffAudioContainer(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (
+    bytes[0] === 0x1a &&
+    bytes[1] === 0x45 &&
+    bytes[2] === 0xdf &&
+    bytes[3] === 0xa3
+  )
+    return 'webm';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(4, 8) === 'ftyp') return 'mp4';
+  if (
+    ascii(0, 3) === 'ID3' ||
+    (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)
+  )
+    return 'mp3';
+  return null;
+}
+
+/**
+ * Check a recording before anything is sent and fingerprint it
+ * @param {Blob} blob
+ * @returns {Promise<{ size: number, sha256: string, container: string|null }>}
+ */
+export async function inspectAudioBlob(blob) {
+  if (!blob || blob.size === 0) {
+    throw new Error('Recording is empty, nothing to upload');
+  }
+  const header = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+  const container = sniffAudioContainer(header);
+  if (!container) {
+    console.warn(
+      '⚠️ Unrecognised audio container, uploading anyway:',
+      blob.type,
+    );
+  }
+  return { size: blob.size, sha256: await sha256Hex(blob), container };
+}
+
+/**
+ * Compare what the server assembled with what was sent
+ * @throws {Error} When size or checksum differ
+ */
+export function verifyUploadedFile(record, remote) {
+  if (Number(remote?.size) !== record.size) {
+    throw new Error(
+      `Upload integrity check failed: server has ${remote?.size} bytes, expected ${record.size}`,
+    );
+  }
+  if (remote?.sha256 && remote.sha256.toLowerCase() !== record.sha256) {
+    throw new Error('Upload integrity check failed: checksum mismatch');
+  }
+}
+
+// ========== Transport ==========
+
+function httpError(status, statusText) {
+  const error = new Error(`${status}: ${statusText}`);
+  error.status = status;
+  return error;
+}
+
+function isRetryable(error) {
+  if (!error.status) return true; // network failure
+  return error.status >= 500 || [408, 429].includes(error.status);
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** (attempts - 1));
+  return delay * (0.75 + Math.random() * 0.5);
+}
+
+// Back off, or wait for the connection to come back if the browser is offline
+function waitToRetry(attempts) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return new Promise((resolve) => {
+      window.addEventListener('online', resolve, { once: true });
+    });
+  }
+  return new Promise((resolve) => {
+    setTimeout(resolve, retryDelay(attempts));
+  });
+}
+
+/**
+ * HTTP calls for an assignment's upload sessions. Chunks go over XHR so
+ * progress is reported per byte, not just per chunk.
+ * @param {Object} options
+ * @param {string} options.token - Django token
+ * @param {string} options.slug - Course slug
+ * @param {number} options.assignmentId
+ */
+export function createUploadTransport({ token, slug, assignmentId }) {
+  const base = `${process.env.NEXT_PUBLIC_BACKEND_HOST}/api/courses/${slug}/assignments/${assignmentId}/uploads/`;
+
+  const request = async (url, method = 'GET', body = null) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Token ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : null,
+    });
+    if (response.status < 200 || response.status >= 300) {
+      throw httpError(response.status, response.statusText);
+    }
+    return response.json();
+  };
+
+  return {
+    create: ({ filename, contentType, size, sha256 }) =>
+      request(base, 'POST', {
+        filename,
+        content_type: contentType,
+        size,
+        sha256,
+        chunk_size: CHUNK_SIZE,
+      }),
+
+    status: (uploadId) => request(`${base}${uploadId}/`),
+
+    complete: (uploadId) => request(`${base}${uploadId}/complete/`, 'POST'),
+
+    sendChunk: (uploadId, chunk, start, total, onChunkProgress) =>
+      new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('PUT', `${base}${uploadId}/`);
+        xhr.setRequestHeader('Authorization', `Token ${token}`);
+        xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+        xhr.setRequestHeader(
+          'Content-Range',
+          `bytes ${start}-${start + chunk.size - 1}/${total}`,
+        );
+        xhr.upload.onprogress = (event) => onChunkProgress?.(event.loaded);
+        xhr.onload = () => {
+          if (xhr.status < 200 || xhr.status >= 300) {
+            reject(httpError(xhr.status, xhr.statusText));
+            return;
+          }
+          try {
+            resolve(JSON.parse(xhr.responseText || '{}'));
+          } catch (error) {
+            resolve({});
+          }
+        };
+        xhr.onerror = () =>
+          reject(new TypeError('Network error while uploading'));
+        xhr.ontimeout = () => reject(new TypeError('Upload timed out'));
+        xhr.send(chunk);
+      }),
+  };
+}
+
+// ========== Upload ==========
+
+/**
+ * Upload a record's Blob, resuming from whatever the server already has.
+ * The record is persisted after every chunk.
+ * @param {Object} record - Upload record (see layout above)
+ * @param {Object} transport - From createUploadTransport()
+ * @param {Function} onProgress - (loadedBytes, totalBytes)
+ * @returns {Promise<Object>} The record with uploadId and offset filled in
+ */
+export async function runResumableUpload(record, transport, onProgress) {
+  let current = record;
+  let attempts = 0;
+  let restarted = false;
+
+  for (;;) {
+    try {
+      if (!current.uploadId) {
+        const session = await transport.create(current);
+        current = await saveUpload({
+          ...current,
+          uploadId: session.id,
+          offset: session.offset ?? 0,
+        });
+      } else {
+        const { offset } = await transport.status(current.uploadId);
+        current = { ...current, offset: offset ?? 0 };
+      }
+      onProgress?.(current.offset, current.size);
+
+      while (current.offset < current.size) {
+        const { offset: start } = current;
+        const chunk = current.blob.slice(
+          start,
+          Math.min(current.size, start + CHUNK_SIZE),
+        );
+        const result = await transport.sendChunk(
+          current.uploadId,
+          chunk,
+          start,
+          current.size,
+          (loaded) => onProgress?.(start + loaded, current.size),
+        );
+        current = await saveUpload({
+          ...current,
+          offset: result.offset ?? start + chunk.size,
+        });
+        attempts = 0;
+        onProgress?.(current.offset, current.size);
+      }
+
+      const remote = await transport.complete(current.uploadId);
+      try {
+        verifyUploadedFile(current, remote);
+      } catch (error) {
+        // One clean retry from scratch before giving up on it
+        if (restarted) throw Object.assign(error, { status: 422 });
+        restarted = true;
+        console.warn(
+          '⚠️ Uploaded file did not match, uploading again:',
+          error.message,
+        );
+        current = await saveUpload({ ...current, uploadId: null, offset: 0 });
+        continue;
+      }
+      return current;
+    } catch (error) {
+      // The server forgot the session (expired); start a new one
+      if (error.status === 404 && current.uploadId) {
+        current = await saveUpload({ ...current, uploadId: null, offset: 0 });
+      } else if (!isRetryable(error)) {
+        throw error;
+      }
+      attempts += 1;
+      if (attempts > MAX_ATTEMPTS) throw error;
+      console.warn(
+        `⚠️ Upload interrupted (attempt ${attempts}), resuming:`,
+        error.message,
+      );
+      await waitToRetry(attempts);
+    }
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Effect Graphs
+ *
+ * Web Audio node graphs for the effects that are built from connected nodes.
+ * UnifiedEffectsProcessor renders them over a buffer in an
+ * OfflineAudioContext and liveEffectChain wires the same graphs into
+ * playback, so an effect sounds the same live as in the mixdown.
+ *
+ * Effects that only exist as buffer processing (gate, pitch shift,
+ * granular, paulstretch, ...) have no graph here.
+ */
+
+const REVERB_SECONDS = 2;
+const reverbImpulses = new WeakMap();
+
+// Park-Miller PRNG so every reverb uses the same impulse
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+// Decaying noise impulse, built once per context
+function reverbImpulse(context) {
+  const cached = reverbImpulses.get(context);
+  if (cached) return cached;
+
+  const impulseLength = context.sampleRate * REVERB_SECONDS;
+  const impulse = context.createBuffer(2, impulseLength, context.sampleRate);
+  const random = seededRandom(24397);
+  for (let channel = 0; channel < 2; channel += 1) {
+    const channelData = impulse.getChannelData(channel);
+    for (let i = 0; i < impulseLength; i += 1) {
+      channelData[i] = (random() * 2 - 1) * (1 - i / impulseLength) ** 2;
+    }
+  }
+  reverbImpulses.set(context, impulse);
+  return impulse;
+}
+
+// Dry/wet pair feeding one output. One constant source sets both gains
+// (wet = mix, dry = 1 - mix) so the mix is a single automatable param.
+function createMix(context, input, mix) {
+  const output = context.createGain();
+  const dryGain = context.createGain();
+  const wetGain = context.createGain();
+  const control = context.createConstantSource();
+  const invert = context.createGain();
+  dryGain.gain.value = 1;
+  wetGain.gain.value = 0;
+  control.offset.value = mix;
+  invert.gain.value = -1;
+  control.connect(wetGain.gain);
+  control.connect(invert);
+  invert.connect(dryGain.gain);
+  input.connect(dryGain);
+  dryGain.connect(output);
+  wetGain.connect(output);
+  return { output, wetGain, control };
+}
+
+function eqGraph(context, parameters) {
+  const input = context.createGain();
+  const params = {};
+  let currentNode = input;
+  (parameters.bands || []).forEach((band, i) => {
+    // Flat bands are kept (they pass audio unchanged) so every enabled
+    // band's frequency can be automated
+    if (band.enabled === false) return;
+    const filter = context.createBiquadFilter();
+    filter.type = band.type || 'peaking';
+    filter.frequency.value = band.frequency;
+    filter.gain.value = band.gain || 0;
+    filter.Q.value = band.q || 1;
+    currentNode.connect(filter);
+    currentNode = filter;
+    params[`bands.${i}.frequency`] = [filter.frequency];
+  });
+  const output = context.createGain();
+  output.gain.value = 10 ** ((parameters.outputGain || 0) / 20);
+  currentNode.connect(output);
+  return { input, output, params };
+}
+
+function reverbGraph(context, parameters) {
+  const input = context.createGain();
+  const { output, wetGain, control } = createMix(
+    context,
+    input,
+    parameters.mix || 0.3,
+  );
+  const convolver = context.createConvolver();
+  convolver.buffer = reverbImpulse(context);
+  input.connect(convolver);
+  convolver.connect(wetGain);
+  return {
+    input,
+    output,
+    sources: [control],
+    params: { mix: [control.offset] },
+  };
+}
+
+function echoGraph(context, parameters) {
+  const input = context.createGain();
+  const { output, wetGain, control } = createMix(
+    context,
+    input,
+    parameters.mix || 0.5,
+  );
+  const delay = context.createDelay(5);
+  const feedback = context.createGain();
+  delay.delayTime.value = (parameters.time || 250) / 1000;
+  feedback.gain.value = parameters.feedback || 0.5;
+  input.connect(delay);
+  delay.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(wetGain);
+  return {
+    input,
+    output,
+    sources: [control],
+    params: { mix: [control.offset] },
+  };
+}
+
+function advancedDelayGraph(context, parameters) {
+  const input = context.createGain();
+  const { output, wetGain, control } = createMix(
+    context,
+    input,
+    parameters.mix || 0.5,
+  );
+  const splitter = context.createChannelSplitter(2);
+  const merger = context.createChannelMerger(2);
+  const delays = [context.createDelay(2), context.createDelay(2)];
+  const feedbacks = [context.createGain(), context.createGain()];
+  [0, 1].forEach((channel) => {
+    const delay = delays[channel];
+    delay.delayTime.value = (parameters.time || 0) / 1000;
+    feedbacks[channel].gain.value = parameters.feedback || 0.5;
+    splitter.connect(delay, channel);
+    delay.connect(feedbacks[channel]);
+    // Ping-pong sends each repeat to the other side
+    feedbacks[channel].connect(
+      delays[parameters.pingPong ? 1 - channel : channel],
+    );
+    feedbacks[channel].connect(merger, 0, channel);
+  });
+  input.connect(splitter);
+  merger.connect(wetGain);
+  return {
+    input,
+    output,
+    sources: [control],
+    params: { mix: [control.offset] },
+  };
+}
+
+// Three modulated voices; depth 0.5 sweeps each delay by 2ms
+function chorusGraph(context, parameters) {
+  const input = context.createGain();
+  const { output, wetGain, control } = createMix(
+    context,
+    input,
+    parameters.mix || 0.5,
+  );
+  const rate = parameters.rate || 0.5;
+  const depth = parameters.depth || 0.5;
+  const sources = [control];
+  for (let i = 0; i < 3; i += 1) {
+    const delay = context.createDelay(0.1);
+    const lfo = context.createOscillator();
+    const lfoGain = context.createGain();
+    const voiceGain = context.createGain();
+    delay.delayTime.value = 0.02 + i * 0.01;
+    lfo.frequency.value = rate * (1 + i * 0.2);
+    lfoGain.gain.value = depth * 0.004;
+    voiceGain.gain.value = 0.6;
+    lfo.connect(lfoGain);
+    lfoGain.connect(delay.delayTime);
+    input.connect(delay);
+    delay.connect(voiceGain);
+    voiceGain.connect(wetGain);
+    sources.push(lfo);
+  }
+  return { input, output, sources, params: { mix: [control.offset] } };
+}
+
+function flangerGraph(context, parameters) {
+  const input = context.createGain();
+  const { output, wetGain, control } = createMix(
+    context,
+    input,
+    parameters.mix || 0.5,
+  );
+  const delay = context.createDelay(0.02);
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  const feedback = context.createGain();
+  delay.delayTime.value = parameters.delay || 0.005;
+  lfo.frequency.value = parameters.rate || 0.5;
+  lfoGain.gain.value = parameters.depth || 0.002;
+  feedback.gain.value = parameters.feedback || 0.5;
+  lfo.connect(lfoGain);
+  lfoGain.connect(delay.delayTime);
+  input.connect(delay);
+  delay.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(wetGain);
+  return {
+    input,
+    output,
+    sources: [lfo, control],
+    params: { mix: [control.offset], rate: [lfo.frequency] },
+  };
+}
+
+function phaserGraph(context, parameters) {
+  const input = context.createGain();
+  const { output, wetGain, control } = createMix(
+    context,
+    input,
+    parameters.mix || 0.5,
+  );
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  lfo.frequency.value = parameters.rate || 0.5;
+  lfoGain.gain.value = parameters.depth || 1000;
+  lfo.connect(lfoGain);
+  let currentNode = input;
+  for (let i = 0; i < 4; i += 1) {
+    const filter = context.createBiquadFilter();
+    filter.type = 'allpass';
+    filter.frequency.value = 200 + i * 500;
+    lfoGain.connect(filter.frequency);
+    currentNode.connect(filter);
+    currentNode = filter;
+  }
+  currentNode.connect(wetGain);
+  return {
+    input,
+    output,
+    sources: [lfo, control],
+    params: { mix: [control.offset], rate: [lfo.frequency] },
+  };
+}
+
+function distortionGraph(context, parameters) {
+  const amount = parameters.amount || 50;
+  const samples = 44100;
+  const curve = new Float32Array(samples);
+  const deg = Math.PI / 180;
+  for (let i = 0; i < samples; i += 1) {
+    const x = (i * 2) / samples - 1;
+    curve[i] = ((3 + amount) * x * 20 * deg) / (Math.PI + amount * Math.abs(x));
+  }
+  const input = context.createWaveShaper();
+  input.curve = curve;
+  input.oversample = '4x';
+  const output = context.createGain();
+  output.gain.value = parameters.outputGain || 0.7;
+  input.connect(output);
+  return { input, output };
+}
+
+function compressorGraph(context, parameters) {
+  const input = context.createDynamicsCompressor();
+  input.threshold.value = parameters.threshold || -24;
+  input.ratio.value = parameters.ratio || 4;
+  input.attack.value = parameters.attack || 0.003;
+  input.release.value = parameters.release || 0.1;
+  input.knee.value = parameters.knee || 30;
+  const output = context.createGain();
+  output.gain.value = 10 ** ((parameters.makeup || 0) / 20);
+  input.connect(output);
+  return { input, output };
+}
+
+// Compressor at a near-infinite ratio
+function limiterGraph(context, parameters) {
+  return compressorGraph(context, {
+    ...parameters,
+    ratio: 20,
+    attack: 0.001,
+    release: 0.05,
+  });
+}
+
+function filterGraph(context, parameters) {
+  const filter = context.createBiquadFilter();
+  filter.type = parameters.type || 'lowpass';
+  filter.frequency.value = parameters.frequency || 1000;
+  filter.Q.value = parameters.resonance || 1;
+  return {
+    input: filter,
+    output: filter,
+    params: { frequency: [filter.frequency] },
+  };
+}
+
+function tremoloGraph(context, parameters) {
+  const gainNode = context.createGain();
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  lfo.frequency.value = parameters.rate || 5;
+  lfoGain.gain.value = parameters.depth || 0.5;
+  gainNode.gain.value = 1 - (parameters.depth || 0.5);
+  lfo.connect(lfoGain);
+  lfoGain.connect(gainNode.gain);
+  return {
+    input: gainNode,
+    output: gainNode,
+    sources: [lfo],
+    params: { rate: [lfo.frequency] },
+  };
+}
+
+function autoPanGraph(context, parameters) {
+  const panner = context.createStereoPanner();
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  lfo.frequency.value = parameters.rate || 1;
+  lfoGain.gain.value = parameters.depth || 0.8;
+  lfo.connect(lfoGain);
+  lfoGain.connect(panner.pan);
+  return {
+    input: panner,
+    output: panner,
+    sources: [lfo],
+    params: { rate: [lfo.frequency] },
+  };
+}
+
+const EFFECT_GRAPHS = {
+  eq: eqGraph,
+  reverb: reverbGraph,
+  echo: echoGraph,
+  delay: advancedDelayGraph,
+  chorus: chorusGraph,
+  flanger: flangerGraph,
+  phaser: phaserGraph,
+  distortion: distortionGraph,
+  compressor: compressorGraph,
+  limiter: limiterGraph,
+  filter: filterGraph,
+  tremolo: tremoloGraph,
+  autopan: autoPanGraph,
+};
+
+/**
+ * Whether an effect type is built as a node graph (and so can run live)
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isGraphEffect(type) {
+  return type in EFFECT_GRAPHS;
+}
+
+/**
+ * Build one effect's node graph, unconnected and with its sources not started
+ * @param {BaseAudioContext} context
+ * @param {string} type - Effect type (see isGraphEffect)
+ * @param {Object} parameters - Effect-specific parameters
+ * @returns {Object} { input, output, sources, params } - sources must be
+ *   started by the caller; params maps automatable parameter names (see
+ *   EFFECT_AUTOMATION_PARAMS in lib/automation.js) to their AudioParams
+ */
+export function buildEffectGraph(context, type, parameters = {}) {
+  const graph = EFFECT_GRAPHS[type](context, parameters || {});
+  return { sources: [], params: {}, ...graph };
+}
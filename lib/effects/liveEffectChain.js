@@ -0,0 +1,85 @@
+/**
+ * Live Effect Chain
+ *
+ * Wires an effect chain into real-time playback (audio and MIDI tracks,
+ * the mixer's bus and group strips) using the same graphs
+ * UnifiedEffectsProcessor renders offline. The mixdown builds track chains
+ * the same way so effect automation lanes drive both.
+ *
+ * Effects that only exist as buffer processing (gate, pitch shift,
+ * granular, paulstretch, ...) have no live version and pass the signal
+ * through; the mixdown skips them on bus and group strips as well.
+ */
+
+import { buildEffectGraph, isGraphEffect } from './effectGraphs';
+import { effectAutomationId } from '../automation';
+
+/**
+ * Whether an effect type can run live, or is only applied in the mixdown
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isLiveEffect(type) {
+  return isGraphEffect(type);
+}
+
+/**
+ * Build the enabled effects of a chain as connected nodes
+ * @param {BaseAudioContext} context
+ * @param {Array} effectsChain - Array of {type, parameters, enabled, id}
+ * @returns {Object} { input, output, params, values, dispose } - params and
+ *   values map effect automation ids to AudioParams and their static values;
+ *   dispose stops and disconnects everything
+ */
+export function createLiveEffectChain(context, effectsChain) {
+  const input = context.createGain();
+  const output = context.createGain();
+  const nodes = [input, output];
+  const sources = [];
+  const params = {};
+  const values = {};
+
+  let currentNode = input;
+  (effectsChain || [])
+    .filter((effect) => effect.enabled !== false)
+    .forEach((effect) => {
+      if (!isGraphEffect(effect.type)) return;
+      const stage = buildEffectGraph(context, effect.type, effect.parameters);
+      currentNode.connect(stage.input);
+      currentNode = stage.output;
+      nodes.push(stage.input, stage.output);
+      stage.sources.forEach((source) => {
+        source.start();
+        sources.push(source);
+      });
+      Object.entries(stage.params).forEach(([name, audioParams]) => {
+        const paramId = effectAutomationId(effect, name);
+        params[paramId] = audioParams;
+        values[paramId] = audioParams[0].value;
+      });
+    });
+  currentNode.connect(output);
+
+  return {
+    input,
+    output,
+    params,
+    values,
+    dispose() {
+      sources.forEach((source) => {
+        try {
+          source.stop();
+        } catch {
+          /* Already stopped */
+        }
+      });
+      nodes.forEach((node) => {
+        try {
+          node.disconnect();
+        } catch {
+          /* Node cleanup */
+        }
+      });
+    },
+  };
+}
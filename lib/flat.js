@@ -457,6 +457,176 @@ function mergeScores(scores, instrumentName) {
   return result;
 }
 
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Playable notes of the first part of a flat score JSON, timed in quarter
+ * note beats from the start of the score. Rests only advance time, tied
+ * notes are merged, and chord members, grace notes and voices other than
+ * the first are skipped since parts are played on monophonic instruments.
+ * Pitches are as written; add `transposeSemitones` (from the part's
+ * <transpose> element, 0 if it has none) for concert pitch.
+ * @returns {Object} { notes: [{ measure, midi, startBeat, durationBeats }], measures: [{ number, startBeat, beats }], tempo, transposeSemitones }
+ */
+function scoreNoteEvents(pieceScoreJSON) {
+  const part = pieceScoreJSON?.['score-partwise']?.part?.[0];
+  const notes = [];
+  const measures = [];
+  let divisions = 1;
+  let meterBeats = 4;
+  let tempo = null;
+  let transposeSemitones = 0;
+  let measureStart = 0;
+
+  (part?.measure || []).forEach((measure, measureIdx) => {
+    const number = parseInt(measure.$number, 10) || measureIdx + 1;
+
+    (measure.attributes || []).forEach((attribute) => {
+      if (attribute.divisions) {
+        divisions = parseFloat(attribute.divisions) || divisions;
+      }
+      if (attribute.time?.beats) {
+        meterBeats =
+          (parseFloat(attribute.time.beats) * 4) /
+          (parseFloat(attribute.time['beat-type']) || 4);
+      }
+      const transpose = [].concat(attribute.transpose || [])[0];
+      if (transpose) {
+        transposeSemitones =
+          (parseInt(transpose.chromatic, 10) || 0) +
+          12 * (parseInt(transpose['octave-change'], 10) || 0);
+      }
+    });
+
+    if (tempo === null) {
+      const sound = [
+        ...(measure.sound || []),
+        ...(measure.direction || []).map((direction) => direction.sound),
+      ].find((entry) => entry?.$tempo);
+      const metronome = (measure.direction || []).find(
+        (direction) => direction['direction-type']?.metronome?.['per-minute'],
+      );
+      tempo =
+        parseFloat(sound?.$tempo) ||
+        parseFloat(metronome?.['direction-type'].metronome['per-minute']) ||
+        null;
+    }
+
+    let position = 0;
+    (measure.note || []).forEach((note) => {
+      if (note.grace || 'chord' in note) return;
+      if (note.voice !== undefined && String(note.voice) !== '1') return;
+
+      const duration = (parseFloat(note.duration) || 0) / divisions;
+      const startBeat = measureStart + position;
+      position += duration;
+      if (!note.pitch || note.rest) return;
+
+      const midi =
+        (parseInt(note.pitch.octave, 10) + 1) * 12 +
+        STEP_SEMITONES[note.pitch.step] +
+        (parseFloat(note.pitch.alter) || 0);
+      const previous = notes[notes.length - 1];
+      const tiedFromPrevious = []
+        .concat(note.tie || [])
+        .some((tie) => tie?.$type === 'stop');
+      if (
+        tiedFromPrevious &&
+        previous?.midi === midi &&
+        Math.abs(previous.startBeat + previous.durationBeats - startBeat) < 1e-6
+      ) {
+        previous.durationBeats += duration;
+        return;
+      }
+      notes.push({ measure: number, midi, startBeat, durationBeats: duration });
+    });
+
+    // Pickup and incomplete measures are as long as their content
+    const beats = position > 0 ? position : meterBeats;
+    measures.push({ number, startBeat: measureStart, beats });
+    measureStart += beats;
+  });
+
+  return { notes, measures, tempo: tempo || 120, transposeSemitones };
+}
+
+/**
+ * Flat score reference ({ scoreId, sharingKey }) of an assignment's part in
+ * the transposition the student's instrument reads, or null if there is
+ * none. Resolve it to score JSON with loadFlatScoreJSON.
+ */
+function assignedScoreRef(assignment) {
+  const flatio = assignment?.part?.transpositions?.find(
+    (partTransposition) =>
+      partTransposition.transposition.name ===
+      assignment?.instrument?.transposition,
+  )?.flatio;
+  if (!flatio) return null;
+  try {
+    return JSON.parse(flatio);
+  } catch (e) {
+    console.error('❌ Could not parse assigned score:', e);
+    return null;
+  }
+}
+
+// Last copy of each score this browser loaded, for when the route is unreachable
+const FLAT_SCORE_STORAGE_PREFIX = 'flatScore:';
+
+function readStoredScore(storageKey) {
+  try {
+    const stored = window.localStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeScore(storageKey, score) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(score));
+  } catch {
+    /* Storage full or unavailable; the score just isn't kept offline */
+  }
+}
+
+/**
+ * Score JSON for a Flat score reference ({ scoreId, sharingKey }), read
+ * through the app's /api/flat-score route (cached server-side) so viewing
+ * doesn't depend on reaching flat.io. The last copy is kept in the browser
+ * and used when the route can't be reached. Scores that are already JSON
+ * are returned as they are.
+ */
+async function loadFlatScoreJSON(score) {
+  if (score?.['score-partwise']) return score;
+  const params = new URLSearchParams({ scoreId: score?.scoreId ?? '' });
+  if (score?.sharingKey) params.set('sharingKey', score.sharingKey);
+  const storageKey = `${FLAT_SCORE_STORAGE_PREFIX}${params}`;
+
+  let response = null;
+  try {
+    response = await fetch(`/api/flat-score?${params}`);
+  } catch (e) {
+    console.warn('⚠️ Score request failed:', e);
+  }
+  if (response?.ok) {
+    const json = await response.json();
+    storeScore(storageKey, json);
+    return json;
+  }
+
+  const stored = readStoredScore(storageKey);
+  if (stored) return stored;
+  if (!response) {
+    throw new Error(
+      navigator.onLine === false
+        ? "you're offline and this score hasn't been opened on this device yet"
+        : "the score server can't be reached",
+    );
+  }
+  throw new Error(`score request failed with status ${response.status}`);
+}
+
 export {
   pitchesToRests,
   trimScore,
@@ -472,4 +642,7 @@ export {
   // CHORD_SCALE_COLORS, //not used externally
   colorMap,
   measureNotes,
+  scoreNoteEvents,
+  assignedScoreRef,
+  loadFlatScoreJSON,
 };
@@ -0,0 +1,84 @@
+// lib/gradeComments.js
+/**
+ * Grading comments
+ * Teachers attach comments to a perform grade, each optionally anchored to
+ * a moment in the recording (`time`, seconds) and/or a measure of the part
+ * (`measure`, the score's measure number). Comments are saved with the
+ * grade and shown back to the student with their submission.
+ */
+
+/**
+ * Create a comment
+ * @param {Object} comment - { text, time, measure }; anchors are optional
+ * @returns {Object} { id, text, time, measure }
+ */
+export function createGradeComment({ text, time = null, measure = null }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    text: text.trim(),
+    time: Number.isFinite(time) ? Math.max(0, time) : null,
+    measure: Number.isInteger(measure) && measure > 0 ? measure : null,
+  };
+}
+
+/**
+ * Comments in reading order: timestamped ones by time, then measure-only
+ * ones by measure, then general remarks
+ */
+export function sortGradeComments(comments = []) {
+  return [...comments].sort(
+    (a, b) =>
+      (a.time ?? Infinity) - (b.time ?? Infinity) ||
+      (a.measure ?? Infinity) - (b.measure ?? Infinity),
+  );
+}
+
+export function formatCommentTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Short label for where a comment applies, e.g. "0:12 · m. 4"
+ */
+export function formatCommentAnchor(comment) {
+  const parts = [];
+  if (comment.time !== null && comment.time !== undefined) {
+    parts.push(formatCommentTime(comment.time));
+  }
+  if (comment.measure) parts.push(`m. ${comment.measure}`);
+  return parts.length ? parts.join(' · ') : 'General';
+}
+
+/**
+ * Comments of the latest grade on a submission. Submissions carry either a
+ * single `grade` or a `grades` history depending on the endpoint.
+ */
+export function gradeCommentsFor(submission) {
+  const grade = submission?.grade ?? submission?.grades?.at?.(-1);
+  return Array.isArray(grade?.comments) ? grade.comments : [];
+}
+
+/**
+ * Measure being played `time` seconds into a recording, assuming the
+ * student started on the downbeat of the first measure and kept the
+ * marked tempo. Only a starting point; the teacher can correct it.
+ * @param {Object} scoreEvents - Result of scoreNoteEvents()
+ * @param {number} time - Seconds from the start of the recording
+ * @param {number} tempo - Quarter notes per minute (defaults to the score's)
+ * @returns {number|null} Measure number
+ */
+export function estimateMeasureAtTime(
+  scoreEvents,
+  time,
+  tempo = scoreEvents?.tempo,
+) {
+  const measures = scoreEvents?.measures;
+  if (!measures?.length || !tempo) return null;
+  const beat = (time * tempo) / 60;
+  const measure =
+    measures.find((m) => beat < m.startBeat + m.beats) ??
+    measures[measures.length - 1];
+  return measure.number;
+}
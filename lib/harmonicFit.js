@@ -0,0 +1,232 @@
+// lib/harmonicFit.js
+/**
+ * Harmonic fit of a chord-scale composition
+ * Walks a composition against the piece's chord-scale pattern (one of
+ * tonic, subdominant or dominant per measure) and checks each note
+ * against that measure's chord scale, as shown by getChordScaleInKey.
+ * Notes outside it are classed by how the melody moves around them:
+ *
+ *   passing    - approached and left by step in the same direction
+ *   neighbor   - approached and left by step, turning back
+ *   unresolved - anything else, including a step onto another non-chord
+ *                tone that does not itself resolve
+ *
+ * Fit is the share of a measure's sounding time spent on chord-scale
+ * tones. Tied notes count as one sound, and a rest ends the line, so a
+ * note before a rest cannot resolve.
+ */
+
+import { getChordScaleInKey, keyFromScoreJSON } from './flat';
+
+const CHORD_SCALES = ['tonic', 'subdominant', 'dominant'];
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const BLACK = '#000000';
+
+// Colors of the non-chord tones in a checked score
+export const HARMONIC_FIT_COLORS = {
+  passing: '#E69F00',
+  neighbor: '#0072B2',
+  unresolved: '#D55E00',
+};
+
+const asArray = (value) =>
+  value === undefined || value === null ? [] : [].concat(value);
+
+const pitchClass = (step, alter) =>
+  (((STEP_SEMITONES[step] + (parseInt(alter, 10) || 0)) % 12) + 12) % 12;
+
+const midiOf = (pitch) =>
+  (parseInt(pitch.octave, 10) + 1) * 12 +
+  STEP_SEMITONES[pitch.step] +
+  (parseInt(pitch.alter, 10) || 0);
+
+const tieTypes = (note) => asArray(note.tie).map((tie) => tie.$type);
+
+// Pitch classes of each chord scale in the composition's key
+function chordScalePitchClasses(score) {
+  const key = keyFromScoreJSON(score);
+  return Object.fromEntries(
+    CHORD_SCALES.map((chordScale) => [
+      chordScale,
+      new Set(
+        getChordScaleInKey(chordScale, key).map(({ step, alter }) =>
+          pitchClass(step, alter),
+        ),
+      ),
+    ]),
+  );
+}
+
+/**
+ * The composition's melody as sounds (tied notes merged) and rests, in
+ * order. Each sound lists the written notes it is made of.
+ */
+function melodicLine(score) {
+  const line = [];
+  let divisions = 1;
+  let open = null; // a sound whose tie continues into the next note
+
+  score['score-partwise'].part[0].measure.forEach((measure, measureIdx) => {
+    asArray(measure.attributes).forEach((attributes) => {
+      if (attributes.divisions) {
+        divisions = parseInt(attributes.divisions, 10) || divisions;
+      }
+    });
+    asArray(measure.note).forEach((note, noteIdx) => {
+      // Only the melody (the first note of a chord) is followed
+      if (note.grace || note.chord) return;
+      const part = {
+        measureIdx,
+        noteIdx,
+        quarters: (parseInt(note.duration, 10) || 0) / divisions,
+      };
+      if (note.rest || !note.pitch) {
+        line.push(null);
+        open = null;
+        return;
+      }
+
+      const midi = midiOf(note.pitch);
+      const ties = tieTypes(note);
+      if (open && open.midi === midi && ties.includes('stop')) {
+        open.parts.push(part);
+      } else {
+        open = { midi, parts: [part] };
+        line.push(open);
+      }
+      if (!ties.includes('start')) open = null;
+    });
+  });
+  return line;
+}
+
+const isStep = (from, to) =>
+  Math.abs(to - from) >= 1 && Math.abs(to - from) <= 2;
+
+/**
+ * Checks a composition against the piece's chord-scale pattern
+ * @param {Object|string} scoreJSON - Flat score JSON of the composition
+ * @param {string[]} chordScalePattern - Chord scale of each measure
+ *   ('tonic', 'subdominant', 'dominant'); others are not checked
+ * @returns {Object} { measures: [{ number, chordScale, fit, passing,
+ *   neighbor, unresolved }], notes: [{ measureIdx, noteIdx, quarters,
+ *   kind }], summary: { fit, passing, neighbor, unresolved,
+ *   checkedMeasures } } where fit is 0-1, or null for a measure with
+ *   nothing to check
+ */
+export function analyzeHarmonicFit(scoreJSON, chordScalePattern) {
+  const score =
+    typeof scoreJSON === 'string' ? JSON.parse(scoreJSON) : scoreJSON;
+  const measureCount = score['score-partwise'].part[0].measure.length;
+  const pitchClasses = chordScalePitchClasses(score);
+  const scaleOf = (measureIdx) => pitchClasses[chordScalePattern?.[measureIdx]];
+  const fitsAt = (midi, measureIdx) =>
+    !scaleOf(measureIdx) || scaleOf(measureIdx).has(((midi % 12) + 12) % 12);
+
+  const line = melodicLine(score);
+  // A sound fits when it is a chord-scale tone wherever it sounds
+  const fits = line.map(
+    (sound) =>
+      sound && sound.parts.every((part) => fitsAt(sound.midi, part.measureIdx)),
+  );
+
+  // Walking backwards, a non-chord tone resolves when it moves by step to
+  // a chord tone, or on to a passing tone that resolves in turn
+  const kinds = new Array(line.length).fill(null);
+  const resolved = new Array(line.length).fill(false);
+  for (let i = line.length - 1; i >= 0; i -= 1) {
+    const sound = line[i];
+    const prev = line[i - 1];
+    const next = line[i + 1];
+    if (sound && fits[i]) {
+      resolved[i] = true;
+    } else if (sound) {
+      let kind = 'unresolved';
+      if (
+        prev &&
+        next &&
+        isStep(prev.midi, sound.midi) &&
+        isStep(sound.midi, next.midi) &&
+        resolved[i + 1]
+      ) {
+        const sameWay =
+          Math.sign(sound.midi - prev.midi) ===
+          Math.sign(next.midi - sound.midi);
+        if (sameWay) kind = 'passing';
+        else if (fits[i + 1]) kind = 'neighbor';
+      }
+      kinds[i] = kind;
+      resolved[i] = kind !== 'unresolved';
+    }
+  }
+
+  const measures = Array.from({ length: measureCount }, (_, i) => ({
+    number: i + 1,
+    chordScale: scaleOf(i) ? chordScalePattern[i] : null,
+    sounding: 0,
+    fitting: 0,
+    passing: 0,
+    neighbor: 0,
+    unresolved: 0,
+  }));
+  const notes = [];
+  line.forEach((sound, i) => {
+    if (!sound) return;
+    let counted = false;
+    sound.parts.forEach((part) => {
+      const measure = measures[part.measureIdx];
+      if (!measure.chordScale) return;
+      measure.sounding += part.quarters;
+      if (fitsAt(sound.midi, part.measureIdx)) {
+        measure.fitting += part.quarters;
+      } else {
+        notes.push({ ...part, kind: kinds[i] });
+        // A tied non-chord tone is counted once, where it first clashes
+        if (!counted) measure[kinds[i]] += 1;
+        counted = true;
+      }
+    });
+  });
+
+  const checked = measures.filter((m) => m.chordScale && m.sounding > 0);
+  const total = (key) => measures.reduce((sum, m) => sum + m[key], 0);
+  const sounding = total('sounding');
+  return {
+    measures: measures.map(({ sounding: s, fitting, ...measure }) => ({
+      ...measure,
+      fit: measure.chordScale && s > 0 ? fitting / s : null,
+    })),
+    notes,
+    summary: {
+      fit: sounding > 0 ? total('fitting') / sounding : null,
+      passing: total('passing'),
+      neighbor: total('neighbor'),
+      unresolved: total('unresolved'),
+      checkedMeasures: checked.length,
+    },
+  };
+}
+
+/**
+ * A copy of the composition with its non-chord tones colored by kind and
+ * every other note black
+ * @param {Object|string} scoreJSON - Flat score JSON of the composition
+ * @param {Object} report - From analyzeHarmonicFit
+ * @returns {Object} Flat score JSON
+ */
+export function colorHarmonicFit(scoreJSON, report) {
+  const score = JSON.parse(
+    typeof scoreJSON === 'string' ? scoreJSON : JSON.stringify(scoreJSON),
+  );
+  const measures = score['score-partwise'].part[0].measure;
+  measures.forEach((measure) => {
+    asArray(measure.note).forEach((note) => {
+      note.$color = BLACK;
+    });
+  });
+  report.notes.forEach(({ measureIdx, noteIdx, kind }) => {
+    asArray(measures[measureIdx].note)[noteIdx].$color =
+      HARMONIC_FIT_COLORS[kind];
+  });
+  return score;
+}
@@ -0,0 +1,267 @@
+// lib/latencyCalibration.js
+/**
+ * Recording latency calibration
+ * Sound a student records arrives late twice over: the backing track
+ * reaches their ears after the output latency, and their playing reaches
+ * the recorder after the input latency. The measured offsets are stored
+ * per input device and subtracted from new recordings by RecordingManager.
+ *
+ * Two measurements:
+ *   - Loopback: clicks go out of the speakers and back into the microphone
+ *     through the same MediaRecorder path recordings use; the delay is the
+ *     full round trip for audio.
+ *   - Tap-along: the student taps in time with clicks (for headphones or
+ *     when the microphone cannot hear the speakers). This measures the
+ *     output side, which is what MIDI playing is late by.
+ *
+ * Stored in localStorage:
+ *   { lastDevice, devices: { [deviceKey]: { audioMs, midiMs, method, measuredAt } } }
+ */
+
+const STORAGE_KEY = 'dawRecordingLatency';
+const DEFAULT_DEVICE = 'default';
+
+// Latencies outside this range are a missed click or an early tap
+export const MAX_LATENCY_SEC = 0.5;
+export const CLICK_COUNT = 8;
+export const CLICK_INTERVAL_SEC = 0.6;
+
+// ========== Storage ==========
+
+function readSettings() {
+  if (typeof localStorage === 'undefined') return { devices: {} };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return { lastDevice: saved.lastDevice, devices: saved.devices || {} };
+  } catch {
+    return { devices: {} };
+  }
+}
+
+function writeSettings(settings) {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Key a microphone's calibration is stored under
+ * @param {MediaStream|null} mediaStream
+ * @returns {string}
+ */
+export function inputDeviceKey(mediaStream) {
+  const track = mediaStream?.getAudioTracks?.()[0];
+  return track?.getSettings?.().deviceId || track?.label || DEFAULT_DEVICE;
+}
+
+/**
+ * Stored calibration for an input device
+ * @param {string} deviceKey
+ * @returns {Object|null} { audioMs, midiMs, method, measuredAt }
+ */
+export function getDeviceLatency(deviceKey) {
+  return readSettings().devices[deviceKey] || null;
+}
+
+/**
+ * Store a calibration for an input device
+ * @param {string} deviceKey
+ * @param {Object} result - { audioMs, midiMs, method }
+ */
+export function saveDeviceLatency(deviceKey, { audioMs, midiMs, method }) {
+  const settings = readSettings();
+  settings.devices[deviceKey] = {
+    audioMs: Math.round(audioMs * 10) / 10,
+    midiMs: Math.round(midiMs * 10) / 10,
+    method,
+    measuredAt: new Date().toISOString(),
+  };
+  settings.lastDevice = deviceKey;
+  writeSettings(settings);
+}
+
+/**
+ * Forget the calibration for an input device
+ * @param {string} deviceKey
+ */
+export function clearDeviceLatency(deviceKey) {
+  const settings = readSettings();
+  delete settings.devices[deviceKey];
+  if (settings.lastDevice === deviceKey) delete settings.lastDevice;
+  writeSettings(settings);
+}
+
+/**
+ * Offset to take off a new recording
+ * @param {'audio'|'midi'} type
+ * @param {MediaStream|null} mediaStream - Audio input; MIDI recordings use
+ *   the most recently calibrated device
+ * @returns {number} Seconds (0 when not calibrated)
+ */
+export function getRecordingLatency(type, mediaStream = null) {
+  const settings = readSettings();
+  const deviceKey =
+    type === 'audio' ? inputDeviceKey(mediaStream) : settings.lastDevice;
+  const saved = settings.devices[deviceKey];
+  if (!saved) return 0;
+  return Math.max(0, (type === 'audio' ? saved.audioMs : saved.midiMs) / 1000);
+}
+
+/**
+ * Latency the browser reports for the audio path
+ * @param {BaseAudioContext} audioContext
+ * @param {MediaStream|null} mediaStream
+ * @returns {{ outputSec: number, inputSec: number }}
+ */
+export function reportedLatency(audioContext, mediaStream = null) {
+  const track = mediaStream?.getAudioTracks?.()[0];
+  return {
+    outputSec:
+      (audioContext?.baseLatency || 0) + (audioContext?.outputLatency || 0),
+    inputSec: track?.getSettings?.().latency || 0,
+  };
+}
+
+// ========== Analysis ==========
+
+/**
+ * Times at which sharp sounds start in a recording
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.noiseSec - Leading stretch taken as background noise
+ * @param {number} options.refractorySec - Ignore the ringing after an onset
+ * @returns {number[]} Seconds into the recording
+ */
+export function detectOnsets(
+  samples,
+  sampleRate,
+  { noiseSec = 0.3, refractorySec = 0.2 } = {},
+) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const noiseEnd = Math.min(samples.length, Math.round(noiseSec * sampleRate));
+  let noise = 0;
+  for (let i = 0; i < noiseEnd; i++) {
+    noise = Math.max(noise, Math.abs(samples[i]));
+  }
+  // Clicks must clearly stand out from both the background and each other
+  const threshold = Math.max(noise * 4, peak * 0.3);
+  if (peak === 0 || threshold >= peak) return [];
+
+  const refractory = Math.round(refractorySec * sampleRate);
+  const onsets = [];
+  let last = -Infinity;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) >= threshold && i - last >= refractory) {
+      onsets.push(i / sampleRate);
+      last = i;
+    }
+  }
+  return onsets;
+}
+
+/**
+ * Typical delay of events after the reference times they answer. Each
+ * reference is paired with the first event after it (taps may come a little
+ * early, so `minSec` can be negative); pairs outside the range are ignored.
+ * @param {number[]} references - Seconds, ascending
+ * @param {number[]} events - Seconds, ascending
+ * @param {Object} options
+ * @returns {{ latencySec: number, matched: number, spreadSec: number }|null}
+ *   Median delay, number of pairs and the spread between the middle half
+ */
+export function measureOffset(
+  references,
+  events,
+  { minSec = 0, maxSec = MAX_LATENCY_SEC } = {},
+) {
+  const offsets = [];
+  references.forEach((reference) => {
+    const event = events.find((time) => time - reference >= minSec);
+    if (event !== undefined && event - reference <= maxSec) {
+      offsets.push(event - reference);
+    }
+  });
+  if (offsets.length === 0) return null;
+
+  offsets.sort((a, b) => a - b);
+  const at = (fraction) =>
+    offsets[
+      Math.min(offsets.length - 1, Math.floor(fraction * offsets.length))
+    ];
+  return {
+    latencySec: at(0.5),
+    matched: offsets.length,
+    spreadSec: at(0.75) - at(0.25),
+  };
+}
+
+// ========== Measurement ==========
+
+/**
+ * Schedule a short, loud click
+ * @param {BaseAudioContext} audioContext
+ * @param {number} when - AudioContext time
+ * @param {number} frequency
+ */
+export function scheduleClick(audioContext, when, frequency = 1000) {
+  const osc = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  osc.frequency.value = frequency;
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(0.8, when + 0.001);
+  gain.gain.exponentialRampToValueAtTime(0.001, when + 0.03);
+  osc.connect(gain);
+  gain.connect(audioContext.destination);
+  osc.start(when);
+  osc.stop(when + 0.04);
+}
+
+/**
+ * Play clicks through the speakers and record them with the microphone,
+ * timed the way RecordingManager times recordings (MediaRecorder, started
+ * on the AudioContext clock)
+ * @param {AudioContext} audioContext
+ * @param {MediaStream} mediaStream
+ * @returns {Promise<{ latencySec: number, matched: number, spreadSec: number }|null>}
+ *   null when too few clicks were heard
+ */
+export async function measureLoopbackLatency(audioContext, mediaStream) {
+  if (audioContext.state === 'suspended') await audioContext.resume();
+
+  const recorder = new MediaRecorder(mediaStream);
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const captureStart = await new Promise((resolve) => {
+    recorder.onstart = () => resolve(audioContext.currentTime);
+    recorder.start(100);
+  });
+
+  // Clicks relative to the start of the capture, after a quiet lead-in
+  const clicks = Array.from(
+    { length: CLICK_COUNT },
+    (_, i) => 0.5 + i * CLICK_INTERVAL_SEC,
+  );
+  clicks.forEach((time) => scheduleClick(audioContext, captureStart + time));
+
+  const lastClick = clicks[clicks.length - 1];
+  await new Promise((resolve) =>
+    setTimeout(resolve, (lastClick + MAX_LATENCY_SEC + 0.3) * 1000),
+  );
+  await new Promise((resolve) => {
+    recorder.onstop = resolve;
+    recorder.stop();
+  });
+
+  const blob = new Blob(chunks, { type: recorder.mimeType });
+  const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+  const onsets = detectOnsets(buffer.getChannelData(0), buffer.sampleRate);
+  const result = measureOffset(clicks, onsets);
+  if (!result || result.matched < CLICK_COUNT / 2) return null;
+  return result;
+}
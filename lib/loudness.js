@@ -0,0 +1,365 @@
+// lib/loudness.js
+/**
+ * Loudness measurement after ITU-R BS.1770-4 / EBU R128: K-weighting,
+ * momentary, short-term and gated integrated loudness in LUFS, loudness
+ * range (EBU Tech 3342) and an oversampled true-peak estimate in dBTP.
+ * Works on plain Float32Array channels so it can run on mixdowns, decoded
+ * clips or a worker's buffers alike; lib/loudnessMeter.js feeds the same
+ * gating from a live AudioWorklet.
+ */
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const LRA_RELATIVE_GATE_LU = -20;
+const BLOCK_SEC = 0.4;
+const SHORT_TERM_SEC = 3;
+export const BLOCK_STEP_SEC = 0.1;
+const TRUE_PEAK_OVERSAMPLE = 4;
+const TRUE_PEAK_TAPS = 12;
+
+export const LOUDNESS_TARGETS = [
+  { value: -14, label: '-14 LUFS (streaming)' },
+  { value: -16, label: '-16 LUFS (podcast / Apple)' },
+  { value: -23, label: '-23 LUFS (EBU R128 broadcast)' },
+];
+
+/**
+ * Biquad coefficients of the two K-weighting stages for a sample rate,
+ * following libebur128's derivation so rates other than 48 kHz work too
+ * @returns {Array<{ b: number[], a: number[] }>}
+ */
+export function kWeightingCoefficients(sampleRate) {
+  // Stage 1: high shelf modelling the head
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+  let K = Math.tan((Math.PI * f0) / sampleRate);
+  const Vh = 10 ** (G / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [
+      (Vh + (Vb * K) / Q + K * K) / a0,
+      (2 * (K * K - Vh)) / a0,
+      (Vh - (Vb * K) / Q + K * K) / a0,
+    ],
+    a: [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  // Stage 2: RLB high-pass
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b: [1, -2, 1],
+    a: [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  return [shelf, highpass];
+}
+
+function biquad(input, { b, a }) {
+  const output = new Float32Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+  return output;
+}
+
+/**
+ * K-weighted copy of one channel
+ */
+export function kWeight(samples, sampleRate) {
+  return kWeightingCoefficients(sampleRate).reduce(biquad, samples);
+}
+
+/**
+ * Mean square of consecutive segments (100 ms by default), summed across
+ * channels. Front channels have unit weight, so stereo and mono need no
+ * channel weighting.
+ * @param {Float32Array[]} weighted - K-weighted channels
+ * @returns {number[]}
+ */
+export function segmentPowers(weighted, sampleRate, stepSec = BLOCK_STEP_SEC) {
+  const step = Math.round(stepSec * sampleRate);
+  const length = weighted[0]?.length ?? 0;
+  const powers = [];
+  for (let start = 0; start + step <= length; start += step) {
+    let sum = 0;
+    weighted.forEach((channel) => {
+      let channelSum = 0;
+      for (let i = start; i < start + step; i++) {
+        channelSum += channel[i] * channel[i];
+      }
+      sum += channelSum / step;
+    });
+    powers.push(sum);
+  }
+  return powers;
+}
+
+/**
+ * Average sliding windows of `size` segments, e.g. 4 for 400 ms blocks
+ * or 30 for 3 s short-term blocks
+ * @param {number[]} segments - From segmentPowers()
+ * @returns {number[]}
+ */
+export function windowPowers(segments, size) {
+  const powers = [];
+  let sum = 0;
+  segments.forEach((power, i) => {
+    sum += power;
+    if (i >= size) sum -= segments[i - size];
+    if (i >= size - 1) powers.push(Math.max(0, sum / size));
+  });
+  return powers;
+}
+
+/**
+ * Mean square of each gating block (400 ms, 75% overlap by default)
+ * @param {Float32Array[]} weighted - K-weighted channels
+ * @returns {number[]}
+ */
+export function blockPowers(
+  weighted,
+  sampleRate,
+  blockSec = BLOCK_SEC,
+  stepSec = BLOCK_STEP_SEC,
+) {
+  return windowPowers(
+    segmentPowers(weighted, sampleRate, stepSec),
+    Math.round(blockSec / stepSec),
+  );
+}
+
+export const powerToLufs = (power) =>
+  power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Gated integrated loudness from block powers
+ * @returns {number} LUFS, -Infinity for silence
+ */
+export function gatedLoudness(powers) {
+  const aboveAbsolute = powers.filter(
+    (power) => powerToLufs(power) > ABSOLUTE_GATE_LUFS,
+  );
+  if (aboveAbsolute.length === 0) return -Infinity;
+  const relativeGate = powerToLufs(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+  const gated = aboveAbsolute.filter(
+    (power) => powerToLufs(power) > relativeGate,
+  );
+  return gated.length ? powerToLufs(mean(gated)) : -Infinity;
+}
+
+/**
+ * Loudness range (LRA) from short-term block powers: the spread between
+ * the 10th and 95th percentile of the gated short-term loudness
+ * @returns {number} LU
+ */
+export function loudnessRange(shortTermPowers) {
+  const aboveAbsolute = shortTermPowers.filter(
+    (power) => powerToLufs(power) > ABSOLUTE_GATE_LUFS,
+  );
+  if (aboveAbsolute.length === 0) return 0;
+  const relativeGate = powerToLufs(mean(aboveAbsolute)) + LRA_RELATIVE_GATE_LU;
+  const levels = aboveAbsolute
+    .map(powerToLufs)
+    .filter((level) => level > relativeGate)
+    .sort((a, b) => a - b);
+  if (levels.length === 0) return 0;
+  const percentile = (p) => levels[Math.round((levels.length - 1) * p)];
+  return percentile(0.95) - percentile(0.1);
+}
+
+/**
+ * Integrated loudness of a programme
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {number} LUFS
+ */
+export function integratedLoudness(channels, sampleRate) {
+  const weighted = channels.map((channel) => kWeight(channel, sampleRate));
+  return gatedLoudness(blockPowers(weighted, sampleRate));
+}
+
+// Windowed-sinc phases for 4x interpolation
+export const interpolationPhases = (() => {
+  const phases = [];
+  for (let phase = 0; phase < TRUE_PEAK_OVERSAMPLE; phase++) {
+    const taps = [];
+    const frac = phase / TRUE_PEAK_OVERSAMPLE;
+    for (let k = 0; k < TRUE_PEAK_TAPS; k++) {
+      const t = k - TRUE_PEAK_TAPS / 2 + 1 - frac;
+      const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 + 0.5 * Math.cos((Math.PI * t) / (TRUE_PEAK_TAPS / 2));
+      taps.push(sinc * window);
+    }
+    phases.push(taps);
+  }
+  return phases;
+})();
+
+/**
+ * Highest inter-sample peak across channels, estimated by 4x oversampling
+ * @returns {number} Linear peak (1 = full scale)
+ */
+export function truePeak(channels) {
+  let peak = 0;
+  channels.forEach((samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.abs(samples[i]);
+      if (sample > peak) peak = sample;
+      for (let phase = 1; phase < TRUE_PEAK_OVERSAMPLE; phase++) {
+        const taps = interpolationPhases[phase];
+        let value = 0;
+        for (let k = 0; k < TRUE_PEAK_TAPS; k++) {
+          const index = i + k - TRUE_PEAK_TAPS / 2 + 1;
+          if (index >= 0 && index < samples.length)
+            value += samples[index] * taps[k];
+        }
+        if (Math.abs(value) > peak) peak = Math.abs(value);
+      }
+    }
+  });
+  return peak;
+}
+
+export const linearToDb = (value) =>
+  value > 0 ? 20 * Math.log10(value) : -Infinity;
+
+/**
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {{ integrated: number, truePeakDb: number }}
+ */
+export function measureLoudness(channels, sampleRate) {
+  return {
+    integrated: integratedLoudness(channels, sampleRate),
+    truePeakDb: linearToDb(truePeak(channels)),
+  };
+}
+
+const maxLoudness = (powers) =>
+  powerToLufs(powers.reduce((max, power) => Math.max(max, power), 0));
+
+/**
+ * Full loudness report of a programme, as shown after a mixdown
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {{ integrated: number, momentaryMax: number, shortTermMax: number, lra: number, truePeakDb: number }}
+ */
+export function analyzeLoudness(channels, sampleRate) {
+  const weighted = channels.map((channel) => kWeight(channel, sampleRate));
+  const segments = segmentPowers(weighted, sampleRate);
+  const momentary = windowPowers(
+    segments,
+    Math.round(BLOCK_SEC / BLOCK_STEP_SEC),
+  );
+  const shortTerm = windowPowers(
+    segments,
+    Math.round(SHORT_TERM_SEC / BLOCK_STEP_SEC),
+  );
+  return {
+    integrated: gatedLoudness(momentary),
+    momentaryMax: maxLoudness(momentary),
+    shortTermMax: maxLoudness(shortTerm),
+    lra: loudnessRange(shortTerm),
+    truePeakDb: linearToDb(truePeak(channels)),
+  };
+}
+
+/**
+ * Gain (dB) that brings a programme to the target loudness without its
+ * true peak going over the ceiling. When the ceiling wins the result is
+ * quieter than the target rather than limited.
+ */
+export function normalizationGainDb(
+  { integrated, truePeakDb },
+  targetLufs,
+  ceilingDb = -1,
+) {
+  if (!Number.isFinite(integrated)) return 0;
+  const gain = targetLufs - integrated;
+  return Number.isFinite(truePeakDb)
+    ? Math.min(gain, ceilingDb - truePeakDb)
+    : gain;
+}
+
+/**
+ * Plain-language feedback on a loudness report for students
+ * @param {Object} report - From analyzeLoudness() or a LoudnessMeter reading
+ * @param {number} targetLufs
+ * @returns {Array<{ level: 'danger'|'warning'|'success'|'info', message: string }>}
+ */
+export function describeLoudness(report, targetLufs = -14) {
+  const { integrated, truePeakDb, lra } = report;
+  if (!Number.isFinite(integrated)) {
+    return [{ level: 'warning', message: 'The mix is silent.' }];
+  }
+
+  const feedback = [];
+  const format = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+  const offset = integrated - targetLufs;
+
+  if (truePeakDb > 0) {
+    feedback.push({
+      level: 'danger',
+      message: `The mix clips: peaks reach ${format(truePeakDb)} dBTP, above full scale. Turn down the loudest tracks (or the ones with the most overlap) until peaks stay under -1 dBTP.`,
+    });
+  } else if (truePeakDb > -1) {
+    feedback.push({
+      level: 'warning',
+      message: `Peaks reach ${format(truePeakDb)} dBTP, within 1 dB of full scale. MP3 and Opus encoding can push them into clipping.`,
+    });
+  }
+
+  if (offset < -6) {
+    const headroom = normalizationGainDb(report, targetLufs);
+    feedback.push({
+      level: 'warning',
+      message: `The mix is ${Math.abs(offset).toFixed(1)} LU quieter than the ${targetLufs} LUFS target, so it will sound weak next to other recordings.${
+        headroom < -offset - 0.5
+          ? ` Its peaks only leave room to raise it by ${headroom.toFixed(1)} dB; compressing the loudest tracks would let it get louder without clipping.`
+          : ' Raise the track levels or turn on loudness normalization when exporting.'
+      }`,
+    });
+  } else if (offset > 2) {
+    feedback.push({
+      level: 'warning',
+      message: `The mix is ${offset.toFixed(1)} LU louder than the ${targetLufs} LUFS target; streaming services will turn it down and it may sound squashed.`,
+    });
+  } else {
+    feedback.push({
+      level: 'success',
+      message: `Loudness is close to the ${targetLufs} LUFS target.`,
+    });
+  }
+
+  if (lra > 15) {
+    feedback.push({
+      level: 'info',
+      message: `Wide loudness range (${lra.toFixed(1)} LU): quiet passages may get lost on phones and laptop speakers.`,
+    });
+  } else if (lra > 0 && lra < 3) {
+    feedback.push({
+      level: 'info',
+      message: `Narrow loudness range (${lra.toFixed(1)} LU): the mix has very little contrast between loud and soft parts.`,
+    });
+  }
+
+  return feedback;
+}
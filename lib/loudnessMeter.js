@@ -0,0 +1,297 @@
+// lib/loudnessMeter.js
+/**
+ * Live loudness metering for the multitrack master bus
+ * An AudioWorklet K-weights whatever reaches the bus and posts the power
+ * and true peak of every 100 ms segment; the main thread turns those into
+ * momentary, short-term and integrated loudness, loudness range and the
+ * running true peak with the same gating as lib/loudness.js.
+ *
+ * Reading layout:
+ *   {
+ *     momentary,    // LUFS over the last 400 ms
+ *     shortTerm,    // LUFS over the last 3 s
+ *     integrated,   // gated LUFS since the last reset
+ *     lra,          // LU since the last reset
+ *     truePeakDb,   // highest dBTP since the last reset
+ *     duration,     // seconds measured since the last reset
+ *   }
+ */
+
+import {
+  BLOCK_STEP_SEC,
+  gatedLoudness,
+  interpolationPhases,
+  kWeightingCoefficients,
+  linearToDb,
+  loudnessRange,
+  powerToLufs,
+} from './loudness';
+
+export const LOUDNESS_PROCESSOR_NAME = 'musiccpr-loudness-meter';
+
+const MOMENTARY_SEGMENTS = 4;
+const SHORT_TERM_SEGMENTS = 30;
+
+/**
+ * Source of the AudioWorklet processor, loaded from a Blob URL like the
+ * pitch detector's
+ * @returns {string}
+ */
+export function getLoudnessWorkletCode() {
+  return `
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { filters, phases, segmentLength } = options.processorOptions;
+    this.filters = filters;
+    this.phases = phases;
+    this.taps = phases[0].length;
+    this.segmentLength = segmentLength;
+    this.channels = [];
+    this.sum = 0;
+    this.peak = 0;
+    this.count = 0;
+    this.active = false;
+    this.running = true;
+    this.port.onmessage = (e) => {
+      if (!e.data) return;
+      if (e.data.type === 'active') {
+        this.active = e.data.active;
+        this.sum = 0;
+        this.peak = 0;
+        this.count = 0;
+      }
+      if (e.data.type === 'stop') this.running = false;
+    };
+  }
+
+  channelState(index) {
+    if (!this.channels[index]) {
+      this.channels[index] = {
+        biquads: this.filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 })),
+        history: new Float32Array(this.taps),
+        position: 0,
+      };
+    }
+    return this.channels[index];
+  }
+
+  // K-weighted square of one sample; also tracks the inter-sample peak
+  measure(state, x) {
+    const history = state.history;
+    history[state.position] = x;
+    state.position = (state.position + 1) % this.taps;
+    let peak = Math.abs(history[(state.position + this.taps / 2 - 1) % this.taps]);
+    for (let phase = 1; phase < this.phases.length; phase++) {
+      const taps = this.phases[phase];
+      let value = 0;
+      for (let k = 0; k < this.taps; k++) {
+        value += history[(state.position + k) % this.taps] * taps[k];
+      }
+      if (Math.abs(value) > peak) peak = Math.abs(value);
+    }
+    if (peak > this.peak) this.peak = peak;
+
+    let y = x;
+    for (let f = 0; f < this.filters.length; f++) {
+      const { b, a } = this.filters[f];
+      const s = state.biquads[f];
+      const out = b[0] * y + b[1] * s.x1 + b[2] * s.x2 - a[1] * s.y1 - a[2] * s.y2;
+      s.x2 = s.x1;
+      s.x1 = y;
+      s.y2 = s.y1;
+      s.y1 = out;
+      y = out;
+    }
+    return y * y;
+  }
+
+  process(inputs) {
+    if (!this.running) return false;
+    const input = inputs[0];
+    if (!this.active || !input || input.length === 0) return true;
+
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < input.length; c++) {
+        this.sum += this.measure(this.channelState(c), input[c][i]);
+      }
+      this.count++;
+      if (this.count === this.segmentLength) {
+        this.port.postMessage({
+          power: this.sum / this.segmentLength,
+          peak: this.peak,
+        });
+        this.sum = 0;
+        this.peak = 0;
+        this.count = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('${LOUDNESS_PROCESSOR_NAME}', LoudnessMeterProcessor);
+`;
+}
+
+/**
+ * Whether this browser can run the live meter
+ * @returns {boolean}
+ */
+export function isLoudnessMeterSupported() {
+  return (
+    typeof window !== 'undefined' && typeof AudioWorkletNode !== 'undefined'
+  );
+}
+
+// Contexts that already have the processor registered
+const loadedContexts = new WeakSet();
+
+async function loadLoudnessWorklet(audioContext) {
+  if (loadedContexts.has(audioContext)) return;
+  const blob = new Blob([getLoudnessWorkletCode()], {
+    type: 'application/javascript',
+  });
+  const url = URL.createObjectURL(blob);
+  try {
+    await audioContext.audioWorklet.addModule(url);
+    loadedContexts.add(audioContext);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Meters one audio node (usually the master bus). Measurement only runs
+ * while active, so pausing playback freezes the integrated values.
+ */
+export class LoudnessMeter {
+  constructor() {
+    this.audioContext = null;
+    this.source = null;
+    this.node = null;
+    this.listeners = new Set();
+    this.active = false;
+    this.reset();
+  }
+
+  /**
+   * Start listening to a node
+   * @param {AudioContext} audioContext
+   * @param {AudioNode} source - Node whose output is measured
+   */
+  async attach(audioContext, source) {
+    this.audioContext = audioContext;
+    await loadLoudnessWorklet(audioContext);
+    // Detached while the worklet was loading
+    if (this.audioContext !== audioContext) return;
+
+    const { sampleRate } = audioContext;
+    this.node = new AudioWorkletNode(audioContext, LOUDNESS_PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      // Mono sources are metered as they are heard: on both speakers
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: {
+        filters: kWeightingCoefficients(sampleRate),
+        phases: interpolationPhases,
+        segmentLength: Math.round(BLOCK_STEP_SEC * sampleRate),
+      },
+    });
+    this.node.port.onmessage = (e) => this.handleSegment(e.data);
+    this.node.port.postMessage({ type: 'active', active: this.active });
+
+    // The processor writes silence; connecting it keeps it pulled
+    this.source = source;
+    source.connect(this.node);
+    this.node.connect(audioContext.destination);
+  }
+
+  /**
+   * Start or pause measuring
+   * @param {boolean} active
+   */
+  setActive(active) {
+    this.active = active;
+    this.node?.port.postMessage({ type: 'active', active });
+  }
+
+  /**
+   * Forget everything measured so far
+   */
+  reset() {
+    this.segments = [];
+    this.momentaryBlocks = [];
+    this.shortTermBlocks = [];
+    this.peak = 0;
+    this.notify();
+  }
+
+  handleSegment({ power, peak }) {
+    const segments = this.segments;
+    segments.push(power);
+    if (segments.length >= MOMENTARY_SEGMENTS) {
+      this.momentaryBlocks.push(mean(segments.slice(-MOMENTARY_SEGMENTS)));
+    }
+    if (segments.length >= SHORT_TERM_SEGMENTS) {
+      this.shortTermBlocks.push(mean(segments.slice(-SHORT_TERM_SEGMENTS)));
+    }
+    if (peak > this.peak) this.peak = peak;
+    this.notify();
+  }
+
+  /**
+   * Current values (see the reading layout above)
+   * @returns {Object}
+   */
+  getReading() {
+    const lastBlock = (blocks) =>
+      blocks.length ? powerToLufs(blocks[blocks.length - 1]) : -Infinity;
+    return {
+      momentary: lastBlock(this.momentaryBlocks),
+      shortTerm: lastBlock(this.shortTermBlocks),
+      integrated: gatedLoudness(this.momentaryBlocks),
+      lra: loudnessRange(this.shortTermBlocks),
+      truePeakDb: linearToDb(this.peak),
+      duration: this.segments.length * BLOCK_STEP_SEC,
+    };
+  }
+
+  notify() {
+    if (!this.listeners.size) return;
+    const reading = this.getReading();
+    this.listeners.forEach((listener) => listener(reading));
+  }
+
+  /**
+   * Listen for new readings (one per 100 ms while active)
+   * @param {Function} listener - Called with each reading
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Stop metering and disconnect from the source
+   */
+  detach() {
+    try {
+      this.node?.port.postMessage({ type: 'stop' });
+      this.source?.disconnect(this.node);
+      this.node?.disconnect();
+    } catch {}
+    this.listeners.clear();
+    this.audioContext = null;
+    this.source = null;
+    this.node = null;
+  }
+}
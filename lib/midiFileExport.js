@@ -2,9 +2,57 @@
 /**
  * MIDI File Export Utility
  * Converts MIDI note data to standard MIDI file format
+ *
+ * - exportToMIDIFile: one beat-based note list as a Format 0 file
+ * - exportArrangementToMIDIFile: MIDI tracks of a multitrack project as a
+ *   Format 1 file (conductor track + one track per MIDI track). Track notes
+ *   are in timeline seconds and are placed with the project tempo map.
  */
 
 import { DEFAULT_PPQ, DEFAULT_TEMPO } from './midiTimeUtils';
+import {
+  createTempoMap,
+  normalizeTempoMap,
+  getMeterSegments,
+  beatToSeconds,
+  secondsToBeat,
+} from './tempoMap';
+
+// Tempo ramps are written as a tempo change every 16th note
+const RAMP_STEP_BEATS = 0.25;
+
+const DRUM_CHANNEL = 9; // Channel 10 in 1-based numbering
+
+// General MIDI programs for the WebAudioInstruments instruments
+const INSTRUMENT_PROGRAMS = {
+  piano: 0, // Acoustic Grand Piano
+  organ: 19, // Church Organ
+  reedorgan: 20, // Reed Organ
+  strings: 48, // String Ensemble 1
+  brass: 61, // Brass Section
+  theremin: 80, // Lead 1 (square)
+  wuulf: 89, // Pad 2 (warm)
+  wuulf2: 89,
+};
+
+const SYNTH_PRESET_PROGRAMS = {
+  default: 80, // Lead 1 (square)
+  bass: 38, // Synth Bass 1
+  lead: 81, // Lead 2 (sawtooth)
+  pad: 88, // Pad 1 (new age)
+  pluck: 24, // Acoustic Guitar (nylon)
+};
+
+// The Drum Kit plays by pitch class; export those keys as GM percussion
+const DRUM_KIT_GM_NOTES = {
+  0: 36, // Kick
+  2: 38, // Snare
+  4: 42, // Closed hi-hat
+  5: 46, // Open hi-hat
+  7: 49, // Crash
+  9: 51, // Ride
+  11: 45, // Low tom
+};
 
 /**
  * Convert notes to MIDI file and trigger download
@@ -16,8 +64,24 @@ import { DEFAULT_PPQ, DEFAULT_TEMPO } from './midiTimeUtils';
 export function exportToMIDIFile(notes, tempo = DEFAULT_TEMPO, filename = 'midi-export.mid') {
   // Create MIDI file data
   const midiData = createMIDIFile(notes, tempo);
+  downloadMIDIData(midiData, filename);
+}
 
-  // Create blob and download
+/**
+ * Export all MIDI tracks of a multitrack project and trigger download
+ * @param {Array} tracks - Multitrack tracks (non-MIDI tracks are skipped)
+ * @param {Object} options - See createArrangementMIDIFile
+ * @param {string} filename - Desired filename
+ */
+export function exportArrangementToMIDIFile(tracks, options = {}, filename = 'arrangement.mid') {
+  const midiData = createArrangementMIDIFile(tracks, options);
+  downloadMIDIData(midiData, filename);
+}
+
+/**
+ * Trigger a download of MIDI file bytes
+ */
+function downloadMIDIData(midiData, filename) {
   const blob = new Blob([midiData], { type: 'audio/midi' });
   const url = URL.createObjectURL(blob);
 
@@ -55,7 +119,7 @@ function createMIDIFile(notes, tempo) {
 /**
  * Create MIDI header chunk
  */
-function createMIDIHeader(ppq) {
+function createMIDIHeader(ppq, format = 0, trackCount = 1) {
   const header = new Uint8Array(14);
 
   // "MThd" chunk identifier
@@ -70,13 +134,13 @@ function createMIDIHeader(ppq) {
   header[6] = 0x00;
   header[7] = 0x06;
 
-  // Format type (0 = single track)
+  // Format type (0 = single track, 1 = simultaneous tracks)
   header[8] = 0x00;
-  header[9] = 0x00;
+  header[9] = format & 0xFF;
 
-  // Number of tracks (1)
-  header[10] = 0x00;
-  header[11] = 0x01;
+  // Number of tracks
+  header[10] = (trackCount >> 8) & 0xFF;
+  header[11] = trackCount & 0xFF;
 
   // Ticks per quarter note
   header[12] = (ppq >> 8) & 0xFF;
@@ -97,7 +161,7 @@ function createMIDITrack(notes, tempo, ppq) {
 
   // Convert notes to MIDI events
   notes.forEach(note => {
-    const noteOn = createNoteOnEvent(note.note, note.velocity || 100);
+    const noteOn = createNoteOnEvent(note.note, toMIDIVelocity(note.velocity));
     const noteOff = createNoteOffEvent(note.note);
 
     // Convert beat times to ticks
@@ -111,6 +175,13 @@ function createMIDITrack(notes, tempo, ppq) {
   // Sort events by time
   events.sort((a, b) => a.time - b.time);
 
+  return createTrackChunk(events);
+}
+
+/**
+ * Create an MTrk chunk from time-sorted events ({ time in ticks, data })
+ */
+function createTrackChunk(events) {
   // Add end of track marker
   const lastEventTime = events.length > 0 ? events[events.length - 1].time : 0;
   events.push({ time: lastEventTime + 1, data: new Uint8Array([0xFF, 0x2F, 0x00]) });
@@ -149,6 +220,197 @@ function createMIDITrack(notes, tempo, ppq) {
   return track;
 }
 
+/**
+ * Create a Format 1 MIDI file from the MIDI tracks of a multitrack project.
+ * Track 0 carries the project name and the tempo/meter map; every MIDI
+ * track follows with its name, program, volume and pan.
+ *
+ * @param {Array} tracks - Multitrack tracks (non-MIDI tracks are skipped)
+ * @param {Object} options
+ * @param {string} options.name - Sequence name for the conductor track
+ * @param {Object} options.tempoMap - Project tempo map (default: constant
+ *   tempo of the first MIDI track in 4/4)
+ * @returns {Uint8Array} MIDI file bytes
+ */
+export function createArrangementMIDIFile(tracks, options = {}) {
+  const ppq = DEFAULT_PPQ;
+  const midiTracks = (tracks || []).filter((t) => t.type === 'midi');
+  if (midiTracks.length === 0) {
+    throw new Error('No MIDI tracks to export');
+  }
+
+  const tempoMap = options.tempoMap
+    ? normalizeTempoMap(options.tempoMap)
+    : createTempoMap(Number(midiTracks[0].midiData?.tempo) || DEFAULT_TEMPO);
+
+  const chunks = [
+    createTrackChunk(createConductorEvents(tempoMap, options.name, ppq)),
+  ];
+
+  // Melodic parts take channels 1-9 and 11-16, drums use channel 10
+  let nextChannel = 0;
+  midiTracks.forEach((track) => {
+    const instrument = track.midiData?.instrument;
+    const isDrums = instrument?.type === 'drums';
+    let channel = DRUM_CHANNEL;
+    if (!isDrums) {
+      channel = nextChannel;
+      nextChannel = (nextChannel + 1) % 16;
+      if (nextChannel === DRUM_CHANNEL) nextChannel += 1;
+    }
+
+    chunks.push(createTrackChunk(createPartEvents(track, {
+      channel,
+      isDrums,
+      ppq,
+      tempoMap,
+    })));
+  });
+
+  const header = createMIDIHeader(ppq, 1, chunks.length);
+  const size = chunks.reduce((sum, c) => sum + c.length, header.length);
+  const midiFile = new Uint8Array(size);
+  midiFile.set(header, 0);
+  let offset = header.length;
+  chunks.forEach((chunk) => {
+    midiFile.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return midiFile;
+}
+
+/**
+ * Conductor track events: sequence name, meter changes and tempo changes.
+ * SMF tempo is stepwise, so ramps become a run of short constant steps whose
+ * tempo matches the ramp's duration over each step.
+ */
+function createConductorEvents(tempoMap, name, ppq) {
+  const toTick = (beat) => Math.round(beat * ppq);
+  const events = [
+    { time: 0, data: createTextEvent(0x03, name || 'Arrangement') },
+  ];
+
+  getMeterSegments(tempoMap).forEach((meter) => {
+    events.push({ time: toTick(meter.beat), data: createTimeSignatureEvent(meter) });
+  });
+
+  tempoMap.tempos.forEach((point, i) => {
+    const next = tempoMap.tempos[i + 1];
+    if (!point.ramp || !next) {
+      events.push({ time: toTick(point.beat), data: createTempoEvent(point.bpm) });
+      return;
+    }
+    for (let beat = point.beat; beat < next.beat - 1e-9; beat += RAMP_STEP_BEATS) {
+      const stepEnd = Math.min(beat + RAMP_STEP_BEATS, next.beat);
+      const stepSeconds = beatToSeconds(tempoMap, stepEnd) - beatToSeconds(tempoMap, beat);
+      events.push({
+        time: toTick(beat),
+        data: createTempoEvent(((stepEnd - beat) * 60) / stepSeconds),
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Events for one exported MIDI track, sorted by time
+ */
+function createPartEvents(track, { channel, isDrums, ppq, tempoMap }) {
+  const volume = Math.round(Math.max(0, Math.min(1, track.volume ?? 1)) * 127);
+  const pan = Math.round(((Math.max(-1, Math.min(1, track.pan || 0)) + 1) / 2) * 127);
+
+  // Setup events come first, then note offs before note ons at the same tick
+  const events = [
+    { time: 0, order: 0, data: createTextEvent(0x03, track.name || 'MIDI Track') },
+    { time: 0, order: 0, data: createControlChangeEvent(channel, 7, volume) },
+    { time: 0, order: 0, data: createControlChangeEvent(channel, 10, pan) },
+  ];
+  if (!isDrums) {
+    events.push({
+      time: 0,
+      order: 0,
+      data: createProgramChangeEvent(channel, getInstrumentProgram(track.midiData?.instrument)),
+    });
+  }
+
+  (track.midiData?.notes || []).forEach((note) => {
+    let pitch = note.note;
+    if (isDrums) {
+      pitch = DRUM_KIT_GM_NOTES[note.note % 12];
+      if (pitch === undefined) return; // Key not played by the kit
+    }
+
+    const toTick = (seconds) => Math.round(secondsToBeat(tempoMap, seconds) * ppq);
+    const onTick = Math.max(0, toTick(note.startTime));
+    const offTick = Math.max(onTick + 1, toTick(note.startTime + note.duration));
+    events.push({
+      time: onTick,
+      order: 2,
+      data: createNoteOnEvent(pitch, toMIDIVelocity(note.velocity), channel),
+    });
+    events.push({ time: offTick, order: 1, data: createNoteOffEvent(pitch, channel) });
+  });
+
+  return events.sort((a, b) => a.time - b.time || a.order - b.order);
+}
+
+/**
+ * General MIDI program for a WebAudioInstruments instrument
+ */
+function getInstrumentProgram(instrument) {
+  if (instrument?.type === 'synth') {
+    return SYNTH_PRESET_PROGRAMS[instrument.preset] ?? SYNTH_PRESET_PROGRAMS.default;
+  }
+  return INSTRUMENT_PROGRAMS[instrument?.type] ?? SYNTH_PRESET_PROGRAMS.default;
+}
+
+/**
+ * Note velocities are stored 0-1; older data may hold raw MIDI values
+ */
+function toMIDIVelocity(velocity) {
+  const v = Number(velocity);
+  if (!Number.isFinite(v) || v <= 0) return 100;
+  const midi = v <= 1 ? v * 127 : v;
+  return Math.max(1, Math.min(127, Math.round(midi)));
+}
+
+/**
+ * Create text meta event (0x03 = track name)
+ */
+function createTextEvent(type, text) {
+  const bytes = new TextEncoder().encode(text);
+  return new Uint8Array([0xFF, type, ...encodeVariableLength(bytes.length), ...bytes]);
+}
+
+/**
+ * Create time signature meta event
+ */
+function createTimeSignatureEvent({ numerator, denominator }) {
+  return new Uint8Array([
+    0xFF, 0x58, 0x04,
+    numerator & 0xFF,
+    Math.round(Math.log2(denominator)) & 0xFF,
+    24, // MIDI clocks per metronome click
+    8 // 32nd notes per quarter note
+  ]);
+}
+
+/**
+ * Create control change event
+ */
+function createControlChangeEvent(channel, controller, value) {
+  return new Uint8Array([0xB0 | (channel & 0x0F), controller & 0x7F, value & 0x7F]);
+}
+
+/**
+ * Create program change event
+ */
+function createProgramChangeEvent(channel, program) {
+  return new Uint8Array([0xC0 | (channel & 0x0F), program & 0x7F]);
+}
+
 /**
  * Create tempo meta event
  */
@@ -166,9 +428,9 @@ function createTempoEvent(bpm) {
 /**
  * Create note on event
  */
-function createNoteOnEvent(note, velocity) {
+function createNoteOnEvent(note, velocity, channel = 0) {
   return new Uint8Array([
-    0x90, // Note on, channel 0
+    0x90 | (channel & 0x0F), // Note on
     note & 0x7F,
     velocity & 0x7F
   ]);
@@ -177,9 +439,9 @@ function createNoteOnEvent(note, velocity) {
 /**
  * Create note off event
  */
-function createNoteOffEvent(note) {
+function createNoteOffEvent(note, channel = 0) {
   return new Uint8Array([
-    0x80, // Note off, channel 0
+    0x80 | (channel & 0x0F), // Note off
     note & 0x7F,
     0x40 // Release velocity
   ]);
@@ -0,0 +1,503 @@
+// lib/midiFileImport.js
+/**
+ * MIDI File Import Utility
+ * Parses Standard MIDI Files (Format 0 and 1) and converts them into
+ * MIDI track data for the multitrack editor.
+ *
+ * Each SMF track with notes becomes one DAW track (Format 0 files, which hold
+ * every part in a single track, are split by channel instead). Note times are
+ * stored in timeline seconds like recorded and drawn notes, following the
+ * file's tempo changes. The file's tempo and time signatures are returned as
+ * a project tempo map (see lib/tempoMap.js).
+ */
+
+import { DEFAULT_PPQ, DEFAULT_TEMPO, ticksToBeats } from './midiTimeUtils';
+import { beatToSeconds, beatsPerBar, normalizeTempoMap } from './tempoMap';
+
+export const MIDI_FILE_EXTENSIONS = ['.mid', '.midi', '.smf'];
+
+const DRUM_CHANNEL = 9; // Channel 10 in 1-based numbering
+
+// General MIDI program families -> InstrumentSelector instruments
+const GM_INSTRUMENTS = [
+  {
+    maxProgram: 7,
+    instrument: { id: 'piano', type: 'piano', preset: null, name: 'Piano' },
+  },
+  {
+    maxProgram: 15,
+    instrument: {
+      id: 'synth-pluck',
+      type: 'synth',
+      preset: 'pluck',
+      name: 'Pluck Synth',
+    },
+  },
+  {
+    maxProgram: 19,
+    instrument: {
+      id: 'organ',
+      type: 'organ',
+      preset: null,
+      name: 'Pipe Organ',
+    },
+  },
+  {
+    maxProgram: 23,
+    instrument: {
+      id: 'reedorgan',
+      type: 'reedorgan',
+      preset: null,
+      name: 'Reed Organ',
+    },
+  },
+  {
+    maxProgram: 31,
+    instrument: {
+      id: 'synth-pluck',
+      type: 'synth',
+      preset: 'pluck',
+      name: 'Pluck Synth',
+    },
+  },
+  {
+    maxProgram: 39,
+    instrument: {
+      id: 'synth-bass',
+      type: 'synth',
+      preset: 'bass',
+      name: 'Bass Synth',
+    },
+  },
+  {
+    maxProgram: 55,
+    instrument: {
+      id: 'synth-pad',
+      type: 'synth',
+      preset: 'pad',
+      name: 'Pad Synth',
+    },
+  },
+  {
+    maxProgram: 87,
+    instrument: {
+      id: 'synth-lead',
+      type: 'synth',
+      preset: 'lead',
+      name: 'Lead Synth',
+    },
+  },
+  {
+    maxProgram: 95,
+    instrument: {
+      id: 'synth-pad',
+      type: 'synth',
+      preset: 'pad',
+      name: 'Pad Synth',
+    },
+  },
+  {
+    maxProgram: 127,
+    instrument: {
+      id: 'synth-default',
+      type: 'synth',
+      preset: 'default',
+      name: 'Basic Synth',
+    },
+  },
+];
+
+const DRUM_KIT = { id: 'drums', type: 'drums', preset: null, name: 'Drum Kit' };
+
+// The Drum Kit instrument picks sounds by pitch class (C kick, D snare,
+// E closed hat, F open hat, G crash, A ride, B tom), so General MIDI
+// percussion notes are moved onto those keys in octave 2
+const GM_DRUM_NOTES = Object.fromEntries(
+  [
+    { key: 36, notes: [35, 36] }, // Kicks
+    { key: 38, notes: [37, 38, 39, 40] }, // Snares, side stick, clap
+    { key: 40, notes: [42, 44] }, // Closed / pedal hi-hat
+    { key: 41, notes: [46] }, // Open hi-hat
+    { key: 43, notes: [49, 52, 55, 57] }, // Crashes, china, splash
+    { key: 45, notes: [51, 53, 59] }, // Rides, ride bell
+    { key: 47, notes: [41, 43, 45, 47, 48, 50] }, // Toms
+  ].flatMap(({ key, notes }) => notes.map((note) => [note, key])),
+);
+
+const TRACK_COLORS = [
+  '#7bafd4',
+  '#d4a57b',
+  '#8fd47b',
+  '#c97bd4',
+  '#d47b8f',
+  '#7bd4c4',
+];
+
+/**
+ * Whether a dropped/selected file looks like a Standard MIDI File
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isMIDIFile(file) {
+  if (!file) return false;
+  const name = (file.name || '').toLowerCase();
+  return (
+    ['audio/midi', 'audio/mid', 'audio/x-midi'].includes(file.type) ||
+    MIDI_FILE_EXTENSIONS.some((ext) => name.endsWith(ext))
+  );
+}
+
+/**
+ * Sequential reader over the file bytes
+ */
+class ByteReader {
+  constructor(bytes, start = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.pos = start;
+    this.end = end;
+  }
+
+  ensure(count) {
+    if (this.pos + count > this.end) {
+      throw new Error('MIDI file ended unexpectedly');
+    }
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.bytes[this.pos++];
+  }
+
+  uint16() {
+    return (this.uint8() << 8) | this.uint8();
+  }
+
+  uint32() {
+    return ((this.uint16() << 16) >>> 0) + this.uint16();
+  }
+
+  ascii(length) {
+    this.ensure(length);
+    let s = '';
+    for (let i = 0; i < length; i++) {
+      s += String.fromCharCode(this.bytes[this.pos++]);
+    }
+    return s;
+  }
+
+  text(length) {
+    this.ensure(length);
+    const slice = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    // Names are usually UTF-8 (or plain ASCII); older files may be Latin-1
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(slice);
+    } catch {
+      text = new TextDecoder('latin1').decode(slice);
+    }
+    return text.replace(/\0+$/, '').trim();
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.pos += length;
+  }
+
+  /**
+   * Variable-length quantity (MIDI delta times and meta lengths)
+   */
+  varLength() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Invalid variable-length value in MIDI file');
+  }
+}
+
+/**
+ * Read one MTrk chunk into notes and meta events (times in ticks)
+ */
+function parseTrackChunk(reader) {
+  const track = {
+    name: null,
+    instrumentName: null,
+    notes: [],
+    programs: new Map(), // channel -> first program
+    tempos: [],
+    timeSignatures: [],
+    endTick: 0,
+  };
+  const openNotes = new Map(); // `${channel}:${note}` -> [{ tick, velocity }]
+  let tick = 0;
+  let runningStatus = null;
+
+  const noteOff = (channel, note) => {
+    const key = `${channel}:${note}`;
+    const stack = openNotes.get(key);
+    if (!stack || stack.length === 0) return;
+    const start = stack.shift();
+    track.notes.push({
+      channel,
+      note,
+      velocity: start.velocity,
+      startTick: start.tick,
+      endTick: tick,
+    });
+  };
+
+  while (reader.pos < reader.end) {
+    tick += reader.varLength();
+    let status = reader.uint8();
+
+    if (status === 0xff) {
+      const type = reader.uint8();
+      const length = reader.varLength();
+      if (type === 0x2f) break; // End of track
+      if (type === 0x03 && track.name === null) {
+        track.name = reader.text(length);
+      } else if (type === 0x04 && track.instrumentName === null) {
+        track.instrumentName = reader.text(length);
+      } else if (type === 0x51 && length === 3) {
+        const usPerQuarter =
+          (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8();
+        track.tempos.push({ tick, bpm: 60000000 / usPerQuarter });
+      } else if (type === 0x58 && length >= 2) {
+        const numerator = reader.uint8();
+        const denominator = Math.pow(2, reader.uint8());
+        reader.skip(length - 2);
+        track.timeSignatures.push({ tick, numerator, denominator });
+      } else {
+        reader.skip(length);
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      reader.skip(reader.varLength()); // SysEx
+      runningStatus = null;
+      continue;
+    }
+
+    // Channel message, possibly using running status
+    let firstData;
+    if (status < 0x80) {
+      if (runningStatus === null) {
+        throw new Error('Malformed MIDI track (data byte without status)');
+      }
+      firstData = status;
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+      firstData = reader.uint8();
+    }
+
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+
+    if (type === 0xc0 || type === 0xd0) {
+      // Program change / channel pressure: one data byte
+      if (type === 0xc0 && !track.programs.has(channel)) {
+        track.programs.set(channel, firstData);
+      }
+      continue;
+    }
+
+    const secondData = reader.uint8();
+    if (type === 0x90 && secondData > 0) {
+      const key = `${channel}:${firstData}`;
+      if (!openNotes.has(key)) openNotes.set(key, []);
+      openNotes.get(key).push({ tick, velocity: secondData });
+    } else if (type === 0x80 || type === 0x90) {
+      noteOff(channel, firstData);
+    }
+    // Aftertouch, controllers and pitch bend are not imported
+  }
+
+  // Close notes left hanging at the end of the track
+  track.endTick = tick;
+  openNotes.forEach((stack, key) => {
+    const [channel, note] = key.split(':').map(Number);
+    while (stack.length > 0) noteOff(channel, note);
+  });
+
+  return track;
+}
+
+/**
+ * Parse a Standard MIDI File
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Object} { format, ppq, tempos, timeSignatures, tracks } with times in ticks
+ */
+export function parseMIDIFile(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const reader = new ByteReader(bytes);
+
+  if (bytes.length < 14 || reader.ascii(4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File');
+  }
+  const headerLength = reader.uint32();
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.skip(Math.max(0, headerLength - 6));
+
+  if (format > 1) {
+    throw new Error(
+      `MIDI format ${format} files are not supported (use format 0 or 1)`,
+    );
+  }
+  if (division & 0x8000) {
+    throw new Error('SMPTE-timed MIDI files are not supported');
+  }
+  const ppq = division || DEFAULT_PPQ;
+
+  const tracks = [];
+  while (reader.pos + 8 <= bytes.length && tracks.length < trackCount) {
+    const chunkType = reader.ascii(4);
+    const chunkLength = reader.uint32();
+    const chunkEnd = Math.min(bytes.length, reader.pos + chunkLength);
+    if (chunkType === 'MTrk') {
+      tracks.push(parseTrackChunk(new ByteReader(bytes, reader.pos, chunkEnd)));
+    }
+    reader.pos = chunkEnd;
+  }
+
+  // In format 1 the tempo map usually lives in the first (conductor) track
+  const byTick = (a, b) => a.tick - b.tick;
+  const tempos = tracks.flatMap((t) => t.tempos).sort(byTick);
+  const timeSignatures = tracks.flatMap((t) => t.timeSignatures).sort(byTick);
+
+  return { format, ppq, tempos, timeSignatures, tracks };
+}
+
+/**
+ * Build a project tempo map from a parsed file's tempo and time signature
+ * events. Meter changes are moved to the bar line they fall in.
+ * @param {Object} parsed - Result of parseMIDIFile
+ * @returns {Object} Tempo map
+ */
+export function midiFileToTempoMap(parsed) {
+  const { ppq, tempos, timeSignatures } = parsed;
+
+  // SMF tempo is 120 BPM until the first tempo event
+  const tempoPoints = tempos.map((t) => ({
+    beat: ticksToBeats(t.tick, ppq),
+    bpm: t.bpm,
+  }));
+  if (!tempoPoints.some((t) => t.beat === 0)) {
+    tempoPoints.unshift({ beat: 0, bpm: DEFAULT_TEMPO });
+  }
+
+  const meters = [];
+  let bar = 1;
+  let barStartBeat = 0;
+  let current = { numerator: 4, denominator: 4 };
+  timeSignatures.forEach((ts) => {
+    const beat = ticksToBeats(ts.tick, ppq);
+    bar += Math.round((beat - barStartBeat) / beatsPerBar(current));
+    barStartBeat = beat;
+    current = { numerator: ts.numerator, denominator: ts.denominator };
+    meters.push({ bar, ...current });
+  });
+
+  return normalizeTempoMap({ tempos: tempoPoints, meters });
+}
+
+function instrumentForProgram(program) {
+  const entry = GM_INSTRUMENTS.find((g) => (program ?? 0) <= g.maxProgram);
+  return { ...(entry || GM_INSTRUMENTS[0]).instrument };
+}
+
+/**
+ * Convert a parsed MIDI file into track data for MultitrackContext.addTrack
+ * @param {Object} parsed - Result of parseMIDIFile
+ * @param {Object} options
+ * @param {string} options.fileName - Used to name tracks without a name
+ * @returns {Array} Track data objects ({ type: 'midi', name, color, midiData })
+ */
+export function midiFileToTracks(parsed, options = {}) {
+  const { fileName = 'MIDI' } = options;
+  const baseName = fileName.replace(/\.(mid|midi|smf)$/i, '');
+  const { ppq } = parsed;
+  const tempoMap = midiFileToTempoMap(parsed);
+  const toSeconds = (tick) => beatToSeconds(tempoMap, ticksToBeats(tick, ppq));
+
+  // Format 0 keeps every part in one track, so split it by channel
+  const parts = [];
+  parsed.tracks.forEach((track) => {
+    if (track.notes.length === 0) return;
+    const channels = [...new Set(track.notes.map((n) => n.channel))].sort(
+      (a, b) => a - b,
+    );
+    if (parsed.format === 0 && channels.length > 1) {
+      channels.forEach((channel) => {
+        parts.push({
+          track,
+          channel,
+          notes: track.notes.filter((n) => n.channel === channel),
+          splitByChannel: true,
+        });
+      });
+    } else {
+      parts.push({ track, channel: channels[0], notes: track.notes });
+    }
+  });
+
+  const idBase = Date.now();
+  return parts.map(({ track, channel, notes, splitByChannel }, index) => {
+    const isDrums = channel === DRUM_CHANNEL;
+    const name = splitByChannel
+      ? `${track.name || baseName} (Ch ${channel + 1})`
+      : track.name ||
+        track.instrumentName ||
+        (parts.length > 1 ? `${baseName} ${index + 1}` : baseName);
+
+    const trackNotes = notes
+      .map((n, i) => {
+        const startTime = toSeconds(n.startTick);
+        const endTime = toSeconds(Math.max(n.endTick, n.startTick + 1));
+        return {
+          id: `note-${idBase}-${index}-${i}`,
+          note: isDrums ? (GM_DRUM_NOTES[n.note] ?? n.note) : n.note,
+          velocity: n.velocity / 127,
+          startTime,
+          duration: endTime - startTime,
+        };
+      })
+      .sort((a, b) => a.startTime - b.startTime);
+
+    return {
+      type: 'midi',
+      name,
+      color: TRACK_COLORS[index % TRACK_COLORS.length],
+      clips: [],
+      midiData: {
+        notes: trackNotes,
+        tempo: tempoMap.tempos[0].bpm,
+        ppq,
+        instrument: isDrums
+          ? { ...DRUM_KIT }
+          : instrumentForProgram(track.programs.get(channel)),
+      },
+    };
+  });
+}
+
+/**
+ * Read a MIDI file selected or dropped by the user
+ * @param {File} file
+ * @returns {Promise<{ tracks: Array, tempoMap: Object }>} Track data objects
+ *   (see midiFileToTracks) and the file's tempo map
+ */
+export async function readMIDIFile(file) {
+  const parsed = parseMIDIFile(await file.arrayBuffer());
+  const tracks = midiFileToTracks(parsed, { fileName: file.name });
+  if (tracks.length === 0) {
+    throw new Error('MIDI file contains no notes');
+  }
+  return { tracks, tempoMap: midiFileToTempoMap(parsed) };
+}
@@ -4,6 +4,9 @@
  * Single source of truth for beat ↔ second ↔ pixel conversions
  * Ensures consistent timing across scheduler, renderer, and playhead
  *
+ * These helpers assume one constant tempo. Project-level conversions that
+ * follow tempo and meter changes live in lib/tempoMap.js.
+ *
  * ## Edge Cases & Testing Considerations
  *
  * ### Zero and Negative Values
@@ -0,0 +1,135 @@
+// lib/mixRouting.js
+/**
+ * Multitrack Mix Routing
+ * Shared rules for aux buses, group tracks and sends, used by the live
+ * MixerRouter and the offline mixdown so both build the same signal flow.
+ *
+ * Track fields:
+ *   type: 'bus'   - aux return; fed by sends from other tracks
+ *   type: 'group' - submix; other tracks route their output into it
+ *   outputId      - id of a group track to feed instead of the master (null = master)
+ *   sends         - [{ busId, level (0-1), preFader }] for audio/MIDI tracks
+ *
+ * Buses and groups may themselves route into a group. Routing that would
+ * form a loop, or that points at a missing track, falls back to the master.
+ */
+
+export const MIX_BUS_TYPES = ['bus', 'group'];
+
+/**
+ * Whether a track is a bus or group (no clips of its own)
+ */
+export function isMixBusTrack(track) {
+  return MIX_BUS_TYPES.includes(track?.type);
+}
+
+/**
+ * Whether a track can carry sends (only sources send, buses return)
+ */
+export function canTrackSend(track) {
+  return !!track && !isMixBusTrack(track);
+}
+
+function indexTracks(tracks) {
+  return tracks instanceof Map
+    ? tracks
+    : new Map((tracks || []).map((t) => [t.id, t]));
+}
+
+/**
+ * Resolve the group a track outputs into
+ * @param {Object} track
+ * @param {Array|Map} tracks - All tracks (or id -> track map)
+ * @returns {*} Group track id, or null for the master
+ */
+export function resolveOutputTarget(track, tracks) {
+  const byId = indexTracks(tracks);
+  const target = byId.get(track?.outputId);
+  if (!target || target.type !== 'group' || target.id === track.id) {
+    return null;
+  }
+
+  // Walk up from the target; reaching the track again means a loop
+  const visited = new Set([track.id]);
+  let current = target;
+  while (current) {
+    if (visited.has(current.id)) return null;
+    visited.add(current.id);
+    const next = byId.get(current.outputId);
+    current = next && next.type === 'group' ? next : null;
+  }
+  return target.id;
+}
+
+/**
+ * Groups a track may output into without creating a loop
+ * @param {Object} track
+ * @param {Array} tracks
+ * @returns {Array} Group tracks
+ */
+export function getOutputOptions(track, tracks) {
+  const byId = indexTracks(tracks);
+  return (tracks || []).filter((t) => {
+    if (t.type !== 'group' || t.id === track.id) return false;
+    // Following the group's own output must never lead back to the track
+    const visited = new Set();
+    let current = t;
+    while (current && !visited.has(current.id)) {
+      if (current.id === track.id) return false;
+      visited.add(current.id);
+      current = byId.get(current.outputId);
+    }
+    return true;
+  });
+}
+
+/**
+ * A track's sends that point at existing buses
+ * @param {Object} track
+ * @param {Array|Map} tracks
+ * @returns {Array} [{ busId, level, preFader }]
+ */
+export function getActiveSends(track, tracks) {
+  if (!canTrackSend(track) || !Array.isArray(track.sends)) return [];
+  const byId = indexTracks(tracks);
+  return track.sends.filter(
+    (send) => byId.get(send.busId)?.type === 'bus' && Number(send.level) > 0,
+  );
+}
+
+/**
+ * Order buses/groups so every strip comes after all strips feeding it
+ * @param {Array} busTracks - Bus and group tracks
+ * @returns {Array} Upstream-first order
+ */
+export function orderStripsUpstreamFirst(busTracks) {
+  const byId = indexTracks(busTracks);
+  const depth = (track) => {
+    let d = 0;
+    let targetId = resolveOutputTarget(track, byId);
+    while (targetId != null && d <= byId.size) {
+      d += 1;
+      targetId = resolveOutputTarget(byId.get(targetId), byId);
+    }
+    return d;
+  };
+  return [...busTracks].sort((a, b) => depth(b) - depth(a));
+}
+
+/**
+ * Strip references to a deleted bus/group from the remaining tracks
+ * @param {Array} tracks - Tracks without the removed one
+ * @param {*} removedId
+ * @returns {Array}
+ */
+export function detachRouting(tracks, removedId) {
+  return tracks.map((t) => {
+    const sendsToRemoved = (t.sends || []).some((s) => s.busId === removedId);
+    if (t.outputId !== removedId && !sendsToRemoved) return t;
+    return {
+      ...t,
+      sends: (t.sends || []).filter((s) => s.busId !== removedId),
+      outputId: t.outputId === removedId ? null : t.outputId,
+    };
+  });
+}
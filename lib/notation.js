@@ -0,0 +1,1225 @@
+// lib/notation.js
+/**
+ * Notation layout for read-only score views
+ * Lays out the first part of a `score-partwise` JSON score (as produced by
+ * Flat, lib/flat.js and lib/variations.js) on a single staff, wrapped into
+ * systems that fit a given width. The result is a display list that
+ * components/scoreRenderer.js draws as SVG:
+ *
+ *   {
+ *     width, height,
+ *     systems: [{ y, height, items, measures: [{ index, x, width, lengthQ, columns }] }],
+ *   }
+ *
+ * A measure's columns are [{ onset, x }]: each onset in quarter notes from
+ * the start of the measure, and the x of its noteheads, so that positions
+ * in time can be placed on the staff.
+ *
+ * Items are drawn relative to their system, whose top staff line is at
+ * y = 0:
+ *   { kind: 'line', x1, y1, x2, y2, width, color }
+ *   { kind: 'rect', x, y, width, height, color }
+ *   { kind: 'notehead', x, y, rx, ry, filled, color }
+ *   { kind: 'path', d, color, fill, width }   // fill: filled shape, else stroked
+ *   { kind: 'text', x, y, text, size, color, anchor, music, bold }
+ *
+ * Supported: clefs, key and time signatures, notes and chords with
+ * accidentals, dots, stems, flags and beams, rests, ties, barlines, chord
+ * symbols and note colors ($color, as set by colorMeasures). Voices other
+ * than the first get stems down. Grace notes, lyrics, dynamics and other
+ * directions are not drawn.
+ */
+
+const STEP_INDEX = { C: 0, D: 1, E: 2, F: 3, G: 4, A: 5, B: 6 };
+
+const TYPE_QUARTERS = {
+  breve: 8,
+  whole: 4,
+  half: 2,
+  quarter: 1,
+  eighth: 0.5,
+  '16th': 0.25,
+  '32nd': 0.125,
+  '64th': 0.0625,
+};
+
+const FLAG_COUNT = { eighth: 1, '16th': 2, '32nd': 3, '64th': 4 };
+
+const SHARP_ORDER = 'FCGDAEB';
+const FLAT_ORDER = 'BEADGCF';
+// Treble clef staff positions of the key signature accidentals
+const SHARP_POSITIONS = [38, 35, 39, 36, 33, 37, 34];
+const FLAT_POSITIONS = [34, 37, 33, 36, 32, 35, 31];
+
+const ACCIDENTAL_GLYPHS = {
+  sharp: '♯',
+  flat: '♭',
+  natural: '♮',
+  'double-sharp': '𝄪',
+  'sharp-sharp': '𝄪',
+  'flat-flat': '𝄫',
+  'double-flat': '𝄫',
+};
+const ALTER_ACCIDENTALS = {
+  '-2': 'flat-flat',
+  '-1': 'flat',
+  0: 'natural',
+  1: 'sharp',
+  2: 'double-sharp',
+};
+
+const CLEF_GLYPHS = {
+  G: '𝄞',
+  F: '𝄢',
+  C: '𝄡',
+};
+
+const KIND_SUFFIXES = {
+  major: '',
+  minor: 'm',
+  augmented: '+',
+  diminished: '°',
+  dominant: '7',
+  'major-seventh': 'maj7',
+  'minor-seventh': 'm7',
+  'diminished-seventh': '°7',
+  'augmented-seventh': '+7',
+  'half-diminished': 'ø7',
+  'major-minor': 'm(maj7)',
+  'major-sixth': '6',
+  'minor-sixth': 'm6',
+  'dominant-ninth': '9',
+  'major-ninth': 'maj9',
+  'minor-ninth': 'm9',
+  'dominant-11th': '11',
+  'major-11th': 'maj11',
+  'minor-11th': 'm11',
+  'dominant-13th': '13',
+  'major-13th': 'maj13',
+  'minor-13th': 'm13',
+  'suspended-second': 'sus2',
+  'suspended-fourth': 'sus4',
+  power: '5',
+  none: 'N.C.',
+};
+
+const BLACK = '#000000';
+const EPSILON = 1e-6;
+
+const asArray = (value) =>
+  value === undefined || value === null ? [] : [].concat(value);
+const contentOf = (value) =>
+  value && typeof value === 'object' ? value.content : value;
+
+// ========== Reading ==========
+
+/**
+ * Staff position of a clef's bottom line, in diatonic steps from C0
+ * @param {Object} clef - MusicXML clef ({ sign, line, clef-octave-change })
+ * @returns {number}
+ */
+export function clefBottomLine(clef) {
+  const sign = clef?.sign;
+  const octaveChange = parseInt(clef?.['clef-octave-change'], 10) || 0;
+  let bottom;
+  if (sign === 'F') {
+    bottom = 24 - 2 * ((parseInt(clef.line, 10) || 4) - 1);
+  } else if (sign === 'C') {
+    bottom = 28 - 2 * ((parseInt(clef.line, 10) || 3) - 1);
+  } else {
+    bottom = 32 - 2 * ((parseInt(clef?.line, 10) || 2) - 1);
+  }
+  return bottom + octaveChange * 7;
+}
+
+/**
+ * Key signature alterations by step
+ * @param {number} fifths
+ * @returns {Object} e.g. { F: 1, C: 1 } for D major
+ */
+export function keyAlters(fifths) {
+  const alters = {};
+  const order = fifths >= 0 ? SHARP_ORDER : FLAT_ORDER;
+  for (let i = 0; i < Math.min(7, Math.abs(fifths)); i++) {
+    alters[order[i]] = fifths >= 0 ? 1 : -1;
+  }
+  return alters;
+}
+
+/**
+ * Note type and dots for a duration
+ * @param {number} quarters
+ * @returns {{ type: string, dots: number }}
+ */
+export function noteTypeFor(quarters) {
+  const types = Object.keys(TYPE_QUARTERS);
+  for (let i = 0; i < types.length; i++) {
+    const base = TYPE_QUARTERS[types[i]];
+    for (let dots = 0; dots <= 2; dots++) {
+      if (Math.abs(base * (2 - 0.5 ** dots) - quarters) < EPSILON) {
+        return { type: types[i], dots };
+      }
+    }
+  }
+  const type = types.find((t) => TYPE_QUARTERS[t] <= quarters) || '64th';
+  return { type, dots: 0 };
+}
+
+/**
+ * Chord symbol text for a MusicXML harmony
+ * @param {Object} harmony
+ * @returns {string}
+ */
+export function chordSymbolText(harmony) {
+  const root = harmony?.root;
+  if (!root) return '';
+  const alterText = (alter) =>
+    ({ 1: '♯', '-1': '♭' })[parseInt(alter, 10)] || '';
+  const kind = harmony.kind;
+  const kindName = contentOf(kind) || 'major';
+  const suffix =
+    kind?.$text !== undefined && kind.$text !== ''
+      ? kind.$text
+      : (KIND_SUFFIXES[kindName] ?? '');
+  const bass = harmony.bass?.['bass-step']
+    ? `/${contentOf(harmony.bass['bass-step'])}${alterText(contentOf(harmony.bass['bass-alter']))}`
+    : '';
+  return `${contentOf(root['root-step'])}${alterText(contentOf(root['root-alter']))}${suffix}${bass}`;
+}
+
+function tieTypes(note) {
+  const ties = [
+    ...asArray(note.tie),
+    ...asArray(note.notations).flatMap((n) => asArray(n?.tied)),
+  ].map((tie) => tie?.$type);
+  return { start: ties.includes('start'), stop: ties.includes('stop') };
+}
+
+function beamState(note) {
+  const beam = asArray(note.beam).find(
+    (b) => String(b?.$number ?? '1') === '1',
+  );
+  return contentOf(beam) || null;
+}
+
+function dotCount(note) {
+  if (note.dot === undefined || note.dot === null) return null;
+  return asArray(note.dot).length;
+}
+
+function barlineStyle(measure, location) {
+  const barline = asArray(measure.barline).find(
+    (b) => (b?.$location || 'right') === location,
+  );
+  if (!barline) return null;
+  return {
+    style: contentOf(barline['bar-style']) || 'regular',
+    repeat: barline.repeat?.$direction || null,
+  };
+}
+
+/**
+ * Measures of the first part, with attributes carried forward and notes
+ * grouped into events (a note and the chord notes stacked on it)
+ * @param {Object} scoreJSON
+ * @returns {Array}
+ */
+export function readMeasures(scoreJSON) {
+  const part = scoreJSON?.['score-partwise']?.part?.[0];
+  let divisions = 1;
+  let clef = { sign: 'G', line: '2' };
+  let fifths = 0;
+  let time = { beats: 4, beatType: 4, symbol: null };
+  let staffLines = 5;
+
+  return asArray(part?.measure).map((measure, index) => {
+    const changed = { clef: index === 0, key: index === 0, time: index === 0 };
+    asArray(measure.attributes).forEach((attribute) => {
+      if (parseFloat(attribute.divisions) > 0) {
+        divisions = parseFloat(attribute.divisions);
+      }
+      const newClef = asArray(attribute.clef)[0];
+      if (newClef?.sign) {
+        changed.clef =
+          changed.clef ||
+          newClef.sign !== clef.sign ||
+          String(newClef.line) !== String(clef.line);
+        clef = newClef;
+      }
+      const key = asArray(attribute.key)[0];
+      if (key?.fifths !== undefined && key.fifths !== '') {
+        const newFifths = parseInt(key.fifths, 10) || 0;
+        changed.key = changed.key || newFifths !== fifths;
+        fifths = newFifths;
+      }
+      const newTime = asArray(attribute.time)[0];
+      if (newTime?.beats) {
+        const beats = parseInt(newTime.beats, 10) || 4;
+        const beatType = parseInt(newTime['beat-type'], 10) || 4;
+        changed.time =
+          changed.time || beats !== time.beats || beatType !== time.beatType;
+        time = { beats, beatType, symbol: newTime.$symbol || null };
+      }
+      const lines = parseInt(attribute['staff-details']?.['staff-lines'], 10);
+      if (lines > 0) staffLines = lines;
+    });
+
+    const bottom = clefBottomLine(clef);
+    const events = [];
+    const positions = {};
+    const lastEvent = {};
+    asArray(measure.note).forEach((note) => {
+      if (note.grace) return;
+      const voice = String(note.voice ?? '1');
+      const durationQ = (parseFloat(note.duration) || 0) / divisions;
+      const pitch = note.pitch ||
+        (note.unpitched && {
+          step: note.unpitched['display-step'],
+          octave: note.unpitched['display-octave'],
+        }) || { step: null };
+      const isRest = Boolean(note.rest) || !(pitch.step in STEP_INDEX);
+      const ties = tieTypes(note);
+      const head = isRest
+        ? null
+        : {
+            d: (parseInt(pitch.octave, 10) || 4) * 7 + STEP_INDEX[pitch.step],
+            step: pitch.step,
+            octave: parseInt(pitch.octave, 10) || 4,
+            alter: parseFloat(pitch.alter) || 0,
+            accidental: contentOf(note.accidental) || null,
+            tieStart: ties.start,
+            tieStop: ties.stop,
+            color: note.$color || BLACK,
+          };
+
+      if (note.chord !== undefined && lastEvent[voice] && head) {
+        lastEvent[voice].heads.push(head);
+        return;
+      }
+
+      const derived = noteTypeFor(durationQ);
+      const type = TYPE_QUARTERS[note.type] ? note.type : derived.type;
+      const event = {
+        voice,
+        onset: positions[voice] || 0,
+        durationQ,
+        type,
+        dots: dotCount(note) ?? (note.type ? 0 : derived.dots),
+        rest: isRest,
+        measureRest: isRest && note.rest?.$measure === 'yes',
+        heads: head ? [head] : [],
+        beam: beamState(note),
+        color: note.$color || BLACK,
+      };
+      events.push(event);
+      lastEvent[voice] = event;
+      positions[voice] = event.onset + durationQ;
+    });
+
+    const timeQ = (time.beats * 4) / time.beatType;
+    const contentQ = Math.max(0, ...Object.values(positions));
+    const lengthQ = contentQ > EPSILON ? contentQ : timeQ;
+
+    const harmonies = asArray(measure.harmony).map((harmony, i, all) => {
+      const location = harmony['$adagio-location'];
+      let onset;
+      if (location?.timePos !== undefined) {
+        onset = location.timePos / (location.dpq || divisions);
+      } else if (harmony.offset !== undefined) {
+        onset = (parseFloat(contentOf(harmony.offset)) || 0) / divisions;
+      } else {
+        onset = (i * lengthQ) / all.length;
+      }
+      return { onset, text: chordSymbolText(harmony) };
+    });
+
+    return {
+      index,
+      // $number is not kept in sequence by lib/variations.js and friends
+      number: index + 1,
+      clef,
+      bottom,
+      fifths,
+      time,
+      timeQ,
+      lengthQ,
+      staffLines,
+      changed,
+      events,
+      voices: new Set(events.map((event) => event.voice)).size,
+      harmonies: harmonies.filter((harmony) => harmony.text),
+      barlineLeft: barlineStyle(measure, 'left'),
+      barlineRight: barlineStyle(measure, 'right'),
+    };
+  });
+}
+
+// ========== Spacing ==========
+
+// Horizontal room for a note that lasts `quarters` until the next one
+const slotSpace = (quarters, sp) =>
+  sp * (1.8 + 2.2 * Math.sqrt(Math.max(quarters, 0.125)));
+
+const clefWidth = (sp) => 3.4 * sp;
+const keyWidth = (fifths, sp) =>
+  fifths ? Math.abs(fifths) * 1.1 * sp + 0.6 * sp : 0;
+const timeWidth = (sp) => 2.6 * sp;
+
+// Which accidental, if any, each head needs; updates the measure's state
+function assignAccidentals(measure) {
+  const key = keyAlters(measure.fifths);
+  const current = {};
+  const ordered = [...measure.events].sort((a, b) => a.onset - b.onset);
+  ordered.forEach((event) => {
+    event.heads.forEach((head) => {
+      const name = `${head.step}${head.octave}`;
+      const expected = current[name] ?? key[head.step] ?? 0;
+      if (head.accidental) {
+        head.shownAccidental = head.accidental;
+      } else if (head.tieStop) {
+        head.shownAccidental = null;
+      } else if (head.alter !== expected) {
+        head.shownAccidental = ALTER_ACCIDENTALS[head.alter] || null;
+      } else {
+        head.shownAccidental = null;
+      }
+      current[name] = head.alter;
+    });
+  });
+}
+
+// Columns of simultaneous events, each with its natural width
+function measureColumns(measure, sp) {
+  const onsets = [];
+  measure.events.forEach((event) => {
+    if (!onsets.some((onset) => Math.abs(onset - event.onset) < EPSILON)) {
+      onsets.push(event.onset);
+    }
+  });
+  onsets.sort((a, b) => a - b);
+
+  return onsets.map((onset, i) => {
+    const next = i + 1 < onsets.length ? onsets[i + 1] : measure.lengthQ;
+    const events = measure.events.filter(
+      (event) => Math.abs(event.onset - onset) < EPSILON,
+    );
+    const accidentals = events.some((event) =>
+      event.heads.some((head) => head.shownAccidental),
+    );
+    const dotted = events.some((event) => event.dots > 0);
+    return {
+      onset,
+      events,
+      before: accidentals ? 1.5 * sp : 0,
+      width: slotSpace(next - onset, sp) + (dotted ? 0.8 * sp : 0),
+    };
+  });
+}
+
+function measureHeader(measure, atSystemStart, sp) {
+  const clef = atSystemStart || measure.changed.clef;
+  const key = atSystemStart || measure.changed.key;
+  const time = measure.changed.time;
+  return {
+    clef,
+    key,
+    time,
+    width:
+      (clef ? clefWidth(sp) : 0) +
+      (key ? keyWidth(measure.fifths, sp) : 0) +
+      (time ? timeWidth(sp) : 0),
+  };
+}
+
+// ========== Drawing ==========
+
+function staffY(rel, sp, staffLines) {
+  return (2 * (staffLines - 1) - rel) * (sp / 2);
+}
+
+function drawHeader(items, measure, header, x, sp) {
+  const { bottom, staffLines } = measure;
+  let cursor = x + 0.5 * sp;
+  if (header.clef) {
+    const sign = measure.clef.sign in CLEF_GLYPHS ? measure.clef.sign : 'G';
+    const lineRel = 2 * ((parseInt(measure.clef.line, 10) || 2) - 1);
+    items.push({
+      kind: 'text',
+      music: true,
+      x: cursor,
+      y: staffY(lineRel, sp, staffLines),
+      text: CLEF_GLYPHS[sign],
+      size: 4 * sp,
+      color: BLACK,
+      anchor: 'start',
+    });
+    cursor += clefWidth(sp) - 0.5 * sp;
+  }
+  if (header.key && measure.fifths) {
+    const positions = measure.fifths > 0 ? SHARP_POSITIONS : FLAT_POSITIONS;
+    // Move the treble pattern by octaves to sit on this clef's staff
+    const shift = Math.round((30 - bottom) / 7) * 7;
+    for (let i = 0; i < Math.min(7, Math.abs(measure.fifths)); i++) {
+      const rel = positions[i] - shift - bottom;
+      items.push(
+        accidentalItem(
+          measure.fifths > 0 ? 'sharp' : 'flat',
+          cursor + i * 1.1 * sp + 0.5 * sp,
+          staffY(rel, sp, staffLines),
+          sp,
+          BLACK,
+        ),
+      );
+    }
+    cursor += keyWidth(measure.fifths, sp);
+  }
+  if (header.time) {
+    const timeX = cursor + 1.1 * sp;
+    const middle = staffY(staffLines - 1, sp, staffLines);
+    const digits = (text, y) => ({
+      kind: 'text',
+      x: timeX,
+      y,
+      text: String(text),
+      size: 2.9 * sp,
+      color: BLACK,
+      anchor: 'middle',
+      bold: true,
+    });
+    if (measure.time.symbol === 'common' || measure.time.symbol === 'cut') {
+      items.push({
+        kind: 'text',
+        music: true,
+        x: timeX,
+        y: middle,
+        text: measure.time.symbol === 'common' ? '𝄴' : '𝄵',
+        size: 4 * sp,
+        color: BLACK,
+        anchor: 'middle',
+      });
+    } else {
+      items.push(digits(measure.time.beats, middle - 0.1 * sp));
+      items.push(digits(measure.time.beatType, middle + 2 * sp - 0.1 * sp));
+    }
+  }
+}
+
+function accidentalItem(accidental, x, y, sp, color) {
+  const glyph = ACCIDENTAL_GLYPHS[accidental];
+  if (!glyph) return null;
+  // Flats sit on their bowl, which is below the glyph's middle
+  const lift = accidental.includes('flat') ? 0.55 * sp : 0.7 * sp;
+  return {
+    kind: 'text',
+    x,
+    y: y + lift,
+    text: glyph,
+    size: 2.6 * sp,
+    color,
+    anchor: 'middle',
+  };
+}
+
+function restItems(event, x, sp, staffLines) {
+  const { color } = event;
+  const middle = staffY(staffLines - 1, sp, staffLines);
+  const top = middle - 2 * sp;
+  const items = [];
+  if (event.type === 'whole' || event.type === 'breve' || event.measureRest) {
+    items.push({
+      kind: 'rect',
+      x: x - 0.65 * sp,
+      y: top + sp,
+      width: 1.3 * sp,
+      height: 0.55 * sp,
+      color,
+    });
+  } else if (event.type === 'half') {
+    items.push({
+      kind: 'rect',
+      x: x - 0.65 * sp,
+      y: middle - 0.55 * sp,
+      width: 1.3 * sp,
+      height: 0.55 * sp,
+      color,
+    });
+  } else if (event.type === 'quarter') {
+    const s = sp;
+    items.push({
+      kind: 'path',
+      fill: false,
+      width: 0.28 * sp,
+      color,
+      d:
+        `M ${x - 0.3 * s} ${middle - 1.5 * s} L ${x + 0.4 * s} ${middle - 0.6 * s} ` +
+        `L ${x - 0.3 * s} ${middle + 0.2 * s} L ${x + 0.4 * s} ${middle + 0.9 * s} ` +
+        `Q ${x - 0.6 * s} ${middle + 0.6 * s} ${x} ${middle + 1.6 * s}`,
+    });
+  } else {
+    // Eighth and shorter: one hook per flag down a slanted stem
+    const flags = FLAG_COUNT[event.type] || 1;
+    const stemTop = middle - 0.9 * sp;
+    const stemBottom = middle + (flags - 0.2) * sp;
+    items.push({
+      kind: 'line',
+      x1: x + 0.5 * sp,
+      y1: stemTop,
+      x2: x + 0.5 * sp - 0.35 * sp * flags,
+      y2: stemBottom,
+      width: 0.15 * sp,
+      color,
+    });
+    for (let i = 0; i < flags; i++) {
+      const hookX = x + 0.5 * sp - 0.35 * sp * i;
+      const hookY = stemTop + i * sp;
+      items.push({
+        kind: 'notehead',
+        x: hookX - 0.75 * sp,
+        y: hookY + 0.15 * sp,
+        rx: 0.3 * sp,
+        ry: 0.3 * sp,
+        filled: true,
+        color,
+      });
+      items.push({
+        kind: 'path',
+        fill: false,
+        width: 0.15 * sp,
+        color,
+        d: `M ${hookX - 0.8 * sp} ${hookY + 0.4 * sp} Q ${hookX - 0.3 * sp} ${hookY + 0.5 * sp} ${hookX} ${hookY}`,
+      });
+    }
+  }
+  if (event.dots) {
+    for (let i = 0; i < event.dots; i++) {
+      items.push({
+        kind: 'notehead',
+        x: x + (1.2 + 0.6 * i) * sp,
+        y: middle - 0.5 * sp,
+        rx: 0.18 * sp,
+        ry: 0.18 * sp,
+        filled: true,
+        color,
+      });
+    }
+  }
+  return items;
+}
+
+function ledgerLines(items, x, rel, sp, staffLines, color) {
+  const topRel = 2 * (staffLines - 1);
+  for (let r = -2; r >= rel; r -= 2) {
+    const y = staffY(r, sp, staffLines);
+    items.push({
+      kind: 'line',
+      x1: x - sp,
+      y1: y,
+      x2: x + sp,
+      y2: y,
+      width: 0.12 * sp,
+      color,
+    });
+  }
+  for (let r = topRel + 2; r <= rel; r += 2) {
+    const y = staffY(r, sp, staffLines);
+    items.push({
+      kind: 'line',
+      x1: x - sp,
+      y1: y,
+      x2: x + sp,
+      y2: y,
+      width: 0.12 * sp,
+      color,
+    });
+  }
+}
+
+function flagItems(x, y, stemUp, flags, sp, color) {
+  const items = [];
+  const dir = stemUp ? 1 : -1;
+  for (let i = 0; i < flags; i++) {
+    const fy = y + dir * i * 0.8 * sp;
+    items.push({
+      kind: 'path',
+      fill: false,
+      width: 0.22 * sp,
+      color,
+      d:
+        `M ${x} ${fy} C ${x} ${fy + dir * sp}, ${x + 1.3 * sp} ${fy + dir * 1.2 * sp}, ` +
+        `${x + 0.9 * sp} ${fy + dir * 2.6 * sp}`,
+    });
+  }
+  return items;
+}
+
+// Noteheads, accidentals, dots and ledger lines of one event. Returns the
+// stem anchor: the head furthest from the stem end and the one nearest it.
+function drawHeads(items, event, x, stemUp, measure, sp, headPositions) {
+  const { staffLines, bottom } = measure;
+  const open = ['whole', 'half', 'breve'].includes(event.type);
+  const wide = event.type === 'whole' || event.type === 'breve';
+  const heads = [...event.heads].sort((a, b) => a.d - b.d);
+  const rx = (wide ? 0.8 : 0.62) * sp;
+
+  // Seconds in a chord go on the other side of the stem
+  let previousD = null;
+  let previousShifted = false;
+  const placed = heads.map((head) => {
+    const shifted =
+      previousD !== null && head.d - previousD === 1 && !previousShifted;
+    previousD = head.d;
+    previousShifted = shifted;
+    const side = shifted ? (stemUp ? 1 : -1) * 2 * rx * 0.95 : 0;
+    return { head, rel: head.d - bottom, hx: x + side };
+  });
+
+  let accidentalColumn = 0;
+  placed
+    .slice()
+    .reverse()
+    .forEach(({ head, rel, hx }) => {
+      const y = staffY(rel, sp, staffLines);
+      ledgerLines(items, hx, rel, sp, staffLines, head.color);
+      items.push({
+        kind: 'notehead',
+        x: hx,
+        y,
+        rx,
+        ry: 0.45 * sp,
+        filled: !open,
+        color: head.color,
+      });
+      if (head.shownAccidental) {
+        const item = accidentalItem(
+          head.shownAccidental,
+          x - rx - (0.85 + accidentalColumn * 1.1) * sp,
+          y,
+          sp,
+          head.color,
+        );
+        if (item) items.push(item);
+        accidentalColumn = (accidentalColumn + 1) % 2;
+      }
+      for (let i = 0; i < event.dots; i++) {
+        // Dots sit in a space
+        const dotY = rel % 2 === 0 ? y - 0.5 * sp : y;
+        items.push({
+          kind: 'notehead',
+          x: x + rx + (0.6 + 0.6 * i) * sp,
+          y: dotY,
+          rx: 0.18 * sp,
+          ry: 0.18 * sp,
+          filled: true,
+          color: head.color,
+        });
+      }
+      headPositions.push({ head, x: hx, y, rx, stemUp, voice: event.voice });
+    });
+
+  const lowest = staffY(placed[0].rel, sp, staffLines);
+  const highest = staffY(placed[placed.length - 1].rel, sp, staffLines);
+  return {
+    stemX: stemUp ? x + rx * 0.92 : x - rx * 0.92,
+    from: stemUp ? lowest : highest,
+    tip: stemUp ? highest : lowest,
+    rx,
+  };
+}
+
+function stemDirection(events, measure) {
+  if (measure.voices > 1) {
+    return events[0].voice === '1' || events[0].voice === measure.firstVoice;
+  }
+  const middle = measure.staffLines - 1;
+  let balance = 0;
+  let furthest = 0;
+  events.forEach((event) =>
+    event.heads.forEach((head) => {
+      const offset = head.d - measure.bottom - middle;
+      balance += offset;
+      if (Math.abs(offset) > Math.abs(furthest)) furthest = offset;
+    }),
+  );
+  return events.length > 1 ? balance < 0 : furthest < 0;
+}
+
+// Runs of beamed events in one voice: from beam marks where the measure has
+// them, otherwise eighths and shorter grouped by beat
+function beamGroups(measure) {
+  const beamable = (event) =>
+    !event.rest && FLAG_COUNT[event.type] && event.heads.length > 0;
+  const byVoice = {};
+  measure.events.forEach((event) => {
+    (byVoice[event.voice] = byVoice[event.voice] || []).push(event);
+  });
+  const marked = measure.events.some((event) => event.beam);
+  const { beats, beatType } = measure.time;
+  const beatQ = beatType === 8 && beats % 3 === 0 ? 1.5 : 4 / beatType;
+
+  const groups = [];
+  Object.values(byVoice).forEach((events) => {
+    let current = [];
+    const close = () => {
+      if (current.length > 1) groups.push(current);
+      current = [];
+    };
+    events.forEach((event) => {
+      if (!beamable(event)) {
+        close();
+        return;
+      }
+      if (marked) {
+        if (event.beam === 'begin') close();
+        if (event.beam) current.push(event);
+        if (!event.beam || event.beam === 'end') close();
+        return;
+      }
+      const beat = Math.floor((event.onset + EPSILON) / beatQ);
+      const previous = current[current.length - 1];
+      if (previous && Math.floor((previous.onset + EPSILON) / beatQ) !== beat) {
+        close();
+      }
+      current.push(event);
+    });
+    close();
+  });
+  return groups;
+}
+
+function drawBeamGroup(items, group, anchors, stemUp, sp) {
+  const dir = stemUp ? -1 : 1;
+  const first = anchors.get(group[0]);
+  const last = anchors.get(group[group.length - 1]);
+  const levels = Math.max(...group.map((event) => FLAG_COUNT[event.type]));
+  const minStem = (2.8 + 0.75 * (levels - 1)) * sp;
+
+  // Follow the melody, but not too steeply
+  let slope = (last.tip - first.tip) / Math.max(sp, last.stemX - first.stemX);
+  slope = Math.max(-0.25, Math.min(0.25, slope));
+  let offset = 0;
+  const lineAt = (x) =>
+    first.tip + dir * 3.5 * sp + slope * (x - first.stemX) + offset;
+  group.forEach((event) => {
+    const anchor = anchors.get(event);
+    const length = (lineAt(anchor.stemX) - anchor.tip) * dir;
+    if (length < minStem) offset += (minStem - length) * dir;
+  });
+
+  const color = group[0].heads[0]?.color || BLACK;
+  group.forEach((event) => {
+    const anchor = anchors.get(event);
+    items.push({
+      kind: 'line',
+      x1: anchor.stemX,
+      y1: anchor.from,
+      x2: anchor.stemX,
+      y2: lineAt(anchor.stemX),
+      width: 0.13 * sp,
+      color: event.heads[0]?.color || color,
+    });
+  });
+
+  const thickness = 0.5 * sp;
+  const beam = (x1, x2, level) => {
+    const shift = -dir * level * 0.8 * sp;
+    const y1 = lineAt(x1) + shift;
+    const y2 = lineAt(x2) + shift;
+    const t = -dir * thickness;
+    items.push({
+      kind: 'path',
+      fill: true,
+      color,
+      d: `M ${x1} ${y1} L ${x2} ${y2} L ${x2} ${y2 + t} L ${x1} ${y1 + t} Z`,
+    });
+  };
+  beam(first.stemX, last.stemX, 0);
+  for (let level = 1; level < levels; level++) {
+    group.forEach((event, i) => {
+      if (FLAG_COUNT[event.type] <= level) return;
+      const x = anchors.get(event).stemX;
+      const next = group[i + 1];
+      const previous = group[i - 1];
+      if (next && FLAG_COUNT[next.type] > level) {
+        beam(x, anchors.get(next).stemX, level);
+      } else if (!previous || FLAG_COUNT[previous.type] <= level) {
+        // A lone shorter note gets a stub, towards its neighbour
+        const stub = next ? sp : -sp;
+        beam(Math.min(x, x + stub), Math.max(x, x + stub), level);
+      }
+    });
+  }
+}
+
+function drawEvents(items, measure, columns, sp, headPositions) {
+  const anchors = new Map();
+  const groups = beamGroups(measure);
+  const groupOf = new Map();
+  groups.forEach((group) =>
+    group.forEach((event) => groupOf.set(event, group)),
+  );
+  const groupStems = new Map(
+    groups.map((group) => [group, stemDirection(group, measure)]),
+  );
+
+  columns.forEach((column) => {
+    column.events.forEach((event) => {
+      if (event.rest) {
+        const restX =
+          event.measureRest ||
+          (measure.events.length === 1 && event.durationQ >= measure.timeQ)
+            ? measure.x + measure.width / 2
+            : column.x;
+        items.push(...restItems(event, restX, sp, measure.staffLines));
+        return;
+      }
+      const group = groupOf.get(event);
+      const stemUp = group
+        ? groupStems.get(group)
+        : stemDirection([event], measure);
+      const anchor = drawHeads(
+        items,
+        event,
+        column.x,
+        stemUp,
+        measure,
+        sp,
+        headPositions,
+      );
+      anchors.set(event, anchor);
+      if (group || ['whole', 'breve'].includes(event.type)) return;
+
+      const dir = stemUp ? -1 : 1;
+      const flags = FLAG_COUNT[event.type] || 0;
+      let end = anchor.tip + dir * (3.5 + Math.max(0, flags - 1) * 0.6) * sp;
+      // Stems of notes far off the staff reach the middle line
+      const middle = staffY(measure.staffLines - 1, sp, measure.staffLines);
+      if ((end - middle) * dir < 0) end = middle;
+      const color = event.heads[0].color;
+      items.push({
+        kind: 'line',
+        x1: anchor.stemX,
+        y1: anchor.from,
+        x2: anchor.stemX,
+        y2: end,
+        width: 0.13 * sp,
+        color,
+      });
+      if (flags)
+        items.push(...flagItems(anchor.stemX, end, stemUp, flags, sp, color));
+    });
+  });
+
+  groups.forEach((group) =>
+    drawBeamGroup(items, group, anchors, groupStems.get(group), sp),
+  );
+}
+
+function drawBarline(items, x, style, sp, staffLines) {
+  const top = 0;
+  const bottomY = staffY(0, sp, staffLines);
+  const thin = 0.13 * sp;
+  const line = (lx, width) =>
+    items.push({
+      kind: 'line',
+      x1: lx,
+      y1: top,
+      x2: lx,
+      y2: bottomY,
+      width,
+      color: BLACK,
+    });
+  const dots = (dx) => {
+    const middle = staffY(staffLines - 1, sp, staffLines);
+    [-0.5, 0.5].forEach((offset) =>
+      items.push({
+        kind: 'notehead',
+        x: dx,
+        y: middle + offset * sp,
+        rx: 0.2 * sp,
+        ry: 0.2 * sp,
+        filled: true,
+        color: BLACK,
+      }),
+    );
+  };
+  switch (style?.style) {
+    case 'light-heavy':
+      line(x - 0.8 * sp, thin);
+      line(x - 0.25 * sp, 0.5 * sp);
+      if (style.repeat === 'backward') dots(x - 1.5 * sp);
+      break;
+    case 'heavy-light':
+      line(x + 0.25 * sp, 0.5 * sp);
+      line(x + 0.8 * sp, thin);
+      if (style.repeat === 'forward') dots(x + 1.5 * sp);
+      break;
+    case 'light-light':
+      line(x - 0.5 * sp, thin);
+      line(x, thin);
+      break;
+    case 'none':
+      break;
+    default:
+      line(x, thin);
+  }
+}
+
+function tiePath(x1, x2, y, below, sp) {
+  const dir = below ? 1 : -1;
+  const y0 = y + dir * 0.6 * sp;
+  const height = Math.min(1.5 * sp, 0.4 * sp + (x2 - x1) * 0.08);
+  const xm = (x1 + x2) / 2;
+  return (
+    `M ${x1} ${y0} Q ${xm} ${y0 + dir * height} ${x2} ${y0} ` +
+    `Q ${xm} ${y0 + dir * (height - 0.25 * sp)} ${x1} ${y0} Z`
+  );
+}
+
+// ========== Layout ==========
+
+/**
+ * Lay out a score for a given width
+ * @param {Object|string} scoreJSON - `score-partwise` JSON (or its string)
+ * @param {Object} options
+ * @param {number} options.width - Pixels
+ * @param {number} options.staffSpace - Pixels between staff lines
+ * @returns {Object} { width, height, systems }
+ */
+export function layoutScore(scoreJSON, { width, staffSpace = 10 } = {}) {
+  const score =
+    typeof scoreJSON === 'string' ? JSON.parse(scoreJSON) : scoreJSON;
+  const sp = staffSpace;
+  const measures = readMeasures(score);
+  const margin = 0.5 * sp;
+  const available = Math.max(10 * sp, width - 2 * margin);
+
+  measures.forEach((measure) => {
+    assignAccidentals(measure);
+    measure.firstVoice = measure.events[0]?.voice;
+    measure.columns = measureColumns(measure, sp);
+    measure.bodyWidth =
+      1.2 * sp +
+      measure.columns.reduce((sum, c) => sum + c.before + c.width, 0) +
+      (measure.columns.length ? 0 : 6 * sp);
+  });
+
+  // Fill systems greedily
+  const systemsMeasures = [];
+  let current = [];
+  let used = 0;
+  measures.forEach((measure) => {
+    const startWidth =
+      measureHeader(measure, true, sp).width + measure.bodyWidth;
+    const inlineWidth =
+      measureHeader(measure, false, sp).width + measure.bodyWidth;
+    if (current.length && used + inlineWidth > available) {
+      systemsMeasures.push(current);
+      current = [];
+      used = 0;
+    }
+    used += current.length ? inlineWidth : startWidth;
+    current.push(measure);
+  });
+  if (current.length) systemsMeasures.push(current);
+
+  const headPositions = [];
+  const systems = systemsMeasures.map((systemMeasures, systemIndex) => {
+    const items = [];
+    const headers = systemMeasures.map((measure, i) =>
+      measureHeader(measure, i === 0, sp),
+    );
+    const natural = systemMeasures.reduce(
+      (sum, measure, i) => sum + headers[i].width + measure.bodyWidth,
+      0,
+    );
+    const isLast = systemIndex === systemsMeasures.length - 1;
+    const stretch =
+      isLast && natural < available * 0.6
+        ? 0
+        : Math.max(0, available - natural);
+    const totalBody = systemMeasures.reduce((sum, m) => sum + m.bodyWidth, 0);
+
+    let x = margin;
+    const staffLines = systemMeasures[0].staffLines;
+    const systemMeasureBoxes = [];
+    const firstHeads = headPositions.length;
+    systemMeasures.forEach((measure, i) => {
+      const header = headers[i];
+      const scale = 1 + stretch / totalBody;
+      drawHeader(items, measure, header, x, sp);
+      measure.x = x + header.width;
+      measure.width = measure.bodyWidth * scale;
+      let columnX = measure.x + 1.2 * sp * scale;
+      measure.columns.forEach((column) => {
+        columnX += column.before * scale;
+        column.x = columnX + 0.6 * sp;
+        columnX += column.width * scale;
+      });
+      drawEvents(items, measure, measure.columns, sp, headPositions);
+
+      if (measure.barlineLeft && measure.barlineLeft.style !== 'regular') {
+        drawBarline(items, measure.x, measure.barlineLeft, sp, staffLines);
+      }
+      const end = measure.x + measure.width;
+      drawBarline(items, end, measure.barlineRight, sp, staffLines);
+
+      measure.harmonies.forEach((harmony) => {
+        const column =
+          measure.columns.find((c) => c.onset >= harmony.onset - EPSILON) ||
+          measure.columns[measure.columns.length - 1];
+        items.push({
+          kind: 'text',
+          chord: true,
+          x: column ? column.x - 0.6 * sp : measure.x + sp,
+          y: 0,
+          text: harmony.text,
+          size: 1.6 * sp,
+          color: BLACK,
+          anchor: 'start',
+          bold: true,
+        });
+      });
+
+      if (i === 0 && systemIndex > 0) {
+        items.push({
+          kind: 'text',
+          x: margin,
+          y: -1.2 * sp,
+          text: String(measure.number),
+          size: 1.1 * sp,
+          color: '#666666',
+          anchor: 'start',
+        });
+      }
+      systemMeasureBoxes.push({
+        index: measure.index,
+        x: measure.x,
+        width: measure.width,
+        lengthQ: measure.lengthQ,
+        columns: measure.columns.map(({ onset, x: columnX }) => ({
+          onset,
+          x: columnX,
+        })),
+      });
+      x = end;
+    });
+
+    headPositions.slice(firstHeads).forEach((position) => {
+      position.systemIndex = systemIndex; // eslint-disable-line no-param-reassign
+    });
+
+    // Staff lines under everything else
+    const lines = [];
+    for (let line = 0; line < staffLines; line++) {
+      const y = line * sp;
+      lines.push({
+        kind: 'line',
+        x1: margin,
+        y1: y,
+        x2: x,
+        y2: y,
+        width: 0.1 * sp,
+        color: '#444444',
+      });
+    }
+    return {
+      items: [...lines, ...items],
+      measures: systemMeasureBoxes,
+      right: x,
+    };
+  });
+
+  // Ties: to the next head of the same pitch in the same voice
+  headPositions.forEach((position, i) => {
+    if (!position.head.tieStart) return;
+    const target = headPositions
+      .slice(i + 1)
+      .find(
+        (other) =>
+          other.voice === position.voice &&
+          other.head.d === position.head.d &&
+          other.head.tieStop,
+      );
+    const below = position.stemUp;
+    const from = position.x + position.rx;
+    const { items } = systems[position.systemIndex];
+    if (target && target.systemIndex === position.systemIndex) {
+      items.push({
+        kind: 'path',
+        fill: true,
+        color: position.head.color,
+        d: tiePath(from, target.x - target.rx, position.y, below, sp),
+      });
+      return;
+    }
+    const systemEnd = systems[position.systemIndex].right;
+    items.push({
+      kind: 'path',
+      fill: true,
+      color: position.head.color,
+      d: tiePath(
+        from,
+        Math.max(from + 2 * sp, systemEnd),
+        position.y,
+        below,
+        sp,
+      ),
+    });
+    if (target) {
+      const targetSystem = systems[target.systemIndex];
+      const start = targetSystem.measures[0].x - 1.5 * sp;
+      targetSystem.items.push({
+        kind: 'path',
+        fill: true,
+        color: target.head.color,
+        d: tiePath(
+          Math.min(start, target.x - 2.5 * sp),
+          target.x - target.rx,
+          target.y,
+          below,
+          sp,
+        ),
+      });
+    }
+  });
+
+  // Stack systems, leaving room above for high notes and chord symbols
+  let y = 0;
+  const laidOut = systems.map((system) => {
+    let top = -2 * sp;
+    let bottom = 6 * sp;
+    // Paths (beams, flags, ties) stay within a space of a stem or head
+    system.items.forEach((item) => {
+      let extent = null;
+      if (item.kind === 'line') {
+        extent = [Math.min(item.y1, item.y2), Math.max(item.y1, item.y2)];
+      } else if (item.kind === 'notehead') {
+        extent = [item.y - item.ry, item.y + item.ry];
+      } else if (item.kind === 'text' && !item.chord) {
+        extent = [item.y - item.size * 0.75, item.y + item.size * 0.25];
+      }
+      if (!extent) return;
+      top = Math.min(top, extent[0] - sp);
+      bottom = Math.max(bottom, extent[1] + sp);
+    });
+    const hasChords = system.items.some((item) => item.chord);
+    if (hasChords) {
+      const chordY = top - 0.6 * sp;
+      system.items.forEach((item) => {
+        if (item.chord) item.y = chordY; // eslint-disable-line no-param-reassign
+      });
+      top = chordY - 1.6 * sp;
+    }
+    const systemY = y - top + sp;
+    y = systemY + bottom + sp;
+    return {
+      y: systemY,
+      top,
+      height: bottom - top,
+      items: system.items,
+      measures: system.measures,
+    };
+  });
+
+  return { width, height: Math.ceil(y), staffSpace: sp, systems: laidOut };
+}
@@ -0,0 +1,402 @@
+// lib/performanceAssessment.js
+/**
+ * Score-aligned performance assessment
+ * Compares a recorded performance with the assigned part: the recording is
+ * pitch tracked and cut into notes at pitch changes and re-articulations,
+ * the performed notes are aligned to the score's notes, and the result is
+ * summarised per measure with suggested rhythm and tone ratings on the
+ * 1-5 grading rubric.
+ *
+ * Timing is judged against a straight-line fit of performed onsets to
+ * score beats, so a steady performance at a different tempo than marked is
+ * not penalised; drifting, rushing and dragging are.
+ */
+
+import { analyzeAudioBuffer, frequencyToMidi } from './pitchTracking';
+import { scoreNoteEvents } from './flat';
+
+// Frames below this clarity are treated as unpitched
+const MIN_CLARITY = 0.5;
+// A pitch must hold this long (in frames) before it starts a new note
+const PITCH_CHANGE_FRAMES = 2;
+// Level jump (ratio) that marks a re-articulated repeated note
+const ONSET_RMS_RATIO = 1.8;
+const MIN_NOTE_SEC = 0.06;
+
+// Alignment costs: pairing notes of the wrong pitch is preferred to
+// skipping both, and octave slips cost less than other wrong notes
+const GAP_COST = 0.8;
+const OCTAVE_COST = 0.5;
+const WRONG_PITCH_COST = 1;
+const TIMING_COST_PER_BEAT = 0.5;
+
+// Within these a note counts as on time / centred
+export const ON_TIME_BEATS = 0.2;
+export const CENTERED_CENTS = 25;
+
+// Fraction of score notes that must be on time (rhythm) or correct and
+// centred (tone) for each rubric level above 1
+const RUBRIC_THRESHOLDS = [0.35, 0.55, 0.75, 0.9];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Cut a pitch track into performed notes
+ * @param {Object} pitchTrack - From analyzeAudioBuffer (points carry rms)
+ * @returns {Array} [{ startSec, endSec, midi }] with `midi` continuous
+ */
+export function segmentPerformedNotes(pitchTrack) {
+  const hopSec = pitchTrack.hopSec || 0.016;
+  const notes = [];
+  let current = null; // { startSec, endSec, midis }
+  let pending = []; // frames at a new pitch, not yet confirmed
+  let previousRms = 0;
+
+  const close = () => {
+    if (current && current.endSec - current.startSec >= MIN_NOTE_SEC) {
+      notes.push({
+        startSec: current.startSec,
+        endSec: current.endSec,
+        midi: median(current.midis),
+      });
+    }
+    current = null;
+  };
+  const open = (frames) => {
+    current = {
+      startSec: frames[0].time,
+      endSec: frames[frames.length - 1].time + hopSec,
+      midis: frames.map((f) => f.midi),
+    };
+  };
+
+  pitchTrack.points.forEach((point) => {
+    const rms = point.rms ?? 0;
+    const voiced = point.frequency && point.clarity >= MIN_CLARITY;
+    if (!voiced) {
+      close();
+      pending = [];
+      previousRms = rms;
+      return;
+    }
+
+    const frame = {
+      time: point.time,
+      midi: frequencyToMidi(point.frequency, pitchTrack.referencePitch),
+    };
+    const reattacked =
+      current && previousRms > 0 && rms / previousRms >= ONSET_RMS_RATIO;
+    previousRms = rms;
+
+    if (!current || reattacked) {
+      close();
+      open([frame]);
+      pending = [];
+      return;
+    }
+
+    const centre = median(current.midis.slice(-PITCH_CHANGE_FRAMES * 4));
+    if (Math.abs(frame.midi - centre) > 0.6) {
+      pending.push(frame);
+      if (pending.length >= PITCH_CHANGE_FRAMES) {
+        close();
+        open(pending);
+        pending = [];
+      }
+      return;
+    }
+
+    current.midis.push(...pending.map((f) => f.midi), frame.midi);
+    current.endSec = frame.time + hopSec;
+    pending = [];
+  });
+  close();
+  return notes;
+}
+
+/**
+ * Written-to-sounding shift that best explains the performance, used when
+ * the score does not declare a transposition
+ */
+function estimateTransposition(scoreNotes, performedNotes) {
+  const histogram = (midis) => {
+    const counts = new Array(12).fill(0);
+    midis.forEach((m) => {
+      counts[((Math.round(m) % 12) + 12) % 12] += 1;
+    });
+    return counts;
+  };
+  const expected = histogram(scoreNotes.map((n) => n.midi));
+  const played = histogram(performedNotes.map((n) => n.midi));
+  let best = { shift: 0, score: -Infinity };
+  for (let shift = -6; shift <= 5; shift++) {
+    let score = 0;
+    for (let pc = 0; pc < 12; pc++) {
+      score += expected[pc] * played[(pc + shift + 12) % 12];
+    }
+    if (score > best.score) best = { shift, score };
+  }
+  return best.shift;
+}
+
+function pitchCost(expectedMidi, performedMidi) {
+  const distance = Math.abs(performedMidi - expectedMidi);
+  if (distance < 0.5) return 0;
+  const folded = distance % 12;
+  if (folded < 0.5 || folded > 11.5) return OCTAVE_COST;
+  return WRONG_PITCH_COST;
+}
+
+/**
+ * Needleman-Wunsch alignment of score notes to performed notes
+ * @returns {Array} [{ scoreIdx, performedIdx }] with null for a gap
+ */
+function alignSequences(scoreNotes, performedNotes, pairCost) {
+  const n = scoreNotes.length;
+  const m = performedNotes.length;
+  const cost = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  const move = Array.from({ length: n + 1 }, () => new Uint8Array(m + 1)); // 0 pair, 1 skip score, 2 skip performed
+
+  for (let i = 1; i <= n; i++) {
+    cost[i][0] = i * GAP_COST;
+    move[i][0] = 1;
+  }
+  for (let j = 1; j <= m; j++) {
+    cost[0][j] = j * GAP_COST;
+    move[0][j] = 2;
+  }
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const pair = cost[i - 1][j - 1] + pairCost(i - 1, j - 1);
+      const missed = cost[i - 1][j] + GAP_COST;
+      const extra = cost[i][j - 1] + GAP_COST;
+      if (pair <= missed && pair <= extra) {
+        cost[i][j] = pair;
+        move[i][j] = 0;
+      } else if (missed <= extra) {
+        cost[i][j] = missed;
+        move[i][j] = 1;
+      } else {
+        cost[i][j] = extra;
+        move[i][j] = 2;
+      }
+    }
+  }
+
+  const path = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const step = move[i][j];
+    if (step === 0) {
+      path.push({ scoreIdx: i - 1, performedIdx: j - 1 });
+      i -= 1;
+      j -= 1;
+    } else if (step === 1) {
+      path.push({ scoreIdx: i - 1, performedIdx: null });
+      i -= 1;
+    } else {
+      path.push({ scoreIdx: null, performedIdx: j - 1 });
+      j -= 1;
+    }
+  }
+  return path.reverse();
+}
+
+/**
+ * Least-squares line from score beats to performed seconds
+ * @returns {Object} { offsetSec, secPerBeat }
+ */
+function fitTimeMap(pairs, fallback) {
+  if (pairs.length < 2) return fallback;
+  const count = pairs.length;
+  const meanBeat = pairs.reduce((s, p) => s + p.beat, 0) / count;
+  const meanSec = pairs.reduce((s, p) => s + p.sec, 0) / count;
+  let covariance = 0;
+  let variance = 0;
+  pairs.forEach((p) => {
+    covariance += (p.beat - meanBeat) * (p.sec - meanSec);
+    variance += (p.beat - meanBeat) ** 2;
+  });
+  const secPerBeat = variance > 0 ? covariance / variance : 0;
+  if (!(secPerBeat > 0)) return fallback;
+  return { offsetSec: meanSec - secPerBeat * meanBeat, secPerBeat };
+}
+
+const rubricLevel = (fraction) =>
+  1 + RUBRIC_THRESHOLDS.filter((threshold) => fraction >= threshold).length;
+
+/**
+ * Align performed notes to the score and report deviations
+ * @param {Object} score - From scoreNoteEvents
+ * @param {Array} performedNotes - From segmentPerformedNotes
+ * @returns {Object} Assessment (see assessPerformance)
+ */
+export function alignPerformance(score, performedNotes) {
+  const scoreNotes = score.notes;
+  const transposeSemitones =
+    score.transposeSemitones ||
+    estimateTransposition(scoreNotes, performedNotes);
+  const expectedMidi = (note) => note.midi + transposeSemitones;
+
+  // Pass 1 on pitch alone, then again with timing from the fitted tempo so
+  // repeated figures pair with the right occurrence
+  const pitchOnly = alignSequences(scoreNotes, performedNotes, (i, j) =>
+    pitchCost(expectedMidi(scoreNotes[i]), performedNotes[j].midi),
+  );
+  const firstOnset = performedNotes[0]?.startSec ?? 0;
+  const fallback = {
+    offsetSec:
+      firstOnset - (scoreNotes[0]?.startBeat ?? 0) * (60 / score.tempo),
+    secPerBeat: 60 / score.tempo,
+  };
+  const matchedPairs = (path) =>
+    path
+      .filter(
+        ({ scoreIdx, performedIdx }) =>
+          scoreIdx !== null &&
+          performedIdx !== null &&
+          pitchCost(
+            expectedMidi(scoreNotes[scoreIdx]),
+            performedNotes[performedIdx].midi,
+          ) < WRONG_PITCH_COST,
+      )
+      .map(({ scoreIdx, performedIdx }) => ({
+        beat: scoreNotes[scoreIdx].startBeat,
+        sec: performedNotes[performedIdx].startSec,
+      }));
+  const roughMap = fitTimeMap(matchedPairs(pitchOnly), fallback);
+  const path = alignSequences(scoreNotes, performedNotes, (i, j) => {
+    const predicted =
+      roughMap.offsetSec + roughMap.secPerBeat * scoreNotes[i].startBeat;
+    const offBeats =
+      Math.abs(performedNotes[j].startSec - predicted) / roughMap.secPerBeat;
+    return (
+      pitchCost(expectedMidi(scoreNotes[i]), performedNotes[j].midi) +
+      Math.min(1, offBeats) * TIMING_COST_PER_BEAT
+    );
+  });
+  const timeMap = fitTimeMap(matchedPairs(path), roughMap);
+  const beatOfSec = (sec) => (sec - timeMap.offsetSec) / timeMap.secPerBeat;
+  const measureOfBeat = (beat) =>
+    (
+      [...score.measures].reverse().find((m) => m.startBeat <= beat + 1e-6) ||
+      score.measures[0]
+    )?.number;
+
+  const notes = path.map(({ scoreIdx, performedIdx }) => {
+    const expected = scoreIdx !== null ? scoreNotes[scoreIdx] : null;
+    const performed =
+      performedIdx !== null ? performedNotes[performedIdx] : null;
+    if (!performed) {
+      return { status: 'missed', measure: expected.measure, expected };
+    }
+    if (!expected) {
+      return {
+        status: 'extra',
+        measure: measureOfBeat(beatOfSec(performed.startSec)),
+        performed,
+      };
+    }
+    const target = expectedMidi(expected);
+    const correct = Math.abs(performed.midi - target) < 0.5;
+    const predictedSec =
+      timeMap.offsetSec + timeMap.secPerBeat * expected.startBeat;
+    const timingSec = performed.startSec - predictedSec;
+    return {
+      status: correct ? 'correct' : 'wrong-pitch',
+      measure: expected.measure,
+      expected,
+      performed,
+      cents: correct ? Math.round((performed.midi - target) * 100) : null,
+      timingSec,
+      timingBeats: timingSec / timeMap.secPerBeat,
+    };
+  });
+
+  const measures = score.measures.map(({ number }) => {
+    const inMeasure = notes.filter((note) => note.measure === number);
+    const played = inMeasure.filter((note) => note.performed && note.expected);
+    const centred = inMeasure.filter((note) => note.status === 'correct');
+    const mean = (values) =>
+      values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+    return {
+      number,
+      expected: inMeasure.filter((note) => note.expected).length,
+      correct: centred.length,
+      wrongPitch: inMeasure.filter((note) => note.status === 'wrong-pitch')
+        .length,
+      missed: inMeasure.filter((note) => note.status === 'missed').length,
+      extra: inMeasure.filter((note) => note.status === 'extra').length,
+      meanCents: mean(centred.map((note) => note.cents)),
+      meanAbsCents: mean(centred.map((note) => Math.abs(note.cents))),
+      meanTimingSec: mean(played.map((note) => note.timingSec)),
+      maxAbsTimingBeats: played.length
+        ? Math.max(...played.map((note) => Math.abs(note.timingBeats)))
+        : null,
+    };
+  });
+
+  const expectedCount = scoreNotes.length || 1;
+  const onTime = notes.filter(
+    (note) =>
+      note.expected &&
+      note.performed &&
+      Math.abs(note.timingBeats) <= ON_TIME_BEATS,
+  ).length;
+  const centred = notes.filter(
+    (note) =>
+      note.status === 'correct' && Math.abs(note.cents) <= CENTERED_CENTS,
+  ).length;
+
+  return {
+    tempo: 60 / timeMap.secPerBeat,
+    scoreTempo: score.tempo,
+    transposeSemitones,
+    transpositionAssumed: !score.transposeSemitones && transposeSemitones !== 0,
+    notes,
+    measures,
+    summary: {
+      expected: scoreNotes.length,
+      performed: performedNotes.length,
+      correct: notes.filter((note) => note.status === 'correct').length,
+      wrongPitch: notes.filter((note) => note.status === 'wrong-pitch').length,
+      missed: notes.filter((note) => note.status === 'missed').length,
+      extra: notes.filter((note) => note.status === 'extra').length,
+      onTimeRatio: onTime / expectedCount,
+      centeredRatio: centred / expectedCount,
+    },
+    suggested: {
+      rhythm: rubricLevel(onTime / expectedCount),
+      tone: rubricLevel(centred / expectedCount),
+    },
+  };
+}
+
+/**
+ * Assess a recorded performance against the assigned part
+ * @param {AudioBuffer} audioBuffer - Decoded student recording
+ * @param {Object} scoreJSON - Flat score JSON for the student's transposition
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with 0-1 during analysis
+ * @returns {Promise<Object>} { tempo, scoreTempo, transposeSemitones, transpositionAssumed, notes, measures, summary, suggested: { rhythm, tone } }
+ */
+export async function assessPerformance(
+  audioBuffer,
+  scoreJSON,
+  { onProgress = () => {} } = {},
+) {
+  const score = scoreNoteEvents(scoreJSON);
+  if (score.notes.length === 0) {
+    throw new Error('The score has no notes to compare against');
+  }
+  const pitchTrack = await analyzeAudioBuffer(audioBuffer, { onProgress });
+  const performedNotes = segmentPerformedNotes(pitchTrack);
+  if (performedNotes.length === 0) {
+    throw new Error('No pitched notes were detected in the recording');
+  }
+  return alignPerformance(score, performedNotes);
+}
@@ -0,0 +1,476 @@
+// lib/pitchTracking.js
+/**
+ * Real-time pitch tracking for student recordings
+ * Runs a YIN pitch detector in an AudioWorklet and collects a per-take
+ * pitch track that can be shown live (tuner, scrolling curve) and reviewed
+ * after the take. The same detector analyses recorded audio offline.
+ *
+ * Pitch track layout:
+ *   {
+ *     version: 1,
+ *     referencePitch,   // A4 in Hz
+ *     hopSec,           // spacing of analysis frames
+ *     points: [{ time, frequency, clarity, rms }],
+ *   }
+ * `time` is seconds from the start of the take; `frequency` is null for
+ * unvoiced or silent frames.
+ */
+
+export const PITCH_PROCESSOR_NAME = 'musiccpr-pitch-detector';
+export const DEFAULT_REFERENCE_PITCH = 440;
+// Cents either side of the target that count as in tune
+export const IN_TUNE_CENTS = 10;
+// A submitted take's pitch track is stored as a JSON attachment beside the audio
+export const PITCH_TRACK_FILENAME = 'pitch-track.json';
+
+const NOTE_NAMES = [
+  'C',
+  'C#',
+  'D',
+  'D#',
+  'E',
+  'F',
+  'F#',
+  'G',
+  'G#',
+  'A',
+  'A#',
+  'B',
+];
+
+const DEFAULT_DETECTOR_OPTIONS = {
+  frameSize: 2048,
+  hopSize: 1024,
+  threshold: 0.15,
+  minFrequency: 55, // A1, low enough for cello and bass clarinet
+  maxFrequency: 2000,
+  rmsGate: 0.01,
+};
+
+/**
+ * YIN pitch estimate for one analysis frame.
+ * Must not reference anything outside its own body: the worklet source
+ * embeds it via Function.prototype.toString.
+ * @param {Float32Array} frame - Samples; half of it is the integration window
+ * @param {number} sampleRate
+ * @param {Object} options - { threshold, rmsGate, minFrequency, maxFrequency }
+ * @param {Float32Array} diff - Optional scratch buffer of frame.length / 2
+ * @returns {Object} { frequency (Hz or null), clarity (0-1), rms }
+ */
+export function detectPitchYIN(frame, sampleRate, options, diff) {
+  const size = frame.length;
+  let energy = 0;
+  for (let i = 0; i < size; i++) energy += frame[i] * frame[i];
+  const rms = Math.sqrt(energy / size);
+  if (rms < options.rmsGate) return { frequency: null, clarity: 0, rms };
+
+  const W = Math.floor(size / 2);
+  const tauMin = Math.max(2, Math.floor(sampleRate / options.maxFrequency));
+  const tauMax = Math.min(W - 1, Math.ceil(sampleRate / options.minFrequency));
+  const d = diff && diff.length > tauMax ? diff : new Float32Array(tauMax + 1);
+
+  // Difference function and cumulative mean normalisation (YIN steps 2-3)
+  let runningSum = 0;
+  d[0] = 1;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0;
+    for (let j = 0; j < W; j++) {
+      const delta = frame[j] - frame[j + tau];
+      sum += delta * delta;
+    }
+    runningSum += sum;
+    d[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+  }
+
+  // First dip under the threshold, followed down to its minimum (step 4)
+  let tau = -1;
+  for (let t = tauMin; t < tauMax; t++) {
+    if (d[t] < options.threshold) {
+      while (t + 1 < tauMax && d[t + 1] < d[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau === -1) return { frequency: null, clarity: 0, rms };
+
+  // Parabolic interpolation around the minimum (step 5)
+  const x0 = d[tau - 1];
+  const x1 = d[tau];
+  const x2 = d[tau + 1];
+  const denom = x0 - 2 * x1 + x2;
+  const shift = denom !== 0 ? (x0 - x2) / (2 * denom) : 0;
+  const period = tau + Math.max(-1, Math.min(1, shift));
+
+  return {
+    frequency: sampleRate / period,
+    clarity: Math.max(0, Math.min(1, 1 - x1)),
+    rms,
+  };
+}
+
+/**
+ * Source of the AudioWorklet processor. It is loaded from a Blob URL (like
+ * the AudioProcessor worker) so it needs no separately served file.
+ * @returns {string}
+ */
+export function getPitchWorkletCode() {
+  return `
+const detectPitchYIN = ${detectPitchYIN.toString()};
+
+class PitchDetectorProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.options = (options && options.processorOptions) || {};
+    this.frameSize = this.options.frameSize;
+    this.hopSize = this.options.hopSize;
+    this.frame = new Float32Array(this.frameSize);
+    this.diff = new Float32Array(this.frameSize / 2);
+    this.filled = 0;
+    this.running = true;
+    this.port.onmessage = (e) => {
+      if (e.data && e.data.type === 'stop') this.running = false;
+    };
+  }
+
+  process(inputs) {
+    if (!this.running) return false;
+    const input = inputs[0] && inputs[0][0];
+    if (!input) return true;
+
+    for (let i = 0; i < input.length; i++) {
+      this.frame[this.filled++] = input[i];
+      if (this.filled === this.frameSize) {
+        // Time at the centre of the frame
+        const time =
+          currentTime + (i + 1 - this.frameSize / 2) / sampleRate;
+        const result = detectPitchYIN(
+          this.frame,
+          sampleRate,
+          this.options,
+          this.diff,
+        );
+        this.port.postMessage({
+          time,
+          frequency: result.frequency,
+          clarity: result.clarity,
+          rms: result.rms,
+        });
+        this.frame.copyWithin(0, this.hopSize);
+        this.filled = this.frameSize - this.hopSize;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('${PITCH_PROCESSOR_NAME}', PitchDetectorProcessor);
+`;
+}
+
+// Offline analysis runs at a reduced rate; the detector's range tops out
+// at 2 kHz so nothing it listens for is lost
+const OFFLINE_TARGET_RATE = 16000;
+const OFFLINE_FRAMES_PER_SLICE = 200;
+
+/**
+ * Pitch track for recorded audio (e.g. a submitted performance). Works on
+ * the main thread in slices so the page stays responsive.
+ * @param {AudioBuffer} audioBuffer
+ * @param {Object} options
+ * @param {number} options.referencePitch - A4 in Hz
+ * @param {number} options.hopSec - Spacing of analysis frames
+ * @param {Function} options.onProgress - Called with 0-1
+ * @returns {Promise<Object>} Pitch track (points also carry `rms`)
+ */
+export async function analyzeAudioBuffer(
+  audioBuffer,
+  {
+    referencePitch = DEFAULT_REFERENCE_PITCH,
+    hopSec = 0.016,
+    onProgress = () => {},
+  } = {},
+) {
+  // Mix to mono and decimate with a boxcar average
+  const factor = Math.max(
+    1,
+    Math.floor(audioBuffer.sampleRate / OFFLINE_TARGET_RATE),
+  );
+  const sampleRate = audioBuffer.sampleRate / factor;
+  const channels = Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_, c) => audioBuffer.getChannelData(c),
+  );
+  const length = Math.floor(audioBuffer.length / factor);
+  const samples = new Float32Array(length);
+  const scale = 1 / (factor * channels.length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (const data of channels) {
+      for (let k = 0; k < factor; k++) sum += data[i * factor + k];
+    }
+    samples[i] = sum * scale;
+  }
+
+  const options = { ...DEFAULT_DETECTOR_OPTIONS };
+  const frameSize = 1024;
+  const hopSize = Math.max(1, Math.round(hopSec * sampleRate));
+  const diff = new Float32Array(frameSize / 2);
+  const points = [];
+  const frameCount = Math.max(
+    0,
+    Math.floor((length - frameSize) / hopSize) + 1,
+  );
+
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * hopSize;
+    const frame = samples.subarray(offset, offset + frameSize);
+    const { frequency, clarity, rms } = detectPitchYIN(
+      frame,
+      sampleRate,
+      options,
+      diff,
+    );
+    points.push({
+      time: Math.round(((offset + frameSize / 2) / sampleRate) * 1000) / 1000,
+      frequency: frequency ? Math.round(frequency * 100) / 100 : null,
+      clarity: Math.round(clarity * 100) / 100,
+      rms: Math.round(rms * 10000) / 10000,
+    });
+
+    if (f % OFFLINE_FRAMES_PER_SLICE === OFFLINE_FRAMES_PER_SLICE - 1) {
+      onProgress(f / frameCount);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+  onProgress(1);
+
+  return {
+    version: 1,
+    referencePitch,
+    hopSec: hopSize / sampleRate,
+    points,
+  };
+}
+
+/**
+ * Whether this browser can run the pitch detector
+ * @returns {boolean}
+ */
+export function isPitchTrackingSupported() {
+  return (
+    typeof window !== 'undefined' &&
+    typeof AudioWorkletNode !== 'undefined' &&
+    !!navigator?.mediaDevices?.getUserMedia
+  );
+}
+
+/**
+ * Nearest equal-tempered note to a frequency
+ * @param {number} frequency - Hz
+ * @param {number} referencePitch - A4 in Hz
+ * @returns {Object|null} { midi, name, octave, cents, frequency }
+ */
+export function frequencyToNote(
+  frequency,
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+) {
+  if (!Number.isFinite(frequency) || frequency <= 0) return null;
+  const exact = 69 + 12 * Math.log2(frequency / referencePitch);
+  const midi = Math.round(exact);
+  return {
+    midi,
+    name: NOTE_NAMES[((midi % 12) + 12) % 12],
+    octave: Math.floor(midi / 12) - 1,
+    cents: Math.round((exact - midi) * 100),
+    frequency,
+  };
+}
+
+/**
+ * Continuous MIDI note number for a frequency (69 = A4)
+ * @param {number} frequency - Hz
+ * @param {number} referencePitch - A4 in Hz
+ * @returns {number|null}
+ */
+export function frequencyToMidi(
+  frequency,
+  referencePitch = DEFAULT_REFERENCE_PITCH,
+) {
+  if (!Number.isFinite(frequency) || frequency <= 0) return null;
+  return 69 + 12 * Math.log2(frequency / referencePitch);
+}
+
+/**
+ * Name of a MIDI note number, e.g. 61 -> "C#4"
+ * @param {number} midi
+ * @returns {string}
+ */
+export function midiToNoteName(midi) {
+  return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+/**
+ * Whether a submission attachment is a stored pitch track rather than the
+ * recording. Storage may suffix the name or sign the URL with a query.
+ * @param {Object} attachment - { file } from the submission
+ * @returns {boolean}
+ */
+export function isPitchTrackAttachment(attachment) {
+  return /pitch-track[^/]*\.json(\?|$)/.test(attachment?.file || '');
+}
+
+/**
+ * Intonation statistics for a pitch track. Deviation is measured from the
+ * nearest equal-tempered note, so it reflects tuning rather than wrong notes.
+ * @param {Object} pitchTrack
+ * @returns {Object|null} { voicedSeconds, meanAbsCents, meanCents, inTunePercent, sharpPercent, flatPercent }
+ */
+export function summarizePitchTrack(pitchTrack) {
+  const points = pitchTrack?.points || [];
+  const referencePitch = pitchTrack?.referencePitch || DEFAULT_REFERENCE_PITCH;
+  const cents = points
+    .filter((p) => p.frequency)
+    .map((p) => frequencyToNote(p.frequency, referencePitch).cents);
+  if (cents.length === 0) return null;
+
+  const count = (predicate) => cents.filter(predicate).length;
+  const percent = (n) => Math.round((n / cents.length) * 100);
+  return {
+    voicedSeconds: cents.length * (pitchTrack.hopSec || 0),
+    meanAbsCents: Math.round(
+      cents.reduce((sum, c) => sum + Math.abs(c), 0) / cents.length,
+    ),
+    meanCents: Math.round(cents.reduce((sum, c) => sum + c, 0) / cents.length),
+    inTunePercent: percent(count((c) => Math.abs(c) <= IN_TUNE_CENTS)),
+    sharpPercent: percent(count((c) => c > IN_TUNE_CENTS)),
+    flatPercent: percent(count((c) => c < -IN_TUNE_CENTS)),
+  };
+}
+
+// Contexts that already have the processor registered
+const loadedContexts = new WeakSet();
+
+async function loadPitchWorklet(audioContext) {
+  if (loadedContexts.has(audioContext)) return;
+  const blob = new Blob([getPitchWorkletCode()], {
+    type: 'application/javascript',
+  });
+  const url = URL.createObjectURL(blob);
+  try {
+    await audioContext.audioWorklet.addModule(url);
+    loadedContexts.add(audioContext);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Runs the detector on a microphone stream and collects the pitch track
+ * for one take.
+ */
+export class PitchTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.referencePitch - A4 in Hz
+   * @param {Object} options.detector - Overrides for the detector settings
+   */
+  constructor({
+    referencePitch = DEFAULT_REFERENCE_PITCH,
+    detector = {},
+  } = {}) {
+    this.referencePitch = referencePitch;
+    this.detectorOptions = { ...DEFAULT_DETECTOR_OPTIONS, ...detector };
+    this.audioContext = null;
+    this.source = null;
+    this.node = null;
+    this.points = [];
+    this.latest = null;
+    this.listeners = new Set();
+    this.origin = null;
+  }
+
+  /**
+   * Start analysing a stream
+   * @param {MediaStream} stream - Microphone stream
+   * @param {number} startedAt - performance.now() of the take start, so
+   *   point times line up with the recording rather than with this call
+   */
+  async start(stream, startedAt = performance.now()) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContextClass();
+    const audioContext = this.audioContext;
+    await loadPitchWorklet(audioContext);
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+    // Stopped while the worklet was loading
+    if (this.audioContext !== audioContext) return;
+
+    const sampleRate = this.audioContext.sampleRate;
+    this.hopSec = this.detectorOptions.hopSize / sampleRate;
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.node = new AudioWorkletNode(this.audioContext, PITCH_PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      processorOptions: this.detectorOptions,
+    });
+    this.node.port.onmessage = (e) => this.handleFrame(e.data);
+
+    // The processor writes no output; connecting it keeps it pulled
+    this.source.connect(this.node);
+    this.node.connect(this.audioContext.destination);
+
+    // Map audio context time onto the take's clock
+    const stamp = this.audioContext.getOutputTimestamp?.();
+    const contextTime = stamp?.contextTime ?? this.audioContext.currentTime;
+    const performanceTime = stamp?.performanceTime ?? performance.now();
+    this.origin = contextTime - (performanceTime - startedAt) / 1000;
+  }
+
+  handleFrame({ time, frequency, clarity, rms }) {
+    const point = {
+      time: Math.round((time - this.origin) * 1000) / 1000,
+      frequency: frequency ? Math.round(frequency * 100) / 100 : null,
+      clarity: Math.round(clarity * 100) / 100,
+      rms: Math.round(rms * 10000) / 10000,
+    };
+    if (point.time < 0) return;
+    this.points.push(point);
+    this.latest = point;
+    this.listeners.forEach((listener) => listener(point));
+  }
+
+  /**
+   * Listen for analysed frames
+   * @param {Function} listener - Called with each point
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Stop analysing and return the collected pitch track
+   * @returns {Object} Pitch track
+   */
+  stop() {
+    try {
+      this.node?.port.postMessage({ type: 'stop' });
+      this.source?.disconnect();
+      this.node?.disconnect();
+    } catch {}
+    this.audioContext?.close().catch(() => {});
+    this.listeners.clear();
+    this.audioContext = null;
+    this.source = null;
+    this.node = null;
+
+    return {
+      version: 1,
+      referencePitch: this.referencePitch,
+      hopSec: this.hopSec || 0,
+      points: this.points,
+    };
+  }
+}
@@ -0,0 +1,334 @@
+// lib/projectFile.js
+/**
+ * Multitrack Project File Utility
+ * Serializes MultitrackProvider state into a versioned project document
+ * and rebuilds loadable track state from one.
+ *
+ * Document layout (version 1):
+ *   {
+ *     format: 'musiccpr-daw-project',
+ *     version: 1,
+ *     name, savedAt,
+ *     session: { soloTrackId, selectedTrackId, snapEnabled, gridSizeSec, gridDivision,
+ *                loopRegion, loopEnabled, punchRegion, punchEnabled, preRollBars },
+ *     tempoMap: { tempos: [{ beat, bpm, ramp }], meters: [{ bar, numerator, denominator }] },
+ *     tracks: [ ...serializable track fields, clips and takes reference assets by id ],
+ *     assets: { [assetId]: { mimeType, size, data } | { url } }
+ *   }
+ *
+ * Audio referenced by blob: URLs only lives as long as the page, so those
+ * sources are always embedded as base64 data URLs. Remote (http/proxy) sources
+ * are referenced by URL unless `embedAudio` is requested. Storage backends
+ * that hold binary data natively (IndexedDB autosave) can ask for the raw
+ * Blob instead with `assetEncoding: 'blob'`.
+ *
+ * Documents saved before the tempo map existed load with 4/4 at 120 BPM.
+ */
+
+import { normalizeTempoMap } from './tempoMap';
+
+export const PROJECT_FORMAT = 'musiccpr-daw-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.daw.json';
+
+// Runtime-only track fields that must never be written to disk
+const TRANSIENT_TRACK_FIELDS = [
+  'wavesurferInstance',
+  'isRecording',
+  'armed',
+  'recordingStartTime',
+  'recordingStartPosition',
+];
+
+// Runtime-only clip fields (loading indicators etc.)
+const TRANSIENT_CLIP_FIELDS = ['isLoading', 'loadingState', 'hasError'];
+
+function omit(obj, keys) {
+  const out = { ...obj };
+  keys.forEach((k) => delete out[k]);
+  return out;
+}
+
+function mustEmbed(url) {
+  return url.startsWith('blob:') || url.startsWith('data:');
+}
+
+/**
+ * Read a Blob as a base64 data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Serialize multitrack state into a project document
+ * @param {Object} state - Snapshot from MultitrackContext.getProjectState()
+ * @param {Array} state.tracks - Track objects
+ * @param {Object} options
+ * @param {boolean} options.embedAudio - Embed remote audio as well as blob URLs (default: false)
+ * @param {string} options.name - Project name
+ * @param {string} options.assetEncoding - 'dataURL' (default, JSON-safe) or 'blob'
+ * @param {Map} options.blobCache - Audio Blobs by URL; embedded audio is
+ *   read from it when present and added to it when fetched (optional)
+ * @returns {Promise<Object>} Project document (JSON-serializable unless assetEncoding is 'blob')
+ */
+export async function serializeProject(state, options = {}) {
+  const {
+    embedAudio = false,
+    name = 'Untitled Project',
+    assetEncoding = 'dataURL',
+    blobCache = null,
+  } = options;
+  const tracks = Array.isArray(state?.tracks) ? state.tracks : [];
+
+  const assets = {};
+  const assetIdsByUrl = new Map();
+
+  const registerAsset = async (url) => {
+    if (!url || typeof url !== 'string') return null;
+    if (assetIdsByUrl.has(url)) return assetIdsByUrl.get(url);
+
+    const assetId = `asset-${assetIdsByUrl.size + 1}`;
+    assetIdsByUrl.set(url, assetId);
+
+    if (embedAudio || mustEmbed(url)) {
+      let blob = blobCache?.get(url);
+      if (!blob) {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(
+            `Could not read audio for project (${response.status})`,
+          );
+        }
+        blob = await response.blob();
+        blobCache?.set(url, blob);
+      }
+      assets[assetId] = {
+        mimeType: blob.type || 'audio/wav',
+        size: blob.size,
+        data: assetEncoding === 'blob' ? blob : await blobToDataURL(blob),
+      };
+    } else {
+      assets[assetId] = { url };
+    }
+    return assetId;
+  };
+
+  const serializedTracks = [];
+  for (const track of tracks) {
+    const base = omit(track, TRANSIENT_TRACK_FIELDS);
+    const audioAsset = await registerAsset(track.audioURL);
+
+    const clips = [];
+    for (const clip of Array.isArray(track.clips) ? track.clips : []) {
+      const clipAsset = await registerAsset(clip.src);
+      clips.push({
+        ...omit(clip, [...TRANSIENT_CLIP_FIELDS, 'src']),
+        asset: clipAsset,
+      });
+    }
+
+    const takes = [];
+    for (const take of Array.isArray(track.takes) ? track.takes : []) {
+      takes.push({
+        ...omit(take, ['src']),
+        asset: await registerAsset(take.src),
+      });
+    }
+
+    serializedTracks.push({
+      ...omit(base, ['audioURL']),
+      audioAsset,
+      clips,
+      takes,
+    });
+  }
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    session: {
+      soloTrackId: state?.soloTrackId ?? null,
+      selectedTrackId: state?.selectedTrackId ?? null,
+      snapEnabled: state?.snapEnabled ?? true,
+      gridSizeSec: state?.gridSizeSec ?? 0.1,
+      gridDivision: state?.gridDivision ?? 'beat',
+      loopRegion: state?.loopRegion ?? null,
+      loopEnabled: state?.loopEnabled ?? false,
+      punchRegion: state?.punchRegion ?? null,
+      punchEnabled: state?.punchEnabled ?? false,
+      preRollBars: state?.preRollBars ?? 1,
+    },
+    tempoMap: normalizeTempoMap(state?.tempoMap),
+    tracks: serializedTracks,
+    assets,
+  };
+}
+
+/**
+ * Upgrade older project documents to the current version
+ * @param {Object} doc - Parsed project document
+ * @returns {Object} Document at PROJECT_VERSION
+ */
+export function migrateProject(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== PROJECT_FORMAT) {
+    throw new Error('Not a DAW project file');
+  }
+  const version = Number(doc.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid project version: ${doc.version}`);
+  }
+  if (version > PROJECT_VERSION) {
+    throw new Error(
+      `Project was saved by a newer version (v${version}); this editor supports up to v${PROJECT_VERSION}`,
+    );
+  }
+  // Version 1 is current - future migrations chain here
+  return doc;
+}
+
+/**
+ * Rebuild loadable multitrack state from a project document.
+ * Tracks receive fresh ids so the editor remounts them and creates new
+ * clip players and instruments rather than reusing stale ones.
+ * @param {Object} doc - Project document
+ * @returns {Promise<Object>} { name, tracks, soloTrackId, selectedTrackId, snapEnabled, gridSizeSec, gridDivision, tempoMap }
+ */
+export async function deserializeProject(doc) {
+  const project = migrateProject(doc);
+  const assets = project.assets || {};
+  const urlsByAssetId = new Map();
+
+  const resolveAsset = async (assetId) => {
+    if (!assetId) return null;
+    if (urlsByAssetId.has(assetId)) return urlsByAssetId.get(assetId);
+
+    const asset = assets[assetId];
+    if (!asset) {
+      throw new Error(`Project is missing audio asset ${assetId}`);
+    }
+
+    let url = asset.url || null;
+    if (asset.data) {
+      const blob =
+        asset.data instanceof Blob
+          ? asset.data
+          : await (await fetch(asset.data)).blob();
+      // Untracked on purpose: the resource manager revokes stale URLs, but
+      // these back the loaded session for as long as it stays open
+      url = URL.createObjectURL(blob);
+    }
+    urlsByAssetId.set(assetId, url);
+    return url;
+  };
+
+  const idMap = new Map();
+  const baseId = Date.now();
+  const tracks = [];
+
+  for (const [index, saved] of (project.tracks || []).entries()) {
+    const id = baseId + index;
+    idMap.set(saved.id, id);
+
+    const clips = [];
+    for (const clip of saved.clips || []) {
+      clips.push({
+        ...omit(clip, ['asset']),
+        src: await resolveAsset(clip.asset),
+      });
+    }
+
+    const takes = [];
+    for (const take of saved.takes || []) {
+      takes.push({
+        ...omit(take, ['asset']),
+        src: await resolveAsset(take.asset),
+      });
+    }
+
+    tracks.push({
+      ...omit(saved, ['audioAsset']),
+      id,
+      audioURL: await resolveAsset(saved.audioAsset),
+      clips,
+      takes,
+      wavesurferInstance: null,
+      isRecording: false,
+      armed: false,
+    });
+  }
+
+  // Bus/group routing refers to other tracks by id
+  const routedTracks = tracks.map((track) => ({
+    ...track,
+    outputId: idMap.get(track.outputId) ?? null,
+    sends: (track.sends || [])
+      .filter((send) => idMap.has(send.busId))
+      .map((send) => ({ ...send, busId: idMap.get(send.busId) })),
+  }));
+
+  const session = project.session || {};
+  return {
+    name: project.name || 'Untitled Project',
+    tracks: routedTracks,
+    soloTrackId: idMap.get(session.soloTrackId) ?? null,
+    selectedTrackId: idMap.get(session.selectedTrackId) ?? null,
+    snapEnabled: session.snapEnabled ?? true,
+    gridSizeSec: session.gridSizeSec ?? 0.1,
+    gridDivision: session.gridDivision ?? 'beat',
+    loopRegion: session.loopRegion ?? null,
+    loopEnabled: session.loopEnabled ?? false,
+    punchRegion: session.punchRegion ?? null,
+    punchEnabled: session.punchEnabled ?? false,
+    preRollBars: session.preRollBars ?? 1,
+    tempoMap: normalizeTempoMap(project.tempoMap),
+  };
+}
+
+/**
+ * Trigger a download of a project document
+ * @param {Object} doc - Project document from serializeProject
+ * @param {string} filename - Desired filename
+ */
+export function downloadProjectFile(doc, filename) {
+  const safeName = (filename || doc.name || 'project').replace(
+    /[^\w\- ]+/g,
+    '_',
+  );
+  const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = safeName.endsWith(PROJECT_FILE_EXTENSION)
+    ? safeName
+    : `${safeName}${PROJECT_FILE_EXTENSION}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse a project file selected by the user
+ * @param {File} file
+ * @returns {Promise<Object>} Project document
+ */
+export async function readProjectFile(file) {
+  let doc;
+  try {
+    doc = JSON.parse(await file.text());
+  } catch (e) {
+    throw new Error('Project file is not valid JSON');
+  }
+  return migrateProject(doc);
+}
@@ -0,0 +1,455 @@
+// lib/scoreMidiTrack.js
+/**
+ * Score <-> MIDI track bridge
+ * Turns a composition (the `score-partwise` JSON of lib/flat.js) into a MIDI
+ * track for the multitrack editor, and a piano-roll track back into score
+ * JSON that can be submitted as a composition.
+ *
+ * Track notes are in timeline seconds at concert pitch, like recorded and
+ * imported notes; scores are written for the part's transposition. The
+ * score's meter and opening tempo become the project tempo map (see
+ * lib/tempoMap.js), which also decides the bar lines on the way back.
+ */
+
+import { scoreNoteEvents } from './flat';
+import { readMeasures, noteTypeFor } from './notation';
+import { DEFAULT_PPQ, DEFAULT_TEMPO } from './midiTimeUtils';
+import {
+  barToBeat,
+  beatToSeconds,
+  meterAtBeat,
+  normalizeTempoMap,
+  secondsToBeat,
+} from './tempoMap';
+import { playbackInstrument, soundingSemitones } from './scorePlayback';
+
+// Exported scores are quantized to 16th notes
+const DIVISIONS = 4;
+const EPSILON = 1e-6;
+const NOTE_VELOCITY = 0.8;
+const TRACK_COLOR = '#7bafd4';
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Spellings of the 12 pitch classes in sharp and flat keys
+const SHARP_SPELLINGS = [
+  ['C', 0],
+  ['C', 1],
+  ['D', 0],
+  ['D', 1],
+  ['E', 0],
+  ['F', 0],
+  ['F', 1],
+  ['G', 0],
+  ['G', 1],
+  ['A', 0],
+  ['A', 1],
+  ['B', 0],
+];
+const FLAT_SPELLINGS = [
+  ['C', 0],
+  ['D', -1],
+  ['D', 0],
+  ['E', -1],
+  ['E', 0],
+  ['F', 0],
+  ['G', -1],
+  ['G', 0],
+  ['A', -1],
+  ['A', 0],
+  ['B', -1],
+  ['B', 0],
+];
+
+// Names used by the multitrack InstrumentSelector
+const INSTRUMENT_NAMES = {
+  piano: 'Piano',
+  organ: 'Pipe Organ',
+  strings: 'WUULF 4',
+  brass: 'WUULF 3',
+  'synth-bass': 'Bass Synth',
+  'synth-lead': 'Lead Synth',
+  'synth-pluck': 'Pluck Synth',
+};
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+function parseScore(scoreJSON) {
+  return typeof scoreJSON === 'string' ? JSON.parse(scoreJSON) : scoreJSON;
+}
+
+/**
+ * Chord symbols and chord-scale color of each bar of a template score.
+ * Chord symbol positions are converted to DIVISIONS.
+ * @param {Object|null} template - Flat score JSON
+ * @returns {Array} [{ harmony: Array, color: string|null }]
+ */
+function templateBarMarkings(template) {
+  let divisions = 1;
+  return asArray(template?.['score-partwise']?.part?.[0]?.measure).map(
+    (measure) => {
+      asArray(measure.attributes).forEach((attribute) => {
+        if (parseFloat(attribute.divisions) > 0) {
+          divisions = parseFloat(attribute.divisions);
+        }
+      });
+      const harmony = asArray(measure.harmony).map((symbol) => {
+        const copy = JSON.parse(JSON.stringify(symbol));
+        const location = symbol['$adagio-location'];
+        if (location?.timePos !== undefined) {
+          copy['$adagio-location'] = {
+            timePos: Math.round(
+              (location.timePos / (location.dpq || divisions)) * DIVISIONS,
+            ),
+          };
+        }
+        return copy;
+      });
+      const color = asArray(measure.note).find((note) => note.$color)?.$color;
+      return { harmony, color: color || null };
+    },
+  );
+}
+
+function trackInstrument(instrument) {
+  const { type, preset = null } = playbackInstrument(instrument);
+  const id = preset ? `${type}-${preset}` : type;
+  return { id, type, preset, name: INSTRUMENT_NAMES[id] || 'Piano' };
+}
+
+/**
+ * Convert a composition into a MIDI track and the tempo map it is timed by
+ * @param {Object|string} scoreJSON - Flat score JSON
+ * @param {Object} options
+ * @param {string|Object} options.instrument - Student's instrument (name or
+ *   assignment instrument), which picks the track's sound
+ * @param {string} options.transposition - Name of the part's transposition
+ * @param {string} options.name - Track name (defaults to the part name)
+ * @returns {{ track: Object, tempoMap: Object }} Track data for
+ *   MultitrackContext.addTrack ({ type: 'midi', name, color, midiData })
+ *   and the score's tempo map
+ */
+export function scoreToMIDITrack(scoreJSON, options = {}) {
+  const { instrument, transposition, name } = options;
+  const score = parseScore(scoreJSON);
+  const { tempo, transposeSemitones } = scoreNoteEvents(score);
+  const offset = soundingSemitones(
+    transposeSemitones,
+    transposition,
+    instrument,
+  );
+  const measures = readMeasures(score);
+
+  // Bars follow the time signatures, so a short (pickup) measure still
+  // takes a whole bar
+  const meters = [];
+  let measureStart = 0;
+  const notes = [];
+  const openTies = new Map(); // `${voice}:${midi}` -> note
+  measures.forEach((measure, index) => {
+    const previous = meters[meters.length - 1];
+    if (
+      !previous ||
+      previous.numerator !== measure.time.beats ||
+      previous.denominator !== measure.time.beatType
+    ) {
+      meters.push({
+        bar: index + 1,
+        numerator: measure.time.beats,
+        denominator: measure.time.beatType,
+      });
+    }
+
+    measure.events.forEach((event) => {
+      const startBeat = measureStart + event.onset;
+      event.heads.forEach((head) => {
+        const midi =
+          (head.octave + 1) * 12 + STEP_SEMITONES[head.step] + head.alter;
+        const key = `${event.voice}:${midi}`;
+        const tied = openTies.get(key);
+        if (
+          tied &&
+          Math.abs(tied.startBeat + tied.durationBeats - startBeat) < EPSILON
+        ) {
+          tied.durationBeats += event.durationQ;
+        } else {
+          const note = {
+            midi: midi + offset,
+            startBeat,
+            durationBeats: event.durationQ,
+          };
+          notes.push(note);
+          openTies.set(key, note);
+        }
+        if (!head.tieStart) openTies.delete(key);
+      });
+    });
+    measureStart += measure.timeQ;
+  });
+
+  const tempoMap = normalizeTempoMap({
+    tempos: [{ beat: 0, bpm: tempo || DEFAULT_TEMPO }],
+    meters,
+  });
+
+  const idBase = Date.now();
+  const trackNotes = notes
+    .filter((note) => note.durationBeats > EPSILON)
+    .sort((a, b) => a.startBeat - b.startBeat)
+    .map((note, i) => {
+      const startTime = beatToSeconds(tempoMap, note.startBeat);
+      const endTime = beatToSeconds(
+        tempoMap,
+        note.startBeat + note.durationBeats,
+      );
+      return {
+        id: `note-${idBase}-${i}`,
+        note: note.midi,
+        velocity: NOTE_VELOCITY,
+        startTime,
+        duration: endTime - startTime,
+      };
+    });
+
+  const partName =
+    score?.['score-partwise']?.['part-list']?.['score-part']?.[0]?.[
+      'part-name'
+    ];
+  return {
+    track: {
+      type: 'midi',
+      name: name || partName || 'Composition',
+      color: TRACK_COLOR,
+      clips: [],
+      midiData: {
+        notes: trackNotes,
+        tempo: tempoMap.tempos[0].bpm,
+        ppq: DEFAULT_PPQ,
+        instrument: trackInstrument(instrument),
+      },
+    },
+    tempoMap,
+  };
+}
+
+function spellPitch(midi, fifths) {
+  const [step, alter] = (fifths < 0 ? FLAT_SPELLINGS : SHARP_SPELLINGS)[
+    ((midi % 12) + 12) % 12
+  ];
+  const pitch = { step, octave: `${Math.floor(midi / 12) - 1}` };
+  if (alter) pitch.alter = `${alter}`;
+  return pitch;
+}
+
+// Lengths (in ticks) that a single note or rest can show, longest first
+const WRITABLE = [16, 12, 8, 6, 4, 3, 2, 1].map((ticks) => ({
+  ticks,
+  ...noteTypeFor(ticks / DIVISIONS),
+}));
+
+// A length as tied notes (or consecutive rests) that can each be written
+function writableParts(ticks) {
+  const parts = [];
+  let left = ticks;
+  while (left > 0) {
+    const part = WRITABLE.find((w) => w.ticks <= left);
+    parts.push(part);
+    left -= part.ticks;
+  }
+  return parts;
+}
+
+function tieMarks(start, stop) {
+  const types = [...(stop ? ['stop'] : []), ...(start ? ['start'] : [])];
+  if (types.length === 0) return {};
+  const ties = types.map((type) => ({ $type: type }));
+  return { tie: ties, notations: [{ tied: ties }] };
+}
+
+/**
+ * Convert a piano-roll track into score JSON. Notes are quantized to 16ths;
+ * notes that start together become a chord, and a note is cut short where
+ * the next one starts, since the part is written in a single voice. Each
+ * bar keeps the chord symbols and chord-scale color of the template's bar.
+ * @param {Object} track - MIDI track (midiData.notes in timeline seconds)
+ * @param {Object} tempoMap - Project tempo map
+ * @param {Object} options
+ * @param {Object|string} options.template - Score to take the part, clef,
+ *   key and transposition from (usually the composition the track came from)
+ * @param {string} options.transposition - Name of the part's transposition
+ * @param {string|Object} options.instrument - Student's instrument
+ * @returns {Object} Flat score JSON
+ */
+export function midiTrackToScore(track, tempoMap, options = {}) {
+  const { transposition, instrument } = options;
+  const template = options.template ? parseScore(options.template) : null;
+  const firstAttributes = asArray(
+    template?.['score-partwise']?.part?.[0]?.measure?.[0]?.attributes,
+  );
+  const attribute = (name) =>
+    firstAttributes.find((a) => a?.[name] !== undefined)?.[name];
+  const key = asArray(attribute('key'))[0] || { fifths: '0' };
+  const fifths = parseInt(key.fifths, 10) || 0;
+  const declared = template ? scoreNoteEvents(template).transposeSemitones : 0;
+  const offset = soundingSemitones(declared, transposition, instrument);
+
+  // Quantized onsets, with the notes that start together
+  const toTick = (seconds) =>
+    Math.round(secondsToBeat(tempoMap, seconds) * DIVISIONS);
+  const byOnset = new Map();
+  (track?.midiData?.notes || []).forEach((note) => {
+    const start = Math.max(0, toTick(note.startTime));
+    const end = Math.max(start + 1, toTick(note.startTime + note.duration));
+    const group = byOnset.get(start) || { start, end, pitches: new Set() };
+    group.end = Math.max(group.end, end);
+    group.pitches.add(note.note - offset);
+    byOnset.set(start, group);
+  });
+  const groups = [...byOnset.values()].sort((a, b) => a.start - b.start);
+  groups.forEach((group, i) => {
+    if (groups[i + 1]) group.end = Math.min(group.end, groups[i + 1].start);
+  });
+
+  // Bars from the tempo map, until the last note has ended and every bar
+  // of the template is written
+  const markings = templateBarMarkings(template);
+  const lastTick = groups.length ? groups[groups.length - 1].end : 0;
+  const bars = [];
+  for (
+    let bar = 1;
+    bars.length === 0 ||
+    bars.length < markings.length ||
+    bars[bars.length - 1].end < lastTick;
+    bar++
+  ) {
+    const startBeat = barToBeat(tempoMap, bar);
+    const meter = meterAtBeat(tempoMap, startBeat + EPSILON);
+    bars.push({
+      start: Math.round(startBeat * DIVISIONS),
+      end: Math.round((startBeat + meter.barLength) * DIVISIONS),
+      meter,
+    });
+  }
+
+  const measures = bars.map((bar, index) => {
+    const notes = [];
+    const addNotes = (pitches, from, length, tiedIn, tiedOut) => {
+      const parts = writableParts(length);
+      let position = from;
+      parts.forEach((part, i) => {
+        const written = {
+          type: part.type,
+          ...(part.dots ? { dot: {} } : {}),
+          duration: `${part.ticks}`,
+          '$adagio-location': { timePos: position - bar.start },
+        };
+        if (!pitches) {
+          notes.push({ staff: '1', voice: '1', ...written, rest: {} });
+        } else {
+          [...pitches]
+            .sort((a, b) => a - b)
+            .forEach((midi, chordIdx) => {
+              notes.push({
+                staff: '1',
+                voice: '1',
+                ...(chordIdx > 0 ? { chord: {} } : {}),
+                ...written,
+                pitch: spellPitch(midi, fifths),
+                ...tieMarks(tiedOut || i < parts.length - 1, tiedIn || i > 0),
+              });
+            });
+        }
+        position += part.ticks;
+      });
+    };
+
+    let position = bar.start;
+    groups.forEach((group) => {
+      const from = Math.max(group.start, bar.start);
+      const to = Math.min(group.end, bar.end);
+      if (to <= from) return;
+      if (from > position) addNotes(null, position, from - position);
+      addNotes(
+        group.pitches,
+        from,
+        to - from,
+        group.start < bar.start,
+        group.end > bar.end,
+      );
+      position = to;
+    });
+    if (position === bar.start) {
+      notes.push({
+        staff: '1',
+        voice: '1',
+        type: 'whole',
+        duration: `${bar.end - bar.start}`,
+        rest: { $measure: 'yes' },
+        '$adagio-location': { timePos: 0 },
+      });
+    } else if (position < bar.end) {
+      addNotes(null, position, bar.end - position);
+    }
+
+    const marking = markings[index];
+    if (marking?.color) {
+      notes.forEach((note, i) => {
+        notes[i].$color = marking.color;
+      });
+    }
+    const harmony = (marking?.harmony || []).filter(
+      (symbol) =>
+        (symbol['$adagio-location']?.timePos ?? 0) < bar.end - bar.start,
+    );
+    const measure = {
+      $number: `${index + 1}`,
+      ...(harmony.length ? { harmony } : {}),
+      note: notes,
+    };
+    const previous = bars[index - 1];
+    const time = {
+      beats: `${bar.meter.numerator}`,
+      'beat-type': `${bar.meter.denominator}`,
+    };
+    if (index === 0) {
+      measure.attributes = [
+        {
+          divisions: `${DIVISIONS}`,
+          time,
+          clef: attribute('clef') || { sign: 'G', line: '2' },
+          key,
+          ...(attribute('transpose')
+            ? { transpose: attribute('transpose') }
+            : {}),
+          'staff-details': attribute('staff-details') || {
+            'staff-lines': '5',
+          },
+        },
+      ];
+      measure.sound = [{ $tempo: `${Math.round(tempoMap.tempos[0].bpm)}` }];
+    } else if (previous.meter !== bar.meter) {
+      measure.attributes = [{ time }];
+    }
+    if (index === bars.length - 1) {
+      measure.barline = { $location: 'right', 'bar-style': 'light-heavy' };
+    }
+    return measure;
+  });
+
+  const result = template
+    ? JSON.parse(JSON.stringify(template))
+    : {
+        'score-partwise': {
+          $version: '3.1',
+          'part-list': {
+            'score-part': [{ $id: 'P1', 'part-name': track?.name || '' }],
+          },
+          part: [{ $id: 'P1' }],
+        },
+      };
+  result['score-partwise'].part[0].measure = measures;
+  return result;
+}
@@ -0,0 +1,177 @@
+// lib/scorePlayback.js
+/**
+ * Score playback helpers
+ * Turns the flat score JSON of a part into sounding note events for the DAW
+ * instruments, and maps playback positions back onto measures for the
+ * cursor. Positions are in quarter-note beats from the start of the score,
+ * as in scoreNoteEvents (lib/flat.js).
+ */
+
+import { scoreNoteEvents } from './flat';
+
+// Written-to-sounding shift of the transposed parts, for scores that do
+// not declare their own <transpose>
+export const TRANSPOSITION_SEMITONES = {
+  Bb: -2,
+  Eb: -9,
+  F: -7,
+  'Concert Pitch TC 8va': 12,
+  'Concert Pitch BC 8vb': -12,
+};
+
+// Instruments that sound an octave below the usual shift of their
+// transposition (a tenor sax part in Bb sounds a major ninth lower)
+const INSTRUMENT_OCTAVES = [
+  { match: /tenor sax|bass clarinet/, transposition: 'Bb', semitones: -12 },
+  { match: /baritone sax|bari sax/, transposition: 'Eb', semitones: -12 },
+];
+
+// First match wins, so woodwinds come before the brass words they contain
+// (English horn, baritone sax)
+const INSTRUMENT_SOUNDS = [
+  {
+    match: /piano|keyboard|mallet|marimba|xylophone|vibraphone|bell|glock/,
+    type: 'piano',
+  },
+  {
+    match: /violin|viola|cello|string|double bass|upright bass|contrabass/,
+    type: 'strings',
+  },
+  {
+    match: /bass clarinet|bassoon|bass guitar|electric bass/,
+    type: 'synth',
+    preset: 'bass',
+  },
+  {
+    match: /flute|piccolo|clarinet|oboe|sax|recorder|english horn/,
+    type: 'synth',
+    preset: 'lead',
+  },
+  {
+    match:
+      /trumpet|cornet|flugel|horn|mellophone|trombone|baritone|euphonium|tuba|sousaphone|brass/,
+    type: 'brass',
+  },
+  { match: /guitar|harp/, type: 'synth', preset: 'pluck' },
+  { match: /organ/, type: 'organ' },
+];
+
+const instrumentName = (instrument) =>
+  (typeof instrument === 'string'
+    ? instrument
+    : instrument?.name || ''
+  ).toLowerCase();
+
+/**
+ * Semitones from written to sounding pitch
+ * @param {number} declared - From the score's <transpose> (0 if it has none)
+ * @param {string} transposition - Name of the part's transposition
+ * @param {string|Object} instrument - Student's instrument, for the octave
+ *   of transpositions it sounds lower than (optional)
+ * @returns {number}
+ */
+export function soundingSemitones(declared, transposition, instrument) {
+  if (declared) return declared;
+  const name = instrumentName(instrument);
+  const octave = INSTRUMENT_OCTAVES.find(
+    (entry) => entry.transposition === transposition && entry.match.test(name),
+  );
+  return (
+    (TRANSPOSITION_SEMITONES[transposition] || 0) + (octave?.semitones || 0)
+  );
+}
+
+/**
+ * DAW instrument that stands in for a student's instrument
+ * @param {string|Object} instrument - Instrument name, or an object with `name`
+ * @returns {{ type: string, preset?: string }} Arguments for createInstrument
+ */
+export function playbackInstrument(instrument) {
+  const name = instrumentName(instrument);
+  const sound = INSTRUMENT_SOUNDS.find(({ match }) => match.test(name));
+  return sound ? { type: sound.type, preset: sound.preset } : { type: 'piano' };
+}
+
+/**
+ * Sounding notes of a score, in beats, with the measure each one is in
+ * @param {Object|string} scoreJSON - Flat score JSON for the student's transposition
+ * @param {Object} options
+ * @param {string} options.transposition - Name of the part's transposition
+ *   (e.g. 'Bb'), used when the score does not declare one
+ * @param {string|Object} options.instrument - Student's instrument, which
+ *   sets the octave of some transpositions (see soundingSemitones)
+ * @returns {Object} { notes: [{ midi, startBeat, durationBeats, measureIdx }], measures: [{ startBeat, beats }], tempo, transposeSemitones }
+ */
+export function scorePlaybackEvents(
+  scoreJSON,
+  { transposition, instrument } = {},
+) {
+  const score = scoreNoteEvents(
+    typeof scoreJSON === 'string' ? JSON.parse(scoreJSON) : scoreJSON,
+  );
+  const transposeSemitones = soundingSemitones(
+    score.transposeSemitones,
+    transposition,
+    instrument,
+  );
+  return {
+    notes: score.notes.map((note) => ({
+      midi: note.midi + transposeSemitones,
+      startBeat: note.startBeat,
+      durationBeats: note.durationBeats,
+      measureIdx: measureAtBeat(score.measures, note.startBeat),
+    })),
+    measures: score.measures.map(({ startBeat, beats }) => ({
+      startBeat,
+      beats,
+    })),
+    tempo: score.tempo,
+    transposeSemitones,
+  };
+}
+
+/**
+ * Index of the measure a beat falls in
+ * @param {Array} measures - [{ startBeat, beats }]
+ * @param {number} beat
+ * @returns {number} -1 before the first measure
+ */
+export function measureAtBeat(measures, beat) {
+  for (let i = measures.length - 1; i >= 0; i--) {
+    if (beat >= measures[i].startBeat - 1e-6) return i;
+  }
+  return -1;
+}
+
+/**
+ * Beats covered by a range of measures
+ * @param {Array} measures - [{ startBeat, beats }]
+ * @param {[number, number]|null} range - First and last measure index; the
+ *   whole score when null
+ * @returns {{ startBeat: number, endBeat: number }}
+ */
+export function rangeBeats(measures, range) {
+  if (measures.length === 0) return { startBeat: 0, endBeat: 0 };
+  const first = Math.max(0, Math.min(range?.[0] ?? 0, measures.length - 1));
+  const last = Math.max(
+    first,
+    Math.min(range?.[1] ?? measures.length - 1, measures.length - 1),
+  );
+  return {
+    startBeat: measures[first].startBeat,
+    endBeat: measures[last].startBeat + measures[last].beats,
+  };
+}
+
+/**
+ * Where the cursor is at a beat
+ * @param {Array} measures - [{ startBeat, beats }]
+ * @param {number} beat
+ * @returns {{ measure: number, beat: number }|null} Measure index and beats
+ *   into it
+ */
+export function cursorAtBeat(measures, beat) {
+  const measure = measureAtBeat(measures, beat);
+  if (measure < 0) return null;
+  return { measure, beat: beat - measures[measure].startBeat };
+}
@@ -0,0 +1,231 @@
+// lib/sessionAutosave.js
+/**
+ * DAW Session Autosave
+ * Persists the in-progress DAW session (multitrack project + single-track
+ * edit history) to IndexedDB so it can be recovered after a crash or reload.
+ *
+ * Audio is stored as Blobs (IndexedDB holds binary natively), so the
+ * multitrack portion is a project document from lib/projectFile.js
+ * serialized with `assetEncoding: 'blob'`.
+ *
+ * Record layout:
+ *   {
+ *     key,           // one session per page (e.g. the route path)
+ *     savedAt,       // ms timestamp
+ *     dawMode,       // 'single' | 'multi'
+ *     multitrack,    // project document, or null
+ *     editHistory,   // { entries: [{ effectName, metadata, blob }], currentIndex }, or null
+ *   }
+ */
+
+import { serializeProject, deserializeProject } from './projectFile';
+
+const DB_NAME = 'musiccpr-daw';
+const DB_VERSION = 1;
+const STORE_NAME = 'autosave';
+
+let dbPromise = null;
+
+// Audio Blobs read by the last save of each session, by URL. Blob URLs and
+// uploaded files keep their content, so a save only fetches audio whose
+// source is new; entries the save no longer uses are dropped.
+const blobCaches = new Map();
+
+function createBlobCache(key) {
+  const previous = blobCaches.get(key) || new Map();
+  const current = new Map();
+  return {
+    get(url) {
+      const blob = current.get(url) || previous.get(url);
+      if (blob) current.set(url, blob);
+      return blob;
+    },
+    set(url, blob) {
+      current.set(url, blob);
+    },
+    commit() {
+      blobCaches.set(key, current);
+    },
+  };
+}
+
+/**
+ * Open (and lazily create) the autosave database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the autosave store
+ */
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Snapshot the single-track edit history with its audio as Blobs
+ * @param {AudioCommandManager} commandManager
+ * @param {Object} blobCache - Audio Blobs by URL, with get/set (optional)
+ * @returns {Promise<Object|null>} { entries, currentIndex }, where
+ *   currentIndex is the undo position
+ */
+export async function snapshotEditHistory(commandManager, blobCache = null) {
+  const commands = commandManager?.getAllCommands?.() || [];
+  if (commands.length === 0) return null;
+
+  const position = commandManager.currentIndex ?? commands.length - 1;
+  const blobsByUrl = blobCache || new Map();
+  const entries = [];
+  let currentIndex = 0;
+  for (const [index, cmd] of commands.entries()) {
+    const url = cmd.audioData;
+    if (typeof url !== 'string' || !url) continue;
+    if (!blobsByUrl.get(url)) {
+      const response = await fetch(url);
+      if (!response.ok) continue;
+      blobsByUrl.set(url, await response.blob());
+    }
+    entries.push({
+      effectName: cmd.name,
+      metadata: cmd.metadata || {},
+      blob: blobsByUrl.get(url),
+    });
+    // Commands whose audio could not be read are left out, so the undo
+    // position is counted in saved entries
+    if (index <= position) currentIndex = entries.length - 1;
+  }
+
+  return entries.length > 0 ? { entries, currentIndex } : null;
+}
+
+/**
+ * Build and store an autosave record
+ * @param {string} key - Session key
+ * @param {Object} session
+ * @param {Object} session.projectState - MultitrackContext.getProjectState()
+ * @param {AudioCommandManager} session.commandManager - Single-track history
+ * @param {string} session.dawMode - Current DAW mode
+ */
+export async function saveSession(
+  key,
+  { projectState, commandManager, dawMode },
+) {
+  const blobCache = createBlobCache(key);
+  const hasTracks = projectState?.tracks?.length > 0;
+  const multitrack = hasTracks
+    ? await serializeProject(projectState, {
+        name: 'Autosave',
+        embedAudio: true,
+        assetEncoding: 'blob',
+        blobCache,
+      })
+    : null;
+  const editHistory = await snapshotEditHistory(commandManager, blobCache);
+  blobCache.commit();
+
+  const record = {
+    key,
+    savedAt: Date.now(),
+    dawMode: dawMode || 'single',
+    multitrack,
+    editHistory,
+  };
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Load the stored autosave record for a session key
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+export async function loadSession(key) {
+  const record = await withStore('readonly', (store) => store.get(key));
+  return record || null;
+}
+
+/**
+ * Delete the stored autosave record for a session key
+ * @param {string} key
+ */
+export async function clearSession(key) {
+  await withStore('readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Whether a stored record holds anything worth offering to recover
+ * @param {Object} record
+ * @returns {boolean}
+ */
+export function hasRecoverableContent(record) {
+  return !!(
+    record &&
+    ((record.multitrack?.tracks?.length ?? 0) > 0 ||
+      (record.editHistory?.entries?.length ?? 0) > 0)
+  );
+}
+
+/**
+ * Turn a stored record back into loadable state
+ * @param {Object} record - From loadSession
+ * @returns {Promise<Object>} { dawMode, project, editHistory }
+ *   project is ready for MultitrackContext.loadProject, editHistory for
+ *   AudioContext.restoreEditHistory
+ */
+export async function restoreSession(record) {
+  const project = record.multitrack
+    ? await deserializeProject(record.multitrack)
+    : null;
+
+  let editHistory = null;
+  if (record.editHistory?.entries?.length > 0) {
+    const urlsByBlob = new Map();
+    const lastIndex = record.editHistory.entries.length - 1;
+    editHistory = {
+      currentIndex: Math.min(
+        Math.max(record.editHistory.currentIndex ?? lastIndex, 0),
+        lastIndex,
+      ),
+      entries: record.editHistory.entries.map((entry) => {
+        if (!urlsByBlob.has(entry.blob)) {
+          urlsByBlob.set(entry.blob, URL.createObjectURL(entry.blob));
+        }
+        return {
+          effectName: entry.effectName,
+          metadata: entry.metadata,
+          url: urlsByBlob.get(entry.blob),
+        };
+      }),
+    };
+  }
+
+  return { dawMode: record.dawMode, project, editHistory };
+}
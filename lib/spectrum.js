@@ -0,0 +1,289 @@
+// lib/spectrum.js
+/**
+ * Spectrum views for the DAW editors
+ * Spectrogram columns of decoded audio (computed with the effects
+ * processor's FFT), the colour map they are painted with, and the
+ * log-frequency axis shared with the live analyzers (AnalyserNode).
+ */
+
+import { FFT } from './effects/UnifiedEffectsProcessor';
+
+export const SPECTRUM_MIN_FREQ = 20;
+export const SPECTRUM_MAX_FREQ = 20000;
+export const SPECTROGRAM_MIN_DB = -100;
+export const SPECTROGRAM_MAX_DB = -20;
+// Gridlines that line up with the bands students adjust in ClipEQ / EQ
+export const FREQUENCY_GRID = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+const SPECTROGRAM_FFT_SIZE = 2048;
+// Spectrograms are computed at most this many columns / rows wide and
+// stretched to the clip, so long clips stay cheap at any zoom
+const MAX_COLUMNS = 1024;
+const MAX_ROWS = 256;
+const CACHE_LIMIT = 24;
+
+/**
+ * Position (0 = minFreq, 1 = maxFreq) of a frequency on a log axis
+ */
+export function frequencyToPosition(
+  frequency,
+  minFreq = SPECTRUM_MIN_FREQ,
+  maxFreq = SPECTRUM_MAX_FREQ,
+) {
+  return Math.log(frequency / minFreq) / Math.log(maxFreq / minFreq);
+}
+
+export function positionToFrequency(
+  position,
+  minFreq = SPECTRUM_MIN_FREQ,
+  maxFreq = SPECTRUM_MAX_FREQ,
+) {
+  return minFreq * (maxFreq / minFreq) ** position;
+}
+
+export function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+}
+
+const windows = new Map();
+
+function hannWindow(size) {
+  if (!windows.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
+    }
+    windows.set(size, window);
+  }
+  return windows.get(size);
+}
+
+/**
+ * Magnitude spectrum in dBFS of the frame starting at `start`, one value
+ * per bin from DC to Nyquist. Samples outside the array count as silence.
+ * @param {FFT} fft
+ * @param {Float32Array} samples
+ * @param {number} start
+ * @returns {Float32Array}
+ */
+export function frameSpectrumDb(fft, samples, start) {
+  const size = fft.size;
+  const window = hannWindow(size);
+  const frame = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const index = start + i;
+    if (index >= 0 && index < samples.length) {
+      frame[i] = samples[index] * window[i];
+    }
+  }
+
+  // A full-scale sine reads 0 dBFS: undo the window's gain and the split
+  // between positive and negative frequencies
+  const scale = 4 / size;
+  const spectrum = fft.forward(frame);
+  const bins = new Float32Array(size / 2 + 1);
+  for (let k = 0; k < bins.length; k++) {
+    const re = spectrum[k << 1];
+    const im = spectrum[(k << 1) + 1];
+    const magnitude = Math.sqrt(re * re + im * im) * scale;
+    bins[k] = 20 * Math.log10(Math.max(magnitude, 1e-10));
+  }
+  return bins;
+}
+
+/**
+ * Spectrogram of a sample range, one FFT frame centred on each column
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.start - First sample
+ * @param {number} options.end - Sample after the last
+ * @param {number} options.columns
+ * @param {number} options.fftSize
+ * @returns {{ columns: Float32Array[], binHz: number }}
+ */
+export function computeSpectrogram(
+  samples,
+  sampleRate,
+  {
+    start = 0,
+    end = samples.length,
+    columns = MAX_COLUMNS,
+    fftSize = SPECTROGRAM_FFT_SIZE,
+  } = {},
+) {
+  const fft = new FFT(fftSize);
+  const step = (end - start) / columns;
+  const result = [];
+  for (let column = 0; column < columns; column++) {
+    const centre = start + (column + 0.5) * step;
+    result.push(
+      frameSpectrumDb(fft, samples, Math.round(centre - fftSize / 2)),
+    );
+  }
+  return { columns: result, binHz: sampleRate / fftSize };
+}
+
+// Magma-like ramp from silence (near black) to loud (pale yellow)
+const COLOR_STOPS = [
+  [0, [0, 0, 4]],
+  [0.25, [59, 15, 112]],
+  [0.5, [140, 41, 129]],
+  [0.75, [222, 73, 104]],
+  [0.9, [254, 159, 109]],
+  [1, [252, 253, 191]],
+];
+
+const palette = (() => {
+  const table = new Uint8ClampedArray(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const value = i / 255;
+    const upper = COLOR_STOPS.findIndex(([stop]) => stop >= value);
+    const [stopHigh, colorHigh] = COLOR_STOPS[Math.max(1, upper)];
+    const [stopLow, colorLow] = COLOR_STOPS[Math.max(1, upper) - 1];
+    const t = (value - stopLow) / (stopHigh - stopLow);
+    for (let c = 0; c < 3; c++) {
+      table[i * 3 + c] = colorLow[c] + (colorHigh[c] - colorLow[c]) * t;
+    }
+  }
+  return table;
+})();
+
+/**
+ * RGB colour of a level on the spectrogram scale
+ * @returns {number[]} [r, g, b]
+ */
+export function spectrogramColor(
+  db,
+  minDb = SPECTROGRAM_MIN_DB,
+  maxDb = SPECTROGRAM_MAX_DB,
+) {
+  const value = Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb)));
+  const index = Math.round(value * 255) * 3;
+  return [palette[index], palette[index + 1], palette[index + 2]];
+}
+
+/**
+ * Paint a spectrogram as RGBA pixels, low frequencies at the bottom on a
+ * log axis
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+export function renderSpectrogramPixels(
+  { columns, binHz },
+  height,
+  {
+    minDb = SPECTROGRAM_MIN_DB,
+    maxDb = SPECTROGRAM_MAX_DB,
+    minFreq = SPECTRUM_MIN_FREQ,
+    maxFreq = SPECTRUM_MAX_FREQ,
+  } = {},
+) {
+  const width = columns.length;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const lastBin = (columns[0]?.length ?? 1) - 1;
+  const rowBins = Array.from({ length: height }, (_, row) => {
+    const position = 1 - (row + 0.5) / height;
+    return Math.min(
+      lastBin,
+      positionToFrequency(position, minFreq, maxFreq) / binHz,
+    );
+  });
+
+  columns.forEach((bins, x) => {
+    rowBins.forEach((bin, y) => {
+      const low = Math.floor(bin);
+      const high = Math.min(lastBin, low + 1);
+      const db = bins[low] + (bins[high] - bins[low]) * (bin - low);
+      const [r, g, b] = spectrogramColor(db, minDb, maxDb);
+      const offset = (y * width + x) * 4;
+      data[offset] = r;
+      data[offset + 1] = g;
+      data[offset + 2] = b;
+      data[offset + 3] = 255;
+    });
+  });
+  return { data, width, height };
+}
+
+// ========== Drawing decoded audio ==========
+
+const monoCache = new WeakMap();
+
+/**
+ * Average of an AudioBuffer's channels
+ * @returns {Float32Array}
+ */
+export function monoSamples(audioBuffer) {
+  if (!monoCache.has(audioBuffer)) {
+    const { numberOfChannels, length } = audioBuffer;
+    let mono = audioBuffer.getChannelData(0);
+    if (numberOfChannels > 1) {
+      mono = new Float32Array(length);
+      for (let channel = 0; channel < numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) mono[i] += data[i] / numberOfChannels;
+      }
+    }
+    monoCache.set(audioBuffer, mono);
+  }
+  return monoCache.get(audioBuffer);
+}
+
+// AudioBuffer -> Map(range key -> canvas), oldest entries first
+const imageCache = new WeakMap();
+
+function spectrogramCanvas(audioBuffer, startTime, endTime, columns, rows) {
+  if (!imageCache.has(audioBuffer)) imageCache.set(audioBuffer, new Map());
+  const images = imageCache.get(audioBuffer);
+  const key = `${startTime.toFixed(3)}:${endTime.toFixed(3)}:${columns}:${rows}`;
+  if (images.has(key)) return images.get(key);
+
+  const { sampleRate } = audioBuffer;
+  const spectrogram = computeSpectrogram(monoSamples(audioBuffer), sampleRate, {
+    start: Math.round(startTime * sampleRate),
+    end: Math.round(endTime * sampleRate),
+    columns,
+  });
+  const { data, width, height } = renderSpectrogramPixels(spectrogram, rows, {
+    maxFreq: Math.min(SPECTRUM_MAX_FREQ, sampleRate / 2),
+  });
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas
+    .getContext('2d')
+    .putImageData(new ImageData(data, width, height), 0, 0);
+
+  images.set(key, canvas);
+  if (images.size > CACHE_LIMIT) images.delete(images.keys().next().value);
+  return canvas;
+}
+
+/**
+ * Draw the spectrogram of part of a decoded buffer into a rectangle.
+ * Results are cached per buffer and range, so redrawing every frame
+ * during playback costs only the blit.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {AudioBuffer} audioBuffer
+ * @param {{ x: number, y: number, w: number, h: number }} rect - Canvas pixels
+ * @param {Object} range
+ * @param {number} range.startTime - Seconds into the buffer
+ * @param {number} range.endTime
+ */
+export function drawSpectrogram(
+  ctx,
+  audioBuffer,
+  rect,
+  { startTime, endTime },
+) {
+  const end = Math.min(endTime, audioBuffer.duration);
+  if (rect.w < 1 || rect.h < 1 || end <= startTime) return;
+  const columns = Math.max(1, Math.min(MAX_COLUMNS, Math.round(rect.w)));
+  const rows = Math.max(1, Math.min(MAX_ROWS, Math.round(rect.h)));
+  const image = spectrogramCanvas(audioBuffer, startTime, end, columns, rows);
+  const width = (rect.w * (end - startTime)) / (endTime - startTime);
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(image, rect.x, rect.y, width, rect.h);
+  ctx.restore();
+}
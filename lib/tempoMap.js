@@ -0,0 +1,438 @@
+// lib/tempoMap.js
+/**
+ * Project Tempo / Meter Map
+ * Maps timeline seconds to musical position (beats, bars) for a project whose
+ * tempo and time signature change over time.
+ *
+ * Map layout:
+ *   {
+ *     tempos: [{ beat, bpm, ramp }],             // beat 0 always present
+ *     meters: [{ bar, numerator, denominator }], // bar 1 always present
+ *   }
+ *
+ * - Beats are quarter notes, counted from the start of the timeline.
+ * - A tempo point with `ramp: true` changes linearly (per beat) towards the
+ *   next point's bpm; otherwise the tempo holds until the next point.
+ * - Meter changes happen on bar lines; bars are numbered from 1.
+ *
+ * Clips, automation and MIDI notes stay in timeline seconds. The map only
+ * decides where bars and beats fall, so editing it moves the grid rather than
+ * the recorded material.
+ */
+
+import { DEFAULT_TEMPO } from './midiTimeUtils';
+
+export const MIN_BPM = 20;
+export const MAX_BPM = 400;
+
+const DEFAULT_METER = { numerator: 4, denominator: 4 };
+const VALID_DENOMINATORS = [1, 2, 4, 8, 16, 32];
+const EPSILON = 1e-9;
+
+/**
+ * Snap grid choices. Note values are relative to a whole note; 'beat' follows
+ * the meter's denominator (a dotted beat is not inferred for compound meters).
+ */
+export const GRID_DIVISIONS = [
+  { value: 'bar', label: 'Bar' },
+  { value: 'beat', label: 'Beat' },
+  { value: '1/8', label: '1/8' },
+  { value: '1/16', label: '1/16' },
+  { value: '1/32', label: '1/32' },
+];
+
+/**
+ * Create a constant-tempo map
+ * @param {number} bpm - Tempo in BPM
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit
+ * @returns {Object} Tempo map
+ */
+export function createTempoMap(
+  bpm = DEFAULT_TEMPO,
+  numerator = DEFAULT_METER.numerator,
+  denominator = DEFAULT_METER.denominator,
+) {
+  return normalizeTempoMap({
+    tempos: [{ beat: 0, bpm, ramp: false }],
+    meters: [{ bar: 1, numerator, denominator }],
+  });
+}
+
+export const DEFAULT_TEMPO_MAP = createTempoMap();
+
+function clampBpm(bpm) {
+  const value = Number(bpm);
+  if (!Number.isFinite(value)) return DEFAULT_TEMPO;
+  return Math.max(MIN_BPM, Math.min(MAX_BPM, value));
+}
+
+/**
+ * Sort, de-duplicate and validate a tempo map. Missing or malformed input
+ * (older projects) yields the default 120 BPM 4/4 map.
+ * @param {Object} map
+ * @returns {Object} Normalized tempo map
+ */
+export function normalizeTempoMap(map) {
+  const tempoByBeat = new Map();
+  (Array.isArray(map?.tempos) ? map.tempos : []).forEach((point) => {
+    const beat = Math.max(0, Number(point?.beat) || 0);
+    tempoByBeat.set(beat, {
+      beat,
+      bpm: clampBpm(point?.bpm),
+      ramp: !!point?.ramp,
+    });
+  });
+  const tempos = [...tempoByBeat.values()].sort((a, b) => a.beat - b.beat);
+  if (tempos.length === 0 || tempos[0].beat > 0) {
+    tempos.unshift({
+      beat: 0,
+      bpm: tempos[0]?.bpm ?? DEFAULT_TEMPO,
+      ramp: false,
+    });
+  }
+  // The last point has nothing to ramp towards
+  tempos[tempos.length - 1] = { ...tempos[tempos.length - 1], ramp: false };
+
+  const meterByBar = new Map();
+  (Array.isArray(map?.meters) ? map.meters : []).forEach((meter) => {
+    const bar = Math.max(1, Math.round(Number(meter?.bar) || 1));
+    const numerator = Math.round(Number(meter?.numerator));
+    const denominator = Number(meter?.denominator);
+    meterByBar.set(bar, {
+      bar,
+      numerator:
+        numerator >= 1 && numerator <= 32 ? numerator : DEFAULT_METER.numerator,
+      denominator: VALID_DENOMINATORS.includes(denominator)
+        ? denominator
+        : DEFAULT_METER.denominator,
+    });
+  });
+  const meters = [...meterByBar.values()].sort((a, b) => a.bar - b.bar);
+  if (meters.length === 0 || meters[0].bar > 1) {
+    meters.unshift({ bar: 1, ...DEFAULT_METER });
+  }
+
+  return { tempos, meters };
+}
+
+/**
+ * Length of one bar in quarter-note beats
+ * @param {Object} meter - { numerator, denominator }
+ * @returns {number}
+ */
+export function beatsPerBar(meter) {
+  return (meter.numerator * 4) / meter.denominator;
+}
+
+// --- Tempo (beats <-> seconds) ---
+
+// Derived segments are cached per map object; maps are replaced, never mutated
+const segmentCache = new WeakMap();
+const meterCache = new WeakMap();
+
+// Tempo segments with their start time in seconds
+function getTempoSegments(map) {
+  const source = map?.tempos ? map : DEFAULT_TEMPO_MAP;
+  const cached = segmentCache.get(source);
+  if (cached) return cached;
+
+  const { tempos } = normalizeTempoMap(source);
+  const segments = [];
+  let seconds = 0;
+  tempos.forEach((point, i) => {
+    const next = tempos[i + 1];
+    const length = next ? next.beat - point.beat : Infinity;
+    const endBpm = point.ramp && next ? next.bpm : point.bpm;
+    const segment = {
+      beat: point.beat,
+      seconds,
+      bpm: point.bpm,
+      length,
+      // bpm change per beat across a ramp
+      slope:
+        Number.isFinite(length) && length > 0
+          ? (endBpm - point.bpm) / length
+          : 0,
+    };
+    segments.push(segment);
+    if (next) seconds += segmentSeconds(segment, length);
+  });
+
+  segmentCache.set(source, segments);
+  return segments;
+}
+
+// Seconds elapsed `beats` into a segment
+function segmentSeconds(segment, beats) {
+  const { bpm, slope } = segment;
+  if (Math.abs(slope) < EPSILON) return (beats * 60) / bpm;
+  // Integral of 60 / (bpm + slope * x) dx
+  return (60 / slope) * Math.log((bpm + slope * beats) / bpm);
+}
+
+// Beats elapsed `seconds` into a segment (inverse of segmentSeconds)
+function segmentBeats(segment, seconds) {
+  const { bpm, slope } = segment;
+  if (Math.abs(slope) < EPSILON) return (seconds * bpm) / 60;
+  return (bpm * (Math.exp((seconds * slope) / 60) - 1)) / slope;
+}
+
+function findSegment(segments, key, value) {
+  let segment = segments[0];
+  for (const s of segments) {
+    if (s[key] > value) break;
+    segment = s;
+  }
+  return segment;
+}
+
+/**
+ * Convert a beat position to timeline seconds
+ * @param {Object} map - Tempo map
+ * @param {number} beat - Quarter-note beats from the timeline start
+ * @returns {number} Seconds
+ */
+export function beatToSeconds(map, beat) {
+  const segments = getTempoSegments(map);
+  if (beat <= 0) return (beat * 60) / segments[0].bpm;
+  const segment = findSegment(segments, 'beat', beat);
+  return segment.seconds + segmentSeconds(segment, beat - segment.beat);
+}
+
+/**
+ * Convert timeline seconds to a beat position
+ * @param {Object} map - Tempo map
+ * @param {number} seconds
+ * @returns {number} Quarter-note beats from the timeline start
+ */
+export function secondsToBeat(map, seconds) {
+  const segments = getTempoSegments(map);
+  if (seconds <= 0) return (seconds * segments[0].bpm) / 60;
+  const segment = findSegment(segments, 'seconds', seconds);
+  return segment.beat + segmentBeats(segment, seconds - segment.seconds);
+}
+
+/**
+ * Tempo at a beat position, following ramps
+ * @param {Object} map - Tempo map
+ * @param {number} beat
+ * @returns {number} BPM
+ */
+export function tempoAtBeat(map, beat) {
+  const segment = findSegment(getTempoSegments(map), 'beat', Math.max(0, beat));
+  return segment.bpm + segment.slope * (Math.max(0, beat) - segment.beat);
+}
+
+/**
+ * Tempo at a timeline position
+ * @param {Object} map - Tempo map
+ * @param {number} seconds
+ * @returns {number} BPM
+ */
+export function tempoAtSeconds(map, seconds) {
+  return tempoAtBeat(map, secondsToBeat(map, seconds));
+}
+
+// --- Meter (bars) ---
+
+/**
+ * Meter segments with the beat each one starts on
+ * @param {Object} map - Tempo map
+ * @returns {Array} [{ bar, beat, numerator, denominator, barLength }]
+ */
+export function getMeterSegments(map) {
+  const source = map?.meters ? map : DEFAULT_TEMPO_MAP;
+  const cached = meterCache.get(source);
+  if (cached) return cached;
+
+  const { meters } = normalizeTempoMap(source);
+  let beat = 0;
+  const segments = meters.map((meter, i) => {
+    if (i > 0) {
+      const prev = meters[i - 1];
+      beat += (meter.bar - prev.bar) * beatsPerBar(prev);
+    }
+    return { ...meter, beat, barLength: beatsPerBar(meter) };
+  });
+
+  meterCache.set(source, segments);
+  return segments;
+}
+
+/**
+ * Meter in effect at a beat position
+ * @param {Object} map - Tempo map
+ * @param {number} beat
+ * @returns {Object} Meter segment (see getMeterSegments)
+ */
+export function meterAtBeat(map, beat) {
+  return findSegment(getMeterSegments(map), 'beat', beat);
+}
+
+/**
+ * Beat on which a bar starts
+ * @param {Object} map - Tempo map
+ * @param {number} bar - 1-based bar number
+ * @returns {number}
+ */
+export function barToBeat(map, bar) {
+  const segment = findSegment(getMeterSegments(map), 'bar', bar);
+  return segment.beat + (bar - segment.bar) * segment.barLength;
+}
+
+/**
+ * Musical position of a beat
+ * @param {Object} map - Tempo map
+ * @param {number} beat
+ * @returns {{ bar: number, beat: number, meter: Object }} 1-based bar and
+ *   0-based position within the bar, counted in the meter's beat unit
+ */
+export function beatToBarPosition(map, beat) {
+  const meter = meterAtBeat(map, beat);
+  const barsIn = Math.floor((beat - meter.beat) / meter.barLength + EPSILON);
+  const barStart = meter.beat + barsIn * meter.barLength;
+  return {
+    bar: meter.bar + barsIn,
+    beat: ((beat - barStart) * meter.denominator) / 4,
+    meter,
+  };
+}
+
+/**
+ * Format a timeline position as bar.beat (both 1-based)
+ * @param {Object} map - Tempo map
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatBarBeat(map, seconds) {
+  const position = beatToBarPosition(map, secondsToBeat(map, seconds));
+  return `${position.bar}.${Math.floor(position.beat + EPSILON) + 1}`;
+}
+
+// --- Grid ---
+
+// Grid step in quarter-note beats within a meter
+function divisionStep(division, meter) {
+  if (division === 'bar') return meter.barLength;
+  if (division === 'beat') return 4 / meter.denominator;
+  const [, denominator] = String(division).split('/').map(Number);
+  return denominator > 0 ? 4 / denominator : 1;
+}
+
+/**
+ * Grid positions between two beats. Subdivisions restart on every bar line
+ * so that odd meters (5/8, 7/8) keep their downbeats on the grid.
+ * @param {Object} map - Tempo map
+ * @param {number} startBeat
+ * @param {number} endBeat
+ * @param {string} division - One of GRID_DIVISIONS values
+ * @returns {Array<{ beat: number, isBar: boolean }>}
+ */
+export function getGridBeats(map, startBeat, endBeat, division = 'beat') {
+  const meters = getMeterSegments(map);
+  const out = [];
+  meters.forEach((meter, i) => {
+    const meterEnd = meters[i + 1]?.beat ?? Infinity;
+    if (meterEnd <= startBeat || meter.beat > endBeat) return;
+
+    const step = divisionStep(division, meter);
+    const firstBar = Math.max(
+      0,
+      Math.floor((startBeat - meter.beat) / meter.barLength),
+    );
+    for (
+      let barStart = meter.beat + firstBar * meter.barLength;
+      barStart < meterEnd - EPSILON && barStart <= endBeat;
+      barStart += meter.barLength
+    ) {
+      const barEnd = Math.min(barStart + meter.barLength, meterEnd);
+      for (let beat = barStart; beat < barEnd - EPSILON; beat += step) {
+        if (beat >= startBeat - EPSILON && beat <= endBeat + EPSILON) {
+          out.push({ beat, isBar: beat === barStart });
+        }
+      }
+    }
+  });
+  return out;
+}
+
+/**
+ * Grid line times (seconds) within a timeline range
+ * @param {Object} map - Tempo map
+ * @param {number} startSec
+ * @param {number} endSec
+ * @param {string} division
+ * @returns {Array<number>}
+ */
+export function getGridTimes(map, startSec, endSec, division) {
+  return getGridBeats(
+    map,
+    secondsToBeat(map, startSec),
+    secondsToBeat(map, endSec),
+    division,
+  ).map((g) => beatToSeconds(map, g.beat));
+}
+
+/**
+ * Snap a timeline position to the nearest musical grid line
+ * @param {Object} map - Tempo map
+ * @param {number} seconds
+ * @param {string} division
+ * @returns {number} Snapped seconds
+ */
+export function snapSecondsToGrid(map, seconds, division) {
+  const beat = secondsToBeat(map, Math.max(0, seconds));
+  const span = meterAtBeat(map, beat).barLength;
+  const candidates = getGridBeats(map, beat - span, beat + span, division);
+  if (candidates.length === 0) return seconds;
+
+  let nearest = candidates[0].beat;
+  candidates.forEach((g) => {
+    if (Math.abs(g.beat - beat) < Math.abs(nearest - beat)) nearest = g.beat;
+  });
+  return beatToSeconds(map, nearest);
+}
+
+// --- Editing ---
+
+/**
+ * Add or replace the tempo point at a beat
+ * @param {Object} map - Tempo map
+ * @param {Object} point - { beat, bpm, ramp }
+ * @returns {Object} New tempo map
+ */
+export function setTempoPoint(map, point) {
+  const current = normalizeTempoMap(map);
+  return normalizeTempoMap({
+    ...current,
+    tempos: [
+      ...current.tempos.filter((p) => Math.abs(p.beat - point.beat) > EPSILON),
+      point,
+    ],
+  });
+}
+
+/**
+ * Add or replace the meter change at a bar
+ * @param {Object} map - Tempo map
+ * @param {Object} meter - { bar, numerator, denominator }
+ * @returns {Object} New tempo map
+ */
+export function setMeterChange(map, meter) {
+  const current = normalizeTempoMap(map);
+  return normalizeTempoMap({
+    ...current,
+    meters: [...current.meters.filter((m) => m.bar !== meter.bar), meter],
+  });
+}
+
+/**
+ * True when the map has a single tempo and meter
+ * @param {Object} map - Tempo map
+ * @returns {boolean}
+ */
+export function isConstantTempoMap(map) {
+  const { tempos, meters } = normalizeTempoMap(map);
+  return tempos.length === 1 && meters.length === 1;
+}
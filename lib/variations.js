@@ -1,3 +1,5 @@
+import { keyAlters, noteTypeFor } from './notation';
+
 const template = JSON.parse(
   JSON.stringify({
     'score-partwise': {
@@ -148,8 +150,13 @@ function correctMeasure(measure) {
     Array.isArray(alteredMeasure.attributes) &&
     alteredMeasure.attributes.length > 0
   ) {
+    // keep the original division when it holds notes shorter than an eighth
+    const fitsDefault = alteredMeasure.note.every((note) =>
+      Number.isInteger(note.duration * beatDivision),
+    );
     modify =
       origDivisions !== defaultDiv &&
+      fitsDefault &&
       (alteredMeasure.attributes[0].divisions = defaultDiv);
   }
 
@@ -180,16 +187,14 @@ function correctMeasure(measure) {
  */
 function mwRetrograde(orig) {
   const result = JSON.parse(JSON.stringify(orig));
-  const origNotes = orig.note;
-  const reversed = origNotes.reverse();
+  const reversed = result.note.reverse();
 
+  let timePos = 0;
   reversed.forEach((note, i) => {
-    let timePos = 0;
     reversed[i]['$adagio-location'] = { timePos };
     timePos += parseInt(note.duration, 10);
   });
 
-  result.note = reversed;
   return result;
 }
 
@@ -316,6 +321,555 @@ function mwRhythmicMelodicShift(orig, shift) {
   return result;
 }
 
+/*
+ * The transformations below work on single-voice measures as produced by
+ * correctMeasure, and take the key as returned by keyFromScoreJSON
+ * (lib/flat.js) so that steps and spellings follow the key signature.
+ */
+const STEPS = 'CDEFGAB';
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+// Lengths (in quarters) a single note can show, longest first
+const WRITABLE_QUARTERS = [4, 3, 2, 1.5, 1, 0.75, 0.5, 0.25];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const durationOf = (note) => parseInt(note.duration, 10) || 0;
+const isPitched = (note) => !note.isRest && Boolean(note.pitch);
+const fifthsOf = (key) => parseInt(key?.keyAsJSON?.fifths ?? 0, 10) || 0;
+const divisionsOf = (measure) =>
+  parseInt(measure.attributes?.[0]?.divisions, 10) || 2;
+
+// Length of the measure in divisions
+function measureLength(measure) {
+  const time = measure.attributes?.[0]?.time ?? {};
+  const beats = parseInt(time.beats, 10) || 4;
+  const beatType = parseInt(time['beat-type'], 10) || 4;
+  return (beats * 4 * divisionsOf(measure)) / beatType;
+}
+
+// Multiplies the measure's divisions, so shorter notes can be written
+function rescale(measure, factor) {
+  measure.attributes[0].divisions = divisionsOf(measure) * factor;
+  measure.note.forEach((note, i) => {
+    measure.note[i].duration = durationOf(note) * factor;
+  });
+}
+
+// Position on the staff counted in steps: C0 is 0, D0 is 1, ...
+const diatonicOf = (pitch) =>
+  parseInt(pitch.octave, 10) * 7 + STEPS.indexOf(pitch.step);
+const alterOf = (pitch) => parseInt(pitch.alter ?? 0, 10) || 0;
+const midiOf = (pitch) =>
+  (parseInt(pitch.octave, 10) + 1) * 12 +
+  STEP_SEMITONES[pitch.step] +
+  alterOf(pitch);
+
+// How far a pitch is raised (or lowered) from the key's version of its step
+const deviationOf = (pitch, fifths) =>
+  alterOf(pitch) - (keyAlters(fifths)[pitch.step] || 0);
+
+function diatonicPitch(diatonic, deviation, fifths) {
+  const step = STEPS[((diatonic % 7) + 7) % 7];
+  const alter = (keyAlters(fifths)[step] || 0) + deviation;
+  const pitch = { step, octave: `${Math.floor(diatonic / 7)}` };
+  if (alter) pitch.alter = `${alter}`;
+  return pitch;
+}
+
+// Spells a MIDI note as a degree of the key where it is one, otherwise
+// with the accidental of the key's direction (sharps for sharp keys)
+function spellInKey(midi, fifths) {
+  const alters = keyAlters(fifths);
+  const accidental = fifths >= 0 ? 1 : -1;
+  const { step, alter } = [0, accidental]
+    .flatMap((deviation) =>
+      [...STEPS].map((s) => ({ step: s, alter: (alters[s] || 0) + deviation })),
+    )
+    .find(
+      (spelling) =>
+        (STEP_SEMITONES[spelling.step] + spelling.alter - midi) % 12 === 0,
+    );
+  const octave = (midi - STEP_SEMITONES[step] - alter) / 12 - 1;
+  const pitch = { step, octave: `${octave}` };
+  if (alter) pitch.alter = `${alter}`;
+  return pitch;
+}
+
+// A written accidental belongs to the old pitch, so it goes with it
+function setPitch(note, pitch) {
+  note.pitch = pitch;
+  delete note.accidental;
+}
+
+function withoutTies(note) {
+  const n = clone(note);
+  delete n.tie;
+  delete n.notations;
+  return n;
+}
+
+function restLike(note, duration) {
+  const rest = withoutTies(note);
+  delete rest.pitch;
+  delete rest.accidental;
+  rest.rest = {};
+  rest.isRest = true;
+  rest.duration = duration;
+  return rest;
+}
+
+// A length in quarters as note values that can each be written
+function writableParts(quarters) {
+  const parts = [];
+  let left = quarters;
+  while (left > 1e-6) {
+    const part = WRITABLE_QUARTERS.find((q) => q <= left + 1e-6) ?? left;
+    parts.push(part);
+    left -= part;
+  }
+  return parts;
+}
+
+/**
+ * Recomputes note positions from durations and sets each note's type,
+ * splitting a duration that no single note value can show into tied notes
+ *
+ * @param {*} measure the measure to update (in place)
+ * @returns           the measure
+ */
+function retime(measure) {
+  const divisions = divisionsOf(measure);
+  const notes = [];
+  let timePos = 0;
+
+  measure.note.forEach((note) => {
+    const ties = [].concat(note.tie ?? []).map((tie) => tie.$type);
+    const parts = writableParts(durationOf(note) / divisions);
+    parts.forEach((quarters, i) => {
+      const part = parts.length > 1 ? withoutTies(note) : clone(note);
+      const { type, dots } = noteTypeFor(quarters);
+      part.duration = `${quarters * divisions}`;
+      part.type = type;
+      delete part.dot;
+      if (dots) part.dot = {};
+      part['$adagio-location'] = { timePos };
+
+      if (parts.length > 1 && isPitched(note)) {
+        const types = [
+          ...(i > 0 || ties.includes('stop') ? ['stop'] : []),
+          ...(i < parts.length - 1 || ties.includes('start') ? ['start'] : []),
+        ].map(($type) => ({ $type }));
+        part.tie = types;
+        part.notations = [{ tied: types }];
+      }
+
+      notes.push(part);
+      timePos += quarters * divisions;
+    });
+  });
+
+  measure.note = notes;
+  return measure;
+}
+
+/**
+ * Lays notes out from the start of the measure, cutting off whatever
+ * runs past its end. Repeats the notes until the measure is full, or
+ * else fills what is left with a rest.
+ *
+ * @param {*} measure the measure to fill (in place)
+ * @param {*} notes   the notes to lay out
+ * @param {*} repeat  whether to repeat the notes
+ * @returns           the measure
+ */
+function fillMeasure(measure, notes, repeat) {
+  const length = measureLength(measure);
+  const filled = [];
+  let position = 0;
+
+  for (let i = 0; position < length && notes.length > 0; i += 1) {
+    if (i >= notes.length && !repeat) break;
+    const note = clone(notes[i % notes.length]);
+    note.duration = Math.min(durationOf(note), length - position);
+    if (note.duration <= 0) break;
+    filled.push(note);
+    position += note.duration;
+  }
+  if (position < length && notes.length > 0) {
+    filled.push(restLike(notes[0], length - position));
+  }
+
+  measure.note = filled;
+  return retime(measure);
+}
+
+/**
+ * Rhythmic shift for any divisions (mwRhythmicShift expects the measure
+ * to be counted in eighths): moves every note
+ * later by the given number of eighths, wrapping what runs past the end
+ * of the measure back to its start. A note crossing the barline is split
+ * in two.
+ *
+ * @param {*} orig  the measure to shift
+ * @param {*} shift number of eighths to shift by
+ * @returns         the shifted measure
+ */
+function rotateMeasure(orig, shift) {
+  const result = clone(orig);
+  const length = measureLength(result);
+  const offset = (shift * divisionsOf(result)) / 2;
+  const placed = [];
+  let position = 0;
+
+  result.note.forEach((note) => {
+    const duration = durationOf(note);
+    const start = (position + offset) % length;
+    const overflow = start + duration - length;
+    if (overflow > 0) {
+      placed.push({
+        start,
+        note: { ...withoutTies(note), duration: duration - overflow },
+      });
+      placed.push({
+        start: 0,
+        note: { ...withoutTies(note), duration: overflow },
+      });
+    } else {
+      placed.push({ start, note: { ...note, duration } });
+    }
+    position += duration;
+  });
+
+  result.note = placed.sort((a, b) => a.start - b.start).map((p) => p.note);
+  return retime(result);
+}
+
+/**
+ * Mirrors the pitches of a measure around one of its notes. Diatonic
+ * inversion mirrors steps of the scale (so a major third may become a
+ * minor third); chromatic inversion mirrors exact semitones.
+ *
+ * @param {*} orig    the measure to invert
+ * @param {*} key     the key, from keyFromScoreJSON
+ * @param {*} options { axis: index of the pitched note to invert around,
+ *                    chromatic: mirror semitones instead of scale steps }
+ * @returns           the inverted measure
+ */
+function mwInversion(orig, key, { axis = 0, chromatic = false } = {}) {
+  const result = clone(orig);
+  const fifths = fifthsOf(key);
+  const pitched = result.note.filter(isPitched);
+  const center = (pitched[axis] ?? pitched[0])?.pitch;
+  if (!center) return result;
+
+  pitched.forEach((note) => {
+    setPitch(
+      note,
+      chromatic
+        ? spellInKey(2 * midiOf(center) - midiOf(note.pitch), fifths)
+        : diatonicPitch(
+            2 * diatonicOf(center) - diatonicOf(note.pitch),
+            2 * deviationOf(center, fifths) - deviationOf(note.pitch, fifths),
+            fifths,
+          ),
+    );
+  });
+  return result;
+}
+
+/**
+ * The inversion of a measure, played backwards
+ *
+ * @param {*} orig    the measure to transform
+ * @param {*} key     the key, from keyFromScoreJSON
+ * @param {*} options as for mwInversion()
+ * @returns           the retrograde inversion
+ */
+function mwRetrogradeInversion(orig, key, options) {
+  return mwRetrograde(mwInversion(orig, key, options));
+}
+
+/**
+ * Doubles every duration; notes that no longer fit in the
+ * measure are dropped and the last one is cut short
+ *
+ * @param {*} orig the measure to augment
+ * @returns        the augmented measure
+ */
+function mwAugmentation(orig) {
+  const result = clone(orig);
+  const notes = result.note.map((note) => ({
+    ...note,
+    duration: durationOf(note) * 2,
+  }));
+  return fillMeasure(result, notes, false);
+}
+
+/**
+ * Halves every duration, then repeats the motive to fill the measure
+ *
+ * @param {*} orig the measure to diminish
+ * @returns        the diminished measure
+ */
+function mwDiminution(orig) {
+  const result = clone(orig);
+  if (result.note.some((note) => durationOf(note) % 2)) rescale(result, 2);
+  const notes = result.note.map((note) => ({
+    ...note,
+    duration: durationOf(note) / 2,
+  }));
+  return fillMeasure(result, notes, true);
+}
+
+/**
+ * Moves every pitch by steps of the scale (a diatonic sequence), keeping
+ * any note that is outside the key just as far outside it
+ *
+ * @param {*} orig    the measure to move
+ * @param {*} key     the key, from keyFromScoreJSON
+ * @param {*} options { steps: scale steps to move by, negative for down }
+ * @returns           the moved measure
+ */
+function mwSequence(orig, key, { steps = 1 } = {}) {
+  const result = clone(orig);
+  const fifths = fifthsOf(key);
+  result.note.filter(isPitched).forEach((note) => {
+    setPitch(
+      note,
+      diatonicPitch(
+        diatonicOf(note.pitch) + steps,
+        deviationOf(note.pitch, fifths),
+        fifths,
+      ),
+    );
+  });
+  return result;
+}
+
+/**
+ * Takes a few beats from the start (or end) of the measure
+ * and repeats them to fill the measure
+ *
+ * @param {*} orig    the measure to fragment
+ * @param {*} key     the key, from keyFromScoreJSON
+ * @param {*} options { beats: length of the fragment in quarters,
+ *                    from: 'start' or 'end' }
+ * @returns           the fragmented measure
+ */
+function mwFragmentation(orig, key, { beats = 2, from = 'start' } = {}) {
+  const result = clone(orig);
+  const length = beats * divisionsOf(result);
+  const notes = from === 'end' ? [...result.note].reverse() : result.note;
+  const fragment = [];
+  let taken = 0;
+
+  notes.forEach((note) => {
+    if (taken >= length) return;
+    const duration = Math.min(durationOf(note), length - taken);
+    fragment.push({ ...withoutTies(note), duration });
+    taken += duration;
+  });
+  if (from === 'end') fragment.reverse();
+
+  return fillMeasure(result, fragment, true);
+}
+
+/**
+ * Decorates the melody with non-chord tones:
+ *  - neighbor: each note of a quarter or longer starts with a pair of
+ *              16ths, the note and the scale step above it
+ *  - passing:  each leap of a third is filled in with the step between,
+ *              taking the second half of the first note
+ *
+ * @param {*} orig    the measure to ornament
+ * @param {*} key     the key, from keyFromScoreJSON
+ * @param {*} options { style: 'neighbor' or 'passing' }
+ * @returns           the ornamented measure
+ */
+function mwOrnamentation(orig, key, { style = 'neighbor' } = {}) {
+  const result = clone(orig);
+  const fifths = fifthsOf(key);
+  const stepFrom = (pitch, steps) =>
+    diatonicPitch(diatonicOf(pitch) + steps, 0, fifths);
+
+  if (style === 'passing') {
+    if (result.note.some((note) => durationOf(note) % 2)) rescale(result, 2);
+    result.note = result.note.flatMap((note, i) => {
+      const next = result.note[i + 1];
+      if (!isPitched(note) || !next || !isPitched(next)) return [note];
+      const leap = diatonicOf(next.pitch) - diatonicOf(note.pitch);
+      if (Math.abs(leap) !== 2) return [note];
+
+      const duration = durationOf(note) / 2;
+      const passing = withoutTies(note);
+      setPitch(passing, stepFrom(note.pitch, leap / 2));
+      return [
+        { ...withoutTies(note), duration },
+        { ...passing, duration },
+      ];
+    });
+  } else {
+    while (divisionsOf(result) % 4) rescale(result, 2);
+    const quarter = divisionsOf(result);
+    const sixteenth = quarter / 4;
+    result.note = result.note.flatMap((note) => {
+      const duration = durationOf(note);
+      if (!isPitched(note) || duration < quarter) return [note];
+
+      const neighbor = withoutTies(note);
+      setPitch(neighbor, stepFrom(note.pitch, 1));
+      return [
+        { ...withoutTies(note), duration: sixteenth },
+        { ...neighbor, duration: sixteenth },
+        { ...note, duration: duration - 2 * sixteenth },
+      ];
+    });
+  }
+
+  return retime(result);
+}
+
+// Options offered for an inversion; 'notes' choices are the
+// pitched notes of the measure being inverted
+const INVERSION_OPTIONS = [
+  { name: 'axis', label: 'Around', choices: 'notes' },
+  {
+    name: 'chromatic',
+    label: 'Intervals',
+    choices: [
+      { value: false, label: 'In the key (diatonic)' },
+      { value: true, label: 'Exact (chromatic)' },
+    ],
+  },
+];
+
+/**
+ * The transformations students can chain, in menu order. Each lists its
+ * options with their choices (the first being the default) and applies
+ * as apply(measure, key, options). The rhythmic shifts are left out:
+ * they assume eighth-note divisions and are already in the generated
+ * variations.
+ */
+const VARIATION_TRANSFORMATIONS = [
+  {
+    id: 'retrograde',
+    name: 'Retrograde',
+    options: [],
+    apply: (measure) => mwRetrograde(measure),
+  },
+  {
+    id: 'inversion',
+    name: 'Inversion',
+    options: INVERSION_OPTIONS,
+    apply: mwInversion,
+  },
+  {
+    id: 'retrograde-inversion',
+    name: 'Retrograde inversion',
+    options: INVERSION_OPTIONS,
+    apply: mwRetrogradeInversion,
+  },
+  {
+    id: 'augmentation',
+    name: 'Augmentation',
+    options: [],
+    apply: (measure) => mwAugmentation(measure),
+  },
+  {
+    id: 'diminution',
+    name: 'Diminution',
+    options: [],
+    apply: (measure) => mwDiminution(measure),
+  },
+  {
+    id: 'sequence',
+    name: 'Sequence',
+    options: [
+      {
+        name: 'steps',
+        label: 'Move',
+        choices: [
+          { value: 1, label: 'Up a step' },
+          { value: 2, label: 'Up a third' },
+          { value: -1, label: 'Down a step' },
+          { value: -2, label: 'Down a third' },
+        ],
+      },
+    ],
+    apply: mwSequence,
+  },
+  {
+    id: 'fragmentation',
+    name: 'Fragmentation',
+    options: [
+      {
+        name: 'beats',
+        label: 'Fragment',
+        choices: [
+          { value: 2, label: '2 beats' },
+          { value: 1, label: '1 beat' },
+          { value: 3, label: '3 beats' },
+        ],
+      },
+      {
+        name: 'from',
+        label: 'Taken from',
+        choices: [
+          { value: 'start', label: 'The start' },
+          { value: 'end', label: 'The end' },
+        ],
+      },
+    ],
+    apply: mwFragmentation,
+  },
+  {
+    id: 'ornamentation',
+    name: 'Ornamentation',
+    options: [
+      {
+        name: 'style',
+        label: 'With',
+        choices: [
+          { value: 'neighbor', label: 'Neighbor tones' },
+          { value: 'passing', label: 'Passing tones' },
+        ],
+      },
+    ],
+    apply: mwOrnamentation,
+  },
+  {
+    id: 'melodic-shift',
+    name: 'Melodic shift',
+    options: [
+      {
+        name: 'shift',
+        label: 'By',
+        choices: [1, 2, 3].map((value) => ({
+          value,
+          label: value === 1 ? '1 note' : `${value} notes`,
+        })),
+      },
+    ],
+    apply: (measure, key, { shift = 1 } = {}) => mwMelodicShift(measure, shift),
+  },
+];
+
+/**
+ * Applies a chain of transformations, each to the result of the one before
+ *
+ * @param {*} orig  the measure to start from
+ * @param {*} key   the key, from keyFromScoreJSON
+ * @param {*} chain [{ id, options }], ids from VARIATION_TRANSFORMATIONS
+ * @returns         the transformed measure
+ */
+function mwApplyTransformations(orig, key, chain) {
+  return chain.reduce((measure, { id, options }) => {
+    const transformation = VARIATION_TRANSFORMATIONS.find((t) => t.id === id);
+    return transformation
+      ? transformation.apply(measure, key, options ?? {})
+      : measure;
+  }, clone(orig));
+}
+
 /**
  * Takes a user-created motive and generates 10
  * variations:
@@ -345,18 +899,25 @@ function mwCreateVariations(origStr) {
   const givenMeasure = correctedScore['score-partwise'].part[0].measure[0]; // grab the motive...
   const correctedMeasure = correctMeasure(givenMeasure); // ...then correct it
 
+  // motives with notes shorter than an eighth keep finer divisions
+  const inEighths = divisionsOf(correctedMeasure) === 2;
+  const rhythmicShift = inEighths ? mwRhythmicShift : rotateMeasure;
+  const rhythmicMelodicShift = inEighths
+    ? mwRhythmicMelodicShift
+    : (measure, shift) => rotateMeasure(mwMelodicShift(measure, shift), shift);
+
   const measures = [
     correctedMeasure,
     mwRetrograde(JSON.parse(JSON.stringify(correctedMeasure))),
-    mwRhythmicShift(correctedMeasure, 1),
-    mwRhythmicShift(correctedMeasure, 2),
-    mwRhythmicShift(correctedMeasure, 3),
+    rhythmicShift(correctedMeasure, 1),
+    rhythmicShift(correctedMeasure, 2),
+    rhythmicShift(correctedMeasure, 3),
     mwMelodicShift(correctedMeasure, 1),
     mwMelodicShift(correctedMeasure, 2),
     mwMelodicShift(correctedMeasure, 3),
-    mwRhythmicMelodicShift(correctedMeasure, 1),
-    mwRhythmicMelodicShift(correctedMeasure, 2),
-    mwRhythmicMelodicShift(correctedMeasure, 3),
+    rhythmicMelodicShift(correctedMeasure, 1),
+    rhythmicMelodicShift(correctedMeasure, 2),
+    rhythmicMelodicShift(correctedMeasure, 3),
   ];
 
   // ensure final measure has the correct type of barline
@@ -368,9 +929,13 @@ function mwCreateVariations(origStr) {
   // merge all the variations into resulting score
   // was previously a function
   measures.forEach((measure, i) => {
+    const divisions = divisionsOf(measure);
     measure.note.forEach((note, j) => {
+      const { type, dots } = noteTypeFor(durationOf(note) / divisions);
       measures[i].note[j].duration = note.duration.toString();
-      measures[i].note[j].type = note.duration === '1' ? 'eighth' : 'quarter';
+      measures[i].note[j].type = type;
+      delete measures[i].note[j].dot;
+      if (dots) measures[i].note[j].dot = {};
     });
   });
   result['score-partwise'].part[0].measure = [...measures];
@@ -384,6 +949,15 @@ export {
   mwRhythmicShift,
   mwMelodicShift,
   mwRhythmicMelodicShift,
+  mwInversion,
+  mwRetrogradeInversion,
+  mwAugmentation,
+  mwDiminution,
+  mwSequence,
+  mwFragmentation,
+  mwOrnamentation,
+  mwApplyTransformations,
+  VARIATION_TRANSFORMATIONS,
   mwCreateVariations,
   correctMeasure,
   correctScore,
@@ -0,0 +1,39 @@
+/**
+ * Server-side Flat score JSON.
+ *
+ * Assignments store only a Flat reference (scoreId + sharingKey). Read-only
+ * views load the score through this route instead of calling api.flat.io
+ * from the browser, which school networks often block. Responses are cached
+ * at the edge, so a score is fetched from Flat once rather than per view.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).end();
+  }
+
+  const { scoreId, sharingKey } = req.query;
+  if (!scoreId || !/^[\w-]+$/.test(scoreId)) {
+    return res.status(400).json({ error: 'Missing or invalid scoreId' });
+  }
+
+  const query = sharingKey
+    ? `?sharingKey=${encodeURIComponent(sharingKey)}`
+    : '';
+  try {
+    const upstream = await fetch(
+      `https://api.flat.io/v2/scores/${scoreId}/revisions/last/json${query}`,
+    );
+    if (!upstream.ok) return res.status(upstream.status).end();
+
+    const score = await upstream.json();
+    res.setHeader(
+      'Cache-Control',
+      'public, s-maxage=86400, stale-while-revalidate=604800',
+    );
+    return res.status(200).json(score);
+  } catch (err) {
+    console.error('flat-score: upstream fetch failed', err);
+    return res.status(502).json({ error: 'Upstream fetch failed' });
+  }
+}
@@ -0,0 +1,69 @@
+import { useRouter } from 'next/router';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import { Alert, Spinner } from 'react-bootstrap';
+import {
+  getPartActivityDefinition,
+  mutatePartActivityDefinition,
+} from '../../../../../../api';
+import Layout from '../../../../../../components/layout';
+import { ActivityDefinitionEditor } from '../../../../../../components/activity';
+import { normalizeActivityDefinition } from '../../../../../../lib/activity/activityDefinition';
+
+export default function EditActivityDefinition() {
+  const router = useRouter();
+  const { slug, piece, partType } = router.query;
+  const queryClient = useQueryClient();
+  const queryKey = ['activityDefinition', slug, piece, partType];
+
+  const {
+    isLoading,
+    error,
+    data: definition,
+  } = useQuery(queryKey, getPartActivityDefinition({ slug, piece, partType }), {
+    enabled: !!slug && !!piece && !!partType,
+  });
+
+  const saveMutation = useMutation(
+    mutatePartActivityDefinition({ slug, piece, partType }),
+    {
+      onSuccess: () => queryClient.invalidateQueries(queryKey),
+    },
+  );
+
+  if (error) return `An error has occurred: ${error.message}`;
+
+  return (
+    <Layout>
+      <h2>DAW Lesson: {piece}</h2>
+      <p className="text-muted">
+        Students assigned this part work through these steps in the DAW
+        activity. Questions unlock and submission opens as the listed operations
+        are logged.
+      </p>
+      {saveMutation.isError && (
+        <Alert variant="danger">
+          Failed to save lesson: {saveMutation.error.message}
+        </Alert>
+      )}
+      {saveMutation.isSuccess && <Alert variant="success">Lesson saved.</Alert>}
+      {!slug || !piece || !partType || isLoading ? (
+        <Spinner
+          as="span"
+          animation="border"
+          size="sm"
+          role="status"
+          aria-hidden="true"
+          variant="primary"
+        >
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      ) : (
+        <ActivityDefinitionEditor
+          initialDefinition={normalizeActivityDefinition(definition)}
+          onSave={(next) => saveMutation.mutate(next)}
+          isSaving={saveMutation.isLoading}
+        />
+      )}
+    </Layout>
+  );
+}
@@ -2,7 +2,8 @@
  * Activity Page - Dynamic route for DAW study activities
  *
  * Route: /courses/:slug/:piece/:actCategory/:partType/activity/:step
- * Steps: 1-4 corresponding to the 4 study activities
+ * Steps: 1-based steps of the assignment's activity definition (the 4 study
+ * activities unless the teacher has authored a lesson)
  */
 
 import dynamic from 'next/dynamic';
@@ -13,12 +14,16 @@ import { fetchActivities, fetchSingleStudentAssignment } from '../../../../../..
 import StudentAssignment from '../../../../../../../components/student/assignment';
 import { DAWProvider, useAudio, useUI } from '../../../../../../../contexts/DAWProvider';
 import { useActivityProgress } from '../../../../../../../hooks/useActivityProgress';
+import { useActivityDefinition } from '../../../../../../../hooks/useActivityDefinition';
 import {
   ActivityLayout,
   ActivitySubmitModal,
   ConsentReminderModal,
 } from '../../../../../../../components/activity';
-import { getActivityConfig } from '../../../../../../../lib/activity/activityConfigs';
+import {
+  EDITOR_TYPES,
+  getDefinitionStep,
+} from '../../../../../../../lib/activity/activityDefinition';
 
 /**
  * Sets showDAW and dawMode when rendered inside DAWProvider.
@@ -74,13 +79,22 @@ export default function ActivityPage() {
   const [parsedScore, setParsedScore] = useState();
   const [preferredSample, setPreferredSample] = useState();
 
+  // Lesson definition for this assignment (built-in activities by default)
+  const { definition, isLoading: isLoadingDefinition } = useActivityDefinition({
+    slug,
+    assignmentId: assignment?.id,
+  });
+  const stepCount = definition.steps.length;
+
   // Activity progress hook
   const {
     currentStep,
     stepCompletions,
+    activityLogs,
     questionResponses,
     isLoading,
     isSubmitting,
+    syncStatus,
     canSubmit,
     progress,
     logOperation,
@@ -91,6 +105,7 @@ export default function ActivityPage() {
     assignmentId: assignment?.id,
     initialStep: stepNumber,
     email: email || null, // Pass email from Qualtrics
+    definition,
   });
 
   // Audio persistence configuration for DAW (Activity Study only)
@@ -248,7 +263,7 @@ export default function ActivityPage() {
 
     setShowSubmitModal(false);
 
-    if (currentStep <= 4) {
+    if (currentStep <= stepCount) {
       // Navigate to next activity, preserving email parameter
       const nextUrl = `/courses/${slug}/${piece}/${actCategory}/${partType}/activity/${currentStep}`;
       console.log('📍 Navigating to:', nextUrl);
@@ -272,9 +287,11 @@ export default function ActivityPage() {
   };
 
   // Get activity configuration
-  const activityConfig = getActivityConfig(stepNumber);
+  const activityConfig = getDefinitionStep(definition, stepNumber);
+  const isMultitrack = activityConfig.editor === EDITOR_TYPES.MULTITRACK;
   const stepKey = String(stepNumber);
   const completedOps = stepCompletions[stepKey] || [];
+  const stepLogs = activityLogs.filter((log) => String(log.step) === stepKey);
 
   // Debug: Log what operations are actually completed
   console.log('🔍 Activity Page Debug:', {
@@ -286,7 +303,7 @@ export default function ActivityPage() {
     completedOpsArray: [...completedOps] // Expand the array to see actual values
   });
 
-  // Build sample takes for Activity 3 — bassline available via "Import Takes" modal
+  // Build sample takes for steps that offer the bassline via "Import Takes" modal
   const basslineAssignment = loadedActivities
     ? activities[piece]?.find((a) => a.part_type === 'Bassline')
     : null;
@@ -296,7 +313,7 @@ export default function ActivityPage() {
   const basslineURL = rawBasslineURL
     ? `/api/audio-proxy?url=${encodeURIComponent(rawBasslineURL)}`
     : null;
-  const sampleTakes = (stepNumber === 3 && basslineURL) ? [{
+  const sampleTakes = (activityConfig.bassline && basslineURL) ? [{
     id: 'sample-bassline',
     name: basslineAssignment?.part?.piece?.name
       ? `${basslineAssignment.part.piece.name} - Bassline`
@@ -310,7 +327,7 @@ export default function ActivityPage() {
     originalData: null,
   }] : [];
 
-  if (isLoading) {
+  if (isLoading || isLoadingDefinition) {
     return (
       <StudentAssignment assignment={assignment}>
         <div className="text-center py-5">
@@ -328,7 +345,7 @@ export default function ActivityPage() {
         persistenceConfig={audioPersistenceConfig}
       >
         {/* Initialize DAW visibility and mode for multitrack activities */}
-        {(stepNumber === 3 || stepNumber === 4) && (
+        {isMultitrack && (
           <DAWInitializer multitrack />
         )}
 
@@ -344,7 +361,7 @@ export default function ActivityPage() {
           onKeepEditing={handleKeepEditing}
           onContinue={handleContinue}
           currentStep={stepNumber}
-          isLastStep={currentStep > 4}
+          isLastStep={currentStep > stepCount}
         />
 
         {/* Main Activity Layout */}
@@ -354,17 +371,22 @@ export default function ActivityPage() {
           questions={activityConfig.questions}
           questionResponses={questionResponses}
           completedOperations={completedOps}
+          activityLogs={stepLogs}
           canSubmit={canSubmit && !!assignment?.id}
           progress={progress}
           isSubmitting={isSubmitting}
+          syncStatus={syncStatus}
           onResponseChange={saveResponse}
           onSubmit={handleSubmit}
         >
-          {/* Sheet Music (Activities 1-2) */}
-          {(stepNumber === 1 || stepNumber === 2) && parsedScore && (
+          {/* Sheet Music */}
+          {activityConfig.showPart && parsedScore && (
             <div className="mb-4">
               <h3>Your Part</h3>
-              <FlatEditor score={parsedScore} />
+              <FlatEditor
+                score={parsedScore}
+                instrument={assignment?.instrument}
+              />
               {preferredSample && (
                 <dl className="mb-0 mt-3">
                   <dt>Sample Recording</dt>
@@ -377,8 +399,8 @@ export default function ActivityPage() {
             </div>
           )}
 
-          {/* Recording Interface with DAW (Activities 1-2) */}
-          {(stepNumber === 1 || stepNumber === 2) && (
+          {/* Recording Interface with DAW */}
+          {!isMultitrack && (
             <Recorder
               accompaniment={assignment?.part?.piece?.accompaniment}
               submit={null} // No submission from recorder in study mode
@@ -386,8 +408,8 @@ export default function ActivityPage() {
             />
           )}
 
-          {/* Multitrack DAW (Activities 3-4) */}
-          {(stepNumber === 3 || stepNumber === 4) && (
+          {/* Multitrack DAW */}
+          {isMultitrack && (
             <DAW
               onSubmit={null} // No submission from DAW itself in study mode
               showSubmitButton={false} // Hide DAW's submit button
@@ -113,7 +113,10 @@ export default function PerformMelody() {
         </Alert>
       ) : (
         <>
-          <FlatEditor score={parsedScore} />
+          <FlatEditor
+            score={parsedScore}
+            instrument={assignment?.instrument}
+          />
           {assignment?.part?.sample_audio && (
             <dl className='mb-0'>
               <dt>Sample Recording</dt>
@@ -131,13 +134,15 @@ export default function PerformMelody() {
         <DAWProvider>
           <Recorder
             accompaniment={assignment?.part?.piece?.accompaniment}
-            submit={(audio) =>
+            submit={(audio, submissionId, { pitchTrack } = {}) =>
               dispatch(
                 postRecording({
                   token: userInfo.token,
                   slug,
                   assignmentId: assignment.id,
                   audio,
+                  submissionId,
+                  pitchTrack,
                 }),
               )
             }
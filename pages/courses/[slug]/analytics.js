@@ -0,0 +1,79 @@
+import { useRouter } from 'next/router';
+import { useEffect, useMemo } from 'react';
+import { useQuery } from 'react-query';
+import { useDispatch, useSelector } from 'react-redux';
+import Spinner from 'react-bootstrap/Spinner';
+import { fetchRoster } from '../../../actions';
+import { getCourseActivityProgress } from '../../../api';
+import Layout from '../../../components/layout';
+import ActivityDashboard from '../../../components/teacher/analytics/ActivityDashboard';
+import { normalizeActivityRecords } from '../../../lib/activity/activityAnalytics';
+
+export default function ActivityAnalytics() {
+  const userInfo = useSelector((state) => state.currentUser);
+  const roster = useSelector((state) => state.roster);
+  const router = useRouter();
+  const { slug } = router.query;
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if ('token' in userInfo) {
+      if (
+        (!roster.loaded && slug) ||
+        (roster.loaded && slug && slug !== roster.courseSlug)
+      ) {
+        dispatch(
+          fetchRoster({ djangoToken: userInfo.token, courseSlug: slug }),
+        );
+      }
+    }
+  }, [dispatch, slug, userInfo]);
+
+  const {
+    isLoading,
+    error,
+    data: records,
+  } = useQuery(
+    ['courseActivityProgress', slug],
+    getCourseActivityProgress(slug),
+    {
+      enabled: !!slug,
+    },
+  );
+
+  const rosterReady = roster.loaded && roster.courseSlug === slug;
+  const students = useMemo(
+    () =>
+      normalizeActivityRecords(
+        records || [],
+        rosterReady ? Object.values(roster.items) : [],
+      ),
+    [records, roster, rosterReady],
+  );
+
+  if (error) return `An error has occurred: ${error.message}`;
+
+  return (
+    <Layout>
+      <h1>DAW Activity Analytics</h1>
+      <p className="text-muted">
+        Progress through the DAW activities across the class, from the
+        operations students log while working.
+      </p>
+      {!slug || isLoading || !rosterReady ? (
+        <Spinner
+          as="span"
+          animation="border"
+          size="sm"
+          role="status"
+          aria-hidden="true"
+          variant="primary"
+        >
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      ) : (
+        <ActivityDashboard students={students} slug={slug} />
+      )}
+    </Layout>
+  );
+}
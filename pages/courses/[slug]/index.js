@@ -35,6 +35,11 @@ export default function CourseDetails() {
             <div>
               <Link href={`/courses/${slug}/edit`}>
                 <Button variant="primary">Edit Course Details</Button>
+              </Link>{' '}
+              <Link href={`/courses/${slug}/analytics`}>
+                <Button variant="outline-primary">
+                  DAW Activity Analytics
+                </Button>
               </Link>
               <div className="my-5">
                 <TeacherCourseView />
@@ -230,7 +230,7 @@ const selectedAssignmentReducer = (
 };
 
 const submitStatusReducer = (
-  state = { submissions: {} },
+  state = { submissions: {}, progress: {} },
   { type, payload },
 ) => {
   switch (type) {
@@ -258,6 +258,14 @@ const submitStatusReducer = (
           [payload.id]: types.UploadStatusEnum.Erroneous,
         },
       };
+    case types.Action.UploadProgress:
+      return {
+        ...state,
+        progress: {
+          ...state.progress,
+          [payload.id]: { loaded: payload.loaded, total: payload.total },
+        },
+      };
     case types.Action.UploadFinished:
       return {
         ...state,
@@ -269,6 +277,11 @@ const submitStatusReducer = (
             ),
           ),
         },
+        progress: Object.fromEntries(
+          Object.entries(state.progress ?? {}).filter(
+            ([id]) => id !== String(payload.id),
+          ),
+        ),
       };
   }
   return state;